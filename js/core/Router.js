@@ -20,6 +20,8 @@ class Router {
         this.beforeHooks = [];
         this.afterHooks = [];
         this.currentRoute = null;
+        // Página renderizada, desmontada (destroy) antes da próxima
+        this.currentComponent = null;
         this.isNavigating = false;
         
         // Configurar eventos do navegador
@@ -235,8 +237,14 @@ class Router {
                 return;
             }
 
+            // Desmontar página anterior (remove listeners do EventBus)
+            if (this.currentComponent?.destroy && typeof this.currentComponent.destroy === 'function') {
+                this.currentComponent.destroy();
+            }
+
             // Criar instância do componente
             const component = new ComponentClass();
+            this.currentComponent = component;
             
             // Renderizar componente
             const html = await component.render(route.params || {}, route.query || {});
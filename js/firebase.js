@@ -1,6 +1,7 @@
 // Firebase SDK imports - usando versão 9.0.0 para estabilidade
 import { initializeApp } from "https://www.gstatic.com/firebasejs/9.0.0/firebase-app.js";
-import { getFirestore, collection, doc, getDoc, setDoc, updateDoc, deleteDoc, query, where, getDocs, onSnapshot, orderBy, limit, addDoc, arrayUnion, arrayRemove, increment } from "https://www.gstatic.com/firebasejs/9.0.0/firebase-firestore.js";
+import { getFirestore, collection, doc, getDoc, setDoc, updateDoc, deleteDoc, query, where, getDocs, onSnapshot, orderBy, limit, addDoc, arrayUnion, arrayRemove, increment, writeBatch } from "https://www.gstatic.com/firebasejs/9.0.0/firebase-firestore.js";
+import { getStorage, ref as storageRef, uploadString, getDownloadURL } from "https://www.gstatic.com/firebasejs/9.0.0/firebase-storage.js";
 import { getAuth, GoogleAuthProvider, signInWithPopup, signOut, createUserWithEmailAndPassword, signInWithEmailAndPassword, onAuthStateChanged, updateProfile, setPersistence, browserLocalPersistence } from "https://www.gstatic.com/firebasejs/9.0.0/firebase-auth.js";
 import envConfig from './utils/EnvironmentConfig.js';
 
@@ -16,6 +17,7 @@ console.log('🔧 Initializing Firebase...');
 const app = initializeApp(firebaseConfig);
 const db = getFirestore(app);
 const auth = getAuth(app);
+const storage = getStorage(app);
 
 // Create Google provider with proper configuration
 const googleProvider = new GoogleAuthProvider();
@@ -27,6 +29,10 @@ console.log('✅ Firebase initialized successfully');
 export { 
     db, 
     auth, 
+    storage,
+    storageRef,
+    uploadString,
+    getDownloadURL,
     googleProvider, 
     collection, 
     doc, 
@@ -44,6 +50,7 @@ export {
     arrayUnion,
     arrayRemove,
     increment,
+    writeBatch,
     signInWithPopup, 
     signOut, 
     createUserWithEmailAndPassword, 
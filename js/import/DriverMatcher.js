@@ -0,0 +1,109 @@
+/**
+ * DriverMatcher - Fuzzy-match imported driver names to championship drivers
+ * Handles case, accents, "Surname, First" ordering, initials and small typos.
+ */
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ */
+export function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s,]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// "Verstappen, Max" -> "max verstappen"
+function canonicalName(name) {
+    const normalized = normalizeName(name);
+    if (!normalized.includes(',')) return normalized;
+    const [last, first] = normalized.split(',').map(part => part.trim());
+    return `${first} ${last}`.trim();
+}
+
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+/**
+ * Similarity between two names, 0 (unrelated) to 1 (same driver)
+ */
+export function nameSimilarity(a, b) {
+    const left = canonicalName(a);
+    const right = canonicalName(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const leftTokens = left.split(' ');
+    const rightTokens = right.split(' ');
+
+    // Same tokens in another order
+    if ([...leftTokens].sort().join(' ') === [...rightTokens].sort().join(' ')) return 0.97;
+
+    // Initials: "m verstappen" / "max verstappen"
+    const lastLeft = leftTokens[leftTokens.length - 1];
+    const lastRight = rightTokens[rightTokens.length - 1];
+    if (lastLeft === lastRight && leftTokens.length > 1 && rightTokens.length > 1 &&
+        leftTokens[0][0] === rightTokens[0][0] &&
+        (leftTokens[0].length === 1 || rightTokens[0].length === 1)) {
+        return 0.9;
+    }
+
+    const distance = levenshtein(left, right);
+    return 1 - distance / Math.max(left.length, right.length);
+}
+
+/**
+ * Match imported names to championship drivers
+ * Each driver is matched at most once; the best-scoring pairs win.
+ * @param {Array<{ name, number }>} rows - Imported rows
+ * @param {Array<{ id, name, number }>} drivers - `Championship.drivers`
+ * @param {object} options - `{ threshold }` minimum similarity to accept a match
+ * @returns {Array<{ name, driverId, score, method }>} One entry per row, `driverId` null when unmatched
+ */
+export function matchDrivers(rows = [], drivers = [], { threshold = 0.75 } = {}) {
+    const candidates = [];
+
+    rows.forEach((row, rowIndex) => {
+        drivers.forEach(driver => {
+            const score = nameSimilarity(row.name, driver.name);
+            const sameNumber = row.number && driver.number && String(row.number) === String(driver.number);
+            // A matching car number backs up a loose name match
+            const combined = sameNumber ? Math.min(1, score + 0.2) : score;
+            candidates.push({ rowIndex, driverId: driver.id, score: combined, method: sameNumber && score < threshold ? 'number' : 'name' });
+        });
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    const matches = rows.map(row => ({ name: row.name, driverId: null, score: 0, method: null }));
+    const usedDrivers = new Set();
+
+    candidates.forEach(candidate => {
+        const match = matches[candidate.rowIndex];
+        if (match.driverId || usedDrivers.has(candidate.driverId) || candidate.score < threshold) return;
+        match.driverId = candidate.driverId;
+        match.score = Math.round(candidate.score * 100) / 100;
+        match.method = candidate.score === 1 ? 'exact' : candidate.method;
+        usedDrivers.add(candidate.driverId);
+    });
+
+    return matches;
+}
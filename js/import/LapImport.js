@@ -0,0 +1,101 @@
+/**
+ * LapImport - Lap-by-lap timing from a CSV export, one row per driver per lap
+ * Rows are matched to championship drivers by name (and car number) and turned into
+ * the lap data stored per session (see utils/LapAnalysis.js).
+ *
+ * Parsed row: `{ name, number, lap, time, position, pit, sectors }`
+ */
+import { matchDrivers } from './DriverMatcher.js';
+import { parseCsv } from './ResultsImport.js';
+import { normalizeLapData } from '../utils/LapAnalysis.js';
+
+// Column names recognised in lap exports
+const LAP_COLUMN_ALIASES = {
+    name: ['driver', 'name', 'driver name', 'player', 'racer'],
+    number: ['#', 'no', 'number', 'car #', 'car number', 'car no'],
+    lap: ['lap', 'lap no', 'lap number', 'lap #'],
+    time: ['time', 'lap time', 'laptime'],
+    position: ['pos', 'position', 'p', 'running position'],
+    pit: ['pit', 'pit in', 'in pit', 'pitted', 'pit stop'],
+    sector1: ['s1', 'sector 1', 'sector1'],
+    sector2: ['s2', 'sector 2', 'sector2'],
+    sector3: ['s3', 'sector 3', 'sector3']
+};
+
+const PIT_VALUES = ['1', 'y', 'yes', 'true', 'in', 'pit', 'p', 'x'];
+
+/**
+ * Guess the column mapping from CSV headers
+ * @returns {object} `{ name, lap, time, ... }` header names (or null)
+ */
+export function detectLapMapping(headers = []) {
+    const mapping = {};
+    Object.entries(LAP_COLUMN_ALIASES).forEach(([field, aliases]) => {
+        mapping[field] = headers.find(header => aliases.includes(String(header).trim().toLowerCase())) || null;
+    });
+    return mapping;
+}
+
+/**
+ * Parse a lap CSV
+ * @returns {{ rows: Array, headers: Array<string>, mapping: object }}
+ * @throws {Error} Without driver name, lap and lap time columns
+ */
+export function parseLapCsv(text, mapping = {}) {
+    const [headers = [], ...lines] = parseCsv(text);
+    const columns = { ...detectLapMapping(headers), ...mapping };
+    const cell = (line, field) => {
+        const index = columns[field] ? headers.indexOf(columns[field]) : -1;
+        return index === -1 ? '' : (line[index] ?? '');
+    };
+
+    if (!columns.name || !columns.lap || !columns.time) {
+        throw new Error('Lap files need driver, lap and lap time columns');
+    }
+
+    const rows = lines.map(line => ({
+        name: cell(line, 'name'),
+        number: cell(line, 'number') || null,
+        lap: parseInt(cell(line, 'lap'), 10) || null,
+        time: cell(line, 'time') || null,
+        position: parseInt(cell(line, 'position'), 10) || null,
+        pit: PIT_VALUES.includes(cell(line, 'pit').toLowerCase()),
+        sectors: ['sector1', 'sector2', 'sector3'].filter(field => columns[field]).map(field => cell(line, field) || null)
+    })).filter(row => row.name && row.lap);
+
+    return { rows, headers, mapping: columns };
+}
+
+/**
+ * Full import: parse, match each driver once and build the session's lap data
+ * @param {string} text - File contents
+ * @param {Array} drivers - `Championship.drivers`
+ * @param {object} options - `{ mapping, overrides }` manual `{ name: driverId }` matches
+ * @returns {{ rows, matches, unmatched, drivers }} `drivers` as `normalizeLapData`
+ */
+export function importLaps(text, drivers, { mapping = {}, overrides = {} } = {}) {
+    const parsed = parseLapCsv(text, mapping);
+
+    // Lap files repeat every driver once per lap; match the distinct names
+    const names = [...new Map(parsed.rows.map(row => [row.name, row])).values()];
+    const matches = matchDrivers(names, drivers).map(match => (
+        overrides[match.name] !== undefined ?
+            { ...match, driverId: overrides[match.name] || null, score: overrides[match.name] ? 1 : 0, method: 'manual' } :
+            match
+    ));
+    const driverFor = Object.fromEntries(matches.map(match => [match.name, match.driverId]));
+
+    const laps = {};
+    parsed.rows.forEach(row => {
+        const driverId = driverFor[row.name];
+        if (!driverId) return;
+        (laps[driverId] = laps[driverId] || []).push(row);
+    });
+
+    return {
+        ...parsed,
+        matches,
+        unmatched: matches.filter(match => !match.driverId).map(match => match.name),
+        drivers: normalizeLapData(laps)
+    };
+}
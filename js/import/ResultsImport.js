@@ -0,0 +1,356 @@
+/**
+ * ResultsImport - Bulk session results from CSV and sim-racing result files
+ * Every format is parsed into the same rows, matched to championship drivers and
+ * turned into `Race.results` session entries.
+ *
+ * Parsed row: `{ name, number, position, status, totalTime, laps, bestLap, lapsLed }`, plus
+ * `classified: true` when the source classifies retirements itself
+ */
+import { matchDrivers } from './DriverMatcher.js';
+import { parseRaceTime } from '../scoring/Penalties.js';
+import { RESULT_STATUS, normalizeStatus, isClassified } from '../scoring/ResultStatus.js';
+import { classifyByTiming, formatRaceTime } from '../scoring/Timing.js';
+
+export const IMPORT_FORMATS = {
+    csv: 'CSV',
+    rf2: 'rFactor 2 / Le Mans Ultimate XML',
+    acc: 'Assetto Corsa Competizione JSON',
+    iracing: 'iRacing results CSV'
+};
+
+// Column names recognised when auto-detecting a CSV mapping
+const CSV_COLUMN_ALIASES = {
+    name: ['driver', 'name', 'driver name', 'player', 'racer'],
+    number: ['#', 'no', 'number', 'car #', 'car number', 'car no'],
+    position: ['pos', 'position', 'p', 'fin pos', 'finish', 'place', 'rank'],
+    status: ['status', 'out', 'result', 'finish status'],
+    totalTime: ['time', 'total time', 'race time', 'finish time', 'total'],
+    laps: ['laps', 'laps comp', 'laps completed', 'lap count'],
+    bestLap: ['best lap', 'fastest lap', 'best', 'fastest lap time', 'best lap time'],
+    lapsLed: ['laps led', 'led']
+};
+
+// Status spellings used by the sim titles
+const SIM_STATUSES = {
+    'finished normally': RESULT_STATUS.FINISHED,
+    running: RESULT_STATUS.FINISHED,
+    disconnected: RESULT_STATUS.DNF,
+    dq: RESULT_STATUS.DSQ,
+    none: RESULT_STATUS.DNS
+};
+
+function importStatus(value) {
+    if (value === null || value === undefined || value === '') return null;
+    return SIM_STATUSES[String(value).trim().toLowerCase()] || normalizeStatus(value);
+}
+
+/**
+ * Split CSV text into rows of cells, honouring quotes
+ * The delimiter (comma, semicolon or tab) is detected from the first line.
+ */
+export function parseCsv(text, { delimiter = null } = {}) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/)[0] || '';
+    const separator = delimiter || [',', ';', '\t']
+        .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell.trim());
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+/**
+ * Guess the column mapping from CSV headers
+ * @returns {object} `{ name, number, position, status, totalTime, laps, bestLap, lapsLed }` header names (or null)
+ */
+export function detectCsvMapping(headers = []) {
+    const mapping = {};
+    Object.entries(CSV_COLUMN_ALIASES).forEach(([field, aliases]) => {
+        mapping[field] = headers.find(header => aliases.includes(String(header).trim().toLowerCase())) || null;
+    });
+    return mapping;
+}
+
+/**
+ * Parse CSV results with a column mapping
+ * @param {string} text
+ * @param {object} mapping - `{ field: headerName }`; unmapped fields are detected from the headers
+ * @returns {{ rows: Array, headers: Array<string>, mapping: object }}
+ */
+export function parseCsvResults(text, mapping = {}) {
+    const [headers = [], ...lines] = parseCsv(text);
+    const columns = { ...detectCsvMapping(headers), ...mapping };
+    const cell = (line, field) => {
+        const index = columns[field] ? headers.indexOf(columns[field]) : -1;
+        return index === -1 ? '' : (line[index] ?? '');
+    };
+
+    if (!columns.name) {
+        throw new Error('Map a column to the driver name before importing');
+    }
+
+    const rows = lines.map(line => ({
+        name: cell(line, 'name'),
+        number: cell(line, 'number') || null,
+        position: parseInt(cell(line, 'position'), 10) || null,
+        status: importStatus(cell(line, 'status')) || importStatus(cell(line, 'position')),
+        totalTime: cell(line, 'totalTime') || null,
+        laps: parseInt(cell(line, 'laps'), 10) || null,
+        bestLap: cell(line, 'bestLap') || null,
+        lapsLed: parseInt(cell(line, 'lapsLed'), 10) || 0
+    })).filter(row => row.name);
+
+    return { rows, headers, mapping: columns };
+}
+
+function xmlValue(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'i'));
+    return match ? match[1].trim() : '';
+}
+
+/**
+ * rFactor 2 / Le Mans Ultimate result XML (`<Driver>` blocks of a race or qualifying session)
+ */
+export function parseRf2Results(text) {
+    const blocks = String(text || '').match(/<Driver>[\s\S]*?<\/Driver>/gi) || [];
+
+    return blocks.map(block => {
+        const finishTime = parseFloat(xmlValue(block, 'FinishTime'));
+        const bestLap = parseFloat(xmlValue(block, 'BestLapTime'));
+        return {
+            name: xmlValue(block, 'Name'),
+            number: xmlValue(block, 'CarNumber') || null,
+            position: parseInt(xmlValue(block, 'Position'), 10) || null,
+            status: importStatus(xmlValue(block, 'FinishStatus')) || RESULT_STATUS.FINISHED,
+            totalTime: finishTime > 0 ? finishTime : null,
+            laps: parseInt(xmlValue(block, 'Laps'), 10) || null,
+            bestLap: bestLap > 0 ? bestLap : null,
+            lapsLed: 0
+        };
+    }).filter(row => row.name);
+}
+
+/**
+ * Assetto Corsa Competizione server result JSON (`sessionResult.leaderBoardLines`, times in ms)
+ */
+export function parseAccResults(text) {
+    const data = typeof text === 'string' ? JSON.parse(text.replace(/^\uFEFF/, '')) : text;
+    const lines = data?.sessionResult?.leaderBoardLines;
+    if (!Array.isArray(lines)) {
+        throw new Error('Not an ACC result file: sessionResult.leaderBoardLines is missing');
+    }
+
+    const leaderLaps = Math.max(0, ...lines.map(line => line.timing?.lapCount || 0));
+
+    return lines.map((line, index) => {
+        const driver = line.currentDriver || line.car?.drivers?.[0] || {};
+        const laps = line.timing?.lapCount || 0;
+        const totalTime = line.timing?.totalTime;
+        const bestLap = line.timing?.bestLap;
+        return {
+            name: [driver.firstName, driver.lastName].filter(Boolean).join(' ') || driver.shortName || '',
+            number: line.car?.raceNumber ?? null,
+            position: index + 1,
+            // ACC lists every car in finishing order; cars that stopped early show no laps
+            status: laps === 0 && leaderLaps > 0 ? RESULT_STATUS.DNS : RESULT_STATUS.FINISHED,
+            totalTime: totalTime && totalTime < 2147483647 ? totalTime / 1000 : null,
+            laps,
+            bestLap: bestLap && bestLap < 2147483647 ? bestLap / 1000 : null,
+            lapsLed: 0
+        };
+    }).filter(row => row.name);
+}
+
+/**
+ * iRacing results CSV (session details first, then a table starting with "Fin Pos")
+ */
+export function parseIracingResults(text) {
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const headerIndex = lines.findIndex(line => /"?Fin Pos"?/i.test(line));
+    if (headerIndex === -1) {
+        throw new Error('Not an iRacing result file: "Fin Pos" header not found');
+    }
+
+    return parseCsvResults(lines.slice(headerIndex).join('\n'), {
+        name: 'Name',
+        number: 'Car #',
+        position: 'Fin Pos',
+        status: 'Out',
+        totalTime: null,
+        laps: 'Laps Comp',
+        bestLap: 'Fastest Lap Time',
+        lapsLed: 'Laps Led'
+    }).rows.map(row => ({
+        ...row,
+        // iRacing classifies every car by laps completed, disconnected or not
+        classified: true
+    }));
+}
+
+/**
+ * Guess the file format from its name and contents
+ */
+export function detectFormat(text, fileName = '') {
+    const content = String(text || '').replace(/^\uFEFF/, '').trimStart();
+    if (/\.xml$/i.test(fileName) || content.startsWith('<')) return 'rf2';
+    if (/\.json$/i.test(fileName) || content.startsWith('{')) return 'acc';
+    if (/"?Fin Pos"?/i.test(content)) return 'iracing';
+    return 'csv';
+}
+
+/**
+ * Parse a result file into rows
+ * @param {string} text - File contents
+ * @param {object} options - `{ format, fileName, mapping }`; format is detected when omitted
+ * @returns {{ format: string, rows: Array, headers: Array<string>, mapping: object|null }}
+ */
+export function parseResultsFile(text, { format = null, fileName = '', mapping = {} } = {}) {
+    const detected = format || detectFormat(text, fileName);
+
+    switch (detected) {
+        case 'rf2': return { format: detected, rows: parseRf2Results(text), headers: [], mapping: null };
+        case 'acc': return { format: detected, rows: parseAccResults(text), headers: [], mapping: null };
+        case 'iracing': return { format: detected, rows: parseIracingResults(text), headers: [], mapping: null };
+        case 'csv': return { format: detected, ...parseCsvResults(text, mapping) };
+        default: throw new Error(`Unsupported results format "${detected}"`);
+    }
+}
+
+/**
+ * Turn matched rows into a `Race.results` session
+ * Rows without positions are classified from their times and laps.
+ * @param {Array} rows - Parsed rows
+ * @param {Array} matches - `matchDrivers` output (same order as rows)
+ * @returns {object} `{ driverId: { position, status, classified, totalTime, laps, bestLap, lapsLed, fastestLap } }`
+ */
+export function buildSessionResults(rows, matches) {
+    const matched = rows
+        .map((row, index) => ({ ...row, driverId: matches[index]?.driverId }))
+        .filter(row => row.driverId);
+
+    const needsClassification = matched.length > 0 && matched.every(row => !row.position);
+    const classification = needsClassification ?
+        classifyByTiming(matched.map(row => ({ driverId: row.driverId, totalTime: row.totalTime, laps: row.laps, status: row.status }))) :
+        null;
+
+    // Fastest lap goes to the best lap time of the session
+    const bestLaps = matched.map(row => parseRaceTime(row.bestLap)).filter(time => time > 0);
+    const fastest = bestLaps.length ? Math.min(...bestLaps) : null;
+
+    const session = {};
+    matched.forEach(row => {
+        const classified = classification?.find(entry => entry.driverId === row.driverId);
+        const status = classified?.status || row.status || RESULT_STATUS.FINISHED;
+        const totalTime = parseRaceTime(row.totalTime);
+        const position = classified ? classified.position : (isClassified(status, row) ? row.position : null);
+
+        session[row.driverId] = {
+            position,
+            status,
+            classified: classified ? classified.classified : isClassified(status, row),
+            totalTime: totalTime !== null ? formatRaceTime(totalTime) : '',
+            laps: row.laps || 0,
+            bestLap: row.bestLap !== null && row.bestLap !== undefined ? formatRaceTime(parseRaceTime(row.bestLap)) : '',
+            lapsLed: row.lapsLed || 0,
+            fastestLap: fastest !== null && parseRaceTime(row.bestLap) === fastest
+        };
+    });
+
+    return session;
+}
+
+/**
+ * Diff an imported session against what is stored
+ * @param {object} current - Current session results `{ driverId: { position, status } }`
+ * @param {object} imported - `buildSessionResults` output
+ * @returns {Array<{ driverId, change, before, after }>} `change` is 'added', 'changed', 'unchanged' or 'removed'
+ */
+export function previewImport(current = {}, imported = {}) {
+    const summary = entry => (entry ? { position: entry.position ?? null, status: entry.status ?? null } : null);
+    const driverIds = new Set([...Object.keys(current), ...Object.keys(imported)]);
+
+    return [...driverIds].map(driverId => {
+        const before = summary(current[driverId]);
+        const after = summary(imported[driverId]);
+        let change = 'unchanged';
+        if (!before) change = 'added';
+        else if (!after) change = 'removed';
+        else if (String(before.position) !== String(after.position) || before.status !== after.status) change = 'changed';
+        return { driverId, change, before, after };
+    }).sort((a, b) => (a.after?.position || Infinity) - (b.after?.position || Infinity));
+}
+
+/**
+ * Full import: parse, match drivers and build the session
+ * @param {string} text - File contents
+ * @param {Array} drivers - `Championship.drivers`
+ * @param {object} options - `parseResultsFile` options plus `{ overrides }` manual `{ rowIndex: driverId }` matches
+ */
+export function importResults(text, drivers, { overrides = {}, ...options } = {}) {
+    const parsed = parseResultsFile(text, options);
+    const matches = matchDrivers(parsed.rows, drivers).map((match, index) => (
+        overrides[index] !== undefined ?
+            { ...match, driverId: overrides[index] || null, score: overrides[index] ? 1 : 0, method: 'manual' } :
+            match
+    ));
+
+    return {
+        ...parsed,
+        matches,
+        unmatched: matches.filter(match => !match.driverId).map(match => match.name),
+        session: buildSessionResults(parsed.rows, matches)
+    };
+}
+
+/**
+ * Driver-keyed result-row fields for a session (`{ feature, featureStatus, featureFL, featureTiming }`)
+ */
+export function sessionRowFields(session, entry) {
+    return {
+        [session]: entry.position ? String(entry.position) : '',
+        [`${session}Status`]: entry.status,
+        [`${session}FL`]: Boolean(entry.fastestLap),
+        [`${session}Timing`]: {
+            totalTime: entry.totalTime,
+            laps: entry.laps,
+            status: entry.status,
+            classified: entry.classified
+        }
+    };
+}
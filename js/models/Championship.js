@@ -1,3 +1,12 @@
+import { buildPresetSettings, pinPresetVersion } from '../scoring/SeriesPresets.js';
+import { DEFAULT_TIE_BREAKERS, normalizeTieBreakers } from '../scoring/TieBreaker.js';
+import { createPenalty } from '../scoring/Penalties.js';
+import { normalizeDriveTimeRule } from '../scoring/Entries.js';
+import { createClass } from '../scoring/Classes.js';
+import { DEFAULT_MAX_DRIVERS, normalizeRegistrationField } from '../utils/Registrations.js';
+import { can, pendingRoleFields, roleOf } from '../utils/ChampionshipRoles.js';
+import { VISIBILITY, championshipVisibility } from '../utils/ChampionshipAccess.js';
+
 export class Championship {
     constructor(data = {}) {
         this.id = data.id || crypto.randomUUID();
@@ -7,25 +16,66 @@ export class Championship {
         this.description = data.description || '';
         this.userId = data.userId || '';
         this.createdAt = data.createdAt || new Date();
-        this.isPublic = data.isPublic || true;
+        // Public, unlisted or private; invite links and the join code are kept apart from the
+        // championship, and members joined through them are listed in `memberIds` (see utils/ChampionshipAccess.js)
+        this.visibility = championshipVisibility(data);
+        this.isPublic = this.visibility === VISIBILITY.PUBLIC;
+        this.memberIds = data.memberIds || (this.userId ? [this.userId] : []);
         this.activityScore = data.activityScore || 0;
         this.drivers = data.drivers || [];
         this.teams = data.teams || [];
+        // Multi-driver cars; when present, race results are keyed by entry (see scoring/Entries.js)
+        this.entries = data.entries || [];
+        // Classes sharing the track, each classified and scored on its own (see scoring/Classes.js)
+        this.classes = data.classes || [];
         this.races = data.races || [];
+        // Driver sign-ups, their form and window, and the seat cap (see utils/Registrations.js)
+        this.registrations = data.registrations || [];
+        this.registrationSettings = data.registrationSettings || { fields: null, opensAt: null, closesAt: null };
+        this.maxDrivers = data.maxDrivers || DEFAULT_MAX_DRIVERS;
+        this.requireApproval = data.requireApproval !== false;
+        // Appointed admins and stewards, `{ userId: role }`, and pending invitations (see utils/ChampionshipRoles.js)
+        this.roles = data.roles || {};
+        this.roleInvites = data.roleInvites || [];
+        const pending = pendingRoleFields(this.roleInvites);
+        this.pendingRoles = data.pendingRoles || pending.pendingRoles;
+        this.pendingRoleEmails = data.pendingRoleEmails || pending.pendingRoleEmails;
+        this.announcements = data.announcements || [];
+        // Championship-level points deductions; race penalties live on each race
+        this.penalties = data.penalties || [];
         this.settings = data.settings || {
             pointsSystem: {
-                positions: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
-                fastestLap: 1,
-                sprintRace: {
-                    enabled: false,
-                    positions: [8, 7, 6, 5, 4, 3, 2, 1]
-                }
+                sessions: {
+                    qualifying: { positions: [], fastestLap: null },
+                    sprint: { positions: [], fastestLap: null },
+                    feature: {
+                        positions: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
+                        fastestLap: { points: 1, topN: 10 }
+                    }
+                },
+                pole: null,
+                roundMultipliers: {}
             },
+            tieBreakers: [...DEFAULT_TIE_BREAKERS],
             teamChampionship: true,
+            teamScoring: {
+                countBestCars: 2,
+                excludeReserves: true,
+                manufacturers: false,
+                manufacturerCountBestCars: null
+            },
             sprintRaces: false
         };
     }
 
+    roleOf(userId) {
+        return roleOf(this, userId);
+    }
+
+    can(userId, permission) {
+        return can(this, userId, permission);
+    }
+
     addDriver(driver) {
         if (!this.drivers.find(d => d.id === driver.id)) {
             this.drivers.push(driver);
@@ -46,6 +96,32 @@ export class Championship {
         this.teams = this.teams.filter(t => t.id !== teamId);
     }
 
+    addEntry(entry) {
+        if (!this.entries.find(e => e.id === entry.id)) {
+            this.entries.push(entry);
+        }
+    }
+
+    removeEntry(entryId) {
+        this.entries = this.entries.filter(e => e.id !== entryId);
+    }
+
+    addClass(data) {
+        const carClass = createClass(data);
+        this.classes = [...this.classes.filter(c => c.id !== carClass.id), carClass];
+        return carClass;
+    }
+
+    /**
+     * Remove a class; its drivers and entries become unclassed
+     */
+    removeClass(classId) {
+        this.classes = this.classes.filter(c => c.id !== classId);
+        [...this.drivers, ...this.entries].forEach(competitor => {
+            if (competitor.classId === classId) competitor.classId = null;
+        });
+    }
+
     addRace(race) {
         if (!this.races.find(r => r.id === race.id)) {
             this.races.push(race);
@@ -56,10 +132,74 @@ export class Championship {
         this.races = this.races.filter(r => r.id !== raceId);
     }
 
+    /**
+     * Record a stewards' penalty on its race, or on the championship when not tied to one
+     */
+    addPenalty(data) {
+        const penalty = createPenalty(data, this.races.find(r => r.id === data.raceId));
+        if (!penalty.raceId) {
+            this.penalties.push(penalty);
+            return penalty;
+        }
+
+        const race = this.races.find(r => r.id === penalty.raceId);
+        if (!race) {
+            throw new Error('Race not found');
+        }
+        race.penalties = [...(race.penalties || []), penalty];
+        return penalty;
+    }
+
+    removePenalty(penaltyId) {
+        this.penalties = this.penalties.filter(p => p.id !== penaltyId);
+        this.races.forEach(race => {
+            if (race.penalties) {
+                race.penalties = race.penalties.filter(p => p.id !== penaltyId);
+            }
+        });
+    }
+
+    /**
+     * Set the sign-up form and window; null fields keep the default form
+     */
+    setRegistrationSettings({ fields = null, opensAt = null, closesAt = null } = {}) {
+        if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+            throw new Error('Registration must close after it opens');
+        }
+        this.registrationSettings = {
+            fields: fields ? fields.map(normalizeRegistrationField) : null,
+            opensAt,
+            closesAt
+        };
+    }
+
     updateSettings(settings) {
         this.settings = { ...this.settings, ...settings };
     }
 
+    setTieBreakers(chain) {
+        this.updateSettings({ tieBreakers: normalizeTieBreakers(chain) });
+    }
+
+    setDriveTimeRule(rule) {
+        this.updateSettings({ driveTimeRule: normalizeDriveTimeRule({ driveTimeRule: rule }) });
+    }
+
+    usePointsPreset(presetId) {
+        const presetSettings = buildPresetSettings(presetId, this.season);
+        if (presetSettings) {
+            this.updateSettings(presetSettings);
+        }
+    }
+
+    pinPointsPreset(versionId) {
+        const presetId = this.settings.pointsPreset?.id;
+        if (!presetId) {
+            throw new Error('Championship does not use a series preset');
+        }
+        this.updateSettings(pinPresetVersion(presetId, versionId));
+    }
+
     toFirestore() {
         return {
             id: this.id,
@@ -71,9 +211,23 @@ export class Championship {
             createdAt: this.createdAt,
             drivers: this.drivers,
             teams: this.teams,
+            entries: this.entries,
+            classes: this.classes,
             races: this.races,
+            registrations: this.registrations,
+            registrationSettings: this.registrationSettings,
+            maxDrivers: this.maxDrivers,
+            requireApproval: this.requireApproval,
+            roles: this.roles,
+            roleInvites: this.roleInvites,
+            announcements: this.announcements,
+            penalties: this.penalties,
             settings: this.settings,
-            isPublic: this.isPublic || true,
+            visibility: this.visibility,
+            isPublic: this.visibility === VISIBILITY.PUBLIC,
+            memberIds: this.memberIds,
+            pendingRoles: this.pendingRoles,
+            pendingRoleEmails: this.pendingRoleEmails,
             activityScore: this.activityScore || 0
         };
     }
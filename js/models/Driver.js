@@ -1,3 +1,47 @@
+/**
+ * Team a driver raced for in a given round, from their team stints.
+ * Works on plain driver objects as well as Driver instances.
+ */
+export function teamForRound(driver, round) {
+    const stints = driver?.teamHistory || [];
+    const roundNumber = parseInt(round, 10);
+
+    if (stints.length > 0 && !isNaN(roundNumber)) {
+        const stint = stints.find(s =>
+            roundNumber >= (s.fromRound || 1) && (s.toRound === null || s.toRound === undefined || roundNumber <= s.toRound)
+        );
+        if (stint) return stint.teamId;
+    }
+
+    return driver?.team || null;
+}
+
+/**
+ * Move a driver to a new team from `fromRound` onwards, closing the current stint.
+ * Works on plain driver objects as well as Driver instances.
+ */
+export function transferDriver(driver, teamId, fromRound) {
+    const startRound = Math.max(1, parseInt(fromRound, 10) || 1);
+    const history = (driver.teamHistory || []).filter(stint => (stint.fromRound || 1) < startRound);
+
+    if (history.length === 0 && driver.team && startRound > 1) {
+        history.push({ teamId: driver.team, fromRound: 1, toRound: null });
+    }
+
+    const current = history[history.length - 1];
+    if (current && (current.toRound === null || current.toRound === undefined || current.toRound >= startRound)) {
+        current.toRound = startRound - 1;
+    }
+
+    if (teamId) {
+        history.push({ teamId, fromRound: startRound, toRound: null });
+    }
+
+    driver.teamHistory = history;
+    driver.team = teamId || null;
+    return driver;
+}
+
 export class Driver {
     constructor(data = {}) {
         this.id = data.id || crypto.randomUUID();
@@ -6,6 +50,12 @@ export class Driver {
         this.team = data.team || null;
         this.nationality = data.nationality || '';
         this.avatar = data.avatar || '';
+        this.reserve = data.reserve || false;
+        // Class the driver races in, in a multi-class championship (see scoring/Classes.js)
+        this.classId = data.classId || null;
+        // Team stints: [{ teamId, fromRound, toRound }] (toRound null = current)
+        this.teamHistory = data.teamHistory ||
+            (this.team ? [{ teamId: this.team, fromRound: 1, toRound: null }] : []);
     }
 
     updateInfo(data) {
@@ -14,7 +64,25 @@ export class Driver {
             number: data.number || this.number,
             team: data.team || this.team,
             nationality: data.nationality || this.nationality,
-            avatar: data.avatar || this.avatar
+            avatar: data.avatar || this.avatar,
+            reserve: data.reserve !== undefined ? data.reserve : this.reserve,
+            classId: data.classId !== undefined ? data.classId : this.classId
         });
     }
-}
\ No newline at end of file
+
+    transferTo(teamId, fromRound) {
+        transferDriver(this, teamId, fromRound);
+    }
+
+    getTeamForRound(round) {
+        return teamForRound(this, round);
+    }
+
+    getTransfers() {
+        return this.teamHistory.slice(1).map((stint, index) => ({
+            from: this.teamHistory[index].teamId,
+            to: stint.teamId,
+            round: stint.fromRound
+        }));
+    }
+}
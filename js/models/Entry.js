@@ -0,0 +1,49 @@
+/**
+ * Label for an entry in results and standings: "#7 Toyota Gazoo Racing", falling back to its crew
+ * Works on plain entry objects as well as Entry instances.
+ */
+export function entryLabel(entry, drivers = []) {
+    if (!entry) return '';
+    const number = entry.number ? `#${entry.number} ` : '';
+    const crew = (entry.drivers || [])
+        .map(driverId => drivers.find(d => d.id === driverId)?.name)
+        .filter(Boolean)
+        .join(' / ');
+    return `${number}${entry.name || crew || entry.id}`.trim();
+}
+
+/**
+ * A car entered for the season: number, team, class and the drivers sharing it
+ * Endurance championships key race results by entry; a race can override the crew
+ * with `race.entryLineups` (see scoring/Entries.js).
+ */
+export class Entry {
+    constructor(data = {}) {
+        this.id = data.id || crypto.randomUUID();
+        this.number = data.number || null;
+        this.name = data.name || '';
+        this.teamId = data.teamId || null;
+        this.classId = data.classId || null;
+        // Driver ids in line-up order
+        this.drivers = [...new Set(data.drivers || [])];
+    }
+
+    updateInfo(data) {
+        Object.assign(this, {
+            number: data.number || this.number,
+            name: data.name || this.name,
+            teamId: data.teamId || this.teamId,
+            classId: data.classId || this.classId
+        });
+    }
+
+    addDriver(driverId) {
+        if (!this.drivers.includes(driverId)) {
+            this.drivers.push(driverId);
+        }
+    }
+
+    removeDriver(driverId) {
+        this.drivers = this.drivers.filter(id => id !== driverId);
+    }
+}
@@ -1,3 +1,10 @@
+import { createPenalty } from '../scoring/Penalties.js';
+import { migrateRaceResults, migrateResultEntry, resolveResultStatus } from '../scoring/ResultStatus.js';
+import { normalizeGridRule } from '../scoring/GridRules.js';
+import { normalizeSessionList, raceSessions } from '../scoring/RaceSessions.js';
+import { raceSessionTimes, scheduleDate } from '../utils/RaceSchedule.js';
+import { TYRE_COMPOUNDS, createPitStop, sessionPitStops } from '../utils/PitStops.js';
+
 export class Race {
     constructor(data = {}) {
         this.id = data.id || crypto.randomUUID();
@@ -5,13 +12,30 @@ export class Race {
         this.round = data.round || 1;
         this.date = data.date || new Date().toISOString().split('T')[0];
         this.circuit = data.circuit || '';
+        // Venue time zone (IANA) and session start times in venue time (see utils/RaceSchedule.js)
+        this.timeZone = data.timeZone || 'UTC';
+        this.schedule = data.schedule || {};
         this.hasSprintRace = data.hasSprintRace || false;
+        // Weekend format, in running order (see scoring/RaceSessions.js); null runs the classic weekend
+        this.sessions = data.sessions || null;
         this.completed = data.completed || false;
-        this.results = data.results || {
-            qualifying: {},
-            sprint: {},
-            feature: {}
-        };
+        // `{ session: { driverId: { position, status, ... } } }`, statuses from scoring/ResultStatus.js
+        this.results = data.results ? migrateRaceResults(data.results) :
+            Object.fromEntries(raceSessions(this).map(({ id }) => [id, {}]));
+        // Team each driver raced for this round, when it differs from their current team
+        this.teamAssignments = data.teamAssignments || {};
+        this.reserveDrivers = data.reserveDrivers || [];
+        // Stewards' decisions amending this race's results (see scoring/Penalties.js)
+        this.penalties = data.penalties || [];
+        // Per-session grid rules and generated grids (see scoring/GridRules.js)
+        this.gridRules = data.gridRules || {};
+        this.grids = data.grids || {};
+        // Per-session pit stops and starting tyres (see utils/PitStops.js)
+        this.pitStops = data.pitStops || {};
+        this.startingTyres = data.startingTyres || {};
+        // Multi-driver entries: crews for this round and drive times (see scoring/Entries.js)
+        this.entryLineups = data.entryLineups || {};
+        this.driveTimes = data.driveTimes || {};
     }
 
     updateInfo(data) {
@@ -20,7 +44,23 @@ export class Race {
             round: data.round || this.round,
             date: data.date || this.date,
             circuit: data.circuit || this.circuit,
-            hasSprintRace: data.hasSprintRace !== undefined ? data.hasSprintRace : this.hasSprintRace
+            hasSprintRace: data.hasSprintRace !== undefined ? data.hasSprintRace : this.hasSprintRace,
+            timeZone: data.timeZone || this.timeZone
+        });
+    }
+
+    getSessions() {
+        return raceSessions(this);
+    }
+
+    /**
+     * Replace the weekend format
+     * Results of sessions no longer in the list are kept, but are no longer scored or shown.
+     */
+    setSessions(sessions) {
+        this.sessions = normalizeSessionList(sessions);
+        this.sessions.forEach(({ id }) => {
+            if (!this.results[id]) this.results[id] = {};
         });
     }
 
@@ -28,13 +68,151 @@ export class Race {
         if (!this.results[session]) {
             this.results[session] = {};
         }
-        this.results[session][driverId] = result;
+        this.results[session][driverId] = migrateResultEntry(result);
+    }
+
+    // Replace a whole session, e.g. from a results import
+    setSessionResults(session, sessionResults) {
+        this.results[session] = {};
+        Object.entries(sessionResults).forEach(([driverId, result]) => {
+            this.addResult(session, driverId, result);
+        });
     }
 
     getResult(session, driverId) {
         return this.results[session]?.[driverId] || null;
     }
 
+    getStatus(session, driverId) {
+        return resolveResultStatus(this.getResult(session, driverId));
+    }
+
+    assignDriverTeam(driverId, teamId, { reserve = false } = {}) {
+        this.teamAssignments[driverId] = teamId;
+        this.reserveDrivers = this.reserveDrivers.filter(id => id !== driverId);
+        if (reserve) {
+            this.reserveDrivers.push(driverId);
+        }
+    }
+
+    addPenalty(data) {
+        const penalty = createPenalty({ ...data, raceId: this.id }, this);
+        this.penalties.push(penalty);
+        return penalty;
+    }
+
+    removePenalty(penaltyId) {
+        this.penalties = this.penalties.filter(p => p.id !== penaltyId);
+    }
+
+    getPenalties(driverId = null) {
+        return driverId ? this.penalties.filter(p => p.driverId === driverId) : this.penalties;
+    }
+
+    /**
+     * Set a session's start ("YYYY-MM-DDTHH:mm", venue time) and length in minutes
+     * `date` follows the schedule so date-only views stay in step.
+     */
+    setSessionTime(session, start, duration = null) {
+        if (start) {
+            this.schedule[session] = { start, ...(duration ? { duration } : {}) };
+        } else {
+            delete this.schedule[session];
+        }
+        this.date = scheduleDate(this.schedule) || this.date;
+    }
+
+    getSessionTimes() {
+        return raceSessionTimes(this);
+    }
+
+    setGridRule(session, rule) {
+        this.gridRules[session] = normalizeGridRule(rule, this, session);
+    }
+
+    getGrid(session) {
+        return this.grids[session] || null;
+    }
+
+    /**
+     * Store a session's starting grid (driver ids, pole first)
+     * @throws {Error} When the stored grid is locked
+     */
+    setGrid(session, order) {
+        if (this.grids[session]?.locked) {
+            throw new Error('The grid is locked; unlock it before editing');
+        }
+        this.grids[session] = { order: [...order], locked: false, generatedAt: new Date().toISOString(), lockedAt: null };
+    }
+
+    lockGrid(session, locked = true) {
+        if (!this.grids[session]) {
+            throw new Error('Generate the grid before locking it');
+        }
+        Object.assign(this.grids[session], { locked, lockedAt: locked ? new Date().toISOString() : null });
+    }
+
+    addPitStop(session, data) {
+        const stop = createPitStop(data);
+        this.pitStops[session] = [...(this.pitStops[session] || []), stop];
+        return stop;
+    }
+
+    removePitStop(session, stopId) {
+        this.pitStops[session] = (this.pitStops[session] || []).filter(stop => stop.id !== stopId);
+    }
+
+    getPitStops(session, driverId = null) {
+        return sessionPitStops(this, session, driverId);
+    }
+
+    /**
+     * Compound a car started the session on (null to clear it)
+     * @throws {Error} For an unknown compound
+     */
+    setStartingTyre(session, driverId, tyre) {
+        if (tyre && !TYRE_COMPOUNDS[tyre]) {
+            throw new Error(`Unknown tyre compound "${tyre}"`);
+        }
+        this.startingTyres[session] = { ...(this.startingTyres[session] || {}) };
+        if (tyre) {
+            this.startingTyres[session][driverId] = tyre;
+        } else {
+            delete this.startingTyres[session][driverId];
+        }
+    }
+
+    /**
+     * Crew of an entry for this round (null or empty to use the entry's own line-up)
+     */
+    setEntryLineup(entryId, driverIds) {
+        if (driverIds?.length) {
+            this.entryLineups[entryId] = [...new Set(driverIds)];
+        } else {
+            delete this.entryLineups[entryId];
+        }
+    }
+
+    /**
+     * Minutes a crew member drove an entry in a session (null or 0 to clear it)
+     * @throws {Error} For a negative or non-numeric time
+     */
+    setDriveTime(session, entryId, driverId, minutes) {
+        const value = minutes === null || minutes === undefined || minutes === '' ? 0 : Number(minutes);
+        if (!(value >= 0)) {
+            throw new Error('Drive time must be a number of minutes');
+        }
+
+        const sessionTimes = { ...(this.driveTimes[session] || {}) };
+        sessionTimes[entryId] = { ...(sessionTimes[entryId] || {}) };
+        if (value > 0) {
+            sessionTimes[entryId][driverId] = value;
+        } else {
+            delete sessionTimes[entryId][driverId];
+        }
+        this.driveTimes[session] = sessionTimes;
+    }
+
     markAsCompleted() {
         this.completed = true;
     }
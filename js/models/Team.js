@@ -5,6 +5,7 @@ export class Team {
         this.shortName = data.shortName || '';
         this.color = data.color || '#000000';
         this.logo = data.logo || '';
+        this.manufacturer = data.manufacturer || null;
     }
 
     updateInfo(data) {
@@ -12,7 +13,8 @@ export class Team {
             name: data.name || this.name,
             shortName: data.shortName || this.shortName,
             color: data.color || this.color,
-            logo: data.logo || this.logo
+            logo: data.logo || this.logo,
+            manufacturer: data.manufacturer || this.manufacturer
         });
     }
 }
\ No newline at end of file
@@ -1,14 +1,65 @@
 /**
  * ChampionshipsPage.js - Página de campeonatos
  */
+import { serviceLocator } from '../core/ServiceLocator.js';
+import { classStandings, findClass, isMultiClass } from '../scoring/Classes.js';
+import { normalizeDriveTimeRule, resultCompetitors } from '../scoring/Entries.js';
+import { entryLabel } from '../models/Entry.js';
+import { PointsEngine } from '../scoring/PointsEngine.js';
+import { mainRaceSession } from '../scoring/RaceSessions.js';
+import { racesInRoundOrder } from '../scoring/Rounds.js';
+import { resolveDriverTeam } from '../scoring/TeamStandings.js';
+import { CARD_TEMPLATES, cardPostImage, cardToBlob, renderCard } from '../utils/StandingsCard.js';
+import { INVITE_STATUS, PERMISSIONS, ROLES, can, championshipMembers, pendingInvites, roleOf } from '../utils/ChampionshipRoles.js';
+import { VISIBILITY_LABELS, activeInviteLinks, championshipVisibility, inviteUrl } from '../utils/ChampionshipAccess.js';
+import {
+    REGISTRATION_FIELD_TYPES,
+    REGISTRATION_STATUS,
+    activeRegistration,
+    freeSlots,
+    normalizeRegistrationSettings,
+    numberConflict,
+    registrationWindow,
+    waitlistPosition
+} from '../utils/Registrations.js';
 
 export default class ChampionshipsPage {
     constructor() {
         this.championships = [];
         this.activeView = 'current';
+        // Championship and class shown on the "My Championships" standings (no class = overall)
+        this.selectedChampionshipId = null;
+        this.selectedClassId = null;
+        // Class open in the organizers' class form (null adds a new one)
+        this.editingClassId = null;
+        // Entry open in the organizers' entry form (null adds a new one)
+        this.editingEntryId = null;
+        // Image card being shared from the standings, `{ template, raceId, driverId }` (null when closed)
+        this.shareCard = null;
+        // A card posted to the feed whose outcome is still to be reported
+        this.pendingCardPost = false;
+        // Organizers' invite links and join code of the selected championship, `{ championshipId, access, grants }`
+        this.access = null;
+        // Invite link being followed, `{ championshipId, inviteToken, joinCode }` (see utils/ChampionshipAccess.js)
+        this.pendingInvite = null;
+        // `[event, listenerId]` pairs registered in init(), removed by destroy()
+        this.subscriptions = [];
+        this.eventBus = serviceLocator.has('EventBus') ? serviceLocator.get('EventBus') : null;
+        this.stateManager = serviceLocator.has('StateManager') ? serviceLocator.get('StateManager') : null;
+        this.championshipService = serviceLocator.has('ChampionshipService') ? serviceLocator.get('ChampionshipService') : null;
     }
 
     async render(params = {}, query = {}) {
+        // Invite links look like `?championship=<id>&invite=<token>` (see utils/ChampionshipAccess.js inviteUrl)
+        const invitedTo = params.championshipId || query.championship;
+        if (invitedTo && (query.invite || query.code)) {
+            this.pendingInvite = {
+                championshipId: invitedTo,
+                inviteToken: query.invite || null,
+                joinCode: query.code || null
+            };
+        }
+
         return `
             <div class="min-h-screen">
                 <!-- Page Header -->
@@ -23,14 +74,18 @@ export default class ChampionshipsPage {
                                 <input type="text" placeholder="Search championships..." class="bg-black/20 border border-gray-600 rounded-lg px-4 py-2 pl-10 w-64 focus:border-orange-500 focus:outline-none">
                                 <i data-feather="search" class="w-4 h-4 text-gray-400 absolute left-3 top-1/2 transform -translate-y-1/2"></i>
                             </div>
-                            <button class="racing-btn px-4 py-2">
+                            <input id="join-code" type="text" placeholder="Join code" maxlength="8" class="bg-black/20 border border-gray-600 rounded-lg px-4 py-2 w-32 uppercase focus:border-orange-500 focus:outline-none">
+                            <button id="join-code-btn" class="racing-btn px-4 py-2">
                                 <i data-feather="plus" class="w-4 h-4 mr-2"></i>
                                 Join Championship
                             </button>
                         </div>
                     </div>
+                    <p id="join-status" class="text-sm mt-3 hidden"></p>
                 </div>
 
+                ${this.renderInvite()}
+
                 <!-- Championship Categories -->
                 <div class="mb-6">
                     <nav class="flex space-x-8 border-b border-gray-700">
@@ -57,11 +112,43 @@ export default class ChampionshipsPage {
         `;
     }
 
+    renderInvite() {
+        if (!this.pendingInvite) return '';
+        return `
+            <div id="invite-banner" class="glass-card rounded-lg p-6 mb-6 flex flex-col md:flex-row md:items-center justify-between gap-4 border border-orange-500/40">
+                <div>
+                    <h2 class="text-xl font-semibold mb-1">You've been invited to a championship</h2>
+                    <p class="text-gray-400">Accept the invitation to join it and follow its standings.</p>
+                </div>
+                <button id="accept-invite-btn" class="racing-btn px-6 py-3">Accept Invitation</button>
+            </div>
+        `;
+    }
+
     async init() {
         this.setupTabs();
+        this.setupStandings();
+        this.setupShareCard();
+        this.setupClasses();
+        this.setupEntries();
+        this.setupAccess();
+        this.setupJoin();
+        this.setupRoles();
+        this.setupRegistration();
         if (window.feather) feather.replace();
     }
 
+    // Called by core/Router before the next page renders
+    destroy() {
+        this.subscriptions.forEach(([event, id]) => this.eventBus?.off(event, id));
+        this.subscriptions = [];
+    }
+
+    listen(event, handler) {
+        if (!this.eventBus) return;
+        this.subscriptions.push([event, this.eventBus.on(event, handler)]);
+    }
+
     setupTabs() {
         document.querySelectorAll('.championship-tab').forEach(tab => {
             tab.addEventListener('click', () => {
@@ -95,6 +182,8 @@ export default class ChampionshipsPage {
                 break;
             case 'my':
                 content.innerHTML = this.renderMyChampionships();
+                this.requestAccess();
+                this.drawShareCard();
                 break;
         }
         
@@ -268,16 +357,1222 @@ export default class ChampionshipsPage {
         `;
     }
 
+    getMyChampionships() {
+        return this.stateManager?.getState('championships.userChampionships') || [];
+    }
+
     renderMyChampionships() {
+        const championships = this.getMyChampionships();
+        if (championships.length === 0) {
+            return `
+                <div class="text-center py-12">
+                    <div class="text-6xl mb-4">🏁</div>
+                    <h3 class="text-xl font-semibold mb-2">No Championships Joined Yet</h3>
+                    <p class="text-gray-400 mb-6">Join championships to track your favorite racing series</p>
+                    <button class="racing-btn px-6 py-3">
+                        Browse Championships
+                    </button>
+                </div>
+            `;
+        }
+
+        const championship = championships.find(c => c.id === this.selectedChampionshipId) || championships[0];
+        const classId = findClass(championship, this.selectedClassId) ? this.selectedClassId : null;
+
+        return `
+            ${this.renderRoleInvites(championship)}
+            <div class="glass-card rounded-lg p-6">
+                <div class="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-4">
+                    <select id="standings-championship" class="bg-black/20 border border-gray-600 rounded-lg px-4 py-2 focus:border-orange-500 focus:outline-none">
+                        ${championships.map(c => `
+                            <option value="${c.id}" ${c.id === championship.id ? 'selected' : ''}>${c.name} ${c.season || ''}</option>
+                        `).join('')}
+                    </select>
+                    <div class="flex items-center gap-3">
+                        ${this.renderClassFilter(championship, classId)}
+                        <button class="px-3 py-1 text-sm border border-gray-600 rounded hover:bg-gray-800" data-share-card-action="toggle">
+                            ${this.shareCard ? 'Close' : 'Share Image'}
+                        </button>
+                    </div>
+                </div>
+                ${this.shareCard ? this.renderShareCard(championship) : ''}
+                ${this.renderStandings(championship, classId)}
+            </div>
+            ${this.renderRegistration(championship)}
+            ${this.renderRegistrationSetup(championship)}
+            ${this.renderAccessSetup(championship)}
+            ${this.renderRoles(championship)}
+            ${this.renderEntrySetup(championship)}
+            ${this.renderClassSetup(championship)}
+        `;
+    }
+
+    canEditSettings(championship) {
+        const user = this.stateManager?.getState('auth.user');
+        return Boolean(user) && can(championship, user.uid, PERMISSIONS.EDIT_SETTINGS);
+    }
+
+    // Organizers: who can find and join the championship (see utils/ChampionshipAccess.js)
+    renderAccessSetup(championship) {
+        if (!this.canEditSettings(championship)) return '';
+
+        const visibility = championshipVisibility(championship);
+        const loaded = this.access?.championshipId === championship.id ? this.access : null;
+        const invites = loaded ? activeInviteLinks(loaded.access, loaded.grants) : [];
+        const inputClasses = 'bg-black/20 border border-gray-600 rounded-lg px-3 py-2 focus:border-orange-500 focus:outline-none';
+
+        return `
+            <div class="glass-card rounded-lg p-6 mt-6" data-access-championship="${championship.id}">
+                <h3 class="text-lg font-semibold mb-4">Access</h3>
+                <p id="access-status" class="text-sm mb-3 hidden"></p>
+
+                <label class="block text-sm text-gray-400 mb-1" for="access-visibility">Visibility</label>
+                <select id="access-visibility" class="${inputClasses} w-full md:w-auto mb-6">
+                    ${Object.entries(VISIBILITY_LABELS).map(([value, label]) => `
+                        <option value="${value}" ${visibility === value ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+
+                ${!loaded ? '<p class="text-gray-400">Loading invite links…</p>' : `
+                    <h4 class="font-semibold mb-2">Invite Links</h4>
+                    ${invites.length === 0 ? '<p class="text-gray-400 mb-3">No active invite links.</p>' : `
+                        <div class="space-y-2 mb-3">
+                            ${invites.map(invite => `
+                                <div class="flex flex-col md:flex-row md:items-center justify-between gap-2 bg-black/20 rounded-lg px-4 py-2">
+                                    <div class="text-sm">
+                                        <p class="font-mono break-all">${this.inviteLink(championship.id, invite.token)}</p>
+                                        <p class="text-gray-400">
+                                            ${invite.uses}${invite.maxUses ? `/${invite.maxUses}` : ''} uses ·
+                                            ${invite.expiresAt ? `expires ${new Date(invite.expiresAt).toLocaleDateString()}` : 'never expires'}
+                                        </p>
+                                    </div>
+                                    <div class="flex space-x-2">
+                                        <button class="px-3 py-1 text-sm border border-gray-600 rounded hover:bg-gray-800" data-access-action="copy" data-token="${invite.token}">Copy</button>
+                                        <button class="px-3 py-1 text-sm bg-red-600 hover:bg-red-700 rounded" data-access-action="revoke" data-token="${invite.token}">Revoke</button>
+                                    </div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    `}
+                    <div class="flex flex-wrap items-center gap-2 mb-6">
+                        <select id="invite-expires" class="${inputClasses}">
+                            <option value="1">Expires in 1 day</option>
+                            <option value="7" selected>Expires in 7 days</option>
+                            <option value="30">Expires in 30 days</option>
+                            <option value="0">Never expires</option>
+                        </select>
+                        <input id="invite-max-uses" type="number" min="1" placeholder="Unlimited uses" class="${inputClasses} w-40">
+                        <button class="racing-btn px-4 py-2" data-access-action="create">Create Invite Link</button>
+                    </div>
+
+                    <h4 class="font-semibold mb-2">Join Code</h4>
+                    <div class="flex items-center gap-3">
+                        ${loaded.access.joinCode ?
+                            `<span class="font-mono text-xl tracking-widest">${loaded.access.joinCode}</span>` :
+                            '<span class="text-gray-400">Joining by code is off</span>'}
+                        <button class="px-3 py-1 text-sm border border-gray-600 rounded hover:bg-gray-800" data-access-action="code">${loaded.access.joinCode ? 'New Code' : 'Enable'}</button>
+                        ${loaded.access.joinCode ? '<button class="px-3 py-1 text-sm bg-red-600 hover:bg-red-700 rounded" data-access-action="disable-code">Disable</button>' : ''}
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
+    // The signed-in user's place in the championship: in, pending, waitlisted, or the sign-up form
+    // (see utils/Registrations.js)
+    renderRegistration(championship) {
+        const user = this.stateManager?.getState('auth.user');
+        if (!user || championship.userId === user.uid) return '';
+        const inputClasses = 'w-full bg-black/20 border border-gray-600 rounded-lg px-3 py-2 focus:border-orange-500 focus:outline-none';
+
+        let body;
+        const registration = activeRegistration(championship, user.uid);
+        const { fields, opensAt } = normalizeRegistrationSettings(championship);
+        if ((championship.drivers || []).some(driver => driver.userId === user.uid)) {
+            body = '<p class="text-green-400">You\'re in this championship.</p>';
+        } else if (registration) {
+            body = `
+                <div class="flex items-center justify-between gap-4">
+                    <p class="text-yellow-300">
+                        ${registration.status === REGISTRATION_STATUS.WAITLISTED ?
+                            `You're #${waitlistPosition(championship, user.uid)} on the waitlist.` :
+                            'Your registration is waiting for approval.'}
+                    </p>
+                    <button class="px-3 py-1 text-sm border border-gray-600 rounded hover:bg-gray-800" data-registration-action="withdraw">Withdraw</button>
+                </div>
+            `;
+        } else if (registrationWindow(championship) === 'upcoming') {
+            body = `<p class="text-gray-400">Registration opens ${new Date(opensAt).toLocaleString()}.</p>`;
+        } else if (registrationWindow(championship) === 'closed') {
+            body = '<p class="text-gray-400">Registration is closed.</p>';
+        } else {
+            const full = freeSlots(championship) === 0;
+            const input = field => field.type === 'select' ? `
+                <select name="${field.id}" class="${inputClasses}" ${field.required ? 'required' : ''}>
+                    <option value="">Choose...</option>
+                    ${field.options.map(option => `<option value="${option}">${option}</option>`).join('')}
+                </select>
+            ` : `<input type="${field.type}" name="${field.id}" class="${inputClasses}" ${field.type === 'number' ? 'min="0"' : ''} ${field.required ? 'required' : ''}>`;
+
+            body = `
+                ${full ? '<p class="text-sm text-yellow-300 mb-4">The championship is full: you will join the waitlist and move up when a seat frees.</p>' : ''}
+                <form id="registration-form" class="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    ${fields.map(field => `
+                        <div>
+                            <label class="block text-sm text-gray-400 mb-1">${field.label}${field.required ? ' *' : ''}</label>
+                            ${input(field)}
+                            ${field.id === 'carNumber' ? '<p id="registration-number-conflict" class="text-xs text-red-400 mt-1"></p>' : ''}
+                        </div>
+                    `).join('')}
+                    <div class="md:col-span-3">
+                        <button type="submit" class="racing-btn px-6 py-2">${full ? 'Join Waitlist' : 'Register'}</button>
+                    </div>
+                </form>
+            `;
+        }
+
+        return `
+            <div class="glass-card rounded-lg p-6 mt-6" data-registration-championship="${championship.id}">
+                <h3 class="text-lg font-semibold mb-4">Registration</h3>
+                <p id="registration-status" class="text-sm mb-3 hidden"></p>
+                ${body}
+            </div>
+        `;
+    }
+
+    // Organizers: the sign-up form, registration window and seat cap; the approval queue is on the Drivers page
+    renderRegistrationSetup(championship) {
+        const user = this.stateManager?.getState('auth.user');
+        if (!user || !can(championship, user.uid, PERMISSIONS.APPROVE_REGISTRATIONS)) return '';
+
+        const settings = normalizeRegistrationSettings(championship);
+        const inputClasses = 'w-full bg-black/20 border border-gray-600 rounded-lg px-3 py-2 focus:border-orange-500 focus:outline-none';
+        // datetime-local wants local "YYYY-MM-DDTHH:mm"
+        const toLocalInput = value => {
+            if (!value) return '';
+            const date = new Date(value);
+            return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        };
+
+        return `
+            <div class="glass-card rounded-lg p-6 mt-6" data-registration-championship="${championship.id}">
+                <h3 class="text-lg font-semibold mb-4">Registration Settings</h3>
+                <p id="registration-settings-status" class="text-sm mb-3 hidden"></p>
+                <form id="registration-settings-form" class="space-y-4">
+                    <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+                        <div>
+                            <label class="block text-sm text-gray-400 mb-1">Opens</label>
+                            <input type="datetime-local" name="opensAt" class="${inputClasses}" value="${toLocalInput(settings.opensAt)}">
+                        </div>
+                        <div>
+                            <label class="block text-sm text-gray-400 mb-1">Closes</label>
+                            <input type="datetime-local" name="closesAt" class="${inputClasses}" value="${toLocalInput(settings.closesAt)}">
+                        </div>
+                        <div>
+                            <label class="block text-sm text-gray-400 mb-1">Max Drivers</label>
+                            <input type="number" name="maxDrivers" min="1" class="${inputClasses}" value="${settings.maxDrivers}">
+                        </div>
+                        <label class="flex items-end text-sm text-gray-300 pb-2">
+                            <input type="checkbox" name="requireApproval" class="mr-2" ${settings.requireApproval ? 'checked' : ''}> Require approval
+                        </label>
+                    </div>
+
+                    <div>
+                        <div class="flex items-center justify-between mb-2">
+                            <h4 class="font-semibold">Sign-up Form</h4>
+                            <button type="button" class="px-3 py-1 text-sm border border-gray-600 rounded hover:bg-gray-800" data-registration-action="add-field">Add Field</button>
+                        </div>
+                        <div id="registration-fields" class="space-y-2">
+                            ${settings.fields.map(field => this.renderRegistrationField(field)).join('')}
+                        </div>
+                    </div>
+
+                    <button type="submit" class="racing-btn px-6 py-2">Save</button>
+                </form>
+            </div>
+        `;
+    }
+
+    renderRegistrationField(field = { id: '', label: '', type: 'text', required: false, options: [] }) {
+        const inputClasses = 'bg-black/20 border border-gray-600 rounded-lg px-3 py-2 focus:border-orange-500 focus:outline-none';
+        return `
+            <div class="registration-field-row grid grid-cols-12 gap-2 items-center" data-field-id="${field.id}">
+                <input type="text" class="field-label col-span-4 ${inputClasses}" value="${field.label}" placeholder="Label">
+                <select class="field-type col-span-3 ${inputClasses}">
+                    ${REGISTRATION_FIELD_TYPES.map(type => `<option value="${type}" ${field.type === type ? 'selected' : ''}>${type}</option>`).join('')}
+                </select>
+                <input type="text" class="field-options col-span-3 ${inputClasses}" value="${field.options.join(', ')}" placeholder="Options (select)">
+                <label class="col-span-1 text-sm text-gray-300" title="Required"><input type="checkbox" class="field-required" ${field.required ? 'checked' : ''}> *</label>
+                <button type="button" class="col-span-1 text-red-400 hover:text-red-300" data-registration-action="remove-field">&times;</button>
+            </div>
+        `;
+    }
+
+    // Role invitations for the signed-in user, with accept / decline (see utils/ChampionshipRoles.js)
+    renderRoleInvites(championship) {
+        const user = this.stateManager?.getState('auth.user');
+        const invites = pendingInvites(championship, user?.email);
+        if (invites.length === 0) return '';
+
+        return invites.map(invite => `
+            <div class="glass-card rounded-lg p-4 mb-6 flex flex-col md:flex-row md:items-center justify-between gap-3" data-roles-championship="${championship.id}">
+                <span>You're invited to be ${invite.role === ROLES.ADMIN ? 'an admin' : 'a steward'} of ${championship.name}</span>
+                <div class="flex space-x-2">
+                    <button class="px-3 py-1 text-sm bg-green-600 hover:bg-green-700 rounded" data-role-action="accept" data-invite-id="${invite.id}">Accept</button>
+                    <button class="px-3 py-1 text-sm border border-gray-600 rounded hover:bg-gray-800" data-role-action="decline" data-invite-id="${invite.id}">Decline</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Owner, admins and stewards, pending invitations and the invite form; appointed members
+    // who can't manage roles still see the list, to step down
+    renderRoles(championship) {
+        const user = this.stateManager?.getState('auth.user');
+        if (!user) return '';
+        const role = roleOf(championship, user.uid);
+        const canManage = can(championship, user.uid, PERMISSIONS.MANAGE_ROLES);
+        if (!canManage && role !== ROLES.STEWARD) return '';
+
+        const isOwner = role === ROLES.OWNER;
+        // Appointed members are known by the email their invitation went to
+        const memberName = memberId => memberId === championship.userId ?
+            championship.creatorName || 'Owner' :
+            (championship.roleInvites || []).find(i => i.userId === memberId && i.status === INVITE_STATUS.ACCEPTED)?.email || memberId;
+        const invites = (championship.roleInvites || []).filter(i => i.status === INVITE_STATUS.PENDING);
+        const inputClasses = 'bg-black/20 border border-gray-600 rounded-lg px-3 py-2 focus:border-orange-500 focus:outline-none';
+
+        return `
+            <div class="glass-card rounded-lg p-6 mt-6" data-roles-championship="${championship.id}">
+                <h3 class="text-lg font-semibold mb-4">Roles</h3>
+                <p id="roles-status" class="text-sm mb-3 hidden"></p>
+
+                <div class="space-y-2 mb-6">
+                    ${championshipMembers(championship).map(member => `
+                        <div class="flex items-center justify-between bg-black/20 rounded-lg px-4 py-2 text-sm">
+                            <span>${memberName(member.userId)}${member.userId === user.uid ? ' <span class="text-gray-400">(you)</span>' : ''}</span>
+                            <div class="flex items-center space-x-2">
+                                ${isOwner && member.role !== ROLES.OWNER ? `
+                                    <select class="${inputClasses} py-1" data-member-role="${member.userId}">
+                                        <option value="${ROLES.ADMIN}" ${member.role === ROLES.ADMIN ? 'selected' : ''}>Admin</option>
+                                        <option value="${ROLES.STEWARD}" ${member.role === ROLES.STEWARD ? 'selected' : ''}>Steward</option>
+                                    </select>
+                                ` : `<span class="px-2 py-1 rounded bg-gray-700 text-xs capitalize">${member.role}</span>`}
+                                ${member.role !== ROLES.OWNER && (isOwner || (canManage && member.role === ROLES.STEWARD) || member.userId === user.uid) ? `
+                                    <button class="px-3 py-1 text-sm bg-red-600 hover:bg-red-700 rounded" data-role-action="remove" data-user-id="${member.userId}">
+                                        ${member.userId === user.uid ? 'Step Down' : 'Remove'}
+                                    </button>
+                                ` : ''}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+
+                ${canManage ? `
+                    ${invites.length ? `
+                        <h4 class="font-semibold mb-2">Pending Invitations</h4>
+                        <div class="space-y-2 mb-6">
+                            ${invites.map(invite => `
+                                <div class="flex items-center justify-between bg-black/20 rounded-lg px-4 py-2 text-sm">
+                                    <span>${invite.email} <span class="text-gray-400 capitalize">(${invite.role})</span></span>
+                                    <button class="px-3 py-1 text-sm border border-gray-600 rounded hover:bg-gray-800" data-role-action="revoke" data-invite-id="${invite.id}">Revoke</button>
+                                </div>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+
+                    <form id="role-invite-form" class="flex flex-wrap items-center gap-2">
+                        <input type="email" name="email" class="${inputClasses} flex-1" placeholder="Email" required>
+                        <select name="role" class="${inputClasses}">
+                            ${isOwner ? `<option value="${ROLES.ADMIN}">Admin</option>` : ''}
+                            <option value="${ROLES.STEWARD}">Steward</option>
+                        </select>
+                        <button type="submit" class="racing-btn px-4 py-2">Invite</button>
+                    </form>
+                    <p class="text-xs text-gray-400 mt-2">Admins run the championship with you; stewards apply penalties and post announcements.</p>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Invite links open this page, which accepts them (see render)
+    inviteLink(championshipId, token) {
+        return inviteUrl(championshipId, token, `${window.location.origin}/championships`);
+    }
+
+    // Organizers: the cars of an endurance championship, their crews and the drive-time rule
+    // (see scoring/Entries.js); race line-ups and drive times are set on the Races page
+    renderEntrySetup(championship) {
+        if (!this.canEditSettings(championship)) return '';
+
+        const entries = championship.entries || [];
+        const drivers = championship.drivers || [];
+        const editing = entries.find(e => e.id === this.editingEntryId) || null;
+        const rule = normalizeDriveTimeRule(championship.settings);
+        const driverName = driverId => drivers.find(d => d.id === driverId)?.name || driverId;
+        const inputClasses = 'bg-black/20 border border-gray-600 rounded-lg px-3 py-2 focus:border-orange-500 focus:outline-none';
+
+        return `
+            <div class="glass-card rounded-lg p-6 mt-6">
+                <h3 class="text-lg font-semibold mb-1">Entries</h3>
+                <p class="text-sm text-gray-400 mb-4">Cars shared by a crew. With entries, results are entered per car and each crew member scores the car's points.</p>
+                <p id="entry-setup-status" class="text-sm mb-3 hidden"></p>
+
+                ${entries.length === 0 ? '<p class="text-gray-400 mb-4">No entries: results are entered per driver.</p>' : `
+                    <div class="space-y-2 mb-4">
+                        ${resultCompetitors(championship).map(({ id }) => entries.find(e => e.id === id)).map(entry => `
+                            <div class="flex items-center justify-between bg-black/20 rounded-lg px-4 py-2">
+                                <div>
+                                    <p class="font-medium">${entryLabel(entry, drivers)}</p>
+                                    <p class="text-sm text-gray-400">${entry.teamId || 'No team'} · ${entry.drivers.map(driverName).join(' / ') || 'No crew'}</p>
+                                </div>
+                                <div class="flex space-x-2">
+                                    <button class="px-3 py-1 text-sm border border-gray-600 rounded hover:bg-gray-800" data-entry-action="edit" data-entry-id="${entry.id}">Edit</button>
+                                    <button class="px-3 py-1 text-sm bg-red-600 hover:bg-red-700 rounded" data-entry-action="delete" data-entry-id="${entry.id}">Delete</button>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                `}
+
+                <form id="entry-form" class="space-y-3 mb-6">
+                    <div class="grid grid-cols-1 md:grid-cols-4 gap-3">
+                        <input id="entry-number" type="text" placeholder="Car number" value="${editing?.number || ''}" class="${inputClasses}">
+                        <input id="entry-name" type="text" placeholder="Entry name (optional)" value="${editing?.name || ''}" class="${inputClasses}">
+                        <input id="entry-team" type="text" placeholder="Team" value="${editing?.teamId || ''}" class="${inputClasses}">
+                        <select id="entry-class" class="${inputClasses}">
+                            <option value="">No class</option>
+                            ${(championship.classes || []).map(carClass => `
+                                <option value="${carClass.id}" ${editing?.classId === carClass.id ? 'selected' : ''}>${carClass.name}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="flex flex-wrap gap-3">
+                        ${drivers.length === 0 ? '<p class="text-sm text-gray-400">Add drivers first.</p>' : drivers.map(driver => `
+                            <label class="flex items-center space-x-2 text-sm bg-black/20 rounded-lg px-3 py-1">
+                                <input type="checkbox" class="entry-crew-check" value="${driver.id}" ${editing?.drivers.includes(driver.id) ? 'checked' : ''}>
+                                <span>${driver.name}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                    <div class="flex space-x-2">
+                        <button type="submit" class="racing-btn px-4 py-2">${editing ? 'Save Entry' : 'Add Entry'}</button>
+                        ${editing ? '<button type="button" class="px-4 py-2 border border-gray-600 rounded-lg hover:bg-gray-800" data-entry-action="cancel">Cancel</button>' : ''}
+                    </div>
+                </form>
+
+                ${entries.length ? `
+                    <h4 class="font-semibold mb-2">Drive-time Rule</h4>
+                    <form id="drive-time-rule-form" class="flex flex-wrap items-center gap-3">
+                        <input id="drive-time-min-minutes" type="number" min="0" placeholder="Minimum minutes" value="${rule.minMinutes || ''}" class="${inputClasses} w-44">
+                        <input id="drive-time-min-percent" type="number" min="0" max="100" placeholder="Minimum share %" value="${rule.minPercent || ''}" class="${inputClasses} w-44">
+                        <button type="submit" class="px-4 py-2 border border-gray-600 rounded-lg hover:bg-gray-800">Save Rule</button>
+                    </form>
+                    <p class="text-xs text-gray-400 mt-2">Crew members who drove less don't score. Without recorded drive times the whole crew scores.</p>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Organizers: the classes of a multi-class championship and who races in each (see scoring/Classes.js)
+    renderClassSetup(championship) {
+        if (!this.canEditSettings(championship)) return '';
+
+        const classes = championship.classes || [];
+        const editing = findClass(championship, this.editingClassId);
+        // Entries carry the class when the championship has them, else each driver does
+        const competitors = (championship.entries || []).length ?
+            championship.entries.map(entry => ({ id: entry.id, name: `${entry.number ? `#${entry.number} ` : ''}${entry.name || ''}`, classId: entry.classId })) :
+            (championship.drivers || []).map(driver => ({ id: driver.id, name: `${driver.number ? `#${driver.number} ` : ''}${driver.name}`, classId: driver.classId }));
+        const inputClasses = 'bg-black/20 border border-gray-600 rounded-lg px-3 py-2 focus:border-orange-500 focus:outline-none';
+
+        return `
+            <div class="glass-card rounded-lg p-6 mt-6">
+                <h3 class="text-lg font-semibold mb-1">Classes</h3>
+                <p class="text-sm text-gray-400 mb-4">Each class is classified and scored on its own. Leave points empty to use the championship's tables.</p>
+                <p id="class-setup-status" class="text-sm mb-3 hidden"></p>
+
+                ${classes.length === 0 ? '<p class="text-gray-400 mb-4">No classes: everyone is scored overall.</p>' : `
+                    <div class="space-y-2 mb-4">
+                        ${classes.map(carClass => `
+                            <div class="flex items-center justify-between bg-black/20 rounded-lg px-4 py-2">
+                                <div class="flex items-center space-x-3">
+                                    <span class="inline-block w-3 h-3 rounded-full" style="background: ${carClass.color};"></span>
+                                    <span class="font-medium">${carClass.name}</span>
+                                    <span class="text-xs text-gray-400">${Array.isArray(carClass.points) ? carClass.points.join(', ') : carClass.points ? 'Points per table' : "Championship's points"}</span>
+                                </div>
+                                <div class="flex space-x-2">
+                                    <button class="px-3 py-1 text-sm border border-gray-600 rounded hover:bg-gray-800" data-class-action="edit" data-class-id="${carClass.id}">Edit</button>
+                                    <button class="px-3 py-1 text-sm bg-red-600 hover:bg-red-700 rounded" data-class-action="delete" data-class-id="${carClass.id}">Delete</button>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                `}
+
+                <form id="class-form" class="grid grid-cols-1 md:grid-cols-4 gap-3 mb-6">
+                    <input id="class-name" type="text" placeholder="Class name (e.g. GT3)" value="${editing?.name || ''}" class="md:col-span-1 ${inputClasses}" required>
+                    <input id="class-color" type="color" value="${editing?.color || '#6c757d'}" class="h-10 w-full ${inputClasses} px-1 py-1">
+                    <input id="class-points" type="text" placeholder="Points: 25, 18, 15…" value="${Array.isArray(editing?.points) ? editing.points.join(', ') : ''}" class="${inputClasses}" ${editing?.points && !Array.isArray(editing.points) ? 'disabled title="Set per points table"' : ''}>
+                    <div class="flex space-x-2">
+                        <button type="submit" class="racing-btn px-4 py-2">${editing ? 'Save Class' : 'Add Class'}</button>
+                        ${editing ? '<button type="button" class="px-4 py-2 border border-gray-600 rounded-lg hover:bg-gray-800" data-class-action="cancel">Cancel</button>' : ''}
+                    </div>
+                </form>
+
+                ${classes.length && competitors.length ? `
+                    <h4 class="font-semibold mb-2">${(championship.entries || []).length ? 'Entries' : 'Drivers'}</h4>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-2">
+                        ${competitors.map(competitor => `
+                            <label class="flex items-center justify-between bg-black/20 rounded-lg px-4 py-2">
+                                <span>${competitor.name}</span>
+                                <select class="competitor-class bg-black/20 border border-gray-600 rounded px-2 py-1" data-competitor-id="${competitor.id}">
+                                    <option value="">Overall only</option>
+                                    ${classes.map(carClass => `
+                                        <option value="${carClass.id}" ${competitor.classId === carClass.id ? 'selected' : ''}>${carClass.name}</option>
+                                    `).join('')}
+                                </select>
+                            </label>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderClassFilter(championship, classId) {
+        if (!isMultiClass(championship)) return '';
+        const button = (id, label, color = null) => `
+            <button class="standings-class-filter px-3 py-1 rounded text-sm border ${(classId || '') === id ? 'bg-orange-600 border-orange-500' : 'bg-black/20 border-gray-600 hover:bg-gray-800'}" data-class-id="${id}">
+                ${color ? `<span class="inline-block w-2 h-2 rounded-full mr-1" style="background: ${color};"></span>` : ''}${label}
+            </button>
+        `;
+
+        return `
+            <div class="flex flex-wrap gap-2">
+                ${button('', 'Overall')}
+                ${championship.classes.map(carClass => button(carClass.id, carClass.name, carClass.color)).join('')}
+            </div>
+        `;
+    }
+
+    // Drivers' and, in endurance championships, entries' standings of one class or overall
+    renderStandings(championship, classId) {
+        if (!this.championshipService) {
+            return '<p class="text-gray-400">Standings are unavailable.</p>';
+        }
+
+        const results = Object.fromEntries((championship.races || [])
+            .filter(race => race.results)
+            .map(race => [race.id, race.results]));
+        const drivers = classStandings(this.championshipService.calculateStandings(championship, results), classId);
+        const entries = classStandings(this.championshipService.calculateTeamStandings(championship, results).entries, classId);
+        const multiClass = isMultiClass(championship);
+
+        const table = (title, rows) => `
+            <h3 class="text-lg font-semibold mb-2">${title}</h3>
+            ${rows.length === 0 ? '<p class="text-gray-400 mb-4">No standings yet.</p>' : `
+                <table class="w-full text-sm mb-6">
+                    <thead>
+                        <tr class="text-gray-400 text-left border-b border-gray-700">
+                            <th class="py-2 pr-2">Pos</th>
+                            ${classId ? '<th class="py-2 pr-2">Overall</th>' : ''}
+                            <th class="py-2 pr-2">Name</th>
+                            ${multiClass && !classId ? '<th class="py-2 pr-2">Class</th>' : ''}
+                            <th class="py-2 pr-2">Wins</th>
+                            <th class="py-2 pr-2">Podiums</th>
+                            <th class="py-2 text-right">Points</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => {
+                            const carClass = findClass(championship, row.classId);
+                            return `
+                                <tr class="border-b border-gray-800">
+                                    <td class="py-2 pr-2 font-semibold">${row.position}</td>
+                                    ${classId ? `<td class="py-2 pr-2 text-gray-400">${row.overallPosition}</td>` : ''}
+                                    <td class="py-2 pr-2">${row.number ? `#${row.number} ` : ''}${row.name}</td>
+                                    ${multiClass && !classId ? `<td class="py-2 pr-2">${carClass ? `<span class="px-2 py-0.5 rounded text-xs" style="background: ${carClass.color}33; color: ${carClass.color};">${carClass.name}</span>` : '-'}</td>` : ''}
+                                    <td class="py-2 pr-2">${row.wins}</td>
+                                    <td class="py-2 pr-2">${row.podiums}</td>
+                                    <td class="py-2 text-right font-semibold">${row.points}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            `}
+        `;
+
+        return `
+            ${table('Drivers', drivers)}
+            ${(championship.entries || []).length ? table('Entries', entries) : ''}
+        `;
+    }
+
+    refreshStandings() {
+        if (this.activeView !== 'my') return;
+        this.loadTabContent('my');
+    }
+
+    // Races with results, latest round first
+    racesWithResults(championship) {
+        return racesInRoundOrder(championship.races || [])
+            .filter(race => Object.keys(race.results || {}).length > 0)
+            .reverse();
+    }
+
+    // Name, number and team colour (`Team.color`) of a driver or entry for a card row
+    cardRow(championship, id, race, extra = {}) {
+        const entry = (championship.entries || []).find(e => e.id === id);
+        const driver = (championship.drivers || []).find(d => d.id === id);
+        const teamId = entry ? entry.teamId : resolveDriverTeam(driver, race || {}, race?.results?.[id], championship.races);
+        const team = (championship.teams || []).find(t => t.id === teamId || t.name === teamId);
+        return {
+            name: entry ? entryLabel(entry, championship.drivers) : driver?.name || id,
+            number: (entry || driver)?.number || null,
+            team: team?.name || teamId || '',
+            color: team?.color || null,
+            ...extra
+        };
+    }
+
+    // Classified finishers of a race's main session with their points, in finishing order
+    raceFinishers(championship, race) {
+        const engine = PointsEngine.forChampionship(championship);
+        const { results } = engine.classifyRace(race);
+        const { drivers: scores } = engine.scoreRace(race);
+
+        return Object.entries(results[mainRaceSession(race)] || {})
+            .filter(([, result]) => result.position)
+            .sort(([, a], [, b]) => a.position - b.position)
+            .map(([id, result]) => ({
+                id,
+                position: result.position,
+                qualifying: results.qualifying?.[id]?.position || null,
+                points: scores[id]?.total || 0
+            }));
+    }
+
+    /**
+     * Data for a share card (see utils/StandingsCard.js)
+     * Podium and driver-of-the-day cards default to the latest race with results; the driver of
+     * the day defaults to its biggest climber, else its winner.
+     * @returns {object|null} `{ title, subtitle, rows }`, null when there is nothing to show yet
+     */
+    shareCardData(championship, { template, raceId, driverId }) {
+        const races = this.racesWithResults(championship);
+
+        if (template === 'top10' || template === 'fullGrid') {
+            const results = Object.fromEntries(races.map(race => [race.id, race.results]));
+            const lastRound = races[0];
+            return {
+                title: championship.name,
+                subtitle: lastRound ?
+                    `Standings after ${lastRound.name || `round ${lastRound.round}`}` :
+                    [championship.series, championship.season].filter(Boolean).join(' '),
+                rows: this.championshipService.calculateStandings(championship, results)
+                    .map(standing => this.cardRow(championship, standing.id, lastRound, { position: standing.position, points: standing.points }))
+            };
+        }
+
+        const race = races.find(r => r.id === raceId) || races[0];
+        if (!race) return null;
+        const finishers = this.raceFinishers(championship, race);
+        const raceName = race.name || `Round ${race.round}`;
+
+        if (template === 'podium') {
+            return {
+                title: raceName,
+                subtitle: championship.name,
+                rows: finishers.slice(0, 3).map(({ id, position, points }) => this.cardRow(championship, id, race, { position, points }))
+            };
+        }
+
+        const climb = ({ position, qualifying }) => (qualifying ? qualifying - position : 0);
+        const pick = finishers.find(finisher => finisher.id === driverId) ||
+            [...finishers].sort((a, b) => climb(b) - climb(a)).find(finisher => climb(finisher) > 0) ||
+            finishers[0];
+        if (!pick) return null;
+
+        const gained = climb(pick);
+        return {
+            title: 'Driver of the Day',
+            subtitle: `${raceName} · ${championship.name}`,
+            rows: [this.cardRow(championship, pick.id, race, {
+                position: pick.position,
+                points: pick.points,
+                detail: `Finished P${pick.position}${gained > 0 ? ` from P${pick.qualifying} on the grid` : ''} · ${pick.points} pts`
+            })]
+        };
+    }
+
+    // Template, race and driver pickers with a preview of the card, to download, share or post it
+    renderShareCard(championship) {
+        const { template, raceId, driverId } = this.shareCard;
+        const races = this.racesWithResults(championship);
+        const race = races.find(r => r.id === raceId) || races[0];
+        const inputClasses = 'bg-black/20 border border-gray-600 rounded-lg px-3 py-2 focus:border-orange-500 focus:outline-none';
+
         return `
-            <div class="text-center py-12">
-                <div class="text-6xl mb-4">🏁</div>
-                <h3 class="text-xl font-semibold mb-2">No Championships Joined Yet</h3>
-                <p class="text-gray-400 mb-6">Join championships to track your favorite racing series</p>
-                <button class="racing-btn px-6 py-3">
-                    Browse Championships
-                </button>
+            <div class="bg-black/20 rounded-lg p-4 mb-6" data-share-card>
+                <p id="share-card-status" class="text-sm mb-3 hidden"></p>
+                <div class="flex flex-wrap gap-3 mb-4">
+                    <select data-share-card-field="template" class="${inputClasses}">
+                        ${Object.entries(CARD_TEMPLATES).map(([value, { label }]) => `<option value="${value}" ${template === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    ${['podium', 'driverOfTheDay'].includes(template) ? `
+                        <select data-share-card-field="raceId" class="${inputClasses}">
+                            ${races.map(r => `<option value="${r.id}" ${r === race ? 'selected' : ''}>${r.name || `Round ${r.round}`}</option>`).join('')}
+                        </select>
+                    ` : ''}
+                    ${template === 'driverOfTheDay' && race ? `
+                        <select data-share-card-field="driverId" class="${inputClasses}">
+                            <option value="">Biggest climber</option>
+                            ${this.raceFinishers(championship, race).map(({ id, position }) => `
+                                <option value="${id}" ${id === driverId ? 'selected' : ''}>P${position} ${this.cardRow(championship, id, race).name}</option>
+                            `).join('')}
+                        </select>
+                    ` : ''}
+                </div>
+                <canvas id="share-card-canvas" class="w-full max-w-md rounded-lg mb-4"></canvas>
+                <p id="share-card-empty" class="text-gray-400 mb-4 hidden">Nothing to show on this card yet: it needs race results.</p>
+                <div class="flex flex-wrap gap-2">
+                    <button class="share-card-button racing-btn px-4 py-2" data-share-card-action="download">Download PNG</button>
+                    <button class="share-card-button px-4 py-2 border border-gray-600 rounded-lg hover:bg-gray-800" data-share-card-action="share">Share</button>
+                    <button class="share-card-button px-4 py-2 border border-gray-600 rounded-lg hover:bg-gray-800" data-share-card-action="post">Post to Feed</button>
+                </div>
             </div>
         `;
     }
-}
\ No newline at end of file
+
+    // Draw the open share card onto its canvas
+    drawShareCard() {
+        const canvas = document.getElementById('share-card-canvas');
+        const championship = this.getMyChampionships().find(c => c.id === this.selectedChampionshipId) || this.getMyChampionships()[0];
+        if (!canvas || !this.shareCard || !championship) return false;
+
+        const data = this.shareCardData(championship, this.shareCard);
+        const drawn = Boolean(data?.rows.length);
+        if (drawn) renderCard(canvas, this.shareCard.template, data);
+        canvas.classList.toggle('hidden', !drawn);
+        document.getElementById('share-card-empty').classList.toggle('hidden', drawn);
+        document.querySelectorAll('.share-card-button').forEach(button => { button.disabled = !drawn; });
+        return drawn;
+    }
+
+    showShareCardStatus(message, isError = false) {
+        const status = document.getElementById('share-card-status');
+        if (!status) return;
+        status.textContent = message;
+        status.className = `text-sm mb-3 ${isError ? 'text-red-400' : 'text-green-400'}`;
+    }
+
+    shareCardFileName(championship) {
+        return `${(championship?.name || 'championship').toLowerCase().replace(/\s+/g, '-')}-${this.shareCard.template}.png`;
+    }
+
+    async downloadShareCard(championship, canvas) {
+        const url = URL.createObjectURL(await cardToBlob(canvas));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.shareCardFileName(championship);
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Share the image itself where the browser supports sharing files, otherwise download it
+    async shareShareCard(championship, canvas) {
+        const file = new File([await cardToBlob(canvas)], this.shareCardFileName(championship), { type: 'image/png' });
+        if (navigator.canShare?.({ files: [file] })) {
+            await navigator.share({ files: [file], title: championship.name });
+        } else {
+            await this.downloadShareCard(championship, canvas);
+        }
+    }
+
+    setupShareCard() {
+        const content = document.getElementById('championships-content');
+        const selected = () => this.getMyChampionships().find(c => c.id === this.selectedChampionshipId) || this.getMyChampionships()[0];
+
+        content.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-share-card-action]');
+            if (!button) return;
+            const canvas = document.getElementById('share-card-canvas');
+            const championship = selected();
+
+            switch (button.dataset.shareCardAction) {
+                case 'toggle':
+                    this.shareCard = this.shareCard ? null : { template: 'top10', raceId: null, driverId: null };
+                    this.refreshStandings();
+                    break;
+                case 'download':
+                    this.downloadShareCard(championship, canvas)
+                        .catch(error => this.showShareCardStatus(error.message, true));
+                    break;
+                case 'share':
+                    this.shareShareCard(championship, canvas)
+                        .catch(error => {
+                            // Closing the share sheet rejects with an AbortError
+                            if (error.name !== 'AbortError') this.showShareCardStatus(error.message, true);
+                        });
+                    break;
+                case 'post':
+                    this.pendingCardPost = true;
+                    this.eventBus?.emit('social:createPost', {
+                        type: 'image',
+                        content: `${championship.name}: ${CARD_TEMPLATES[this.shareCard.template].label}`,
+                        imageUrl: cardPostImage(canvas),
+                        championshipId: championship.id
+                    });
+                    break;
+            }
+        });
+
+        content.addEventListener('change', (event) => {
+            const field = event.target.dataset.shareCardField;
+            if (!field || !this.shareCard) return;
+            this.shareCard = { ...this.shareCard, [field]: event.target.value || null };
+            // The driver of the day is picked from the chosen race
+            if (field !== 'driverId') this.shareCard.driverId = null;
+            this.refreshStandings();
+        });
+
+        this.listen('social:postCreated', () => {
+            if (!this.pendingCardPost) return;
+            this.pendingCardPost = false;
+            this.showShareCardStatus('Posted to the feed');
+        });
+        this.listen('social:error', ({ type, error }) => {
+            if (type !== 'createPost' || !this.pendingCardPost) return;
+            this.pendingCardPost = false;
+            this.showShareCardStatus(error, true);
+        });
+    }
+
+    setupStandings() {
+        const content = document.getElementById('championships-content');
+
+        content.addEventListener('change', (event) => {
+            if (event.target.id !== 'standings-championship') return;
+            this.selectedChampionshipId = event.target.value;
+            this.selectedClassId = null;
+            this.editingClassId = null;
+            this.editingEntryId = null;
+            if (this.shareCard) this.shareCard = { ...this.shareCard, raceId: null, driverId: null };
+            this.refreshStandings();
+        });
+
+        content.addEventListener('click', (event) => {
+            const filter = event.target.closest('.standings-class-filter');
+            if (!filter) return;
+            this.selectedClassId = filter.dataset.classId || null;
+            this.refreshStandings();
+        });
+
+        this.listen('championships:userLoaded', () => this.refreshStandings());
+    }
+
+    showAccessStatus(message, isError = false) {
+        const status = document.getElementById('access-status');
+        if (!status) return;
+        status.textContent = message;
+        status.className = `text-sm mb-3 ${isError ? 'text-red-400' : 'text-green-400'}`;
+    }
+
+    // Invite links and the join code are private to organizers, so they are loaded on their own
+    requestAccess() {
+        const championshipId = document.querySelector('[data-access-championship]')?.dataset.accessChampionship;
+        if (!championshipId || this.access?.championshipId === championshipId) return;
+        this.eventBus?.emit('championship:loadAccess', { championshipId });
+    }
+
+    setupAccess() {
+        const content = document.getElementById('championships-content');
+        const championshipId = () => document.querySelector('[data-access-championship]')?.dataset.accessChampionship;
+
+        content.addEventListener('change', (event) => {
+            if (event.target.id !== 'access-visibility') return;
+            this.eventBus?.emit('championship:setVisibility', { championshipId: championshipId(), visibility: event.target.value });
+        });
+
+        content.addEventListener('click', async (event) => {
+            const button = event.target.closest('[data-access-action]');
+            if (!button) return;
+            const id = championshipId();
+
+            switch (button.dataset.accessAction) {
+                case 'create':
+                    this.eventBus?.emit('championship:createInviteLink', {
+                        championshipId: id,
+                        expiresInDays: document.getElementById('invite-expires').value,
+                        maxUses: document.getElementById('invite-max-uses').value || null
+                    });
+                    break;
+                case 'copy':
+                    try {
+                        await navigator.clipboard.writeText(this.inviteLink(id, button.dataset.token));
+                        this.showAccessStatus('Invite link copied');
+                    } catch (error) {
+                        this.showAccessStatus('Could not copy the invite link', true);
+                    }
+                    break;
+                case 'revoke':
+                    if (!confirm('Revoke this invite link? It will stop working for anyone who has it.')) return;
+                    this.eventBus?.emit('championship:revokeInviteLink', { championshipId: id, token: button.dataset.token });
+                    break;
+                case 'code':
+                    this.eventBus?.emit('championship:setJoinCode', { championshipId: id, enabled: true });
+                    break;
+                case 'disable-code':
+                    this.eventBus?.emit('championship:setJoinCode', { championshipId: id, enabled: false });
+                    break;
+            }
+        });
+
+        this.listen('championship:accessLoaded', ({ championship, access, grants }) => {
+            this.access = { championshipId: championship.id, access, grants };
+            this.refreshStandings();
+        });
+        this.listen('championship:accessUpdated', ({ championship, type }) => {
+            if (type === 'setVisibility') {
+                this.showAccessStatus('Visibility saved');
+                return;
+            }
+            // Reload, so new invite links come with their grants' use counts
+            this.eventBus?.emit('championship:loadAccess', { championshipId: championship.id });
+        });
+        this.listen('championship:error', ({ type, error }) => {
+            if (['loadAccess', 'setVisibility', 'createInviteLink', 'revokeInviteLink', 'setJoinCode'].includes(type)) {
+                this.showAccessStatus(error, true);
+            }
+        });
+    }
+
+    showRolesStatus(message, isError = false) {
+        const status = document.getElementById('roles-status');
+        if (!status) return;
+        status.textContent = message;
+        status.className = `text-sm mb-3 ${isError ? 'text-red-400' : 'text-green-400'}`;
+    }
+
+    setupRoles() {
+        const content = document.getElementById('championships-content');
+        const messages = {
+            inviteToRole: 'Invitation sent',
+            acceptRoleInvite: 'Invitation accepted',
+            declineRoleInvite: 'Invitation declined',
+            revokeRoleInvite: 'Invitation revoked',
+            setMemberRole: 'Roles saved'
+        };
+
+        content.addEventListener('submit', (event) => {
+            if (event.target.id !== 'role-invite-form') return;
+            event.preventDefault();
+            const formData = new FormData(event.target);
+            this.eventBus?.emit('championship:inviteToRole', {
+                championshipId: event.target.closest('[data-roles-championship]').dataset.rolesChampionship,
+                email: formData.get('email'),
+                role: formData.get('role')
+            });
+        });
+
+        content.addEventListener('change', (event) => {
+            const select = event.target.closest('[data-member-role]');
+            if (!select) return;
+            this.eventBus?.emit('championship:setMemberRole', {
+                championshipId: select.closest('[data-roles-championship]').dataset.rolesChampionship,
+                userId: select.dataset.memberRole,
+                role: select.value
+            });
+        });
+
+        content.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-role-action]');
+            if (!button) return;
+            const championshipId = button.closest('[data-roles-championship]').dataset.rolesChampionship;
+            const { inviteId, userId } = button.dataset;
+
+            switch (button.dataset.roleAction) {
+                case 'accept':
+                    this.eventBus?.emit('championship:acceptRoleInvite', { championshipId, inviteId });
+                    break;
+                case 'decline':
+                    this.eventBus?.emit('championship:declineRoleInvite', { championshipId, inviteId });
+                    break;
+                case 'revoke':
+                    this.eventBus?.emit('championship:revokeRoleInvite', { championshipId, inviteId });
+                    break;
+                case 'remove':
+                    if (!confirm('Remove this member\'s role?')) return;
+                    this.eventBus?.emit('championship:setMemberRole', { championshipId, userId, role: null });
+                    break;
+            }
+        });
+
+        // The page re-renders from the refreshed championships (`championships:userLoaded`)
+        this.listen('championship:rolesUpdated', ({ championship, type }) => {
+            this.selectedChampionshipId = championship.id;
+            this.refreshStandings();
+            this.showRolesStatus(messages[type]);
+        });
+        this.listen('championship:error', ({ type, error }) => {
+            if (Object.keys(messages).includes(type)) this.showRolesStatus(error, true);
+        });
+    }
+
+    showRegistrationStatus(id, message, isError = false) {
+        const status = document.getElementById(id);
+        if (!status) return;
+        status.textContent = message;
+        status.className = `text-sm mb-3 ${isError ? 'text-red-400' : 'text-green-400'}`;
+    }
+
+    setupRegistration() {
+        const content = document.getElementById('championships-content');
+        const championshipId = element => element.closest('[data-registration-championship]').dataset.registrationChampionship;
+        const messages = {
+            [REGISTRATION_STATUS.PENDING]: 'Registration sent, waiting for approval',
+            [REGISTRATION_STATUS.WAITLISTED]: 'Added to the waitlist',
+            [REGISTRATION_STATUS.APPROVED]: 'You\'re in!',
+            [REGISTRATION_STATUS.WITHDRAWN]: 'Registration withdrawn'
+        };
+
+        content.addEventListener('input', (event) => {
+            if (event.target.name !== 'carNumber' || !event.target.closest('#registration-form')) return;
+            const championship = this.getMyChampionships().find(c => c.id === championshipId(event.target));
+            const holder = numberConflict(championship, event.target.value, this.stateManager?.getState('auth.user')?.uid);
+            document.getElementById('registration-number-conflict').textContent = holder ? `#${event.target.value} is taken by ${holder}` : '';
+        });
+
+        content.addEventListener('submit', (event) => {
+            if (event.target.id === 'registration-form') {
+                event.preventDefault();
+                this.eventBus?.emit('championship:register', {
+                    championshipId: championshipId(event.target),
+                    answers: Object.fromEntries(new FormData(event.target).entries())
+                });
+            }
+            if (event.target.id === 'registration-settings-form') {
+                event.preventDefault();
+                const formData = new FormData(event.target);
+                const toIso = value => value ? new Date(value).toISOString() : null;
+                this.eventBus?.emit('championship:updateRegistrationSettings', {
+                    championshipId: championshipId(event.target),
+                    fields: [...event.target.querySelectorAll('.registration-field-row')].map(row => ({
+                        id: row.dataset.fieldId || undefined,
+                        label: row.querySelector('.field-label').value,
+                        type: row.querySelector('.field-type').value,
+                        options: row.querySelector('.field-options').value,
+                        required: row.querySelector('.field-required').checked
+                    })),
+                    opensAt: toIso(formData.get('opensAt')),
+                    closesAt: toIso(formData.get('closesAt')),
+                    maxDrivers: formData.get('maxDrivers'),
+                    requireApproval: formData.get('requireApproval') === 'on'
+                });
+            }
+        });
+
+        content.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-registration-action]');
+            if (!button) return;
+
+            switch (button.dataset.registrationAction) {
+                case 'withdraw':
+                    if (!confirm('Withdraw your registration?')) return;
+                    this.eventBus?.emit('championship:withdrawRegistration', { championshipId: championshipId(button) });
+                    break;
+                case 'add-field':
+                    document.getElementById('registration-fields').insertAdjacentHTML('beforeend', this.renderRegistrationField());
+                    break;
+                case 'remove-field':
+                    button.closest('.registration-field-row').remove();
+                    break;
+            }
+        });
+
+        // The page re-renders from the refreshed championships (`championships:userLoaded`)
+        this.listen('registration:changed', ({ changes = [] }) => {
+            const user = this.stateManager?.getState('auth.user');
+            const own = changes.find(change => change.registration.userId === user?.uid);
+            this.refreshStandings();
+            if (own && messages[own.to]) {
+                this.showRegistrationStatus('registration-status', messages[own.to]);
+            } else {
+                this.showRegistrationStatus('registration-settings-status', 'Registration settings saved');
+            }
+        });
+        this.listen('championship:error', ({ type, error }) => {
+            if (['register', 'withdrawRegistration'].includes(type)) this.showRegistrationStatus('registration-status', error, true);
+            if (type === 'updateRegistrationSettings') this.showRegistrationStatus('registration-settings-status', error, true);
+        });
+    }
+
+    showClassStatus(message, isError = false) {
+        const status = document.getElementById('class-setup-status');
+        if (!status) return;
+        status.textContent = message;
+        status.className = `text-sm mb-3 ${isError ? 'text-red-400' : 'text-green-400'}`;
+    }
+
+    setupClasses() {
+        const content = document.getElementById('championships-content');
+        const selected = () => this.getMyChampionships().find(c => c.id === this.selectedChampionshipId) || this.getMyChampionships()[0];
+
+        content.addEventListener('submit', (event) => {
+            if (event.target.id !== 'class-form') return;
+            event.preventDefault();
+            const editing = findClass(selected(), this.editingClassId);
+            const points = document.getElementById('class-points');
+            this.eventBus?.emit('championship:saveClass', {
+                championshipId: selected().id,
+                carClass: {
+                    id: editing?.id,
+                    name: document.getElementById('class-name').value,
+                    color: document.getElementById('class-color').value,
+                    // Per-table points can't be edited here, so keep them
+                    points: points.disabled ? editing.points : points.value
+                }
+            });
+        });
+
+        content.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-class-action]');
+            if (!button) return;
+
+            switch (button.dataset.classAction) {
+                case 'edit':
+                    this.editingClassId = button.dataset.classId;
+                    this.refreshStandings();
+                    break;
+                case 'cancel':
+                    this.editingClassId = null;
+                    this.refreshStandings();
+                    break;
+                case 'delete':
+                    if (!confirm('Delete this class? Its drivers and entries will be scored overall.')) return;
+                    this.eventBus?.emit('championship:deleteClass', { championshipId: selected().id, classId: button.dataset.classId });
+                    break;
+            }
+        });
+
+        content.addEventListener('change', (event) => {
+            if (!event.target.matches('.competitor-class')) return;
+            this.eventBus?.emit('championship:setCompetitorClass', {
+                championshipId: selected().id,
+                competitorId: event.target.dataset.competitorId,
+                classId: event.target.value || null
+            });
+        });
+
+        // The page re-renders from the refreshed championships (`championships:userLoaded`)
+        this.listen('championship:classesUpdated', ({ type, classes }) => {
+            if (type === 'saveClass') this.editingClassId = null;
+            if (type === 'deleteClass' && !(classes || []).some(c => c.id === this.selectedClassId)) this.selectedClassId = null;
+            this.refreshStandings();
+            this.showClassStatus('Classes saved');
+        });
+        this.listen('championship:error', ({ type, error }) => {
+            if (['saveClass', 'deleteClass', 'setCompetitorClass'].includes(type)) this.showClassStatus(error, true);
+        });
+    }
+
+    showEntryStatus(message, isError = false) {
+        const status = document.getElementById('entry-setup-status');
+        if (!status) return;
+        status.textContent = message;
+        status.className = `text-sm mb-3 ${isError ? 'text-red-400' : 'text-green-400'}`;
+    }
+
+    setupEntries() {
+        const content = document.getElementById('championships-content');
+        const selected = () => this.getMyChampionships().find(c => c.id === this.selectedChampionshipId) || this.getMyChampionships()[0];
+
+        content.addEventListener('submit', (event) => {
+            if (event.target.id === 'entry-form') {
+                event.preventDefault();
+                this.eventBus?.emit('championship:saveEntry', {
+                    championshipId: selected().id,
+                    entry: {
+                        id: this.editingEntryId || undefined,
+                        number: document.getElementById('entry-number').value.trim() || null,
+                        name: document.getElementById('entry-name').value.trim(),
+                        teamId: document.getElementById('entry-team').value.trim() || null,
+                        classId: document.getElementById('entry-class').value || null,
+                        drivers: [...document.querySelectorAll('.entry-crew-check:checked')].map(input => input.value)
+                    }
+                });
+            }
+            if (event.target.id === 'drive-time-rule-form') {
+                event.preventDefault();
+                this.eventBus?.emit('championship:setDriveTimeRule', {
+                    championshipId: selected().id,
+                    minMinutes: document.getElementById('drive-time-min-minutes').value,
+                    minPercent: document.getElementById('drive-time-min-percent').value
+                });
+            }
+        });
+
+        content.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-entry-action]');
+            if (!button) return;
+
+            switch (button.dataset.entryAction) {
+                case 'edit':
+                    this.editingEntryId = button.dataset.entryId;
+                    this.refreshStandings();
+                    break;
+                case 'cancel':
+                    this.editingEntryId = null;
+                    this.refreshStandings();
+                    break;
+                case 'delete':
+                    if (!confirm('Delete this entry? Results entered for it will no longer be scored.')) return;
+                    this.eventBus?.emit('championship:deleteEntry', { championshipId: selected().id, entryId: button.dataset.entryId });
+                    break;
+            }
+        });
+
+        // The page re-renders from the refreshed championships (`championships:userLoaded`)
+        this.listen('championship:entriesUpdated', ({ type }) => {
+            if (type === 'saveEntry') this.editingEntryId = null;
+            this.refreshStandings();
+            this.showEntryStatus(type === 'setDriveTimeRule' ? 'Drive-time rule saved' : 'Entries saved');
+        });
+        this.listen('championship:error', ({ type, error }) => {
+            if (['saveEntry', 'deleteEntry', 'setDriveTimeRule'].includes(type)) this.showEntryStatus(error, true);
+        });
+    }
+
+    showJoinStatus(message, isError = false) {
+        const status = document.getElementById('join-status');
+        if (!status) return;
+        status.textContent = message;
+        status.className = `text-sm mt-3 ${isError ? 'text-red-400' : 'text-green-400'}`;
+    }
+
+    setupJoin() {
+        document.getElementById('join-code-btn')?.addEventListener('click', () => {
+            const code = document.getElementById('join-code').value.trim();
+            if (!code) {
+                this.showJoinStatus('Enter the join code you were given', true);
+                return;
+            }
+            this.eventBus?.emit('championship:joinWithCode', { code });
+        });
+
+        document.getElementById('accept-invite-btn')?.addEventListener('click', () => {
+            this.eventBus?.emit('championship:join', this.pendingInvite);
+        });
+
+        this.listen('championship:joined', () => {
+            this.pendingInvite = null;
+            document.getElementById('invite-banner')?.remove();
+            this.showJoinStatus('You joined the championship');
+        });
+        this.listen('championship:error', ({ type, error }) => {
+            if (type === 'join') this.showJoinStatus(error, true);
+        });
+    }
+}
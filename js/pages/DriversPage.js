@@ -1,11 +1,18 @@
 /**
  * DriversPage.js - Página de pilotos
  */
+import { serviceLocator } from '../core/ServiceLocator.js';
+import { PERMISSIONS, can } from '../utils/ChampionshipRoles.js';
+import { REGISTRATION_STATUS, freeSlots, normalizeRegistrationSettings, numberConflict, waitlist } from '../utils/Registrations.js';
 
 export default class DriversPage {
     constructor() {
         this.drivers = [];
         this.activeView = 'rankings';
+        // `[event, listenerId]` pairs registered in init(), removed by destroy()
+        this.subscriptions = [];
+        this.eventBus = serviceLocator.has('EventBus') ? serviceLocator.get('EventBus') : null;
+        this.stateManager = serviceLocator.has('StateManager') ? serviceLocator.get('StateManager') : null;
     }
 
     async render(params = {}, query = {}) {
@@ -50,6 +57,9 @@ export default class DriversPage {
                         <button class="driver-tab py-3 px-1 border-b-2 border-transparent text-gray-400 hover:text-white font-medium" data-tab="rookies">
                             Rookies
                         </button>
+                        <button class="driver-tab py-3 px-1 border-b-2 border-transparent text-gray-400 hover:text-white font-medium" data-tab="registrations">
+                            Registrations
+                        </button>
                     </nav>
                 </div>
 
@@ -63,9 +73,21 @@ export default class DriversPage {
 
     async init() {
         this.setupTabs();
+        this.setupRegistrations();
         if (window.feather) feather.replace();
     }
 
+    // Called by core/Router before the next page renders
+    destroy() {
+        this.subscriptions.forEach(([event, id]) => this.eventBus?.off(event, id));
+        this.subscriptions = [];
+    }
+
+    listen(event, handler) {
+        if (!this.eventBus) return;
+        this.subscriptions.push([event, this.eventBus.on(event, handler)]);
+    }
+
     setupTabs() {
         document.querySelectorAll('.driver-tab').forEach(tab => {
             tab.addEventListener('click', () => {
@@ -100,6 +122,9 @@ export default class DriversPage {
             case 'rookies':
                 content.innerHTML = this.renderRookies();
                 break;
+            case 'registrations':
+                content.innerHTML = this.renderRegistrations();
+                break;
         }
         
         if (window.feather) feather.replace();
@@ -340,6 +365,8 @@ export default class DriversPage {
                         <!-- Driver Bio -->
                         <p class="text-gray-300 mb-4 text-sm">${driver.bio}</p>
 
+                        ${this.renderTeamHistory(driver)}
+
                         <!-- Career Stats -->
                         <div class="grid grid-cols-2 gap-4 mb-4">
                             <div class="text-center">
@@ -367,6 +394,34 @@ export default class DriversPage {
         `;
     }
 
+    renderTeamHistory(driver) {
+        const stints = driver.teamHistory || [];
+        if (stints.length < 2) return '';
+
+        const teamName = stint => stint.teamName || stint.teamId;
+        const roundRange = stint => stint.toRound ?
+            `R${stint.fromRound}–R${stint.toRound}` :
+            `R${stint.fromRound} onwards`;
+
+        return `
+            <!-- Team History -->
+            <div class="mb-4">
+                <div class="text-xs text-gray-400 uppercase tracking-wide mb-2">Team History</div>
+                <ul class="space-y-1 text-sm">
+                    ${stints.map((stint, index) => `
+                        <li class="flex items-center justify-between">
+                            <span class="flex items-center">
+                                ${index > 0 ? '<i data-feather="repeat" class="w-3 h-3 mr-2 text-orange-500"></i>' : '<span class="w-3 h-3 mr-2"></span>'}
+                                ${teamName(stint)}
+                            </span>
+                            <span class="text-gray-500">${roundRange(stint)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
     renderComparisons() {
         return `
             <div class="space-y-6">
@@ -576,4 +631,126 @@ export default class DriversPage {
             </div>
         `;
     }
+
+    // Championships whose sign-ups the user can decide on (see utils/Registrations.js)
+    getRegistrationChampionships() {
+        const user = this.stateManager?.getState('auth.user');
+        if (!user) return [];
+        return (this.stateManager.getState('championships.userChampionships') || [])
+            .filter(championship => can(championship, user.uid, PERMISSIONS.APPROVE_REGISTRATIONS));
+    }
+
+    renderRegistrationRow(championship, registration, canApprove) {
+        const { fields } = normalizeRegistrationSettings(championship);
+        const conflict = numberConflict(championship, registration.answers?.carNumber, registration.userId);
+        const answers = fields
+            .filter(field => registration.answers?.[field.id] !== undefined)
+            .map(field => `${field.label}: ${field.id === 'carNumber' ? `#${registration.answers[field.id]}` : registration.answers[field.id]}`);
+
+        return `
+            <div class="flex items-center justify-between bg-black/20 rounded-lg px-4 py-3">
+                <div>
+                    <p class="font-semibold">${registration.driverName}</p>
+                    ${answers.length ? `<p class="text-sm text-gray-400">${answers.join(' • ')}</p>` : ''}
+                    ${conflict ? `<p class="text-sm text-red-400">Car number taken by ${conflict}</p>` : ''}
+                </div>
+                <div class="flex space-x-2">
+                    ${canApprove ? `
+                        <button class="px-3 py-1 text-sm bg-green-600 hover:bg-green-700 rounded" data-registration-action="approve"
+                            data-championship-id="${championship.id}" data-user-id="${registration.userId}">Approve</button>
+                    ` : ''}
+                    <button class="px-3 py-1 text-sm bg-red-600 hover:bg-red-700 rounded" data-registration-action="reject"
+                        data-championship-id="${championship.id}" data-user-id="${registration.userId}" data-driver-name="${registration.driverName}">Reject</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Organizers' approval queue: pending sign-ups and the waitlist of each championship they run
+    renderRegistrations() {
+        const championships = this.getRegistrationChampionships();
+        if (championships.length === 0) {
+            return `
+                <div class="glass-card rounded-lg p-8 text-center text-gray-400">
+                    <p>Sign-ups to the championships you organize appear here for approval.</p>
+                </div>
+            `;
+        }
+
+        return `
+            <p id="registrations-status" class="text-sm mb-4 hidden"></p>
+            <div class="space-y-6">
+                ${championships.map(championship => {
+                    const pending = (championship.registrations || []).filter(r => r.status === REGISTRATION_STATUS.PENDING);
+                    const waiting = waitlist(championship);
+                    const seats = freeSlots(championship);
+                    return `
+                        <div class="glass-card rounded-lg p-6">
+                            <div class="flex items-center justify-between mb-4">
+                                <h3 class="text-lg font-semibold">${championship.name} ${championship.season || ''}</h3>
+                                <span class="text-sm text-gray-400">
+                                    ${(championship.drivers || []).length}/${normalizeRegistrationSettings(championship).maxDrivers} drivers
+                                </span>
+                            </div>
+                            ${pending.length === 0 && waiting.length === 0 ? '<p class="text-gray-400">No sign-ups waiting.</p>' : ''}
+                            ${pending.length ? `
+                                <h4 class="font-semibold mb-2">Pending (${pending.length})</h4>
+                                <div class="space-y-2 mb-4">
+                                    ${pending.map(registration => this.renderRegistrationRow(championship, registration, true)).join('')}
+                                </div>
+                            ` : ''}
+                            ${waiting.length ? `
+                                <h4 class="font-semibold mb-2">Waitlist (${waiting.length})</h4>
+                                <div class="space-y-2">
+                                    ${waiting.map(registration => this.renderRegistrationRow(championship, registration, seats > 0)).join('')}
+                                </div>
+                            ` : ''}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    refreshRegistrations() {
+        if (this.activeView !== 'registrations') return;
+        this.loadTabContent('registrations');
+    }
+
+    showRegistrationsStatus(message, isError = false) {
+        const status = document.getElementById('registrations-status');
+        if (!status) return;
+        status.textContent = message;
+        status.className = `text-sm mb-4 ${isError ? 'text-red-400' : 'text-green-400'}`;
+    }
+
+    setupRegistrations() {
+        const content = document.getElementById('drivers-content');
+
+        content.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-registration-action]');
+            if (!button) return;
+            const { championshipId, userId, driverName } = button.dataset;
+
+            if (button.dataset.registrationAction === 'approve') {
+                this.eventBus?.emit('championship:approveRegistration', { championshipId, userId });
+                return;
+            }
+            const reason = prompt(`Reason for declining ${driverName} (optional):`);
+            if (reason === null) return;
+            this.eventBus?.emit('championship:rejectRegistration', { championshipId, userId, reason: reason.trim() });
+        });
+
+        this.listen('championships:userLoaded', () => this.refreshRegistrations());
+        this.listen('registration:changed', ({ changes = [] }) => {
+            const decided = changes.find(change => [REGISTRATION_STATUS.APPROVED, REGISTRATION_STATUS.REJECTED].includes(change.to));
+            this.refreshRegistrations();
+            if (decided) {
+                this.showRegistrationsStatus(`${decided.registration.driverName} ${decided.to === REGISTRATION_STATUS.APPROVED ? 'approved' : 'rejected'}`);
+            }
+        });
+        this.listen('championship:error', ({ type, error }) => {
+            if (['approveRegistration', 'rejectRegistration'].includes(type)) this.showRegistrationsStatus(error, true);
+        });
+    }
 }
\ No newline at end of file
@@ -2,6 +2,8 @@
  * FeedPage.js - Página principal do feed social
  * Contém: posts, stories, live timing, achievements, predictions
  */
+import { serviceLocator } from '../core/ServiceLocator.js';
+import { leaderboard } from '../utils/LiveRace.js';
 
 export default class FeedPage {
     constructor() {
@@ -10,6 +12,8 @@ export default class FeedPage {
         this.liveRaces = [];
         this.eventBus = window.eventBus;
         this.stateManager = window.stateManager;
+        // `[event, listenerId]` pairs registered in init(), removed by destroy()
+        this.subscriptions = [];
     }
 
     async render(params = {}, query = {}) {
@@ -42,7 +46,7 @@ export default class FeedPage {
                                 <div class="w-3 h-3 bg-red-500 rounded-full animate-pulse mr-2"></div>
                                 Live Racing
                             </h3>
-                            <span class="text-sm text-gray-400">2 races active</span>
+                            <span id="live-races-active" class="text-sm text-gray-400"></span>
                         </div>
                         <div id="live-races-container" class="space-y-3">
                             <!-- Live races will be loaded here -->
@@ -333,6 +337,12 @@ export default class FeedPage {
         // Add story
         document.getElementById('add-story-btn')?.addEventListener('click', () => this.createStory());
 
+        // Live races follow the championship service's snapshot
+        const eventBus = serviceLocator.has('EventBus') ? serviceLocator.get('EventBus') : null;
+        if (eventBus) {
+            this.subscriptions.push(['liveRaces:updated', eventBus.on('liveRaces:updated', () => this.loadLiveRaces())]);
+        }
+
         // Enter key support for post content
         postContent?.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
@@ -341,6 +351,13 @@ export default class FeedPage {
         });
     }
 
+    // Called by core/Router before the next page renders
+    destroy() {
+        const eventBus = serviceLocator.has('EventBus') ? serviceLocator.get('EventBus') : null;
+        this.subscriptions.forEach(([event, id]) => eventBus?.off(event, id));
+        this.subscriptions = [];
+    }
+
     async loadFeedData() {
         const feedContainer = document.getElementById('social-feed');
         const loadingEl = document.getElementById('feed-loading');
@@ -563,6 +580,9 @@ export default class FeedPage {
                         </div>
                     </div>
                 `;
+            case 'image':
+                // Images are stored inline as data URLs, e.g. standings cards shared from the Championships page
+                return `<img src="${post.imageUrl}" alt="" class="w-full rounded-lg mb-3">`;
             default:
                 return '';
         }
@@ -633,38 +653,40 @@ export default class FeedPage {
         const container = document.getElementById('live-races-container');
         if (!container) return;
 
-        const liveRaces = [
-            {
-                name: 'Monaco Grand Prix',
-                lap: 45,
-                totalLaps: 78,
-                leader: 'Verstappen',
-                viewers: 2847
-            },
-            {
-                name: 'GT World Challenge',
-                lap: 23,
-                totalLaps: 60,
-                leader: 'Hamilton',
-                viewers: 1256
-            }
-        ];
+        const stateManager = serviceLocator.has('StateManager') ? serviceLocator.get('StateManager') : null;
+        this.liveRaces = stateManager?.getState('championships.liveRaces') || [];
 
-        container.innerHTML = liveRaces.map(race => `
-            <div class="bg-gray-800/50 rounded-lg p-3 cursor-pointer hover:bg-gray-700/50 transition-colors">
-                <div class="flex justify-between items-start mb-2">
-                    <h4 class="font-semibold text-sm">${race.name}</h4>
-                    <span class="text-xs text-gray-400">${race.viewers} watching</span>
-                </div>
-                <div class="flex justify-between items-center text-sm">
-                    <span class="text-gray-300">Lap ${race.lap}/${race.totalLaps}</span>
-                    <span class="text-orange-400">Leader: ${race.leader}</span>
-                </div>
-                <div class="w-full bg-gray-700 rounded-full h-1.5 mt-2">
-                    <div class="bg-orange-500 h-1.5 rounded-full" style="width: ${(race.lap / race.totalLaps) * 100}%"></div>
-                </div>
-            </div>
-        `).join('');
+        const count = document.getElementById('live-races-active');
+        if (count) {
+            count.textContent = `${this.liveRaces.length} race${this.liveRaces.length === 1 ? '' : 's'} active`;
+        }
+
+        if (this.liveRaces.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-400">No races are live right now</p>';
+            return;
+        }
+
+        container.innerHTML = this.liveRaces.map(race => {
+            const leader = leaderboard(race)[0];
+            const progress = race.totalLaps ? Math.min(100, (race.currentLap / race.totalLaps) * 100) : 0;
+            return `
+                <a href="/races" class="block bg-gray-800/50 rounded-lg p-3 hover:bg-gray-700/50 transition-colors">
+                    <div class="flex justify-between items-start mb-2">
+                        <h4 class="font-semibold text-sm">${race.raceName}</h4>
+                        <span class="text-xs text-gray-400">${race.championshipName}</span>
+                    </div>
+                    <div class="flex justify-between items-center text-sm">
+                        <span class="text-gray-300">Lap ${race.currentLap}${race.totalLaps ? `/${race.totalLaps}` : ''}</span>
+                        <span class="text-orange-400">Leader: ${leader?.name || '-'}</span>
+                    </div>
+                    ${race.totalLaps ? `
+                        <div class="w-full bg-gray-700 rounded-full h-1.5 mt-2">
+                            <div class="bg-orange-500 h-1.5 rounded-full" style="width: ${progress}%"></div>
+                        </div>
+                    ` : ''}
+                </a>
+            `;
+        }).join('');
     }
 
     // Event handlers
@@ -1,11 +1,50 @@
 /**
  * RacesPage.js - Página de corridas
  */
+import { serviceLocator } from '../core/ServiceLocator.js';
+import { buildCalendarEvents, toICalendar, viewerTimeZone } from '../utils/RaceSchedule.js';
+import { leaderboard, liveRaceId } from '../utils/LiveRace.js';
+import { SESSION_FORMATS, SESSION_TYPES, mainRaceSession, raceSessions, sessionIdFor, sessionName } from '../scoring/RaceSessions.js';
+import { PointsEngine } from '../scoring/PointsEngine.js';
+import { statusLabel } from '../scoring/ResultStatus.js';
+import { crewEligibility, findCompetitor, isEntryChampionship, normalizeDriveTimeRule, raceLineup, resultCompetitors } from '../scoring/Entries.js';
+import { PENALTY_TYPES, describePenalty } from '../scoring/Penalties.js';
+import { findClass, isMultiClass } from '../scoring/Classes.js';
+import { GRID_SOURCES, gridRuleFor } from '../scoring/GridRules.js';
+import { resolveDriverTeam } from '../scoring/TeamStandings.js';
+import { TYRE_COMPOUNDS, UNKNOWN_TYRE_COLOR, carStints, pitStopsByTeam, sessionPitStops } from '../utils/PitStops.js';
+import { PERMISSIONS, can } from '../utils/ChampionshipRoles.js';
+import { describeChange } from '../utils/ResultHistory.js';
 
 export default class RacesPage {
     constructor() {
         this.races = [];
         this.activeView = 'upcoming';
+        this.calendarView = 'month';
+        this.calendarDate = new Date();
+        this.hiddenChampionships = new Set();
+        // Class shown per multi-class championship on the results tab (none = overall)
+        this.resultClasses = {};
+        // Race whose penalty form is open on the results tab
+        this.penaltyRaceId = null;
+        // Race of the last penalty sent to the service, where its outcome is reported
+        this.pendingPenaltyRaceId = null;
+        // Race whose result history is open on the results tab, and its revisions once loaded
+        this.historyRaceId = null;
+        this.resultRevisions = null;
+        // Race whose crews (line-ups and drive times) are open on the results tab
+        this.crewRaceId = null;
+        // Race whose pit stops and tyre strategy are open on the results tab
+        this.strategyRaceId = null;
+        // Weekend format being edited, `{ championshipId, raceId, sessions }`
+        this.sessionDraft = null;
+        // Starting grid being edited, `{ championshipId, raceId, session, rule, slots }`;
+        // `slots` is null while a generated grid is on its way
+        this.gridDraft = null;
+        // `[event, listenerId]` pairs registered in init(), removed by destroy()
+        this.subscriptions = [];
+        this.eventBus = serviceLocator.has('EventBus') ? serviceLocator.get('EventBus') : null;
+        this.stateManager = serviceLocator.has('StateManager') ? serviceLocator.get('StateManager') : null;
     }
 
     async render(params = {}, query = {}) {
@@ -21,7 +60,7 @@ export default class RacesPage {
                         <div class="flex items-center space-x-4">
                             <div class="flex items-center space-x-2 px-3 py-2 bg-green-600/20 text-green-400 rounded-lg">
                                 <div class="w-2 h-2 bg-green-400 rounded-full animate-pulse"></div>
-                                <span class="text-sm">3 Live Races</span>
+                                <span id="live-races-count" class="text-sm">${this.liveRacesLabel()}</span>
                             </div>
                             <button class="racing-btn px-4 py-2">
                                 <i data-feather="tv" class="w-4 h-4 mr-2"></i>
@@ -46,6 +85,12 @@ export default class RacesPage {
                         <button class="race-tab py-3 px-1 border-b-2 border-transparent text-gray-400 hover:text-white font-medium" data-tab="calendar">
                             Calendar
                         </button>
+                        <button class="race-tab py-3 px-1 border-b-2 border-transparent text-gray-400 hover:text-white font-medium" data-tab="formats">
+                            Weekend Formats
+                        </button>
+                        <button class="race-tab py-3 px-1 border-b-2 border-transparent text-gray-400 hover:text-white font-medium" data-tab="grids">
+                            Starting Grids
+                        </button>
                     </nav>
                 </div>
 
@@ -59,9 +104,25 @@ export default class RacesPage {
 
     async init() {
         this.setupTabs();
+        this.setupCalendar();
+        this.setupLiveRaces();
+        this.setupResults();
+        this.setupSessionFormats();
+        this.setupGrids();
         if (window.feather) feather.replace();
     }
 
+    // Called by core/Router before the next page renders
+    destroy() {
+        this.subscriptions.forEach(([event, id]) => this.eventBus?.off(event, id));
+        this.subscriptions = [];
+    }
+
+    listen(event, handler) {
+        if (!this.eventBus) return;
+        this.subscriptions.push([event, this.eventBus.on(event, handler)]);
+    }
+
     setupTabs() {
         document.querySelectorAll('.race-tab').forEach(tab => {
             tab.addEventListener('click', () => {
@@ -96,6 +157,13 @@ export default class RacesPage {
             case 'calendar':
                 content.innerHTML = this.renderRaceCalendar();
                 break;
+            case 'formats':
+                content.innerHTML = this.renderSessionFormats();
+                break;
+            case 'grids':
+                content.innerHTML = this.renderGrids();
+                this.loadGridDraft();
+                break;
         }
         
         if (window.feather) feather.replace();
@@ -196,127 +264,1034 @@ export default class RacesPage {
         `;
     }
 
+    // Live races from the `liveRaces` snapshot the championship service keeps in state
+    getLiveRaces() {
+        return this.stateManager?.getState('championships.liveRaces') || [];
+    }
+
+    isOrganizer(liveRace) {
+        const user = this.stateManager?.getState('auth.user');
+        return Boolean(user) && liveRace.ownerId === user.uid;
+    }
+
+    // Races the signed-in organizer can start live timing for
+    getStartableRaces() {
+        const user = this.stateManager?.getState('auth.user');
+        if (!user) return [];
+
+        const live = this.getLiveRaces().map(liveRace => liveRaceId(liveRace.championshipId, liveRace.raceId));
+        return this.getCalendarChampionships()
+            .filter(championship => championship.userId === user.uid)
+            .flatMap(championship => (championship.races || [])
+                .filter(race => race.status !== 'completed' && !live.includes(liveRaceId(championship.id, race.id)))
+                .map(race => ({ championship, race })));
+    }
+
+    renderPositionChange(change) {
+        if (change > 0) return `<span class="text-green-400 text-xs">▲${change}</span>`;
+        if (change < 0) return `<span class="text-red-400 text-xs">▼${-change}</span>`;
+        return '<span class="text-gray-500 text-xs">–</span>';
+    }
+
+    renderLiveLeaderboard(liveRace) {
+        return `
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-gray-400 border-b border-gray-700">
+                        <th class="py-2 w-10">Pos</th>
+                        <th class="py-2 w-10"></th>
+                        <th class="py-2">Driver</th>
+                        <th class="py-2 text-right">Gap</th>
+                        <th class="py-2 text-right">Last Lap</th>
+                        <th class="py-2 text-right">Pits</th>
+                        <th class="py-2 text-right" title="Places gained since the start">+/-</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${leaderboard(liveRace).map(entry => `
+                        <tr class="border-b border-gray-800 ${entry.status !== 'running' ? 'text-gray-500' : entry.position === 1 ? 'bg-yellow-600/10' : ''}">
+                            <td class="py-2 font-bold">${entry.status === 'running' ? entry.position : 'OUT'}</td>
+                            <td class="py-2">${entry.status === 'running' ? this.renderPositionChange(entry.change) : ''}</td>
+                            <td class="py-2">
+                                <span class="font-semibold">${entry.number ? `#${entry.number} ` : ''}${entry.name}</span>
+                                <span class="text-xs text-gray-400 ml-2">${entry.team}</span>
+                            </td>
+                            <td class="py-2 text-right">${entry.status === 'running' ? (entry.position === 1 ? 'Leader' : entry.gap || '') : `Lap ${entry.retiredLap}${entry.retiredReason ? ` · ${entry.retiredReason}` : ''}`}</td>
+                            <td class="py-2 text-right">${entry.lastLapTime || ''}</td>
+                            <td class="py-2 text-right">${entry.pitStops}</td>
+                            <td class="py-2 text-right">${this.renderPositionChange(entry.gained)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Organizer console: the next lap's running order, gaps and lap times, plus pit stops and retirements
+    renderLiveConsole(liveRace) {
+        const running = leaderboard(liveRace).filter(entry => entry.status === 'running');
+        const ids = `data-championship-id="${liveRace.championshipId}" data-race-id="${liveRace.raceId}"`;
+        const nextLap = liveRace.totalLaps ? Math.min(liveRace.currentLap + 1, liveRace.totalLaps) : liveRace.currentLap + 1;
+
+        return `
+            <div class="mt-4 pt-4 border-t border-gray-700" data-live-console ${ids}>
+                <div class="flex items-center justify-between mb-3">
+                    <h4 class="font-semibold">Race Control</h4>
+                    <label class="text-sm text-gray-400">
+                        Lap
+                        <input type="number" min="1" ${liveRace.totalLaps ? `max="${liveRace.totalLaps}"` : ''} value="${nextLap}" data-live-lap
+                               class="w-20 ml-2 bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white">
+                    </label>
+                </div>
+                <table class="w-full text-sm mb-3">
+                    <thead>
+                        <tr class="text-left text-gray-400">
+                            <th class="py-1">Pos</th>
+                            <th class="py-1">Driver</th>
+                            <th class="py-1">Gap</th>
+                            <th class="py-1">Lap Time</th>
+                            <th class="py-1"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${running.map(entry => `
+                            <tr data-live-driver="${entry.driverId}">
+                                <td class="py-1"><input type="number" min="1" value="${entry.position}" data-live-position class="w-16 bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white"></td>
+                                <td class="py-1">${entry.name}</td>
+                                <td class="py-1"><input type="text" value="${entry.gap || ''}" placeholder="+1.234 / +1 lap" data-live-gap class="w-28 bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white"></td>
+                                <td class="py-1"><input type="text" placeholder="1:32.456" data-live-lap-time class="w-24 bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white"></td>
+                                <td class="py-1 text-right space-x-1 whitespace-nowrap">
+                                    <button class="px-2 py-1 text-xs bg-blue-600 hover:bg-blue-700 rounded" data-live-action="pit" data-driver-id="${entry.driverId}" ${ids}>Pit</button>
+                                    <button class="px-2 py-1 text-xs bg-red-600 hover:bg-red-700 rounded" data-live-action="retire" data-driver-id="${entry.driverId}" ${ids}>Retire</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="flex space-x-2">
+                    <button class="racing-btn flex-1" data-live-action="post-lap" ${ids}>Post Lap</button>
+                    <button class="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg" data-live-action="finish" ${ids}>Finish Race</button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderStartLiveForm() {
+        const startable = this.getStartableRaces();
+        if (startable.length === 0) return '';
+
+        return `
+            <div class="glass-card rounded-lg p-6" data-live-start>
+                <h3 class="text-lg font-bold mb-3">Start Live Timing</h3>
+                <div class="grid grid-cols-1 md:grid-cols-4 gap-3">
+                    <select data-live-start-race class="md:col-span-2 bg-gray-800 border border-gray-600 rounded px-3 py-2 text-white">
+                        ${startable.map(({ championship, race }) => `
+                            <option value="${championship.id}|${race.id}">${championship.name} - ${race.name}</option>
+                        `).join('')}
+                    </select>
+                    <select data-live-start-session class="bg-gray-800 border border-gray-600 rounded px-3 py-2 text-white">
+                        ${this.renderStartSessionOptions(startable[0].race)}
+                    </select>
+                    <input type="number" min="0" placeholder="Laps" data-live-start-laps
+                           class="bg-gray-800 border border-gray-600 rounded px-3 py-2 text-white">
+                </div>
+                <button class="racing-btn mt-3" data-live-action="start">
+                    <i data-feather="flag" class="w-4 h-4 mr-2"></i>
+                    Go Live
+                </button>
+            </div>
+        `;
+    }
+
+    renderStartSessionOptions(race) {
+        const main = mainRaceSession(race);
+        return raceSessions(race)
+            .filter(session => session.type === 'race')
+            .map(session => `<option value="${session.id}" ${session.id === main ? 'selected' : ''}>${session.name}</option>`)
+            .join('');
+    }
+
     renderLiveRaces() {
+        const liveRaces = this.getLiveRaces();
+
         return `
             <div class="space-y-6">
-                <!-- Live Race 1 -->
-                <div class="glass-card rounded-lg p-6 border-l-4 border-red-500">
-                    <div class="flex items-center justify-between mb-4">
-                        <div class="flex items-center space-x-3">
-                            <div class="flex items-center space-x-2">
-                                <div class="w-3 h-3 bg-red-500 rounded-full animate-pulse"></div>
-                                <span class="text-red-400 font-semibold">LIVE</span>
-                            </div>
-                            <h3 class="text-xl font-bold">Barcelona GP - Formula 1</h3>
-                        </div>
-                        <div class="text-right">
-                            <p class="text-sm text-gray-400">Lap 45/66</p>
-                            <p class="font-semibold">Race in Progress</p>
-                        </div>
+                <div id="live-race-message" class="hidden p-3 rounded-lg bg-red-600/20 text-red-400 text-sm"></div>
+                ${this.renderStartLiveForm()}
+                ${liveRaces.length === 0 ? `
+                    <div class="glass-card rounded-lg p-8 text-center text-gray-400">
+                        <i data-feather="radio" class="w-8 h-8 mx-auto mb-2"></i>
+                        <p>No races are live right now</p>
                     </div>
-
-                    <!-- Live Leaderboard -->
-                    <div class="space-y-2 mb-4">
-                        <div class="flex items-center justify-between py-2 px-3 bg-yellow-600/10 rounded border-l-2 border-yellow-500">
+                ` : liveRaces.map(liveRace => `
+                    <div class="glass-card rounded-lg p-6 border-l-4 border-red-500">
+                        <div class="flex items-center justify-between mb-4">
                             <div class="flex items-center space-x-3">
-                                <span class="w-6 text-center font-bold">1</span>
-                                <span class="font-semibold">Max Verstappen</span>
-                                <span class="text-sm text-gray-400">Red Bull Racing</span>
+                                <div class="flex items-center space-x-2">
+                                    <div class="w-3 h-3 bg-red-500 rounded-full animate-pulse"></div>
+                                    <span class="text-red-400 font-semibold">LIVE</span>
+                                </div>
+                                <h3 class="text-xl font-bold">${liveRace.raceName} - ${liveRace.championshipName}</h3>
                             </div>
-                            <span class="text-sm">1:23.456</span>
-                        </div>
-                        <div class="flex items-center justify-between py-2 px-3 bg-gray-800/50 rounded">
-                            <div class="flex items-center space-x-3">
-                                <span class="w-6 text-center">2</span>
-                                <span>Lando Norris</span>
-                                <span class="text-sm text-gray-400">McLaren</span>
+                            <div class="text-right">
+                                <p class="text-sm text-gray-400">Lap ${liveRace.currentLap}${liveRace.totalLaps ? `/${liveRace.totalLaps}` : ''}</p>
+                                <p class="font-semibold">${liveRace.sessionName}</p>
                             </div>
-                            <span class="text-sm">+2.345</span>
-                        </div>
-                        <div class="flex items-center justify-between py-2 px-3 bg-gray-800/50 rounded">
-                            <div class="flex items-center space-x-3">
-                                <span class="w-6 text-center">3</span>
-                                <span>Charles Leclerc</span>
-                                <span class="text-sm text-gray-400">Ferrari</span>
-                            </div>
-                            <span class="text-sm">+5.891</span>
                         </div>
+                        ${this.renderLiveLeaderboard(liveRace)}
+                        ${this.isOrganizer(liveRace) ? this.renderLiveConsole(liveRace) : ''}
                     </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    liveRacesLabel() {
+        const count = this.getLiveRaces().length;
+        return `${count} Live Race${count === 1 ? '' : 's'}`;
+    }
+
+    updateLiveBadge() {
+        const badge = document.getElementById('live-races-count');
+        if (badge) badge.textContent = this.liveRacesLabel();
+    }
+
+    refreshLiveRaces() {
+        this.updateLiveBadge();
+        const content = document.getElementById('races-content');
+        if (this.activeView !== 'live' || !content) return;
+        // Don't wipe what an organizer is typing into the console
+        if (content.contains(document.activeElement) && document.activeElement.matches('[data-live-console] input')) return;
+        content.innerHTML = this.renderLiveRaces();
+        if (window.feather) feather.replace();
+    }
+
+    showLiveMessage(message) {
+        const box = document.getElementById('live-race-message');
+        if (!box) return;
+        box.textContent = message;
+        box.classList.remove('hidden');
+    }
+
+    // Next lap's running order from the console: entered positions, ties kept in current order
+    readLiveLap(consoleEl) {
+        const rows = [...consoleEl.querySelectorAll('[data-live-driver]')].map((row, index) => ({
+            driverId: row.dataset.liveDriver,
+            position: parseInt(row.querySelector('[data-live-position]').value, 10) || Infinity,
+            index,
+            gap: row.querySelector('[data-live-gap]').value.trim(),
+            lapTime: row.querySelector('[data-live-lap-time]').value.trim()
+        }));
+        rows.sort((a, b) => a.position - b.position || a.index - b.index);
+
+        return {
+            lap: consoleEl.querySelector('[data-live-lap]').value,
+            order: rows.map(row => row.driverId),
+            gaps: Object.fromEntries(rows.map(row => [row.driverId, row.gap])),
+            lapTimes: Object.fromEntries(rows.filter(row => row.lapTime).map(row => [row.driverId, row.lapTime]))
+        };
+    }
+
+    handleLiveAction(target) {
+        const { liveAction, championshipId, raceId, driverId } = target.dataset;
+        const consoleEl = target.closest('[data-live-console]');
+        const lap = consoleEl?.querySelector('[data-live-lap]')?.value;
+
+        switch (liveAction) {
+            case 'start': {
+                const form = target.closest('[data-live-start]');
+                const [startChampionshipId, startRaceId] = form.querySelector('[data-live-start-race]').value.split('|');
+                this.eventBus?.emit('championship:startRace', {
+                    championshipId: startChampionshipId,
+                    raceId: startRaceId,
+                    session: form.querySelector('[data-live-start-session]').value,
+                    totalLaps: form.querySelector('[data-live-start-laps]').value
+                });
+                break;
+            }
+            case 'post-lap':
+                this.eventBus?.emit('championship:postLap', { championshipId, raceId, ...this.readLiveLap(consoleEl) });
+                break;
+            case 'pit': {
+                const duration = prompt('Stop time (seconds, optional)');
+                if (duration === null) return;
+                this.eventBus?.emit('championship:recordPitStop', { championshipId, raceId, driverId, lap, duration });
+                break;
+            }
+            case 'retire': {
+                const reason = prompt('Reason for retirement (optional)');
+                if (reason === null) return;
+                this.eventBus?.emit('championship:retireDriver', { championshipId, raceId, driverId, lap: Math.max(0, lap - 1), reason });
+                break;
+            }
+            case 'finish':
+                if (!confirm('Finish the race? The current order becomes the result.')) return;
+                this.eventBus?.emit('championship:finishRace', { championshipId, raceId });
+                break;
+        }
+    }
+
+    setupLiveRaces() {
+        const content = document.getElementById('races-content');
+
+        content.addEventListener('click', (event) => {
+            const target = event.target.closest('[data-live-action]');
+            if (target) this.handleLiveAction(target);
+        });
 
-                    <button class="racing-btn w-full">
-                        <i data-feather="tv" class="w-4 h-4 mr-2"></i>
-                        Watch Live Stream
-                    </button>
+        content.addEventListener('change', (event) => {
+            if (!event.target.matches('[data-live-start-race]')) return;
+            const [championshipId, raceId] = event.target.value.split('|');
+            const { race } = this.getStartableRaces()
+                .find(({ championship, race }) => championship.id === championshipId && race.id === raceId);
+            event.target.closest('[data-live-start]').querySelector('[data-live-start-session]').innerHTML =
+                this.renderStartSessionOptions(race);
+        });
+
+        this.listen('liveRaces:updated', () => this.refreshLiveRaces());
+        this.listen('championships:userLoaded', () => this.refreshLiveRaces());
+        this.listen('championship:error', ({ type, error }) => {
+            if (['startLiveRace', 'postLap', 'recordPitStop', 'retireDriver', 'finishLiveRace'].includes(type)) {
+                this.showLiveMessage(error);
+            }
+        });
+    }
+
+    // Completed races of the user's championships, most recent first
+    getCompletedRaces() {
+        return this.getCalendarChampionships()
+            .flatMap(championship => (championship.races || [])
+                .filter(race => race.completed || race.status === 'completed')
+                .map(race => ({ championship, race })))
+            .sort((a, b) => new Date(b.race.date) - new Date(a.race.date));
+    }
+
+    renderClassFilter(championship) {
+        if (!isMultiClass(championship)) return '';
+        const selected = this.resultClasses[championship.id] || '';
+        const button = (classId, label, color = null) => `
+            <button class="results-class-filter px-3 py-1 rounded text-sm border ${selected === classId ? 'bg-orange-600 border-orange-500' : 'bg-black/20 border-gray-600 hover:bg-gray-800'}"
+                data-championship-id="${championship.id}" data-class-id="${classId}">
+                ${color ? `<span class="inline-block w-2 h-2 rounded-full mr-1" style="background: ${color};"></span>` : ''}${label}
+            </button>
+        `;
+
+        return `
+            <div class="flex flex-wrap gap-2 mb-4">
+                ${button('', 'Overall')}
+                ${championship.classes.map(carClass => button(carClass.id, carClass.name, carClass.color)).join('')}
+            </div>
+        `;
+    }
+
+    // Final classification of a race's main session, filtered to the selected class
+    renderRaceResult({ championship, race }) {
+        const engine = PointsEngine.forChampionship(championship);
+        const session = mainRaceSession(race);
+        const { results } = engine.classifyRace(race);
+        const { drivers: scores } = engine.scoreRace(race);
+        const classId = this.resultClasses[championship.id] || null;
+        const multiClass = isMultiClass(championship);
+
+        const rows = Object.entries(results[session] || {})
+            .filter(([, result]) => !classId || result.classId === classId)
+            .sort(([, a], [, b]) => (a.position || Infinity) - (b.position || Infinity));
+
+        return `
+            <div class="glass-card rounded-lg p-6">
+                <div class="flex items-center justify-between mb-4">
+                    <div>
+                        <h3 class="text-xl font-bold">${race.name || `Round ${race.round}`}</h3>
+                        <p class="text-gray-400">${race.date || ''} • ${championship.name} • ${sessionName(race, session)}</p>
+                    </div>
+                    <div class="flex space-x-2">
+                        ${this.canApplyPenalties(championship) ? `
+                            <button class="results-penalty-toggle px-3 py-1 rounded text-sm border border-gray-600 hover:bg-gray-800" data-race-id="${race.id}">
+                                ${this.penaltyRaceId === race.id ? 'Cancel' : 'Add Penalty'}
+                            </button>
+                        ` : ''}
+                        ${this.canEditCrews(championship) ? `
+                            <button class="results-crew-toggle px-3 py-1 rounded text-sm border border-gray-600 hover:bg-gray-800" data-race-id="${race.id}">
+                                ${this.crewRaceId === race.id ? 'Hide crews' : 'Crews'}
+                            </button>
+                        ` : ''}
+                        <button class="results-strategy-toggle px-3 py-1 rounded text-sm border border-gray-600 hover:bg-gray-800" data-race-id="${race.id}">
+                            ${this.strategyRaceId === race.id ? 'Hide strategy' : 'Strategy'}
+                        </button>
+                        <button class="results-history-toggle px-3 py-1 rounded text-sm border border-gray-600 hover:bg-gray-800"
+                            data-championship-id="${championship.id}" data-race-id="${race.id}">
+                            ${this.historyRaceId === race.id ? 'Hide history' : 'History'}
+                        </button>
+                    </div>
                 </div>
+                ${this.renderClassFilter(championship)}
+                ${rows.length === 0 ? '<p class="text-gray-400">No results recorded.</p>' : `
+                    <table class="w-full text-sm">
+                        <thead>
+                            <tr class="text-gray-400 text-left border-b border-gray-700">
+                                <th class="py-2 pr-2">Pos</th>
+                                ${classId ? '<th class="py-2 pr-2">Overall</th>' : ''}
+                                <th class="py-2 pr-2">${(championship.entries || []).length ? 'Entry' : 'Driver'}</th>
+                                ${multiClass && !classId ? '<th class="py-2 pr-2">Class</th>' : ''}
+                                <th class="py-2 pr-2">Time / Gap</th>
+                                <th class="py-2 text-right">Points</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(([id, result]) => {
+                                const carClass = findClass(championship, result.classId);
+                                const position = classId ? result.classPosition : result.position;
+                                return `
+                                    <tr class="border-b border-gray-800">
+                                        <td class="py-2 pr-2 font-semibold">${position || statusLabel(result.status, { short: true })}</td>
+                                        ${classId ? `<td class="py-2 pr-2 text-gray-400">${result.position || '-'}</td>` : ''}
+                                        <td class="py-2 pr-2">${findCompetitor(championship, id)?.name || id}</td>
+                                        ${multiClass && !classId ? `<td class="py-2 pr-2">${carClass ? `<span class="px-2 py-0.5 rounded text-xs" style="background: ${carClass.color}33; color: ${carClass.color};">${carClass.name}</span>` : '-'}</td>` : ''}
+                                        <td class="py-2 pr-2 text-gray-400">${result.position === 1 ? result.totalTime || '' : result.gapToLeader || ''}</td>
+                                        <td class="py-2 text-right">${scores[id]?.sessions[session]?.total ?? 0}</td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                `}
+                ${this.crewRaceId === race.id && this.canEditCrews(championship) ? this.renderRaceCrews(championship, race) : ''}
+                ${this.strategyRaceId === race.id ? this.renderRaceStrategy(championship, race) : ''}
+                ${this.renderRacePenalties(championship, race)}
+                ${this.historyRaceId === race.id ? this.renderResultHistory(championship, race) : ''}
+            </div>
+        `;
+    }
 
-                <!-- Live Race 2 -->
-                <div class="glass-card rounded-lg p-6 border-l-4 border-green-500">
-                    <div class="flex items-center justify-between mb-4">
-                        <div class="flex items-center space-x-3">
-                            <div class="flex items-center space-x-2">
-                                <div class="w-3 h-3 bg-green-500 rounded-full animate-pulse"></div>
-                                <span class="text-green-400 font-semibold">LIVE</span>
+    canApplyPenalties(championship) {
+        const user = this.stateManager?.getState('auth.user');
+        return Boolean(user) && can(championship, user.uid, PERMISSIONS.APPLY_PENALTIES);
+    }
+
+    // Pit stops and tyre strategy of the main race (see utils/PitStops.js): a stint timeline per car,
+    // stop times per team, and for results editors the stops themselves
+    renderRaceStrategy(championship, race) {
+        const session = mainRaceSession(race);
+        const user = this.stateManager?.getState('auth.user');
+        const canEdit = Boolean(user) && can(championship, user.uid, PERMISSIONS.ENTER_RESULTS);
+        const results = PointsEngine.forChampionship(championship).classifyRace(race).results[session] || {};
+        const stops = sessionPitStops(race, session);
+        const name = id => findCompetitor(championship, id)?.name || id;
+        const inputClasses = 'bg-black/20 border border-gray-600 rounded-lg px-3 py-2 focus:border-orange-500 focus:outline-none';
+        const tyreOptions = Object.entries(TYRE_COMPOUNDS).map(([value, { label }]) => `<option value="${value}">${label}</option>`).join('');
+
+        // Cars with stops or a starting tyre, in finishing order
+        const leaderLaps = Math.max(0, ...Object.values(results).map(result => parseInt(result.laps, 10) || 0));
+        const cars = [...new Set([...stops.map(stop => stop.driverId), ...Object.keys(race.startingTyres?.[session] || {})])]
+            .sort((a, b) => (results[a]?.position || Infinity) - (results[b]?.position || Infinity))
+            .map(id => ({ id, stints: carStints(race, session, id, parseInt(results[id]?.laps, 10) || leaderLaps) }));
+        const totalLaps = Math.max(1, ...cars.map(car => car.stints[car.stints.length - 1]?.to || 0));
+
+        const teamOf = stop => {
+            const competitor = findCompetitor(championship, stop.driverId);
+            return (championship.entries || []).some(entry => entry.id === stop.driverId) ?
+                competitor?.team :
+                resolveDriverTeam(competitor, race, results[stop.driverId], championship.races);
+        };
+        const teamName = teamId => (championship.teams || []).find(team => team.id === teamId)?.name || teamId || 'No team';
+        const seconds = time => (typeof time === 'number' ? `${time.toFixed(1)}s` : '-');
+        const stintLabel = ({ tyre, from, to, stop }) => [
+            `${TYRE_COMPOUNDS[tyre]?.label || 'Unknown tyre'}: laps ${from}-${to}`,
+            typeof stop?.stationaryTime === 'number' ? `${seconds(stop.stationaryTime)} stop` : '',
+            stop?.driverChange ? `${stop.driverChange} in` : ''
+        ].filter(Boolean).join(', ');
+
+        return `
+            <div class="mt-4 pt-4 border-t border-gray-700" data-strategy-championship="${championship.id}" data-strategy-race="${race.id}">
+                <h4 class="font-semibold mb-3">Strategy • ${sessionName(race, session)}</h4>
+                <p class="strategy-message text-sm mb-3 hidden"></p>
+                ${cars.length === 0 ? '<p class="text-gray-400 text-sm mb-4">No pit stops recorded.</p>' : `
+                    <div class="space-y-1 mb-2">
+                        ${cars.map(({ id, stints }) => `
+                            <div class="flex items-center text-sm">
+                                <span class="w-40 truncate pr-2">${name(id)}</span>
+                                <div class="flex-1 flex h-4 rounded overflow-hidden bg-black/20">
+                                    ${stints.map(stint => `
+                                        <div style="width: ${(stint.laps / totalLaps) * 100}%; background: ${TYRE_COMPOUNDS[stint.tyre]?.color || UNKNOWN_TYRE_COLOR};"
+                                            class="border-r border-gray-900" title="${stintLabel(stint)}"></div>
+                                    `).join('')}
+                                </div>
                             </div>
-                            <h3 class="text-xl font-bold">Silverstone 6H - WEC</h3>
-                        </div>
-                        <div class="text-right">
-                            <p class="text-sm text-gray-400">2h 15m remaining</p>
-                            <p class="font-semibold">Endurance Race</p>
-                        </div>
+                        `).join('')}
                     </div>
-
-                    <div class="grid grid-cols-3 gap-4 text-center">
-                        <div>
-                            <p class="text-sm text-gray-400">Leader</p>
-                            <p class="font-semibold">Toyota #7</p>
-                        </div>
-                        <div>
-                            <p class="text-sm text-gray-400">Last Lap</p>
-                            <p class="font-semibold">1:42.356</p>
-                        </div>
-                        <div>
-                            <p class="text-sm text-gray-400">Pit Stops</p>
-                            <p class="font-semibold">12</p>
-                        </div>
+                    <div class="flex flex-wrap gap-3 text-xs text-gray-400 mb-4">
+                        ${Object.values(TYRE_COMPOUNDS).map(({ label, color }) => `
+                            <span class="flex items-center"><span class="inline-block w-2 h-2 rounded-full mr-1" style="background: ${color};"></span>${label}</span>
+                        `).join('')}
+                        <span>Lap ${totalLaps}</span>
                     </div>
+                `}
+                ${stops.length ? `
+                    <table class="w-full text-sm mb-4">
+                        <thead>
+                            <tr class="text-gray-400 text-left border-b border-gray-700">
+                                <th class="py-2 pr-2">Team</th>
+                                <th class="py-2 pr-2">Stops</th>
+                                <th class="py-2 pr-2">Average</th>
+                                <th class="py-2">Fastest</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${pitStopsByTeam(stops, teamOf).map(team => `
+                                <tr class="border-b border-gray-800">
+                                    <td class="py-2 pr-2">${teamName(team.teamId)}</td>
+                                    <td class="py-2 pr-2">${team.count}</td>
+                                    <td class="py-2 pr-2">${seconds(team.average)}</td>
+                                    <td class="py-2">${seconds(team.fastest)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <ul class="space-y-2 mb-4">
+                        ${stops.map(stop => `
+                            <li class="flex items-center justify-between bg-black/20 rounded-lg px-4 py-2 text-sm">
+                                <div>
+                                    <span class="font-semibold">${name(stop.driverId)}</span>
+                                    <span class="text-gray-400">Lap ${stop.lap} • ${seconds(stop.stationaryTime)}${stop.tyre ? ` • ${TYRE_COMPOUNDS[stop.tyre].label}` : ''}${stop.fuel !== null ? ` • ${stop.fuel} L` : ''}${stop.driverChange ? ` • ${stop.driverChange} in` : ''}</span>
+                                </div>
+                                ${canEdit ? `<button class="results-pit-stop-remove px-3 py-1 rounded text-xs bg-red-600 hover:bg-red-700" data-stop-id="${stop.id}">Remove</button>` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                ${canEdit ? `
+                    <form class="results-pit-stop-form grid grid-cols-2 md:grid-cols-6 gap-2 mb-3">
+                        <select name="driverId" class="${inputClasses} col-span-2" required>
+                            ${resultCompetitors(championship).map(competitor => `<option value="${competitor.id}">${competitor.number ? `#${competitor.number} ` : ''}${competitor.name}</option>`).join('')}
+                        </select>
+                        <input name="lap" type="number" min="1" placeholder="Lap" class="${inputClasses}" required>
+                        <input name="stationaryTime" type="text" placeholder="Stationary (s)" class="${inputClasses}">
+                        <select name="tyre" class="${inputClasses}">
+                            <option value="">Tyres unchanged</option>
+                            ${tyreOptions}
+                        </select>
+                        <input name="fuel" type="number" min="0" step="any" placeholder="Fuel (L)" class="${inputClasses}">
+                        <input name="driverChange" type="text" placeholder="Driver taking over (optional)" class="${inputClasses} col-span-2 md:col-span-4">
+                        <button type="submit" class="racing-btn px-4 py-2 col-span-2">Add Pit Stop</button>
+                    </form>
+                    <form class="results-starting-tyre-form flex flex-wrap gap-2">
+                        <select name="driverId" class="${inputClasses}">
+                            ${resultCompetitors(championship).map(competitor => `<option value="${competitor.id}">${competitor.number ? `#${competitor.number} ` : ''}${competitor.name}</option>`).join('')}
+                        </select>
+                        <select name="tyre" class="${inputClasses}">
+                            <option value="">No starting tyre</option>
+                            ${tyreOptions}
+                        </select>
+                        <button type="submit" class="px-4 py-2 border border-gray-600 rounded-lg hover:bg-gray-800">Set Starting Tyre</button>
+                    </form>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    showStrategyMessage(message, isError = false) {
+        const box = document.querySelector(`[data-strategy-race="${this.strategyRaceId}"] .strategy-message`);
+        if (!box) return;
+        box.textContent = message;
+        box.className = `strategy-message text-sm mb-3 ${isError ? 'text-red-400' : 'text-green-400'}`;
+    }
+
+    canEditCrews(championship) {
+        const user = this.stateManager?.getState('auth.user');
+        return Boolean(user) && isEntryChampionship(championship) && can(championship, user.uid, PERMISSIONS.ENTER_RESULTS);
+    }
+
+    // Who drove each entry in the main race (see scoring/Entries.js): line-up changes apply at once,
+    // drive times are saved together and decide which crew members score
+    renderRaceCrews(championship, race) {
+        const session = mainRaceSession(race);
+        const rule = normalizeDriveTimeRule(championship.settings);
+        const drivers = championship.drivers || [];
+        const driverName = driverId => drivers.find(d => d.id === driverId)?.name || driverId;
+        const ruleText = [
+            rule.minMinutes ? `${rule.minMinutes} min` : '',
+            rule.minPercent ? `${rule.minPercent}% of the car's time` : ''
+        ].filter(Boolean).join(' and ');
+
+        return `
+            <form class="results-crew-form mt-4 pt-4 border-t border-gray-700" data-championship-id="${championship.id}" data-race-id="${race.id}">
+                <h4 class="font-semibold mb-1">Crews • ${sessionName(race, session)}</h4>
+                <p class="text-sm text-gray-400 mb-3">${ruleText ? `Crew members must drive at least ${ruleText} to score.` : 'Every crew member who drove scores.'} Without drive times the whole line-up scores.</p>
+                <p class="crew-message text-sm mb-3 hidden"></p>
+                <div class="space-y-3">
+                    ${resultCompetitors(championship).map(({ id, name }) => {
+                        const entry = championship.entries.find(e => e.id === id);
+                        const lineup = raceLineup(entry, race);
+                        const crew = crewEligibility(entry, race, session, rule);
+                        const others = drivers.filter(driver => !lineup.includes(driver.id));
+                        return `
+                            <div class="bg-black/20 rounded-lg p-3" data-crew-entry="${id}">
+                                <div class="flex items-center justify-between mb-2">
+                                    <p class="font-medium">${name}</p>
+                                    ${race.entryLineups?.[id] ? '<span class="px-2 py-0.5 rounded text-xs bg-yellow-600/20 text-yellow-400">Line-up changed this round</span>' : ''}
+                                </div>
+                                <table class="w-full text-sm">
+                                    <tbody>
+                                        ${crew.map(member => `
+                                            <tr class="border-b border-gray-800">
+                                                <td class="py-1 pr-2">${driverName(member.driverId)}</td>
+                                                <td class="py-1 pr-2">
+                                                    <input type="number" min="0" step="any" class="crew-drive-time bg-black/20 border border-gray-600 rounded px-2 py-1 w-24"
+                                                        data-driver-id="${member.driverId}" value="${member.minutes || ''}" placeholder="min">
+                                                </td>
+                                                <td class="py-1 pr-2 text-gray-400">${member.percent === null ? '-' : `${Math.round(member.percent)}%`}</td>
+                                                <td class="py-1 pr-2">
+                                                    <span class="px-2 py-0.5 rounded text-xs ${member.eligible ? 'bg-green-600/20 text-green-400' : 'bg-red-600/20 text-red-400'}">${member.eligible ? 'Scores' : 'Below rule'}</span>
+                                                </td>
+                                                <td class="py-1 text-right">
+                                                    ${lineup.length > 1 ? `<button type="button" class="results-crew-remove px-2 py-0.5 rounded text-xs border border-gray-600 hover:bg-gray-800" data-driver-id="${member.driverId}">Remove</button>` : ''}
+                                                </td>
+                                            </tr>
+                                        `).join('')}
+                                    </tbody>
+                                </table>
+                                ${others.length ? `
+                                    <select class="results-crew-add bg-black/20 border border-gray-600 rounded px-2 py-1 text-sm mt-2">
+                                        <option value="">Add a driver this round…</option>
+                                        ${others.map(driver => `<option value="${driver.id}">${driver.name}</option>`).join('')}
+                                    </select>
+                                ` : ''}
+                            </div>
+                        `;
+                    }).join('')}
                 </div>
+                <button type="submit" class="racing-btn px-4 py-2 mt-3">Save Drive Times</button>
+            </form>
+        `;
+    }
+
+    showCrewMessage(message, isError = false) {
+        const box = document.querySelector(`.results-crew-form[data-race-id="${this.crewRaceId}"] .crew-message`);
+        if (!box) return;
+        box.textContent = message;
+        box.className = `crew-message text-sm mb-3 ${isError ? 'text-red-400' : 'text-green-400'}`;
+    }
+
+    // Send an entry's new line-up for the open crews form
+    updateCrewLineup(control, lineup) {
+        const { championshipId, raceId } = control.closest('.results-crew-form').dataset;
+        const entryId = control.closest('[data-crew-entry]').dataset.crewEntry;
+        this.eventBus?.emit('championship:updateRaceCrews', { championshipId, raceId, lineups: { [entryId]: lineup } });
+    }
+
+    crewLineup(control) {
+        return [...control.closest('[data-crew-entry]').querySelectorAll('.crew-drive-time')].map(input => input.dataset.driverId);
+    }
+
+    // Stewards' decisions on a race (see scoring/Penalties.js), and the form to add one
+    renderRacePenalties(championship, race) {
+        const penalties = race.penalties || [];
+        const canApply = this.canApplyPenalties(championship);
+        const open = canApply && this.penaltyRaceId === race.id;
+        if (penalties.length === 0 && !open) return '';
+        const inputClasses = 'bg-black/20 border border-gray-600 rounded-lg px-3 py-2 focus:border-orange-500 focus:outline-none';
+
+        return `
+            <div class="mt-4 pt-4 border-t border-gray-700" data-penalty-championship="${championship.id}" data-penalty-race="${race.id}">
+                <h4 class="font-semibold mb-3">Penalties</h4>
+                <p class="penalty-message text-sm mb-3 hidden"></p>
+                ${penalties.length ? `
+                    <ul class="space-y-2 mb-4">
+                        ${penalties.map(penalty => `
+                            <li class="flex items-center justify-between bg-black/20 rounded-lg px-4 py-2 text-sm">
+                                <div>
+                                    <span class="font-semibold">${findCompetitor(championship, penalty.driverId)?.name || penalty.driverId}</span>
+                                    <span class="ml-1 px-2 py-0.5 rounded text-xs bg-red-600/20 text-red-400">${describePenalty(penalty)}</span>
+                                    <span class="text-gray-400">${sessionName(race, penalty.session)} • ${penalty.reason}${penalty.decision ? ` • ${penalty.decision}` : ''}</span>
+                                </div>
+                                ${canApply ? `<button class="results-penalty-revoke px-3 py-1 rounded text-xs bg-red-600 hover:bg-red-700" data-penalty-id="${penalty.id}">Remove</button>` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                ${open ? `
+                    <form class="results-penalty-form grid grid-cols-1 md:grid-cols-3 gap-2">
+                        <select name="driverId" class="${inputClasses}" required>
+                            ${resultCompetitors(championship).map(competitor => `
+                                <option value="${competitor.id}">${competitor.number ? `#${competitor.number} ` : ''}${competitor.name}</option>
+                            `).join('')}
+                        </select>
+                        <select name="session" class="${inputClasses}">
+                            ${raceSessions(race).filter(session => session.type === 'race').map(session => `
+                                <option value="${session.id}" ${session.id === mainRaceSession(race) ? 'selected' : ''}>${session.name}</option>
+                            `).join('')}
+                        </select>
+                        <div class="flex gap-2">
+                            <select name="type" class="${inputClasses} flex-1">
+                                ${Object.entries(PENALTY_TYPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                            </select>
+                            <input name="value" type="number" min="0" step="any" placeholder="s / places / pts" class="${inputClasses} w-32">
+                        </div>
+                        <input name="reason" class="${inputClasses} md:col-span-2" placeholder="Reason, e.g. Causing a collision" required>
+                        <input name="decision" class="${inputClasses}" placeholder="Decision document (optional)">
+                        <button type="submit" class="racing-btn px-4 py-2 md:col-span-3">Apply Penalty</button>
+                    </form>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    showPenaltyMessage(raceId, message, isError = false) {
+        const box = document.querySelector(`[data-penalty-race="${raceId}"] .penalty-message`);
+        if (!box) return;
+        box.textContent = message;
+        box.className = `penalty-message text-sm mb-3 ${isError ? 'text-red-400' : 'text-green-400'}`;
+    }
+
+    // Revisions of a race's results, newest first, with the field changes each made
+    renderResultHistory(championship, race) {
+        const revisions = this.resultRevisions;
+        const user = this.stateManager?.getState('auth.user');
+        const canRevert = user && can(championship, user.uid, PERMISSIONS.ENTER_RESULTS);
+        const sessionNames = Object.fromEntries(raceSessions(race).map(({ id, name }) => [id, name]));
+
+        let body;
+        if (!revisions) {
+            body = '<p class="text-gray-400 text-sm">Loading history...</p>';
+        } else if (revisions.length === 0) {
+            body = '<p class="text-gray-400 text-sm">No changes recorded for this race yet.</p>';
+        } else {
+            body = `
+                <ul class="space-y-3">
+                    ${revisions.map((revision, index) => `
+                        <li class="p-3 rounded-lg bg-black/20 border border-gray-700">
+                            <div class="flex items-center justify-between">
+                                <div class="text-sm">
+                                    <span class="font-semibold">#${revision.number}</span>
+                                    ${revision.action === 'revert' ? '<span class="ml-1 px-2 py-0.5 rounded text-xs bg-yellow-600/20 text-yellow-400">Revert</span>' : ''}
+                                    ${revision.penalty ? '<span class="ml-1 px-2 py-0.5 rounded text-xs bg-red-600/20 text-red-400">Penalty</span>' : ''}
+                                    ${revision.userName} • <span class="text-gray-400">${new Date(revision.createdAt).toLocaleString()}</span>
+                                </div>
+                                ${index === 0 ? '<span class="px-2 py-0.5 rounded text-xs bg-green-600/20 text-green-400">Current</span>' :
+                                    canRevert ? `<button class="results-revert-btn px-3 py-1 rounded text-xs border border-gray-600 hover:bg-gray-800" data-championship-id="${championship.id}" data-race-id="${race.id}" data-revision-id="${revision.id}" data-revision-number="${revision.number}">Revert to this</button>` : ''}
+                            </div>
+                            ${revision.reason ? `<p class="text-sm italic mt-1">${revision.reason}</p>` : ''}
+                            ${revision.penalty && revision.changes.length === 0 ? '' : `
+                                <ul class="text-sm text-gray-400 mt-1 list-disc list-inside">
+                                    ${revision.changes.map(change => `<li>${findCompetitor(championship, change.driverId)?.name || change.driverId} — ${describeChange(change, sessionNames)}</li>`).join('') || '<li>No field changes</li>'}
+                                </ul>
+                            `}
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+
+        return `
+            <div class="mt-4 pt-4 border-t border-gray-700">
+                <h4 class="font-semibold mb-3">Result history</h4>
+                <div id="results-history-message"></div>
+                ${body}
             </div>
         `;
     }
 
+    showHistoryMessage(message, isError = false) {
+        const box = document.getElementById('results-history-message');
+        if (!box) return;
+        box.textContent = message;
+        box.className = `mb-3 p-3 rounded-lg text-sm ${isError ? 'bg-red-600/20 text-red-400' : 'bg-green-600/20 text-green-400'}`;
+    }
+
     renderRaceResults() {
+        const races = this.getCompletedRaces();
+        if (races.length === 0) {
+            return `
+                <div class="glass-card rounded-lg p-8 text-center text-gray-400">
+                    <i data-feather="flag" class="w-8 h-8 mx-auto mb-2"></i>
+                    <p>No race results yet. Results of your championships' completed races appear here.</p>
+                </div>
+            `;
+        }
+
         return `
             <div class="space-y-6">
-                ${Array.from({length: 4}, (_, i) => `
-                    <div class="glass-card rounded-lg p-6">
-                        <div class="flex items-center justify-between mb-4">
-                            <div>
-                                <h3 class="text-xl font-bold">Race Result ${i + 1}</h3>
-                                <p class="text-gray-400">May ${20 - i}, 2024 • Formula 1</p>
-                            </div>
-                            <button class="px-3 py-2 border border-gray-600 rounded-lg hover:bg-gray-800 transition-colors">
-                                <i data-feather="download" class="w-4 h-4"></i>
-                            </button>
+                ${races.map(race => this.renderRaceResult(race)).join('')}
+            </div>
+        `;
+    }
+
+    refreshResults() {
+        const content = document.getElementById('races-content');
+        if (this.activeView !== 'results' || !content) return;
+        content.innerHTML = this.renderRaceResults();
+        if (window.feather) feather.replace();
+    }
+
+    setupResults() {
+        const content = document.getElementById('races-content');
+
+        content.addEventListener('click', (event) => {
+            const filter = event.target.closest('.results-class-filter');
+            if (filter) {
+                this.resultClasses[filter.dataset.championshipId] = filter.dataset.classId || null;
+                this.refreshResults();
+                return;
+            }
+
+            const penaltyToggle = event.target.closest('.results-penalty-toggle');
+            if (penaltyToggle) {
+                this.penaltyRaceId = this.penaltyRaceId === penaltyToggle.dataset.raceId ? null : penaltyToggle.dataset.raceId;
+                this.refreshResults();
+                return;
+            }
+
+            const crewToggle = event.target.closest('.results-crew-toggle');
+            if (crewToggle) {
+                this.crewRaceId = this.crewRaceId === crewToggle.dataset.raceId ? null : crewToggle.dataset.raceId;
+                this.refreshResults();
+                return;
+            }
+
+            const strategyToggle = event.target.closest('.results-strategy-toggle');
+            if (strategyToggle) {
+                this.strategyRaceId = this.strategyRaceId === strategyToggle.dataset.raceId ? null : strategyToggle.dataset.raceId;
+                this.refreshResults();
+                return;
+            }
+
+            const removeStop = event.target.closest('.results-pit-stop-remove');
+            if (removeStop) {
+                const { strategyChampionship: championshipId, strategyRace: raceId } = removeStop.closest('[data-strategy-race]').dataset;
+                this.eventBus?.emit('championship:removePitStop', { championshipId, raceId, stopId: removeStop.dataset.stopId });
+                return;
+            }
+
+            const removeDriver = event.target.closest('.results-crew-remove');
+            if (removeDriver) {
+                this.updateCrewLineup(removeDriver, this.crewLineup(removeDriver).filter(id => id !== removeDriver.dataset.driverId));
+                return;
+            }
+
+            const revokePenalty = event.target.closest('.results-penalty-revoke');
+            if (revokePenalty) {
+                if (!confirm('Remove this penalty? The original classification will be restored.')) return;
+                const { penaltyChampionship: championshipId, penaltyRace: raceId } = revokePenalty.closest('[data-penalty-race]').dataset;
+                this.pendingPenaltyRaceId = raceId;
+                this.eventBus?.emit('championship:revokePenalty', { championshipId, penaltyId: revokePenalty.dataset.penaltyId });
+                return;
+            }
+
+            const toggle = event.target.closest('.results-history-toggle');
+            if (toggle) {
+                const { championshipId, raceId } = toggle.dataset;
+                this.historyRaceId = this.historyRaceId === raceId ? null : raceId;
+                this.resultRevisions = null;
+                this.refreshResults();
+                if (this.historyRaceId) this.eventBus?.emit('championship:loadResultHistory', { championshipId, raceId });
+                return;
+            }
+
+            const revert = event.target.closest('.results-revert-btn');
+            if (revert) {
+                const { championshipId, raceId, revisionId, revisionNumber } = revert.dataset;
+                if (!confirm(`Revert this race to revision #${revisionNumber}? Standings will be recalculated.`)) return;
+                this.eventBus?.emit('championship:revertResults', { championshipId, raceId, revisionId });
+            }
+        });
+
+        content.addEventListener('change', (event) => {
+            const addDriver = event.target.closest('.results-crew-add');
+            if (!addDriver?.value) return;
+            this.updateCrewLineup(addDriver, [...this.crewLineup(addDriver), addDriver.value]);
+        });
+
+        content.addEventListener('submit', (event) => {
+            const crewForm = event.target.closest('.results-crew-form');
+            if (crewForm) {
+                event.preventDefault();
+                const driveTimes = Object.fromEntries([...crewForm.querySelectorAll('[data-crew-entry]')].map(block => [
+                    block.dataset.crewEntry,
+                    Object.fromEntries([...block.querySelectorAll('.crew-drive-time')].map(input => [input.dataset.driverId, input.value]))
+                ]));
+                const { championshipId, raceId } = crewForm.dataset;
+                this.eventBus?.emit('championship:updateRaceCrews', { championshipId, raceId, driveTimes });
+                return;
+            }
+
+            const strategyForm = event.target.closest('.results-pit-stop-form, .results-starting-tyre-form');
+            if (strategyForm) {
+                event.preventDefault();
+                const { strategyChampionship: championshipId, strategyRace: raceId } = strategyForm.closest('[data-strategy-race]').dataset;
+                const data = Object.fromEntries(new FormData(strategyForm));
+                if (strategyForm.matches('.results-pit-stop-form')) {
+                    this.eventBus?.emit('championship:addPitStop', { championshipId, raceId, stop: data });
+                } else {
+                    this.eventBus?.emit('championship:setStartingTyre', { championshipId, raceId, ...data });
+                }
+                return;
+            }
+
+            const form = event.target.closest('.results-penalty-form');
+            if (!form) return;
+            event.preventDefault();
+            const { penaltyChampionship: championshipId, penaltyRace: raceId } = form.closest('[data-penalty-race]').dataset;
+            const data = Object.fromEntries(new FormData(form));
+            this.pendingPenaltyRaceId = raceId;
+            this.eventBus?.emit('championship:applyPenalty', { championshipId, penalty: { ...data, raceId } });
+        });
+
+        this.listen('championships:userLoaded', () => this.refreshResults());
+        // The rescored results arrive with the refreshed championships
+        this.listen('championship:penaltyApplied', ({ penalty }) => {
+            this.penaltyRaceId = null;
+            this.refreshResults();
+            this.showPenaltyMessage(penalty.raceId, `Penalty applied: ${describePenalty(penalty)}`);
+        });
+        this.listen('championship:penaltyRevoked', () => {
+            this.refreshResults();
+            this.showPenaltyMessage(this.pendingPenaltyRaceId, 'Penalty removed');
+        });
+        // The new crews arrive with the refreshed championships
+        this.listen('championship:crewsUpdated', () => {
+            this.refreshResults();
+            this.showCrewMessage('Crews saved');
+        });
+        this.listen('championship:strategyUpdated', ({ type }) => {
+            this.refreshResults();
+            this.showStrategyMessage({ addPitStop: 'Pit stop added', removePitStop: 'Pit stop removed', setStartingTyre: 'Starting tyre saved' }[type]);
+        });
+        this.listen('championship:resultHistoryLoaded', ({ raceId, revisions }) => {
+            if (raceId !== this.historyRaceId) return;
+            this.resultRevisions = revisions;
+            this.refreshResults();
+        });
+        // The reverted results arrive with the refreshed championships; the history gains the revert
+        this.listen('championship:resultsReverted', ({ championshipId, raceId }) => {
+            if (raceId !== this.historyRaceId) return;
+            this.eventBus?.emit('championship:loadResultHistory', { championshipId, raceId });
+        });
+        this.listen('championship:error', ({ type, error }) => {
+            if (['loadResultHistory', 'revertResults'].includes(type)) this.showHistoryMessage(error, true);
+            if (type === 'updateRaceCrews') this.showCrewMessage(error, true);
+            if (['addPitStop', 'removePitStop', 'setStartingTyre'].includes(type)) this.showStrategyMessage(error, true);
+            if (['applyPenalty', 'revokePenalty'].includes(type)) this.showPenaltyMessage(this.pendingPenaltyRaceId, error, true);
+        });
+    }
+
+    // Championships shown on the calendar: the user's, plus the one currently open
+    getCalendarChampionships() {
+        const championships = [...(this.stateManager?.getState('championships.userChampionships') || [])];
+        const active = this.stateManager?.getState('championships.active');
+        if (active && !championships.some(championship => championship.id === active.id)) {
+            championships.push(active);
+        }
+        return championships;
+    }
+
+    getCalendarEvents() {
+        const visible = this.getCalendarChampionships()
+            .filter(championship => !this.hiddenChampionships.has(championship.id));
+        return buildCalendarEvents(visible);
+    }
+
+    // Local-time formatting helpers (the viewer's own time zone)
+    formatEventTime(event) {
+        if (event.allDay) return 'All day';
+        return event.start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    sameDay(a, b) {
+        return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+    }
+
+    championshipColor(championshipId) {
+        const colors = ['bg-orange-500', 'bg-blue-500', 'bg-green-500', 'bg-purple-500', 'bg-pink-500', 'bg-yellow-500'];
+        const index = this.getCalendarChampionships().findIndex(championship => championship.id === championshipId);
+        return colors[Math.max(0, index) % colors.length];
+    }
+
+    renderCalendarEvent(event) {
+        return `
+            <div class="flex items-center space-x-2 text-xs truncate" title="${event.raceName} - ${event.label} (${event.championshipName})">
+                <span class="w-2 h-2 rounded-full flex-shrink-0 ${this.championshipColor(event.championshipId)}"></span>
+                <span class="truncate">${event.allDay ? '' : `${this.formatEventTime(event)} `}${event.session ? event.label : event.raceName}</span>
+            </div>
+        `;
+    }
+
+    renderMonthView(events) {
+        const year = this.calendarDate.getFullYear();
+        const month = this.calendarDate.getMonth();
+        const firstWeekday = new Date(year, month, 1).getDay();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        const today = new Date();
+
+        return `
+            <div class="grid grid-cols-7 gap-1 text-sm">
+                ${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => `<div class="p-2 text-gray-400 font-semibold text-center">${day}</div>`).join('')}
+                ${Array.from({ length: firstWeekday }, () => '<div></div>').join('')}
+                ${Array.from({ length: daysInMonth }, (_, i) => {
+                    const date = new Date(year, month, i + 1);
+                    const dayEvents = events.filter(event => this.sameDay(event.start, date));
+                    return `
+                        <div class="p-1 h-24 border border-gray-700 overflow-hidden ${dayEvents.length ? 'bg-orange-600/10 border-orange-500/50' : ''}">
+                            <span class="text-xs ${this.sameDay(date, today) ? 'text-orange-400 font-bold' : ''}">${i + 1}</span>
+                            <div class="space-y-1 mt-1">${dayEvents.map(event => this.renderCalendarEvent(event)).join('')}</div>
                         </div>
-                        
-                        <!-- Podium -->
-                        <div class="grid grid-cols-3 gap-4 mb-4">
-                            <div class="text-center">
-                                <div class="w-12 h-12 bg-yellow-500 rounded-full mx-auto mb-2 flex items-center justify-center font-bold">1</div>
-                                <p class="font-semibold">Max Verstappen</p>
-                                <p class="text-sm text-gray-400">1:34:12.456</p>
-                            </div>
-                            <div class="text-center">
-                                <div class="w-12 h-12 bg-gray-400 rounded-full mx-auto mb-2 flex items-center justify-center font-bold">2</div>
-                                <p class="font-semibold">Lando Norris</p>
-                                <p class="text-sm text-gray-400">+3.287</p>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    renderWeekView(events) {
+        const start = new Date(this.calendarDate);
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - start.getDay());
+
+        return `
+            <div class="grid grid-cols-7 gap-2 text-sm">
+                ${Array.from({ length: 7 }, (_, i) => {
+                    const date = new Date(start);
+                    date.setDate(start.getDate() + i);
+                    const dayEvents = events.filter(event => this.sameDay(event.start, date));
+                    return `
+                        <div class="border border-gray-700 rounded p-2 min-h-48">
+                            <div class="text-gray-400 font-semibold mb-2">${date.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}</div>
+                            <div class="space-y-2">
+                                ${dayEvents.map(event => `
+                                    <div class="p-2 rounded bg-black/20">
+                                        <div class="font-semibold text-xs">${this.formatEventTime(event)}</div>
+                                        ${this.renderCalendarEvent(event)}
+                                        <div class="text-xs text-gray-400 truncate">${event.raceName}</div>
+                                    </div>
+                                `).join('') || '<span class="text-xs text-gray-600">—</span>'}
                             </div>
-                            <div class="text-center">
-                                <div class="w-12 h-12 bg-orange-600 rounded-full mx-auto mb-2 flex items-center justify-center font-bold">3</div>
-                                <p class="font-semibold">Charles Leclerc</p>
-                                <p class="text-sm text-gray-400">+8.901</p>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    renderListView(events) {
+        const now = new Date();
+        const upcoming = events.filter(event => event.end >= now);
+        if (upcoming.length === 0) {
+            return '<p class="text-gray-400">No upcoming sessions in the selected championships.</p>';
+        }
+
+        return `
+            <div class="divide-y divide-gray-700">
+                ${upcoming.map(event => `
+                    <div class="flex items-center justify-between py-3">
+                        <div class="flex items-center space-x-3">
+                            <div class="w-2 h-2 rounded-full ${this.championshipColor(event.championshipId)}"></div>
+                            <div>
+                                <div class="font-semibold">${event.raceName}${event.session ? ` <span class="text-gray-400 font-normal">· ${event.label}</span>` : ''}</div>
+                                <div class="text-sm text-gray-400">${event.championshipName}${event.round ? ` · Round ${event.round}` : ''}${event.circuit ? ` · ${event.circuit}` : ''}</div>
                             </div>
                         </div>
+                        <div class="text-right text-sm">
+                            <div>${event.start.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })}</div>
+                            <div class="text-gray-400">${this.formatEventTime(event)}</div>
+                        </div>
                     </div>
                 `).join('')}
             </div>
@@ -324,63 +1299,584 @@ export default class RacesPage {
     }
 
     renderRaceCalendar() {
+        const championships = this.getCalendarChampionships();
+        const events = this.getCalendarEvents();
+        const views = { month: 'Month', week: 'Week', list: 'List' };
+        const heading = this.calendarView === 'list' ?
+            'Upcoming sessions' :
+            this.calendarDate.toLocaleDateString([], this.calendarView === 'week' ?
+                { day: 'numeric', month: 'long', year: 'numeric' } :
+                { month: 'long', year: 'numeric' });
+
+        if (championships.length === 0) {
+            return `
+                <div class="glass-card rounded-lg p-6 text-center text-gray-400">
+                    Join or create a championship to see its races on the calendar.
+                </div>
+            `;
+        }
+
         return `
             <div class="glass-card rounded-lg p-6">
-                <div class="mb-6">
-                    <div class="flex items-center justify-between mb-4">
-                        <h3 class="text-xl font-bold">May 2024</h3>
-                        <div class="flex space-x-2">
-                            <button class="p-2 hover:bg-gray-800 rounded">
-                                <i data-feather="chevron-left" class="w-4 h-4"></i>
-                            </button>
-                            <button class="p-2 hover:bg-gray-800 rounded">
-                                <i data-feather="chevron-right" class="w-4 h-4"></i>
-                            </button>
-                        </div>
+                <div class="flex flex-col md:flex-row md:items-center justify-between mb-4 space-y-3 md:space-y-0">
+                    <div>
+                        <h3 class="text-xl font-bold">${this.calendarView === 'week' ? `Week of ${heading}` : heading}</h3>
+                        <p class="text-xs text-gray-400">Times shown in your time zone (${viewerTimeZone()})</p>
                     </div>
-                    
-                    <!-- Calendar Grid -->
-                    <div class="grid grid-cols-7 gap-1 text-center text-sm">
-                        <div class="p-2 text-gray-400 font-semibold">Sun</div>
-                        <div class="p-2 text-gray-400 font-semibold">Mon</div>
-                        <div class="p-2 text-gray-400 font-semibold">Tue</div>
-                        <div class="p-2 text-gray-400 font-semibold">Wed</div>
-                        <div class="p-2 text-gray-400 font-semibold">Thu</div>
-                        <div class="p-2 text-gray-400 font-semibold">Fri</div>
-                        <div class="p-2 text-gray-400 font-semibold">Sat</div>
-                        
-                        ${Array.from({length: 31}, (_, i) => {
-                            const day = i + 1;
-                            const hasRace = [12, 19, 26].includes(day);
-                            return `
-                                <div class="p-2 h-12 border border-gray-700 relative ${hasRace ? 'bg-orange-600/20 border-orange-500' : ''}">
-                                    <span class="text-xs">${day}</span>
-                                    ${hasRace ? '<div class="absolute bottom-1 left-1 w-1 h-1 bg-orange-500 rounded-full"></div>' : ''}
-                                </div>
-                            `;
-                        }).join('')}
+                    <div class="flex items-center space-x-2">
+                        ${this.calendarView !== 'list' ? `
+                            <button class="p-2 hover:bg-gray-800 rounded" data-calendar-action="previous"><i data-feather="chevron-left" class="w-4 h-4"></i></button>
+                            <button class="px-3 py-1 text-sm hover:bg-gray-800 rounded" data-calendar-action="today">Today</button>
+                            <button class="p-2 hover:bg-gray-800 rounded" data-calendar-action="next"><i data-feather="chevron-right" class="w-4 h-4"></i></button>
+                        ` : ''}
+                        ${Object.entries(views).map(([view, label]) => `
+                            <button class="px-3 py-1 text-sm rounded ${this.calendarView === view ? 'bg-orange-600 text-white' : 'border border-gray-600 hover:bg-gray-800'}" data-calendar-view="${view}">${label}</button>
+                        `).join('')}
                     </div>
                 </div>
-                
-                <!-- Upcoming Events -->
-                <div>
-                    <h4 class="font-semibold mb-3">Upcoming Events</h4>
+
+                ${this.calendarView === 'month' ? this.renderMonthView(events) : ''}
+                ${this.calendarView === 'week' ? this.renderWeekView(events) : ''}
+                ${this.calendarView === 'list' ? this.renderListView(events) : ''}
+
+                <!-- Championships: show/hide, export and subscribe -->
+                <div class="mt-6">
+                    <h4 class="font-semibold mb-3">Championships</h4>
                     <div class="space-y-2">
-                        <div class="flex items-center space-x-3 py-2">
-                            <div class="w-2 h-2 bg-orange-500 rounded-full"></div>
-                            <span class="text-sm">Monaco GP - May 26</span>
-                        </div>
-                        <div class="flex items-center space-x-3 py-2">
-                            <div class="w-2 h-2 bg-blue-500 rounded-full"></div>
-                            <span class="text-sm">Indy 500 - May 28</span>
-                        </div>
-                        <div class="flex items-center space-x-3 py-2">
-                            <div class="w-2 h-2 bg-green-500 rounded-full"></div>
-                            <span class="text-sm">Spa 6H - June 1</span>
-                        </div>
+                        ${championships.map(championship => `
+                            <div class="flex flex-col md:flex-row md:items-center justify-between py-2 space-y-2 md:space-y-0">
+                                <label class="flex items-center space-x-3 text-sm">
+                                    <input type="checkbox" class="calendar-championship-toggle" data-championship-id="${championship.id}" ${this.hiddenChampionships.has(championship.id) ? '' : 'checked'}>
+                                    <span class="w-2 h-2 rounded-full ${this.championshipColor(championship.id)}"></span>
+                                    <span>${championship.name}</span>
+                                </label>
+                                <div class="flex items-center space-x-2 text-sm">
+                                    <button class="px-3 py-1 border border-gray-600 rounded hover:bg-gray-800" data-export-ics="${championship.id}">
+                                        <i data-feather="download" class="w-3 h-3 mr-1"></i>.ics
+                                    </button>
+                                    ${championship.calendarFeedUrl ? `
+                                        <a class="px-3 py-1 border border-gray-600 rounded hover:bg-gray-800" href="${championship.calendarFeedUrl.replace(/^https?:/, 'webcal:')}">Subscribe</a>
+                                        <button class="px-3 py-1 border border-gray-600 rounded hover:bg-gray-800" data-copy-feed="${championship.calendarFeedUrl}">Copy feed URL</button>
+                                    ` : `
+                                        <button class="px-3 py-1 border border-gray-600 rounded hover:bg-gray-800" data-publish-calendar="${championship.id}">Create subscription feed</button>
+                                    `}
+                                </div>
+                            </div>
+                        `).join('')}
                     </div>
                 </div>
             </div>
         `;
     }
-}
\ No newline at end of file
+
+    refreshCalendar() {
+        const content = document.getElementById('races-content');
+        if (this.activeView !== 'calendar' || !content) return;
+        content.innerHTML = this.renderRaceCalendar();
+        if (window.feather) feather.replace();
+    }
+
+    downloadCalendar(championshipId) {
+        const championship = this.getCalendarChampionships().find(c => c.id === championshipId);
+        if (!championship) return;
+
+        const blob = new Blob([toICalendar(championship)], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${championship.name.toLowerCase().replace(/\s+/g, '-')}.ics`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    setupCalendar() {
+        const content = document.getElementById('races-content');
+
+        content.addEventListener('click', (event) => {
+            const target = event.target.closest('[data-calendar-action], [data-calendar-view], [data-export-ics], [data-publish-calendar], [data-copy-feed]');
+            if (!target) return;
+
+            const { calendarAction, calendarView, exportIcs, publishCalendar, copyFeed } = target.dataset;
+            if (calendarAction) {
+                const step = calendarAction === 'previous' ? -1 : 1;
+                const date = new Date(this.calendarDate);
+                if (calendarAction === 'today') {
+                    this.calendarDate = new Date();
+                } else if (this.calendarView === 'week') {
+                    date.setDate(date.getDate() + step * 7);
+                    this.calendarDate = date;
+                } else {
+                    this.calendarDate = new Date(date.getFullYear(), date.getMonth() + step, 1);
+                }
+            }
+            if (calendarView) this.calendarView = calendarView;
+            if (exportIcs) {
+                this.downloadCalendar(exportIcs);
+                return;
+            }
+            if (publishCalendar) {
+                target.disabled = true;
+                target.textContent = 'Publishing...';
+                this.eventBus?.emit('championship:publishCalendar', { championshipId: publishCalendar });
+                return;
+            }
+            if (copyFeed) {
+                navigator.clipboard?.writeText(copyFeed);
+                target.textContent = 'Copied!';
+                return;
+            }
+            this.refreshCalendar();
+        });
+
+        content.addEventListener('change', (event) => {
+            if (!event.target.classList.contains('calendar-championship-toggle')) return;
+            const { championshipId } = event.target.dataset;
+            if (event.target.checked) {
+                this.hiddenChampionships.delete(championshipId);
+            } else {
+                this.hiddenChampionships.add(championshipId);
+            }
+            this.refreshCalendar();
+        });
+
+        // Championship data (new races, session times, published feeds) changes underneath the calendar
+        this.listen('championships:userLoaded', () => this.refreshCalendar());
+        this.listen('championship:calendarPublished', () => this.refreshCalendar());
+    }
+
+    // Weekend formats: the session list of each race (see scoring/RaceSessions.js)
+
+    // Races whose format the user may change, in their championships' schedule order
+    getFormatRaces() {
+        const user = this.stateManager?.getState('auth.user');
+        if (!user) return [];
+
+        return this.getCalendarChampionships()
+            .filter(championship => can(championship, user.uid, PERMISSIONS.EDIT_SETTINGS))
+            .flatMap(championship => (championship.races || []).map(race => ({ championship, race })));
+    }
+
+    renderSessionFormats() {
+        const races = this.getFormatRaces();
+        if (races.length === 0) {
+            return `
+                <div class="glass-card rounded-lg p-8 text-center text-gray-400">
+                    <i data-feather="sliders" class="w-8 h-8 mx-auto mb-2"></i>
+                    <p>Races of the championships you organize appear here, to set their practice, qualifying and race sessions.</p>
+                </div>
+            `;
+        }
+
+        const selected = races.find(({ championship, race }) =>
+            championship.id === this.sessionDraft?.championshipId && race.id === this.sessionDraft?.raceId) || races[0];
+        if (this.sessionDraft?.raceId !== selected.race.id || this.sessionDraft?.championshipId !== selected.championship.id) {
+            this.sessionDraft = {
+                championshipId: selected.championship.id,
+                raceId: selected.race.id,
+                sessions: raceSessions(selected.race).map(session => ({ ...session }))
+            };
+        }
+        const { sessions } = this.sessionDraft;
+        const tables = Object.keys(PointsEngine.forChampionship(selected.championship).system.sessions);
+        const inputClasses = 'bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white';
+
+        return `
+            <div class="glass-card rounded-lg p-6" data-session-editor>
+                <div id="session-format-message" class="hidden mb-4 p-3 rounded-lg text-sm"></div>
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+                    <select data-sessions-race class="md:col-span-2 ${inputClasses} py-2">
+                        ${races.map(({ championship, race }) => `
+                            <option value="${championship.id}|${race.id}" ${race === selected.race ? 'selected' : ''}>${championship.name} - ${race.name || `Round ${race.round}`}</option>
+                        `).join('')}
+                    </select>
+                    <select data-sessions-format class="${inputClasses} py-2">
+                        <option value="">Start from a format…</option>
+                        ${Object.entries(SESSION_FORMATS).map(([value, { label }]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                <table class="w-full text-sm mb-3">
+                    <thead>
+                        <tr class="text-gray-400 text-left border-b border-gray-700">
+                            <th class="py-2 pr-2">Session</th>
+                            <th class="py-2 pr-2">Type</th>
+                            <th class="py-2 pr-2">Points table</th>
+                            <th class="py-2 pr-2">Sets grid for</th>
+                            <th class="py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sessions.map((session, index) => `
+                            <tr data-session-index="${index}" class="border-b border-gray-800">
+                                <td class="py-2 pr-2"><input type="text" value="${session.name}" data-session-field="name" class="w-full ${inputClasses}"></td>
+                                <td class="py-2 pr-2">
+                                    <select data-session-field="type" class="${inputClasses}">
+                                        ${Object.entries(SESSION_TYPES).map(([value, { label }]) => `
+                                            <option value="${value}" ${session.type === value ? 'selected' : ''}>${label}</option>
+                                        `).join('')}
+                                    </select>
+                                </td>
+                                <td class="py-2 pr-2">
+                                    <select data-session-field="scoring" class="${inputClasses}">
+                                        <option value="">No points</option>
+                                        ${tables.map(table => `
+                                            <option value="${table}" ${session.scoring === table ? 'selected' : ''}>${table.charAt(0).toUpperCase() + table.slice(1)}</option>
+                                        `).join('')}
+                                        ${session.scoring && typeof session.scoring === 'object' ? '<option value="custom" selected>Custom table</option>' : ''}
+                                    </select>
+                                </td>
+                                <td class="py-2 pr-2">
+                                    <select data-session-field="gridFor" class="${inputClasses}">
+                                        <option value="">—</option>
+                                        ${sessions.filter(other => other.id !== session.id).map(other => `
+                                            <option value="${other.id}" ${session.gridFor === other.id ? 'selected' : ''}>${other.name}</option>
+                                        `).join('')}
+                                    </select>
+                                </td>
+                                <td class="py-2 text-right">
+                                    <button class="px-2 py-1 text-xs bg-red-600 hover:bg-red-700 rounded" data-sessions-action="remove" data-session-index="${index}" ${sessions.length === 1 ? 'disabled' : ''}>&times;</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p class="text-xs text-gray-400 mb-4">Results entered for a session you remove are kept, but no longer scored.</p>
+                <div class="flex space-x-2">
+                    <button class="px-4 py-2 border border-gray-600 rounded-lg hover:bg-gray-800" data-sessions-action="add">Add Session</button>
+                    <button class="racing-btn px-4 py-2" data-sessions-action="save">Save Sessions</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Read the editor back into the draft; ids stay fixed so renaming a session keeps its results
+    collectSessionDraft() {
+        const draft = this.sessionDraft;
+        document.querySelectorAll('[data-session-editor] tr[data-session-index]').forEach(row => {
+            const session = draft.sessions[row.dataset.sessionIndex];
+            if (!session) return;
+            const field = name => row.querySelector(`[data-session-field="${name}"]`).value;
+            const scoring = field('scoring');
+            Object.assign(session, {
+                name: field('name').trim() || session.id,
+                type: field('type'),
+                scoring: scoring === 'custom' ? session.scoring : (scoring || null),
+                gridFor: field('gridFor') || null
+            });
+        });
+        return draft;
+    }
+
+    showSessionFormatMessage(message, isError = false) {
+        const box = document.getElementById('session-format-message');
+        if (!box) return;
+        box.textContent = message;
+        box.className = `mb-4 p-3 rounded-lg text-sm ${isError ? 'bg-red-600/20 text-red-400' : 'bg-green-600/20 text-green-400'}`;
+    }
+
+    refreshSessionFormats() {
+        const content = document.getElementById('races-content');
+        if (this.activeView !== 'formats' || !content) return;
+        content.innerHTML = this.renderSessionFormats();
+        if (window.feather) feather.replace();
+    }
+
+    setupSessionFormats() {
+        const content = document.getElementById('races-content');
+
+        content.addEventListener('click', (event) => {
+            const target = event.target.closest('[data-sessions-action]');
+            if (!target || !this.sessionDraft) return;
+            const draft = this.collectSessionDraft();
+
+            switch (target.dataset.sessionsAction) {
+                case 'add': {
+                    const name = `Session ${draft.sessions.length + 1}`;
+                    draft.sessions.push({ id: sessionIdFor(name, draft.sessions.map(s => s.id)), name, type: 'race', scoring: null, gridFor: null });
+                    break;
+                }
+                case 'remove': {
+                    const [removed] = draft.sessions.splice(Number(target.dataset.sessionIndex), 1);
+                    draft.sessions.forEach(session => {
+                        if (session.gridFor === removed?.id) session.gridFor = null;
+                    });
+                    break;
+                }
+                case 'save':
+                    this.eventBus?.emit('championship:setRaceSessions', {
+                        championshipId: draft.championshipId,
+                        raceId: draft.raceId,
+                        sessions: draft.sessions
+                    });
+                    return;
+            }
+            this.refreshSessionFormats();
+        });
+
+        content.addEventListener('change', (event) => {
+            if (event.target.matches('[data-sessions-race]')) {
+                const [championshipId, raceId] = event.target.value.split('|');
+                this.sessionDraft = { championshipId, raceId, sessions: [] };
+                const { race } = this.getFormatRaces()
+                    .find(({ championship, race }) => championship.id === championshipId && race.id === raceId);
+                this.sessionDraft.sessions = raceSessions(race).map(session => ({ ...session }));
+                this.refreshSessionFormats();
+            } else if (event.target.matches('[data-sessions-format]') && SESSION_FORMATS[event.target.value]) {
+                this.sessionDraft.sessions = SESSION_FORMATS[event.target.value].sessions
+                    .map(session => ({ gridFor: null, ...session }));
+                this.refreshSessionFormats();
+            }
+        });
+
+        this.listen('championship:raceSessionsUpdated', () => {
+            this.sessionDraft = null;
+            this.refreshSessionFormats();
+            this.showSessionFormatMessage('Race sessions saved');
+        });
+        this.listen('championship:error', ({ type, error }) => {
+            if (type === 'setRaceSessions') this.showSessionFormatMessage(error, true);
+        });
+    }
+
+    // Races of the championships where the user enters results, whose grids they set
+    getGridRaces() {
+        const user = this.stateManager?.getState('auth.user');
+        if (!user) return [];
+
+        return this.getCalendarChampionships()
+            .filter(championship => can(championship, user.uid, PERMISSIONS.ENTER_RESULTS))
+            .flatMap(championship => (championship.races || []).map(race => ({ championship, race })));
+    }
+
+    selectedGridRace() {
+        const races = this.getGridRaces();
+        return races.find(({ championship, race }) =>
+            championship.id === this.gridDraft?.championshipId && race.id === this.gridDraft?.raceId) || races[0] || null;
+    }
+
+    /**
+     * Start editing a session's grid: the stored grid, else a preview generated from the session's rule
+     */
+    loadGridDraft(championshipId, raceId, session) {
+        const selected = championshipId ?
+            this.getGridRaces().find(({ championship, race }) => championship.id === championshipId && race.id === raceId) :
+            this.selectedGridRace();
+        if (!selected) return;
+
+        const { championship, race } = selected;
+        const gridSession = raceSessions(race).some(s => s.id === session && s.type === 'race') ? session : mainRaceSession(race);
+        const stored = race.grids?.[gridSession];
+        this.gridDraft = {
+            championshipId: championship.id,
+            raceId: race.id,
+            session: gridSession,
+            rule: gridRuleFor(race, gridSession),
+            slots: stored ? stored.order.map((driverId, index) => ({ driverId, slot: index + 1, reversed: false, drop: 0 })) : null
+        };
+        if (!stored) this.requestGrid();
+        this.refreshGrids();
+    }
+
+    requestGrid() {
+        const { championshipId, raceId, session, rule } = this.gridDraft;
+        this.gridDraft.slots = null;
+        this.eventBus?.emit('championship:previewGrid', { championshipId, raceId, session, rule });
+    }
+
+    renderGrids() {
+        const selected = this.selectedGridRace();
+        if (!selected) {
+            return `
+                <div class="glass-card rounded-lg p-8 text-center text-gray-400">
+                    <i data-feather="grid" class="w-8 h-8 mx-auto mb-2"></i>
+                    <p>Races of the championships you enter results for appear here, to set their starting grids.</p>
+                </div>
+            `;
+        }
+
+        const { championship, race } = selected;
+        const draft = this.gridDraft?.raceId === race.id && this.gridDraft?.championshipId === championship.id ? this.gridDraft : null;
+        const session = draft?.session || mainRaceSession(race);
+        const rule = draft?.rule || gridRuleFor(race, session);
+        const stored = race.grids?.[session];
+        const locked = Boolean(stored?.locked);
+        const slots = draft?.slots;
+        const inputClasses = 'bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white';
+
+        return `
+            <div class="glass-card rounded-lg p-6" data-grid-editor>
+                <div id="grid-message" class="hidden mb-4 p-3 rounded-lg text-sm"></div>
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+                    <select data-grid-race class="md:col-span-2 ${inputClasses} py-2">
+                        ${this.getGridRaces().map(({ championship: c, race: r }) => `
+                            <option value="${c.id}|${r.id}" ${r === race ? 'selected' : ''}>${c.name} - ${r.name || `Round ${r.round}`}</option>
+                        `).join('')}
+                    </select>
+                    <select data-grid-session class="${inputClasses} py-2">
+                        ${raceSessions(race).filter(s => s.type === 'race').map(({ id, name }) => `
+                            <option value="${id}" ${id === session ? 'selected' : ''}>${name}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="grid grid-cols-1 md:grid-cols-4 gap-3 mb-4 text-sm">
+                    <label class="flex flex-col space-y-1">
+                        <span class="text-gray-400">Grid from</span>
+                        <select data-grid-field="source" class="${inputClasses}" ${locked ? 'disabled' : ''}>
+                            ${Object.entries(GRID_SOURCES).map(([value, label]) => `<option value="${value}" ${rule.source === value ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="flex flex-col space-y-1 ${rule.source === 'session' ? '' : 'hidden'}">
+                        <span class="text-gray-400">Source session</span>
+                        <select data-grid-field="sourceSession" class="${inputClasses}" ${locked ? 'disabled' : ''}>
+                            ${raceSessions(race).filter(s => s.id !== session).map(({ id, name }) => `
+                                <option value="${id}" ${rule.sourceSession === id ? 'selected' : ''}>${name}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label class="flex flex-col space-y-1">
+                        <span class="text-gray-400">Reverse top</span>
+                        <input type="number" min="0" data-grid-field="reverseTop" value="${rule.reverseTop || ''}" placeholder="None" class="${inputClasses}" ${locked ? 'disabled' : ''}>
+                    </label>
+                    <label class="flex items-center space-x-2 md:mt-6">
+                        <input type="checkbox" data-grid-field="applyPenalties" ${rule.applyPenalties ? 'checked' : ''} ${locked ? 'disabled' : ''}>
+                        <span>Apply grid penalties</span>
+                    </label>
+                </div>
+                ${locked ? `<p class="mb-4 p-3 rounded-lg text-sm bg-blue-600/20 text-blue-300">Grid locked${stored.lockedAt ? ` ${new Date(stored.lockedAt).toLocaleString()}` : ''}. Unlock it to make changes.</p>` : ''}
+                ${!slots ? '<p class="text-gray-400 mb-4">Generating grid...</p>' : slots.length === 0 ? '<p class="text-gray-400 mb-4">No drivers to line up yet.</p>' : `
+                    <table class="w-full text-sm mb-4">
+                        <thead>
+                            <tr class="text-gray-400 text-left border-b border-gray-700">
+                                <th class="py-2 pr-2">Grid</th>
+                                <th class="py-2 pr-2">${(championship.entries || []).length ? 'Entry' : 'Driver'}</th>
+                                <th class="py-2 pr-2"></th>
+                                <th class="py-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${slots.map(({ driverId, slot, reversed, drop }, index) => {
+                                const competitor = findCompetitor(championship, driverId);
+                                return `
+                                    <tr class="border-b border-gray-800">
+                                        <td class="py-2 pr-2 font-semibold">P${index + 1}</td>
+                                        <td class="py-2 pr-2">${competitor?.number ? `#${competitor.number} ` : ''}${competitor?.name || driverId}</td>
+                                        <td class="py-2 pr-2">
+                                            ${reversed ? '<span class="px-2 py-0.5 rounded text-xs bg-blue-600/20 text-blue-300">Reversed</span>' : ''}
+                                            ${drop ? `<span class="px-2 py-0.5 rounded text-xs bg-yellow-600/20 text-yellow-400" title="From P${slot}">+${drop} grid penalty</span>` : ''}
+                                        </td>
+                                        <td class="py-2 text-right">
+                                            <button class="px-2 py-1 text-xs border border-gray-600 rounded hover:bg-gray-800" data-grid-action="move" data-index="${index}" data-offset="-1" ${locked || index === 0 ? 'disabled' : ''}>&uarr;</button>
+                                            <button class="px-2 py-1 text-xs border border-gray-600 rounded hover:bg-gray-800" data-grid-action="move" data-index="${index}" data-offset="1" ${locked || index === slots.length - 1 ? 'disabled' : ''}>&darr;</button>
+                                        </td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                `}
+                <div class="flex space-x-2">
+                    <button class="px-4 py-2 border border-gray-600 rounded-lg hover:bg-gray-800" data-grid-action="generate" ${locked ? 'disabled' : ''}>${rule.source === 'random' ? 'Draw Grid' : 'Generate Grid'}</button>
+                    <button class="racing-btn px-4 py-2" data-grid-action="save" ${locked || !slots ? 'disabled' : ''}>Save Grid</button>
+                    <button class="px-4 py-2 border border-gray-600 rounded-lg hover:bg-gray-800" data-grid-action="lock" ${!slots ? 'disabled' : ''}>${locked ? 'Unlock Grid' : 'Lock Grid'}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Read the rule fields back into the draft, keeping the draw seed of the current rule
+    collectGridRule() {
+        const draft = this.gridDraft;
+        const field = name => document.querySelector(`[data-grid-editor] [data-grid-field="${name}"]`);
+        if (!draft || !field('source')) return draft?.rule;
+        draft.rule = {
+            ...draft.rule,
+            source: field('source').value,
+            sourceSession: field('sourceSession')?.value || null,
+            reverseTop: field('reverseTop').value,
+            applyPenalties: field('applyPenalties').checked
+        };
+        return draft.rule;
+    }
+
+    showGridMessage(message, isError = false) {
+        const box = document.getElementById('grid-message');
+        if (!box) return;
+        box.textContent = message;
+        box.className = `mb-4 p-3 rounded-lg text-sm ${isError ? 'bg-red-600/20 text-red-400' : 'bg-green-600/20 text-green-400'}`;
+    }
+
+    refreshGrids() {
+        const content = document.getElementById('races-content');
+        if (this.activeView !== 'grids' || !content) return;
+        content.innerHTML = this.renderGrids();
+        if (window.feather) feather.replace();
+    }
+
+    setupGrids() {
+        const content = document.getElementById('races-content');
+
+        content.addEventListener('click', (event) => {
+            const target = event.target.closest('[data-grid-action]');
+            if (!target || !this.gridDraft) return;
+            const draft = this.gridDraft;
+            const rule = this.collectGridRule();
+
+            switch (target.dataset.gridAction) {
+                case 'move': {
+                    const index = Number(target.dataset.index);
+                    const swap = index + Number(target.dataset.offset);
+                    if (!draft.slots || swap < 0 || swap >= draft.slots.length) return;
+                    [draft.slots[index], draft.slots[swap]] = [draft.slots[swap], draft.slots[index]];
+                    break;
+                }
+                case 'generate':
+                    this.requestGrid();
+                    break;
+                case 'save':
+                case 'lock':
+                    this.eventBus?.emit('championship:saveGrid', {
+                        championshipId: draft.championshipId,
+                        raceId: draft.raceId,
+                        session: draft.session,
+                        rule,
+                        order: (draft.slots || []).map(slot => slot.driverId),
+                        lock: target.dataset.gridAction === 'lock'
+                    });
+                    return;
+            }
+            this.refreshGrids();
+        });
+
+        content.addEventListener('change', (event) => {
+            if (event.target.matches('[data-grid-race]')) {
+                const [championshipId, raceId] = event.target.value.split('|');
+                this.loadGridDraft(championshipId, raceId);
+            } else if (event.target.matches('[data-grid-session]') && this.gridDraft) {
+                this.loadGridDraft(this.gridDraft.championshipId, this.gridDraft.raceId, event.target.value);
+            } else if (event.target.matches('[data-grid-field="source"]')) {
+                this.collectGridRule();
+                this.refreshGrids();
+            }
+        });
+
+        this.listen('championship:gridGenerated', ({ championshipId, raceId, session, rule, slots }) => {
+            const draft = this.gridDraft;
+            if (draft?.championshipId !== championshipId || draft.raceId !== raceId || draft.session !== session) return;
+            Object.assign(draft, { rule, slots });
+            this.refreshGrids();
+        });
+        // The saved grid arrives with the refreshed championships
+        this.listen('championship:gridSaved', ({ championshipId, raceId, session, grid, lock }) => {
+            const draft = this.gridDraft;
+            if (draft?.championshipId !== championshipId || draft.raceId !== raceId || draft.session !== session) return;
+            this.loadGridDraft(championshipId, raceId, session);
+            this.showGridMessage(grid.locked ? 'Grid locked' : lock ? 'Grid unlocked' : 'Grid saved');
+        });
+        this.listen('championship:error', ({ type, error }) => {
+            if (type === 'previewGrid' && this.gridDraft && !this.gridDraft.slots) this.gridDraft.slots = [];
+            if (['previewGrid', 'saveGrid'].includes(type)) {
+                this.refreshGrids();
+                this.showGridMessage(error, true);
+            }
+        });
+    }
+}
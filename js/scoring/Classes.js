@@ -0,0 +1,103 @@
+/**
+ * Classes - Multi-class racing: several classes share the track, each classified and scored on its own
+ * `championship.classes`: `[{ id, name, color, points }]`
+ * - `points`: position points for the class's race sessions, bonuses as the championship's tables;
+ *   an array for every race table or `{ table: [points] }` per points table (see RaceSessions.js),
+ *   null scores the class with the championship's tables
+ * A competitor's class is its entry's `classId` (see Entries.js), else the driver's `classId`.
+ */
+import { entryForDriver } from './Entries.js';
+
+export function isMultiClass(championship) {
+    return (championship?.classes || []).length > 0;
+}
+
+/**
+ * Validate and normalize a class
+ * @param {object} data - `{ id, name, color, points }`, `points` as numbers, "25, 18, 15" or per table
+ * @throws {Error} Without a name
+ */
+export function createClass(data = {}) {
+    const name = String(data.name || '').trim();
+    if (!name) {
+        throw new Error('A class needs a name');
+    }
+
+    const toTable = value => {
+        const list = typeof value === 'string' ?
+            value.split(',').map(point => point.trim()).filter(Boolean) :
+            value;
+        return Array.isArray(list) && list.length > 0 ? list.map(point => Number(point) || 0) : null;
+    };
+    const points = data.points && typeof data.points === 'object' && !Array.isArray(data.points) ?
+        Object.fromEntries(Object.entries(data.points).map(([table, value]) => [table, toTable(value)]).filter(([, value]) => value)) :
+        toTable(data.points);
+
+    return {
+        id: data.id || crypto.randomUUID(),
+        name,
+        color: data.color || '#6c757d',
+        points: points && (Array.isArray(points) || Object.keys(points).length > 0) ? points : null
+    };
+}
+
+export function findClass(championship, classId) {
+    return (championship?.classes || []).find(c => c.id === classId) || null;
+}
+
+/**
+ * Class of whoever a result is keyed by (an entry or a driver), or null when unclassed
+ */
+export function competitorClass(championship, id) {
+    const entry = (championship?.entries || []).find(e => e.id === id);
+    const classId = entry ? entry.classId : (championship?.drivers || []).find(d => d.id === id)?.classId;
+    return findClass(championship, classId) ? classId : null;
+}
+
+/**
+ * Class a driver raced in: their own, else the class of the entry they drove
+ * @param {object} race - Optional; the race whose line-ups decide the entry (defaults to the entries' crews)
+ */
+export function driverClass(championship, driverId, race = {}) {
+    const own = competitorClass(championship, driverId);
+    if (own) return own;
+    const entry = entryForDriver(championship, race, driverId);
+    return entry ? competitorClass(championship, entry.id) : null;
+}
+
+/**
+ * Positions within each class from the overall order of a session
+ * @param {object} sessionResults - `{ id: { position, ... } }` overall classification
+ * @param {function} classOf - `id => classId|null`
+ * @returns {object} New session results with `classId`, `classPosition` and `overallPosition`
+ */
+export function applyClassPositions(sessionResults = {}, classOf = () => null) {
+    const annotated = {};
+    const counters = {};
+
+    Object.entries(sessionResults)
+        .sort(([, a], [, b]) => (a.position || Infinity) - (b.position || Infinity))
+        .forEach(([id, result]) => {
+            const classId = classOf(id);
+            let classPosition = null;
+            if (result.position) {
+                counters[classId] = (counters[classId] || 0) + 1;
+                classPosition = counters[classId];
+            }
+            annotated[id] = { ...result, classId, classPosition, overallPosition: result.position || null };
+        });
+
+    return annotated;
+}
+
+/**
+ * Standings of one class: the rows in that class, renumbered from 1 in their overall order
+ * @param {Array} standings - Ranked rows carrying `classId`
+ * @param {string|null} classId - Null keeps every row
+ */
+export function classStandings(standings = [], classId = null) {
+    if (!classId) return standings;
+    return standings
+        .filter(row => row.classId === classId)
+        .map((row, index) => ({ ...row, overallPosition: row.position, position: index + 1 }));
+}
@@ -0,0 +1,74 @@
+/**
+ * DropScores - Dropped-score rules ("drop N worst", "best N of M")
+ * Works on the per-round totals produced by PointsEngine
+ */
+
+/**
+ * Normalize a stored dropped-score rule
+ *
+ * Accepted shapes:
+ * - `{ mode: 'drop-worst', count: 2 }` drop the 2 lowest-scoring rounds
+ * - `{ mode: 'best-of', count: 8 }` keep the best 8 rounds
+ * - `{ dropWorst: 2 }` / `{ bestOf: 8 }` shorthands
+ * `neverDropDisqualified` (default true) keeps DSQ rounds counting against the driver.
+ * @param {object|null} rule
+ * @returns {object|null}
+ */
+export function normalizeDropRule(rule) {
+    if (!rule) return null;
+
+    let mode = rule.mode;
+    let count = parseInt(rule.count, 10);
+
+    if (!mode && rule.dropWorst !== undefined) {
+        mode = 'drop-worst';
+        count = parseInt(rule.dropWorst, 10);
+    } else if (!mode && rule.bestOf !== undefined) {
+        mode = 'best-of';
+        count = parseInt(rule.bestOf, 10);
+    }
+
+    if (!['drop-worst', 'best-of'].includes(mode) || isNaN(count) || count < 0) {
+        return null;
+    }
+
+    return {
+        mode,
+        count,
+        neverDropDisqualified: rule.neverDropDisqualified !== false
+    };
+}
+
+/**
+ * Flag dropped rounds and compute gross/net totals
+ * @param {Array<{ raceId, total, disqualified }>} rounds - Every scored round of the season for one driver,
+ *   including rounds the driver missed (with `total: 0`)
+ * @param {object|null} rule - Dropped-score rule (any shape accepted by `normalizeDropRule`)
+ * @returns {{ gross: number, net: number, rounds: Array }} Rounds are copies with a `dropped` flag
+ */
+export function applyDropScores(rounds = [], rule = null) {
+    const normalized = normalizeDropRule(rule);
+    const flagged = rounds.map(round => ({ ...round, dropped: false }));
+    const gross = flagged.reduce((sum, round) => sum + (round.total || 0), 0);
+
+    if (!normalized) {
+        return { gross, net: gross, rounds: flagged };
+    }
+
+    const droppable = flagged
+        .map((round, index) => ({ round, index }))
+        .filter(({ round }) => !(normalized.neverDropDisqualified && round.disqualified))
+        // Lowest score first; on equal scores drop the earlier round
+        .sort((a, b) => (a.round.total || 0) - (b.round.total || 0) || a.index - b.index);
+
+    const dropCount = normalized.mode === 'drop-worst' ?
+        normalized.count :
+        Math.max(0, flagged.length - normalized.count);
+
+    droppable.slice(0, Math.min(dropCount, droppable.length)).forEach(({ round }) => {
+        round.dropped = true;
+    });
+
+    const net = flagged.reduce((sum, round) => sum + (round.dropped ? 0 : (round.total || 0)), 0);
+    return { gross, net, rounds: flagged };
+}
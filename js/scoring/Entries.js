@@ -0,0 +1,153 @@
+/**
+ * Entries - Multi-driver cars for endurance championships
+ * A championship with `entries` keys its race results by entry id. Each entry's race score
+ * goes to the crew members who met the drive-time rule (drivers' championship) and to the
+ * entry itself (entries' championship, see TeamStandings.js).
+ *
+ * Per race:
+ * - `race.entryLineups`: `{ entryId: [driverId] }` crew for the round, when it differs from the entry's
+ * - `race.driveTimes`: `{ session: { entryId: { driverId: minutes } } }`
+ */
+import { entryLabel } from '../models/Entry.js';
+
+export function isEntryChampionship(championship) {
+    return (championship?.entries || []).length > 0;
+}
+
+/**
+ * Normalize `settings.driveTimeRule`
+ * - `minMinutes`: minutes a crew member must drive to score
+ * - `minPercent`: share of the car's recorded drive time a crew member must drive, 0-100
+ */
+export function normalizeDriveTimeRule(settings = {}) {
+    const rule = settings?.driveTimeRule || {};
+    const toNumber = value => {
+        const number = Number(value);
+        return Number.isFinite(number) && number > 0 ? number : 0;
+    };
+
+    return {
+        minMinutes: toNumber(rule.minMinutes),
+        minPercent: Math.min(100, toNumber(rule.minPercent))
+    };
+}
+
+/**
+ * Crew of an entry for a race: the race's line-up, else the entry's drivers
+ */
+export function raceLineup(entry, race = {}) {
+    return race?.entryLineups?.[entry?.id] || entry?.drivers || [];
+}
+
+/**
+ * Entry a driver raced in at a race, or null
+ */
+export function entryForDriver(championship, race, driverId) {
+    return (championship?.entries || []).find(entry => raceLineup(entry, race).includes(driverId)) || null;
+}
+
+/**
+ * Who in an entry's crew scores a session
+ * The rule is checked only when drive times were recorded for the entry in that session;
+ * without them the whole line-up scores.
+ * @returns {Array<{ driverId, minutes, percent, eligible }>} `minutes`/`percent` null when not recorded
+ */
+export function crewEligibility(entry, race, session, rule = normalizeDriveTimeRule()) {
+    const lineup = raceLineup(entry, race);
+    const times = race?.driveTimes?.[session]?.[entry?.id] || {};
+    const recorded = lineup.some(driverId => Number(times[driverId]) > 0);
+
+    if (!recorded) {
+        return lineup.map(driverId => ({ driverId, minutes: null, percent: null, eligible: true }));
+    }
+
+    const total = lineup.reduce((sum, driverId) => sum + (Number(times[driverId]) || 0), 0);
+    return lineup.map(driverId => {
+        const minutes = Number(times[driverId]) || 0;
+        const percent = total > 0 ? (minutes / total) * 100 : 0;
+        return {
+            driverId,
+            minutes,
+            percent,
+            eligible: minutes > 0 && minutes >= rule.minMinutes && percent >= rule.minPercent
+        };
+    });
+}
+
+/**
+ * Share a race's entry scores out to their crews
+ * A crew member takes each session the entry scored in which they met the drive-time rule,
+ * and the entry's points deductions when they scored at all.
+ * @param {object} championship - Championship with `entries` and `settings`
+ * @param {object} race
+ * @param {object} entryScores - `PointsEngine.scoreRace(...).drivers`, keyed by entry id
+ * @returns {object} `{ driverId: { sessions, points, deduction, total, entryId } }` in the same shape
+ */
+export function crewScores(championship, race, entryScores = {}) {
+    const entries = championship?.entries || [];
+    const rule = normalizeDriveTimeRule(championship?.settings);
+    const drivers = {};
+
+    Object.entries(entryScores).forEach(([entryId, score]) => {
+        const entry = entries.find(e => e.id === entryId);
+        if (!entry) return;
+
+        const scoredSessions = {};
+        Object.entries(score.sessions).forEach(([session, sessionScore]) => {
+            crewEligibility(entry, race, session, rule)
+                .filter(member => member.eligible)
+                .forEach(({ driverId }) => {
+                    (scoredSessions[driverId] = scoredSessions[driverId] || {})[session] = sessionScore;
+                });
+        });
+
+        Object.entries(scoredSessions).forEach(([driverId, sessions]) => {
+            const crew = drivers[driverId] || { sessions: {}, points: 0, deduction: 0, total: 0, entryId };
+            Object.assign(crew.sessions, sessions);
+            crew.points += Object.values(sessions).reduce((sum, session) => sum + session.total, 0);
+            crew.deduction += score.deduction;
+            crew.total = crew.points - crew.deduction;
+            drivers[driverId] = crew;
+        });
+    });
+
+    return drivers;
+}
+
+/**
+ * Driver, or entry shaped like one (`{ id, name, number, team }`), that a result is keyed by
+ * @returns {object|null}
+ */
+export function findCompetitor(championship, id) {
+    const driver = (championship?.drivers || []).find(d => d.id === id);
+    if (driver) return driver;
+
+    const entry = (championship?.entries || []).find(e => e.id === id);
+    return entry ?
+        { id: entry.id, name: entryLabel(entry, championship.drivers), number: entry.number || null, team: entry.teamId || null } :
+        null;
+}
+
+/**
+ * Who results are entered for: entries in an endurance championship, drivers otherwise
+ * @returns {Array<{ id, name, number, teamId }>} `teamId` is the entered team of an entry, null for a driver
+ */
+export function resultCompetitors(championship) {
+    if (!isEntryChampionship(championship)) {
+        return (championship?.drivers || []).map(driver => ({
+            id: driver.id,
+            name: driver.name,
+            number: driver.number || null,
+            teamId: null
+        }));
+    }
+
+    return [...championship.entries]
+        .sort((a, b) => (parseInt(a.number, 10) || Infinity) - (parseInt(b.number, 10) || Infinity))
+        .map(entry => ({
+            id: entry.id,
+            name: entryLabel(entry, championship.drivers),
+            number: entry.number || null,
+            teamId: entry.teamId || null
+        }));
+}
@@ -0,0 +1,183 @@
+/**
+ * GridRules - How each session's starting grid is generated
+ * A race keeps one rule per session in `race.gridRules[sessionId]`:
+ * `{ source, sourceSession, reverseTop, applyPenalties, seed }`, and the grid itself
+ * in `race.grids[sessionId]`: `{ order, locked, generatedAt, lockedAt }`.
+ * A locked grid is used as stored and never regenerated.
+ */
+import { applyGridDrops } from './Penalties.js';
+import { findSession, gridSessions, mainRaceSession, startingGrid } from './RaceSessions.js';
+import { racesInRoundOrder } from './Rounds.js';
+
+export const GRID_SOURCES = {
+    qualifying: 'Qualifying',
+    session: 'Another session this weekend',
+    previousRound: 'Previous round result',
+    standings: 'Championship standings',
+    random: 'Random draw'
+};
+
+/**
+ * Rule used when a session has none: its qualifying, with grid penalties on the main race
+ */
+export function defaultGridRule(race, sessionId) {
+    return {
+        source: 'qualifying',
+        sourceSession: null,
+        reverseTop: 0,
+        applyPenalties: sessionId === mainRaceSession(race),
+        seed: null
+    };
+}
+
+/**
+ * Check a grid rule before it is stored
+ * @throws {Error} For an unknown source, or a session source that is not in the race
+ */
+export function normalizeGridRule(rule = {}, race, sessionId) {
+    const defaults = defaultGridRule(race, sessionId);
+    const source = rule.source || defaults.source;
+    if (!GRID_SOURCES[source]) {
+        throw new Error(`Unknown grid source "${source}"`);
+    }
+
+    const sourceSession = source === 'session' ? rule.sourceSession : null;
+    if (source === 'session' && (!findSession(race, sourceSession) || sourceSession === sessionId)) {
+        throw new Error('Choose another session of this race to take the grid from');
+    }
+
+    const reverseTop = parseInt(rule.reverseTop, 10);
+    return {
+        source,
+        sourceSession,
+        reverseTop: reverseTop > 0 ? reverseTop : 0,
+        applyPenalties: rule.applyPenalties ?? defaults.applyPenalties,
+        seed: source === 'random' ? (rule.seed ?? null) : null
+    };
+}
+
+/**
+ * A session's stored rule; one left pointing at a since-removed session falls back to the default
+ */
+export function gridRuleFor(race, sessionId) {
+    try {
+        return normalizeGridRule(race?.gridRules?.[sessionId], race, sessionId);
+    } catch (error) {
+        return defaultGridRule(race, sessionId);
+    }
+}
+
+/**
+ * Races a grid rule draws on: every race before this one in season order (see Rounds.js),
+ * the last of them being the previous round
+ * @returns {{ earlier: Array, previous: object|null }}
+ * @throws {Error} When a previous-round or standings grid has no earlier round to take it from
+ */
+export function gridSourceRaces(rule, races = [], race) {
+    const ordered = racesInRoundOrder(races);
+    const index = ordered.findIndex(r => r.id === race?.id);
+    const earlier = index > 0 ? ordered.slice(0, index) : [];
+    const previous = earlier[earlier.length - 1] || null;
+
+    if ((rule.source === 'previousRound' || rule.source === 'standings') && !previous) {
+        throw new Error(index === -1 ?
+            'This race is not in the championship schedule' :
+            `A "${GRID_SOURCES[rule.source]}" grid needs an earlier round, and this is the first race`);
+    }
+    return { earlier, previous };
+}
+
+// Classified finishers in order, then everyone else who took part
+function finishingOrder(sessionResults = {}) {
+    const entries = Object.entries(sessionResults);
+    return [
+        ...entries
+            .filter(([, entry]) => entry?.position)
+            .sort(([, a], [, b]) => a.position - b.position)
+            .map(([driverId]) => driverId),
+        ...entries.filter(([, entry]) => !entry?.position).map(([driverId]) => driverId)
+    ];
+}
+
+/**
+ * Reverse the first `count` places ("reversed top 8")
+ */
+export function reverseTop(order, count) {
+    if (!(count > 1)) return [...order];
+    const size = Math.min(count, order.length);
+    return [...order.slice(0, size).reverse(), ...order.slice(size)];
+}
+
+// Deterministic shuffle, so a drawn grid can be regenerated from its stored seed
+function shuffle(ids, seed) {
+    let state = [...String(seed)].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261) >>> 0;
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const shuffled = [...ids];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Generate a session's starting grid
+ * Drivers the source does not place start from the back in entry order; the top N
+ * are reversed before grid penalties are served.
+ * @param {object} rule - See `normalizeGridRule`
+ * @param {object} context
+ *   - `race`, `sessionId`
+ *   - `classified`: this race's sessions (`PointsEngine.classifyRace`)
+ *   - `previousClassified`: the previous round's main race session
+ *   - `standings`: driver ids in championship order before this round
+ *   - `drivers`: every entered driver id, in entry order
+ *   - `drops`: `{ driverId: places }` (see `gridDropsFor`)
+ * @returns {Array<{ driverId, slot, reversed, drop }>} Pole first; `slot` is the place before penalties
+ * @throws {Error} When a previous-round grid's round has no results yet
+ */
+export function generateGrid(rule, { race, sessionId, classified = {}, previousClassified = {}, standings = [], drivers = [], drops = {} }) {
+    let order;
+    switch (rule.source) {
+        case 'session':
+            order = finishingOrder(classified[rule.sourceSession]);
+            break;
+        case 'previousRound':
+            order = finishingOrder(previousClassified);
+            if (order.length === 0) {
+                throw new Error('The previous round has no results to take the grid from yet');
+            }
+            break;
+        case 'standings':
+            order = [...standings];
+            break;
+        case 'random':
+            order = shuffle(drivers, rule.seed ?? `${race?.id}-${sessionId}`);
+            break;
+        default:
+            // Sessions without a qualifying source of their own take the race's qualifying
+            order = gridSessions(race, sessionId).length > 0 ?
+                startingGrid(race, classified, sessionId) :
+                finishingOrder(classified.qualifying);
+    }
+
+    // Only entered drivers line up; late entries start from the back
+    const entered = drivers.length > 0 ? order.filter(driverId => drivers.includes(driverId)) : order;
+    const full = [...entered, ...drivers.filter(driverId => !entered.includes(driverId))];
+    const reversed = reverseTop(full, rule.reverseTop);
+    const slots = Object.fromEntries(reversed.map((driverId, index) => [driverId, index + 1]));
+    const applied = rule.applyPenalties ? drops : {};
+
+    return applyGridDrops(reversed, applied).map(driverId => ({
+        driverId,
+        slot: slots[driverId],
+        reversed: rule.reverseTop > 1 && full.indexOf(driverId) < rule.reverseTop,
+        drop: applied[driverId] || 0
+    }));
+}
@@ -0,0 +1,279 @@
+/**
+ * Penalties - Stewards' decisions and post-race result amendments
+ * Penalties are stored alongside the results they amend (`race.penalties`, or
+ * `championship.penalties` for deductions not tied to a race) and applied every
+ * time a race is scored, so revoking one restores the original classification.
+ */
+import { RESULT_STATUS } from './ResultStatus.js';
+import { mainRaceSession, sessionIds } from './RaceSessions.js';
+import { previousRace, racesInRoundOrder } from './Rounds.js';
+
+export const PENALTY_TYPES = {
+    time: 'Time penalty',
+    gridDrop: 'Grid drop (next round)',
+    positionDrop: 'Position drop',
+    pointsDeduction: 'Points deduction',
+    disqualification: 'Disqualification'
+};
+
+// Penalty types whose `value` must be a positive number (seconds, places or points)
+const VALUED_TYPES = ['time', 'gridDrop', 'positionDrop', 'pointsDeduction'];
+
+/**
+ * Parse a race time ("1:32:04.512", "58:12.3", "3724.5" or seconds) into seconds
+ * @param {*} value
+ * @returns {number|null}
+ */
+export function parseRaceTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+    const parts = String(value).trim().split(':');
+    if (parts.length > 3 || parts.some(part => part === '' || isNaN(Number(part)))) return null;
+
+    return parts.reduce((seconds, part) => seconds * 60 + Number(part), 0);
+}
+
+/**
+ * Validate and normalize a penalty
+ * @param {object} data - `{ type, driverId, raceId, session, value, reason, decision, issuedBy }`
+ *   `raceId` is required for every type except a championship-level `pointsDeduction`
+ * @param {object} race - The penalized race; without a `session`, the penalty applies to its main race session
+ * @returns {object} Penalty with an `id` and `issuedAt`
+ */
+export function createPenalty(data = {}, race = null) {
+    if (!PENALTY_TYPES[data.type]) {
+        throw new Error(`Unknown penalty type "${data.type}"`);
+    }
+    if (!data.driverId) {
+        throw new Error('A penalty must name a driver');
+    }
+    if (!data.raceId && data.type !== 'pointsDeduction') {
+        throw new Error(`${PENALTY_TYPES[data.type]} must be tied to a race`);
+    }
+    if (!data.reason || !String(data.reason).trim()) {
+        throw new Error('A penalty must state a reason');
+    }
+
+    const value = Number(data.value);
+    if (VALUED_TYPES.includes(data.type) && !(value > 0)) {
+        throw new Error(`${PENALTY_TYPES[data.type]} needs a positive value`);
+    }
+
+    return {
+        id: data.id || crypto.randomUUID(),
+        type: data.type,
+        driverId: data.driverId,
+        raceId: data.raceId || null,
+        session: data.session || (race ? mainRaceSession(race) : null),
+        value: VALUED_TYPES.includes(data.type) ? value : null,
+        reason: String(data.reason).trim(),
+        // Stewards' decision document: a reference number, URL or the decision text itself
+        decision: data.decision || '',
+        targetRaceId: data.targetRaceId || null,
+        issuedBy: data.issuedBy || null,
+        issuedAt: data.issuedAt || new Date().toISOString()
+    };
+}
+
+/**
+ * Short human-readable summary ("+5s", "-3 positions", "-10 pts", "DSQ")
+ */
+export function describePenalty(penalty) {
+    switch (penalty.type) {
+        case 'time': return `+${penalty.value}s`;
+        case 'gridDrop': return `${penalty.value}-place grid drop`;
+        case 'positionDrop': return `-${penalty.value} position${penalty.value === 1 ? '' : 's'}`;
+        case 'pointsDeduction': return `-${penalty.value} pts`;
+        case 'disqualification': return 'DSQ';
+        default: return penalty.type;
+    }
+}
+
+function sumValues(penalties, type, driverId) {
+    return penalties
+        .filter(penalty => penalty.type === type && penalty.driverId === driverId)
+        .reduce((sum, penalty) => sum + (Number(penalty.value) || 0), 0);
+}
+
+function resultTime(entry) {
+    return parseRaceTime(entry.totalTime ?? entry.time);
+}
+
+/**
+ * Reclassify one session after penalties
+ * Time penalties re-sort the classified drivers by total time (laps completed first)
+ * when every classified driver has a time; position drops then move drivers down
+ * the order and disqualified drivers are removed from it.
+ * @param {object} sessionResults - `{ driverId: { position, status, totalTime, laps } }`
+ * @param {Array} penalties - Penalties for this race and session
+ * @returns {object} New session results; amended entries keep `originalPosition` and list `penalties`
+ */
+export function applySessionPenalties(sessionResults = {}, penalties = []) {
+    const amended = {};
+    Object.entries(sessionResults).forEach(([driverId, entry]) => {
+        amended[driverId] = { ...entry };
+    });
+    if (penalties.length === 0) return amended;
+
+    Object.entries(amended).forEach(([driverId, entry]) => {
+        const applied = penalties.filter(penalty => penalty.driverId === driverId);
+        if (applied.length > 0) {
+            entry.penalties = applied.map(penalty => ({
+                id: penalty.id,
+                type: penalty.type,
+                value: penalty.value,
+                reason: penalty.reason,
+                summary: describePenalty(penalty)
+            }));
+        }
+    });
+
+    let order = Object.keys(amended)
+        .filter(driverId => amended[driverId].position)
+        .sort((a, b) => amended[a].position - amended[b].position);
+
+    // Time penalties: re-sort on adjusted total time
+    const hasTimePenalties = penalties.some(penalty => penalty.type === 'time');
+    if (hasTimePenalties && order.length > 0 && order.every(driverId => resultTime(amended[driverId]) !== null)) {
+        order.forEach(driverId => {
+            const entry = amended[driverId];
+            const timePenalty = sumValues(penalties, 'time', driverId);
+            if (timePenalty > 0) {
+                entry.timePenalty = timePenalty;
+                entry.adjustedTime = resultTime(entry) + timePenalty;
+            }
+        });
+
+        const adjusted = driverId => amended[driverId].adjustedTime ?? resultTime(amended[driverId]);
+        const laps = driverId => Number(amended[driverId].laps) || 0;
+        order = [...order].sort((a, b) => laps(b) - laps(a) || adjusted(a) - adjusted(b));
+    }
+
+    // Position drops, applied in the order they were issued
+    penalties
+        .filter(penalty => penalty.type === 'positionDrop')
+        .forEach(penalty => {
+            const index = order.indexOf(penalty.driverId);
+            if (index === -1) return;
+            order.splice(index, 1);
+            order.splice(Math.min(index + penalty.value, order.length), 0, penalty.driverId);
+        });
+
+    // Disqualifications
+    penalties
+        .filter(penalty => penalty.type === 'disqualification')
+        .forEach(penalty => {
+            const entry = amended[penalty.driverId];
+            if (!entry) return;
+            order = order.filter(driverId => driverId !== penalty.driverId);
+            if (entry.position) entry.originalPosition = entry.position;
+            entry.position = null;
+            entry.status = RESULT_STATUS.DSQ;
+            entry.fastestLap = false;
+        });
+
+    order.forEach((driverId, index) => {
+        const entry = amended[driverId];
+        if (entry.position !== index + 1) {
+            entry.originalPosition = entry.originalPosition ?? entry.position;
+            entry.position = index + 1;
+        }
+    });
+
+    return amended;
+}
+
+/**
+ * Apply a race's penalties to its normalized results
+ * Penalties without a session, or naming one the race's format doesn't run, apply to its main race session.
+ * @param {object} normalized - Output of `normalizeRaceResults`
+ * @param {Array} penalties - `race.penalties`
+ * @param {object} race - The race, for its session format
+ * @returns {{ results: object, deductions: object }} Reclassified sessions and `{ driverId: points }` deducted
+ */
+export function applyRacePenalties(normalized, penalties = [], race = {}) {
+    const sessions = sessionIds(race);
+    const mainSession = mainRaceSession(race);
+    const penaltySession = penalty => (sessions.includes(penalty.session) ? penalty.session : mainSession);
+
+    const results = {};
+    Object.entries(normalized).forEach(([session, sessionResults]) => {
+        // Grid drops are served at the next round, not in the race where they were issued
+        const sessionPenalties = penalties.filter(penalty =>
+            penalty.type !== 'gridDrop' && penaltySession(penalty) === session);
+        results[session] = applySessionPenalties(sessionResults, sessionPenalties);
+    });
+
+    const deductions = {};
+    penalties
+        .filter(penalty => penalty.type === 'pointsDeduction')
+        .forEach(penalty => {
+            deductions[penalty.driverId] = (deductions[penalty.driverId] || 0) + penalty.value;
+        });
+
+    return { results, deductions };
+}
+
+/**
+ * Championship-level points deductions (penalties not tied to a race)
+ * @returns {object} `{ driverId: points }`
+ */
+export function championshipDeductions(championship) {
+    const deductions = {};
+    (championship?.penalties || [])
+        .filter(penalty => penalty.type === 'pointsDeduction' && !penalty.raceId)
+        .forEach(penalty => {
+            deductions[penalty.driverId] = (deductions[penalty.driverId] || 0) + (Number(penalty.value) || 0);
+        });
+    return deductions;
+}
+
+/**
+ * Every penalty in a championship, race penalties first in round order
+ */
+export function listPenalties(championship) {
+    const racePenalties = racesInRoundOrder(championship?.races || [])
+        .flatMap(race => race.penalties || []);
+    return [...racePenalties, ...(championship?.penalties || [])];
+}
+
+/**
+ * Grid drops that apply to a race: those issued at the previous round, or
+ * aimed at this race explicitly with `targetRaceId`
+ * Races without a `round` are placed by their position in the schedule (see Rounds.js).
+ * @returns {object} `{ driverId: places }`
+ */
+export function gridDropsFor(championship, race) {
+    const races = championship?.races || [];
+    const previous = previousRace(races, race);
+
+    const drops = {};
+    races.flatMap(r => r.penalties || [])
+        .filter(penalty => penalty.type === 'gridDrop')
+        .filter(penalty => penalty.targetRaceId ?
+            penalty.targetRaceId === race.id :
+            previous && penalty.raceId === previous.id)
+        .forEach(penalty => {
+            drops[penalty.driverId] = (drops[penalty.driverId] || 0) + penalty.value;
+        });
+
+    return drops;
+}
+
+/**
+ * Move penalized drivers back on a starting grid
+ * Drivers on equal target slots keep an unpenalized driver ahead of a penalized one.
+ * @param {Array<string>} grid - Driver ids in qualifying order
+ * @param {object} drops - `{ driverId: places }`
+ * @returns {Array<string>} New grid order
+ */
+export function applyGridDrops(grid = [], drops = {}) {
+    return grid
+        .map((driverId, index) => ({ driverId, index, slot: index + (drops[driverId] || 0) }))
+        .sort((a, b) =>
+            a.slot - b.slot ||
+            (drops[a.driverId] ? 1 : 0) - (drops[b.driverId] ? 1 : 0) ||
+            a.index - b.index)
+        .map(({ driverId }) => driverId);
+}
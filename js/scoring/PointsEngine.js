@@ -0,0 +1,489 @@
+/**
+ * PointsEngine - Single source of truth for championship scoring
+ * Converts a championship points system plus race results into per-session points
+ */
+import { resolveChampionshipPointsSystem } from './SeriesPresets.js';
+import { applyDropScores, normalizeDropRule } from './DropScores.js';
+import { applyRacePenalties, championshipDeductions } from './Penalties.js';
+import { RESULT_STATUS, isClassified, resolveResultStatus } from './ResultStatus.js';
+import { poleSession, raceSessions, sessionIds } from './RaceSessions.js';
+import { crewScores, isEntryChampionship } from './Entries.js';
+import { applyClassPositions, competitorClass, isMultiClass } from './Classes.js';
+import { raceRound, racesInRoundOrder } from './Rounds.js';
+
+// Sessions of the classic weekend; races can configure their own (see RaceSessions.js)
+export const SESSIONS = ['qualifying', 'sprint', 'feature'];
+
+const DEFAULT_FEATURE_POINTS = [25, 18, 15, 12, 10, 8, 6, 4, 2, 1];
+
+/**
+ * Parse a stored position ("3", 3, "P3") into an integer, or null when unclassified
+ * @param {*} value - Raw position value
+ * @returns {number|null}
+ */
+export function parsePosition(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const position = parseInt(String(value).replace(/^P/i, ''), 10);
+    return Number.isInteger(position) && position > 0 ? position : null;
+}
+
+function toPointsArray(value) {
+    if (!Array.isArray(value)) return [];
+    return value.map(p => Number(p) || 0);
+}
+
+function toBonus(value, defaults = {}) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') {
+        return value > 0 ? { ...defaults, points: value } : null;
+    }
+    const points = Number(value.points) || 0;
+    return points > 0 ? { ...defaults, ...value, points } : null;
+}
+
+/**
+ * Normalize any stored points system into the canonical engine shape.
+ *
+ * Accepted inputs:
+ * - a plain array of feature points (legacy `getDefaultPointsSystem`)
+ * - `{ positions, fastestLap, sprintRace: { enabled, positions } }` (Championship model default)
+ * - `{ feature, sprint, pole, fastestLap }` (legacy `getPointsSystem` tables)
+ * - the canonical shape itself
+ *
+ * Canonical shape:
+ * {
+ *   sessions: {
+ *     [session]: {
+ *       positions: number[],
+ *       classified: number,                      // points for classified finishers outside the table
+ *       fastestLap: { points, topN } | null,
+ *       lapsLed: { points, minLaps } | null,     // every driver who led at least `minLaps`
+ *       mostLapsLed: { points } | null
+ *     }
+ *   },
+ *   pole: { points, session } | null,
+ *   roundMultipliers: { [round]: number },
+ *   roundTypes: { [type]: number },              // e.g. { double: 2, half: 0.5 } matched on `race.roundType`
+ *   dropScores: { mode, count, neverDropDisqualified } | null
+ * }
+ * @param {Array|object} pointsSystem
+ * @returns {object}
+ */
+export function normalizePointsSystem(pointsSystem) {
+    if (Array.isArray(pointsSystem)) {
+        return normalizePointsSystem({ feature: pointsSystem });
+    }
+
+    const system = pointsSystem || { positions: DEFAULT_FEATURE_POINTS };
+
+    if (system.sessions) {
+        const sessions = {};
+        Object.entries(system.sessions).forEach(([name, config]) => {
+            sessions[name] = normalizeSession(config);
+        });
+        return {
+            sessions,
+            pole: toBonus(system.pole, { session: 'qualifying' }),
+            roundMultipliers: { ...(system.roundMultipliers || {}) },
+            roundTypes: { ...(system.roundTypes || {}) },
+            dropScores: normalizeDropRule(system.dropScores)
+        };
+    }
+
+    // Legacy shapes: `positions`/`sprintRace` (model) or `feature`/`sprint` (series tables)
+    const featurePositions = system.feature || system.positions || DEFAULT_FEATURE_POINTS;
+    const sprintEnabled = system.sprintRace ? system.sprintRace.enabled !== false : true;
+    const sprintPositions = system.sprint || (sprintEnabled ? system.sprintRace?.positions : []) || [];
+
+    return {
+        sessions: {
+            qualifying: normalizeSession({ positions: system.qualifying }),
+            sprint: normalizeSession({ positions: sprintPositions, fastestLap: system.sprintFastestLap }),
+            feature: normalizeSession({ positions: featurePositions, fastestLap: system.fastestLap })
+        },
+        pole: toBonus(system.pole, { session: 'qualifying' }),
+        roundMultipliers: { ...(system.roundMultipliers || {}) },
+        roundTypes: { ...(system.roundTypes || {}) },
+        dropScores: normalizeDropRule(system.dropScores)
+    };
+}
+
+function normalizeSession(config) {
+    const source = Array.isArray(config) ? { positions: config } : (config || {});
+    return {
+        positions: toPointsArray(source.positions),
+        classified: Number(source.classified) || 0,
+        fastestLap: toBonus(source.fastestLap, { topN: null }),
+        lapsLed: toBonus(source.lapsLed, { minLaps: 1 }),
+        mostLapsLed: toBonus(source.mostLapsLed)
+    };
+}
+
+function toEntry(raw) {
+    if (raw === null || raw === undefined) return null;
+    if (typeof raw !== 'object') {
+        const status = resolveResultStatus(raw);
+        return { position: isClassified(status) ? parsePosition(raw) : null, fastestLap: false, status };
+    }
+
+    const status = resolveResultStatus(raw);
+    return {
+        ...raw,
+        status,
+        // Retirements keep their position only when timing classified them
+        position: isClassified(status, raw) ? parsePosition(raw.position) : null,
+        fastestLap: Boolean(raw.fastestLap)
+    };
+}
+
+/**
+ * Normalize the different result layouts used across the app into
+ * `{ [session]: { [driverId]: { position, fastestLap, status } } }`.
+ *
+ * Accepted inputs:
+ * - session-keyed `Race.results` (`{ qualifying: { driverId: {...} }, ... }`)
+ * - driver-keyed rows from the results collection (`{ driverId: { qualifying: '3', feature: '1', featureFL: true } }`)
+ * - arrays from the race management modal (`[{ driverId, position, status }]`)
+ * The classic sessions are always present, so callers can read `feature` on any race.
+ * @param {object|Array} results
+ * @param {Array<string>} sessions - Session ids of the race (see `sessionIds`)
+ * @returns {object}
+ */
+export function normalizeRaceResults(results, sessions = SESSIONS) {
+    const normalized = {};
+    new Set([...SESSIONS, ...sessions]).forEach(session => { normalized[session] = {}; });
+    if (!results) return normalized;
+
+    if (Array.isArray(results)) {
+        results.forEach(result => {
+            if (!result?.driverId) return;
+            normalized.feature[result.driverId] = toEntry(result);
+        });
+        return normalized;
+    }
+
+    const isSessionKeyed = Object.keys(results).some(key => sessions.includes(key) || SESSIONS.includes(key)) &&
+        Object.values(results).every(value => value && typeof value === 'object' && !value.driverId);
+
+    if (isSessionKeyed) {
+        Object.entries(results).forEach(([session, sessionResults]) => {
+            normalized[session] = {};
+            Object.entries(sessionResults || {}).forEach(([driverId, raw]) => {
+                const entry = toEntry(raw);
+                if (entry) normalized[session][driverId] = entry;
+            });
+        });
+        return normalized;
+    }
+
+    Object.entries(results).forEach(([key, row]) => {
+        if (!row || typeof row !== 'object') return;
+        const driverId = row.driverId || key;
+        const hasSessionColumns = sessions.some(session =>
+            row[session] !== undefined || row[`${session}Timing`] || row[`${session}Status`]);
+
+        if (!hasSessionColumns) {
+            normalized.feature[driverId] = toEntry(row);
+            return;
+        }
+
+        sessions.forEach(session => {
+            const raw = row[session];
+            // Timing-mode rows carry times, laps and status alongside the derived position
+            const timing = row[`${session}Timing`];
+            const status = row[`${session}Status`] || timing?.status;
+            if ((raw === undefined || raw === '') && !timing && !status) return;
+            const entry = timing || status ?
+                toEntry({ ...timing, status, position: raw }) :
+                toEntry(raw);
+            if (entry) {
+                entry.fastestLap = Boolean(row[`${session}FL`]);
+                normalized[session][driverId] = entry;
+            }
+        });
+    });
+
+    return normalized;
+}
+
+export class PointsEngine {
+    /**
+     * @param {Array|object} pointsSystem - Any supported `Championship.settings.pointsSystem` shape
+     * @param {object} options - Multi-class racing (see Classes.js): `classes` and `classOf(id)`;
+     *   each class is then classified and scored on its own
+     */
+    constructor(pointsSystem, { classes = [], classOf = null } = {}) {
+        this.system = normalizePointsSystem(pointsSystem);
+        this.classes = classes;
+        this.classOf = classOf;
+    }
+
+    /**
+     * Convenience factory for a championship's configured system
+     */
+    static forChampionship(championship) {
+        const classes = isMultiClass(championship) ?
+            { classes: championship.classes, classOf: id => competitorClass(championship, id) } :
+            {};
+        return new PointsEngine(resolveChampionshipPointsSystem(championship), classes);
+    }
+
+    /**
+     * Points table for a session's `scoring` (see RaceSessions.js): a table name or an inline table
+     * @returns {object|null}
+     */
+    scoringTable(scoring) {
+        if (scoring === null || scoring === undefined) return null;
+        if (typeof scoring === 'string') return this.system.sessions[scoring] || null;
+        return normalizeSession(scoring);
+    }
+
+    /**
+     * Base points for a classified position in a session
+     * @param {string|object} session - Table name, or an inline table
+     */
+    pointsFor(session, position) {
+        const config = this.scoringTable(session);
+        const pos = parsePosition(position);
+        if (!config || !pos) return 0;
+        return pos <= config.positions.length ? config.positions[pos - 1] : config.classified;
+    }
+
+    /**
+     * Points multiplier for a round (double points finales, half-points races...)
+     */
+    getMultiplier(race = {}) {
+        if (typeof race.pointsMultiplier === 'number') return race.pointsMultiplier;
+        const multipliers = this.system.roundMultipliers;
+        const value = multipliers[race.id] ?? multipliers[race.round];
+        if (typeof value === 'number') return value;
+        const typeValue = race.roundType ? this.system.roundTypes[race.roundType] : undefined;
+        return typeof typeValue === 'number' ? typeValue : 1;
+    }
+
+    /**
+     * Score one session
+     * @param {string} session - Session name
+     * @param {object} sessionResults - `{ driverId: { position, fastestLap } }`
+     * @param {number} multiplier - Round multiplier
+     * @param {object} options - `scoring`: points table (defaults to the session's own),
+     *   `awardsPole`: whether P1 takes the pole bonus (defaults to the pole table's session)
+     * @returns {object} `{ driverId: { position, points, bonuses, total } }`
+     */
+    scoreSession(session, sessionResults = {}, multiplier = 1, { scoring = session, awardsPole } = {}) {
+        const config = this.scoringTable(scoring);
+        const pole = this.system.pole;
+        const isPoleSession = awardsPole ?? pole?.session === session;
+        const scored = {};
+
+        const lapsLed = Object.values(sessionResults).map(raw => Number(raw?.lapsLed) || 0);
+        const mostLapsLed = Math.max(0, ...lapsLed);
+
+        Object.entries(sessionResults).forEach(([driverId, raw]) => {
+            const entry = toEntry(raw);
+            if (!entry) return;
+            const led = Number(entry.lapsLed) || 0;
+
+            const points = config ? this.pointsFor(scoring, entry.position) : 0;
+            const bonuses = {};
+
+            const fastestLap = config?.fastestLap;
+            if (fastestLap && entry.fastestLap && entry.position &&
+                (!fastestLap.topN || entry.position <= fastestLap.topN)) {
+                bonuses.fastestLap = fastestLap.points;
+            }
+
+            if (config?.lapsLed && led >= config.lapsLed.minLaps) {
+                bonuses.lapsLed = config.lapsLed.points;
+            }
+
+            if (config?.mostLapsLed && led > 0 && led === mostLapsLed) {
+                bonuses.mostLapsLed = config.mostLapsLed.points;
+            }
+
+            if (pole && isPoleSession && entry.position === 1) {
+                bonuses.pole = pole.points;
+            }
+
+            const bonusTotal = Object.values(bonuses).reduce((sum, value) => sum + value, 0);
+            scored[driverId] = {
+                position: entry.position,
+                status: entry.status || null,
+                points: points * multiplier,
+                bonuses,
+                total: (points + bonusTotal) * multiplier
+            };
+        });
+
+        return scored;
+    }
+
+    /**
+     * Final classification of a race: normalized results with the race's penalties applied
+     * In a multi-class championship every result also carries `classId` and `classPosition`.
+     * @param {object} race - Race (model instance or plain object)
+     * @param {object|Array} results - Results for the race; defaults to `race.results`
+     * @returns {{ results: object, deductions: object }} Sessions as `normalizeRaceResults`,
+     *   plus `{ driverId: points }` deducted by the stewards
+     */
+    classifyRace(race = {}, results = race.results) {
+        const classified = applyRacePenalties(normalizeRaceResults(results, sessionIds(race)), race.penalties || [], race);
+        if (!this.classOf) return classified;
+
+        Object.keys(classified.results).forEach(session => {
+            classified.results[session] = applyClassPositions(classified.results[session], this.classOf);
+        });
+        return classified;
+    }
+
+    /**
+     * Split a classified session into the groups scored together: the whole field, or one group
+     * per class scored on class positions with the class's own points
+     * @returns {Array<{ results, scoring, classId }>}
+     */
+    scoringGroups(sessionResults = {}, { type, scoring }) {
+        if (!this.classOf) {
+            return [{ results: sessionResults, scoring, classId: null }];
+        }
+
+        const groups = new Map();
+        Object.entries(sessionResults).forEach(([id, result]) => {
+            if (!groups.has(result.classId)) groups.set(result.classId, {});
+            groups.get(result.classId)[id] = { ...result, position: result.classPosition };
+        });
+
+        return [...groups.entries()].map(([classId, results]) => {
+            const points = this.classes.find(c => c.id === classId)?.points;
+            const classPoints = Array.isArray(points) ? points : points?.[scoring];
+            const table = this.scoringTable(scoring);
+            return {
+                results,
+                // A class's points replace the positions of race tables; bonuses stay the championship's
+                scoring: classPoints && type === 'race' && table ? { ...table, positions: classPoints } : scoring,
+                classId
+            };
+        });
+    }
+
+    /**
+     * Score every session of a race, each with the points table its session config names
+     * @param {object} race - Race (model instance or plain object)
+     * @param {object|Array} results - Results for the race; defaults to `race.results`
+     * @returns {object} `{ multiplier, drivers: { driverId: { sessions, points, deduction, total } } }`
+     *   `points` is what the sessions scored, `total` is after race points deductions
+     */
+    scoreRace(race = {}, results = race.results) {
+        const multiplier = this.getMultiplier(race);
+        const { results: classified, deductions } = this.classifyRace(race, results);
+        const sessions = raceSessions(race);
+        const pole = this.system.pole ? poleSession(race, this.system.pole.session) : null;
+        const drivers = {};
+
+        sessions.forEach(({ id: session, type, scoring }) => {
+            // Results left over from sessions since removed from the race are not scored
+            this.scoringGroups(classified[session], { type, scoring }).forEach(group => {
+                const scored = this.scoreSession(session, group.results, multiplier, {
+                    scoring: group.scoring,
+                    awardsPole: session === pole
+                });
+                Object.entries(scored).forEach(([driverId, score]) => {
+                    if (!drivers[driverId]) {
+                        drivers[driverId] = { sessions: {}, points: 0, deduction: 0, total: 0 };
+                    }
+                    // Multi-class scores keep the class and the overall finishing position
+                    drivers[driverId].sessions[session] = this.classOf ?
+                        { ...score, classId: group.classId, overallPosition: classified[session][driverId].overallPosition } :
+                        score;
+                    drivers[driverId].points += score.total;
+                });
+            });
+        });
+
+        Object.values(drivers).forEach(driver => { driver.total = driver.points; });
+
+        // Points deductions are never multiplied
+        Object.entries(deductions).forEach(([driverId, points]) => {
+            if (!drivers[driverId]) return;
+            drivers[driverId].deduction = points;
+            drivers[driverId].total -= points;
+        });
+
+        return { multiplier, drivers };
+    }
+
+    /**
+     * Points a single driver scored in a race
+     */
+    driverRacePoints(race, driverId, results) {
+        return this.scoreRace(race, results).drivers[driverId]?.total || 0;
+    }
+
+    /**
+     * Score a full season, applying the dropped-score rule
+     * @param {object} championship - Championship with `races`
+     * @param {object} resultsByRace - Optional `{ raceId: results }`; falls back to each `race.results`
+     * @param {object} options - `byEntry`: in a championship with entries (see Entries.js), score the
+     *   entries themselves instead of sharing their points out to the crews
+     * @returns {object} `{ driverId: { total, gross, net, deductions, rounds: [{ raceId, round, total, deduction, sessions, disqualified, dropped }] } }`
+     *   `total` equals `net`; rounds a driver missed are included with `missed: true`.
+     *   Dropped-score rules work on race points only: race and championship points
+     *   deductions are taken off `net` afterwards so they can never be dropped.
+     */
+    scoreChampionship(championship, resultsByRace = null, { byEntry = false } = {}) {
+        const scoredRaces = [];
+        const shareToCrews = !byEntry && isEntryChampionship(championship);
+
+        // Season order, whatever order the races are stored in: tie-breaks read rounds in sequence
+        const races = championship?.races || [];
+        racesInRoundOrder(races).forEach(race => {
+            const results = resultsByRace ? resultsByRace[race.id] : race.results;
+            if (!results) return;
+
+            const { drivers: scores } = this.scoreRace(race, results);
+            const drivers = shareToCrews ? crewScores(championship, race, scores) : scores;
+            if (Object.keys(drivers).length > 0) {
+                scoredRaces.push({ race, round: raceRound(races, race), drivers });
+            }
+        });
+
+        const driverIds = new Set();
+        scoredRaces.forEach(({ drivers }) => Object.keys(drivers).forEach(id => driverIds.add(id)));
+
+        const seasonDeductions = championshipDeductions(championship);
+        Object.keys(seasonDeductions).forEach(id => driverIds.add(id));
+
+        const totals = {};
+        driverIds.forEach(driverId => {
+            const rounds = scoredRaces.map(({ race, round, drivers }) => this.toRound(race, drivers[driverId], round));
+            const { gross, net, rounds: flagged } = applyDropScores(rounds, this.system.dropScores);
+            const deductions = rounds.reduce((sum, round) => sum + round.deduction, 0) +
+                (seasonDeductions[driverId] || 0);
+            totals[driverId] = { total: net - deductions, gross, net: net - deductions, deductions, rounds: flagged };
+        });
+
+        return totals;
+    }
+
+    /**
+     * Per-round summary used for season totals and dropped scores
+     * @param {number} round - The race's round; defaults to its own `round` (see Rounds.raceRound)
+     */
+    toRound(race, score, round = race.round) {
+        if (!score) {
+            return { raceId: race.id, round, total: 0, deduction: 0, sessions: {}, disqualified: false, missed: true };
+        }
+
+        const disqualified = Object.values(score.sessions)
+            .some(session => [RESULT_STATUS.DSQ, RESULT_STATUS.EXCLUDED].includes(session.status));
+
+        return {
+            raceId: race.id,
+            round,
+            total: score.points,
+            deduction: score.deduction,
+            sessions: score.sessions,
+            disqualified,
+            missed: false
+        };
+    }
+}
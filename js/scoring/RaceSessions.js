@@ -0,0 +1,218 @@
+/**
+ * RaceSessions - The configurable session list of a race weekend
+ * `race.sessions` lists a race's sessions in running order:
+ * `[{ id, name, type, scoring, gridFor }]`
+ * - `id`: key used in `Race.results` and on driver-keyed rows (`${id}Status`, `${id}FL`)
+ * - `type`: one of `SESSION_TYPES`
+ * - `scoring`: name of a points-system table (`pointsSystem.sessions`), an inline
+ *   table (`[25, 18, ...]` or `{ positions, fastestLap, ... }`), or null for no points
+ * - `gridFor`: id of the session whose starting grid this session sets
+ * Races without a list run the classic qualifying / sprint / feature weekend.
+ */
+
+export const SESSION_TYPES = {
+    practice: { label: 'Practice' },
+    qualifying: { label: 'Qualifying' },
+    race: { label: 'Race' }
+};
+
+export const DEFAULT_SESSIONS = [
+    { id: 'qualifying', name: 'Qualifying', type: 'qualifying', scoring: 'qualifying', gridFor: 'feature' },
+    { id: 'sprint', name: 'Sprint', type: 'race', scoring: 'sprint', gridFor: null },
+    { id: 'feature', name: 'Feature', type: 'race', scoring: 'feature', gridFor: null }
+];
+
+// Starting points for the session editor
+export const SESSION_FORMATS = {
+    classic: {
+        label: 'Qualifying, sprint and feature',
+        sessions: DEFAULT_SESSIONS
+    },
+    knockout: {
+        label: 'Practice, Q1/Q2/Q3 knockout and feature',
+        sessions: [
+            { id: 'fp1', name: 'Practice 1', type: 'practice', scoring: null },
+            { id: 'fp2', name: 'Practice 2', type: 'practice', scoring: null },
+            { id: 'q1', name: 'Q1', type: 'qualifying', scoring: null, gridFor: 'feature' },
+            { id: 'q2', name: 'Q2', type: 'qualifying', scoring: null, gridFor: 'feature' },
+            { id: 'q3', name: 'Q3', type: 'qualifying', scoring: 'qualifying', gridFor: 'feature' },
+            { id: 'feature', name: 'Feature', type: 'race', scoring: 'feature' }
+        ]
+    },
+    heats: {
+        label: 'Heat races and final',
+        sessions: [
+            { id: 'practice', name: 'Practice', type: 'practice', scoring: null },
+            { id: 'heat1', name: 'Heat 1', type: 'race', scoring: 'sprint', gridFor: 'final' },
+            { id: 'heat2', name: 'Heat 2', type: 'race', scoring: 'sprint', gridFor: 'final' },
+            { id: 'final', name: 'Final', type: 'race', scoring: 'feature' }
+        ]
+    },
+    reverseGrid: {
+        label: 'Qualifying and two races (reverse grid)',
+        sessions: [
+            { id: 'qualifying', name: 'Qualifying', type: 'qualifying', scoring: 'qualifying', gridFor: 'race1' },
+            { id: 'race1', name: 'Race 1', type: 'race', scoring: 'feature', gridFor: 'race2' },
+            { id: 'race2', name: 'Race 2 (reverse grid)', type: 'race', scoring: 'sprint' }
+        ]
+    },
+    threeRace: {
+        label: 'Qualifying, two sprints and feature',
+        sessions: [
+            { id: 'qualifying', name: 'Qualifying', type: 'qualifying', scoring: 'qualifying', gridFor: 'feature' },
+            { id: 'sprint1', name: 'Sprint 1', type: 'race', scoring: 'sprint', gridFor: 'sprint2' },
+            { id: 'sprint2', name: 'Sprint 2', type: 'race', scoring: 'sprint' },
+            { id: 'feature', name: 'Feature', type: 'race', scoring: 'feature' }
+        ]
+    },
+    // One race scored at the end of each stage and at the finish; each stage is entered as a session
+    stages: {
+        label: 'Stage racing: qualifying, two stages and the finish',
+        sessions: [
+            { id: 'qualifying', name: 'Qualifying', type: 'qualifying', scoring: 'qualifying', gridFor: 'feature' },
+            { id: 'stage1', name: 'Stage 1', type: 'race', scoring: 'stage1' },
+            { id: 'stage2', name: 'Stage 2', type: 'race', scoring: 'stage2' },
+            { id: 'feature', name: 'Final Stage', type: 'race', scoring: 'feature' }
+        ]
+    },
+    endurance: {
+        label: 'Endurance: practice, qualifying and race',
+        sessions: [
+            { id: 'fp1', name: 'Practice 1', type: 'practice', scoring: null },
+            { id: 'fp2', name: 'Practice 2', type: 'practice', scoring: null },
+            { id: 'qualifying', name: 'Qualifying', type: 'qualifying', scoring: 'qualifying', gridFor: 'feature' },
+            { id: 'feature', name: 'Race', type: 'race', scoring: 'feature' }
+        ]
+    }
+};
+
+// Result-row fields derived from session ids, which ids must not collide with
+const RESERVED_IDS = ['driverid', 'raceid', 'championshipid', 'reserve', 'team'];
+
+/**
+ * Session id for a name ("Heat 1" → "heat1")
+ */
+export function sessionIdFor(name, taken = []) {
+    const base = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '') || 'session';
+    let id = RESERVED_IDS.includes(base) ? `${base}session` : base;
+    for (let n = 2; taken.includes(id); n++) {
+        id = `${base}_${n}`;
+    }
+    return id;
+}
+
+/**
+ * Check and tidy a session list before it is stored
+ * @returns {Array} Sessions with ids, types and grid links filled in
+ * @throws {Error} When the list is empty or a grid link points nowhere
+ */
+export function normalizeSessionList(sessions = []) {
+    if (!Array.isArray(sessions) || sessions.length === 0) {
+        throw new Error('A race needs at least one session');
+    }
+
+    const ids = [];
+    const list = sessions.map(session => {
+        const id = session.id && !ids.includes(session.id) ? session.id : sessionIdFor(session.name, ids);
+        ids.push(id);
+        return {
+            id,
+            name: session.name || id,
+            type: SESSION_TYPES[session.type] ? session.type : 'race',
+            scoring: session.scoring ?? null,
+            gridFor: session.gridFor || null
+        };
+    });
+
+    list.forEach(session => {
+        if (!session.gridFor) return;
+        if (session.gridFor === session.id || !ids.includes(session.gridFor)) {
+            throw new Error(`"${session.name}" sets the grid for a session that is not in this race`);
+        }
+    });
+
+    return list;
+}
+
+/**
+ * A race's sessions in running order (the classic weekend when none are configured)
+ */
+export function raceSessions(race = {}) {
+    const sessions = Array.isArray(race?.sessions) && race.sessions.length > 0 ? race.sessions : DEFAULT_SESSIONS;
+    return sessions.map(session => ({ type: 'race', scoring: session.id, gridFor: null, ...session }));
+}
+
+export function sessionIds(race = {}) {
+    return raceSessions(race).map(session => session.id);
+}
+
+export function findSession(race, sessionId) {
+    return raceSessions(race).find(session => session.id === sessionId) || null;
+}
+
+export function sessionName(race, sessionId) {
+    return findSession(race, sessionId)?.name || sessionId;
+}
+
+/**
+ * The round's headline race: `feature` when the race has one, else its last race session
+ * Wins, podiums and finishing stats are counted from this session.
+ */
+export function mainRaceSession(race = {}) {
+    const sessions = raceSessions(race);
+    if (sessions.some(session => session.id === 'feature')) return 'feature';
+    const races = sessions.filter(session => session.type === 'race');
+    return (races[races.length - 1] || sessions[sessions.length - 1]).id;
+}
+
+/**
+ * The session that decides pole position: `preferred` when the race has it,
+ * else the last qualifying session that sets a grid
+ */
+export function poleSession(race = {}, preferred = 'qualifying') {
+    const sessions = raceSessions(race);
+    if (sessions.some(session => session.id === preferred)) return preferred;
+    const qualifying = sessions.filter(session => session.type === 'qualifying');
+    const gridSetting = qualifying.filter(session => session.gridFor);
+    const candidates = gridSetting.length > 0 ? gridSetting : qualifying;
+    return candidates[candidates.length - 1]?.id || null;
+}
+
+/**
+ * Sessions that set the grid for `target`, in running order
+ */
+export function gridSessions(race, target) {
+    return raceSessions(race).filter(session => session.gridFor === target);
+}
+
+/**
+ * Starting order for a session from the sessions that set its grid
+ * Heat races are merged by finishing position (heat winners first). Knockout
+ * qualifying (Q1/Q2/Q3) puts the latest session at the front of the grid, and each
+ * earlier one fills the places behind with drivers not yet placed.
+ * @param {object} race
+ * @param {object} classified - Sessions as returned by `PointsEngine.classifyRace`
+ * @param {string} target - Session id
+ * @returns {Array<string>} Driver ids, pole first
+ */
+export function startingGrid(race, classified, target) {
+    const sources = gridSessions(race, target);
+    const finishers = id => Object.entries(classified[id] || {})
+        .filter(([, entry]) => entry?.position)
+        .sort(([, a], [, b]) => a.position - b.position);
+    const grid = [];
+    const place = driverId => {
+        if (!grid.includes(driverId)) grid.push(driverId);
+    };
+
+    if (sources.length > 1 && sources.every(session => session.type === 'race')) {
+        sources
+            .flatMap(({ id }, order) => finishers(id).map(([driverId, entry]) => ({ driverId, position: entry.position, order })))
+            .sort((a, b) => a.position - b.position || a.order - b.order)
+            .forEach(({ driverId }) => place(driverId));
+        return grid;
+    }
+
+    [...sources].reverse().forEach(({ id }) => finishers(id).forEach(([driverId]) => place(driverId)));
+    return grid;
+}
@@ -0,0 +1,185 @@
+/**
+ * ResultStatus - The single result-status model used by every results layout
+ * Statuses are stored lowercase on each result (`status`), or as `${session}Status`
+ * on driver-keyed result rows.
+ */
+
+// Stored results written before this version use free-text statuses and get migrated
+export const RESULTS_VERSION = 2;
+
+export const RESULT_STATUS = {
+    FINISHED: 'finished',
+    LAPPED: 'lapped',
+    DNF: 'dnf',
+    DNS: 'dns',
+    DSQ: 'dsq',
+    DNQ: 'dnq',
+    NC: 'nc',
+    EXCLUDED: 'excluded'
+};
+
+/**
+ * Per-status rules
+ * - `classified`: takes a finishing position and is eligible for points
+ *   (a DNF is classified only when it covered enough distance, see `isClassified`)
+ * - `started`: counts as a race start
+ */
+export const RESULT_STATUS_INFO = {
+    finished: { label: 'Finished', short: 'FIN', classified: true, started: true },
+    lapped: { label: 'Lapped', short: '+LAP', classified: true, started: true },
+    dnf: { label: 'Did Not Finish', short: 'DNF', classified: false, started: true },
+    dns: { label: 'Did Not Start', short: 'DNS', classified: false, started: false },
+    dsq: { label: 'Disqualified', short: 'DSQ', classified: false, started: true },
+    dnq: { label: 'Did Not Qualify', short: 'DNQ', classified: false, started: false },
+    nc: { label: 'Not Classified', short: 'NC', classified: false, started: true },
+    excluded: { label: 'Excluded', short: 'EXC', classified: false, started: false }
+};
+
+// Spellings found in stored results, mapped to the current statuses
+const ALIASES = {
+    finished: 'finished',
+    finish: 'finished',
+    fin: 'finished',
+    classified: 'finished',
+    running: 'finished',
+    lapped: 'lapped',
+    '+lap': 'lapped',
+    dnf: 'dnf',
+    ret: 'dnf',
+    retired: 'dnf',
+    dns: 'dns',
+    dsq: 'dsq',
+    dq: 'dsq',
+    disqualified: 'dsq',
+    dnq: 'dnq',
+    nc: 'nc',
+    'not classified': 'nc',
+    excluded: 'excluded',
+    exc: 'excluded',
+    ex: 'excluded'
+};
+
+/**
+ * Map any stored status spelling ("DNF", "Ret", "+2 laps", "running"...) to a status
+ * @returns {string|null} A `RESULT_STATUS` value, or null when unrecognised
+ */
+export function normalizeStatus(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const key = String(value).trim().toLowerCase();
+    if (/^\+\s*\d+\s*laps?$/.test(key)) return RESULT_STATUS.LAPPED;
+    return ALIASES[key] || null;
+}
+
+/**
+ * Status of a stored result, falling back to legacy markers
+ * (`dnf: true`, or a status typed into the position field)
+ * @param {object|string|number} raw - Result entry or raw position value
+ * @returns {string|null}
+ */
+export function resolveResultStatus(raw) {
+    if (raw === null || raw === undefined) return null;
+    if (typeof raw !== 'object') return resolveResultStatus({ position: raw });
+
+    const explicit = normalizeStatus(raw.status);
+    if (explicit) return explicit;
+    if (raw.dnf) return RESULT_STATUS.DNF;
+
+    const fromPosition = normalizeStatus(raw.position);
+    if (fromPosition) return fromPosition;
+
+    return /^P?\d+$/i.test(String(raw.position ?? '').trim()) ? RESULT_STATUS.FINISHED : null;
+}
+
+/**
+ * Whether a result keeps its finishing position (and so can score points)
+ * @param {string|null} status
+ * @param {object} options - `{ classified }` set by timing when a retirement covered enough distance
+ */
+export function isClassified(status, { classified = false } = {}) {
+    if (!status) return true;
+    if (status === RESULT_STATUS.DNF) return classified === true;
+    return Boolean(RESULT_STATUS_INFO[status]?.classified);
+}
+
+export function isStart(status) {
+    return !status || Boolean(RESULT_STATUS_INFO[status]?.started);
+}
+
+export function statusLabel(status, { short = false } = {}) {
+    const info = RESULT_STATUS_INFO[status];
+    if (!info) return '';
+    return short ? info.short : info.label;
+}
+
+/**
+ * Migrate one stored result entry (session-keyed or array layout)
+ * Sets `status`, drops the legacy `dnf` flag and clears status text from `position`.
+ */
+export function migrateResultEntry(raw) {
+    if (raw === null || raw === undefined) return raw;
+    if (typeof raw !== 'object') {
+        const status = resolveResultStatus(raw);
+        return status === RESULT_STATUS.FINISHED ? { position: raw, status } : { position: null, status };
+    }
+
+    const { dnf, ...entry } = raw;
+    const status = resolveResultStatus(raw);
+    if (normalizeStatus(entry.position)) entry.position = null;
+    return status ? { ...entry, status } : entry;
+}
+
+/**
+ * Migrate one driver-keyed result row (`{ qualifying: '3', feature: 'DNF', featureFL }`)
+ * Status text typed into a session column moves to `${session}Status`.
+ */
+export function migrateResultRow(row, sessions = ['qualifying', 'sprint', 'feature']) {
+    if (!row || typeof row !== 'object') return row;
+    const migrated = { ...row };
+
+    sessions.forEach(session => {
+        const timing = migrated[`${session}Timing`];
+        const status = normalizeStatus(migrated[`${session}Status`]) ||
+            normalizeStatus(timing?.status) ||
+            normalizeStatus(migrated[session]);
+
+        if (normalizeStatus(migrated[session])) migrated[session] = '';
+        if (timing?.status) migrated[`${session}Timing`] = { ...timing, status: normalizeStatus(timing.status) || timing.status };
+        if (status) {
+            migrated[`${session}Status`] = status;
+        } else if (migrated[session] !== undefined && migrated[session] !== '') {
+            migrated[`${session}Status`] = RESULT_STATUS.FINISHED;
+        }
+    });
+
+    return migrated;
+}
+
+/**
+ * Migrate a race's stored results, whatever their layout
+ * @param {object|Array} results - Session-keyed `Race.results` or the modal's result array
+ */
+export function migrateRaceResults(results) {
+    if (!results) return results;
+    if (Array.isArray(results)) return results.map(migrateResultEntry);
+
+    const migrated = {};
+    Object.entries(results).forEach(([session, sessionResults]) => {
+        migrated[session] = {};
+        Object.entries(sessionResults || {}).forEach(([driverId, raw]) => {
+            migrated[session][driverId] = migrateResultEntry(raw);
+        });
+    });
+    return migrated;
+}
+
+/**
+ * Championship fields to store after migrating every race's results
+ * @returns {{ races: Array, resultsVersion: number }}
+ */
+export function migrateChampionshipResults(championship) {
+    return {
+        races: (championship?.races || []).map(race => race.results ?
+            { ...race, results: migrateRaceResults(race.results) } : race),
+        resultsVersion: RESULTS_VERSION
+    };
+}
@@ -0,0 +1,44 @@
+/**
+ * Rounds - Where a race sits in its championship's season
+ * Races created through the services carry a `round`; older (legacy) races don't, and
+ * take their place in the championship's `races` schedule instead. Rounds stored as
+ * strings are compared as numbers.
+ */
+
+function roundNumber(race, index) {
+    const round = parseInt(race?.round, 10);
+    return isNaN(round) ? index + 1 : round;
+}
+
+/**
+ * Races in season order, by round and then by their place in the schedule
+ * @returns {Array} New array; the races themselves are not copied
+ */
+export function racesInRoundOrder(races = []) {
+    return races
+        .map((race, index) => ({ race, index, round: roundNumber(race, index) }))
+        .sort((a, b) => a.round - b.round || a.index - b.index)
+        .map(({ race }) => race);
+}
+
+/**
+ * Round number of a race: its own `round`, else its position in the schedule (1-based)
+ * @returns {number|null} null when the race isn't part of `races`
+ */
+export function raceRound(races = [], race) {
+    const index = races.findIndex(r => r === race || (race?.id && r.id === race.id));
+    if (index === -1) {
+        const round = parseInt(race?.round, 10);
+        return isNaN(round) ? null : round;
+    }
+    return roundNumber(races[index], index);
+}
+
+/**
+ * The race run just before `race` in season order, or null for the opening round
+ */
+export function previousRace(races = [], race) {
+    const ordered = racesInRoundOrder(races);
+    const index = ordered.findIndex(r => r === race || (race?.id && r.id === race.id));
+    return index > 0 ? ordered[index - 1] : null;
+}
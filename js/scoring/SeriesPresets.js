@@ -0,0 +1,401 @@
+/**
+ * SeriesPresets - Built-in points systems for real-world series
+ * Each series keeps every rule set it has used, so a season is always scored
+ * with the rules that were in force when it ran.
+ */
+import { normalizePointsSystem } from './PointsEngine.js';
+import { SESSION_FORMATS } from './RaceSessions.js';
+
+const TOP_10 = [25, 18, 15, 12, 10, 8, 6, 4, 2, 1];
+const F2_SPRINT_2017 = [15, 12, 10, 8, 6, 4, 2, 1];
+const F2_SPRINT_2021 = [15, 12, 10, 8, 6, 5, 4, 3, 2, 1];
+const INDYCAR = [50, 40, 35, 32, 30, 28, 26, 24, 22, 20, 19, 18, 17, 16, 15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5];
+// 40 cars start; 36th to 40th all score a point
+const NASCAR_RACE = [40, 35, 34, 33, 32, 31, 30, 29, 28, 27, 26, 25, 24, 23, 22, 21, 20, 19, 18, 17, 16, 15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 1, 1, 1, 1];
+const NASCAR_STAGE = [10, 9, 8, 7, 6, 5, 4, 3, 2, 1];
+const MOTOGP_RACE = [25, 20, 16, 13, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1];
+const MOTOGP_SPRINT = [12, 9, 7, 6, 5, 4, 3, 2, 1];
+
+/**
+ * Registry of series presets. Versions are ordered oldest first; `from`/`to` are
+ * inclusive season years (`to: null` means the version is still current).
+ * `sessionFormat` names the weekend format (RaceSessions.SESSION_FORMATS) new races start with,
+ * for rule sets that score sessions the classic weekend doesn't have.
+ */
+export const SERIES_PRESETS = {
+    f1: {
+        id: 'f1',
+        name: 'Formula 1',
+        versions: [
+            {
+                id: 'f1-2010',
+                name: '2010–2018',
+                from: 2010,
+                to: 2018,
+                pointsSystem: { sessions: { feature: { positions: TOP_10 } } }
+            },
+            {
+                id: 'f1-2019',
+                name: '2019–2020 (fastest lap point)',
+                from: 2019,
+                to: 2020,
+                pointsSystem: {
+                    sessions: { feature: { positions: TOP_10, fastestLap: { points: 1, topN: 10 } } }
+                }
+            },
+            {
+                id: 'f1-2021',
+                name: '2021 (sprint qualifying)',
+                from: 2021,
+                to: 2021,
+                pointsSystem: {
+                    sessions: {
+                        sprint: { positions: [3, 2, 1] },
+                        feature: { positions: TOP_10, fastestLap: { points: 1, topN: 10 } }
+                    }
+                }
+            },
+            {
+                id: 'f1-2022',
+                name: '2022–2024 (sprint top 8)',
+                from: 2022,
+                to: 2024,
+                pointsSystem: {
+                    sessions: {
+                        sprint: { positions: [8, 7, 6, 5, 4, 3, 2, 1] },
+                        feature: { positions: TOP_10, fastestLap: { points: 1, topN: 10 } }
+                    }
+                }
+            },
+            {
+                id: 'f1-2025',
+                name: '2025– (no fastest lap point)',
+                from: 2025,
+                to: null,
+                pointsSystem: {
+                    sessions: {
+                        sprint: { positions: [8, 7, 6, 5, 4, 3, 2, 1] },
+                        feature: { positions: TOP_10 }
+                    }
+                }
+            }
+        ]
+    },
+    f2: {
+        id: 'f2',
+        name: 'Formula 2',
+        versions: [
+            {
+                id: 'f2-2017',
+                name: '2017–2020',
+                from: 2017,
+                to: 2020,
+                pointsSystem: {
+                    sessions: {
+                        sprint: { positions: F2_SPRINT_2017, fastestLap: { points: 2, topN: 8 } },
+                        feature: { positions: TOP_10, fastestLap: { points: 2, topN: 10 } }
+                    },
+                    pole: { points: 4 }
+                }
+            },
+            {
+                id: 'f2-2021',
+                name: '2021 (three races)',
+                from: 2021,
+                to: 2021,
+                sessionFormat: 'threeRace',
+                pointsSystem: {
+                    sessions: {
+                        sprint: { positions: F2_SPRINT_2021, fastestLap: { points: 2, topN: 10 } },
+                        feature: { positions: TOP_10, fastestLap: { points: 2, topN: 10 } }
+                    },
+                    pole: { points: 4 }
+                }
+            },
+            {
+                id: 'f2-2022',
+                name: '2022–',
+                from: 2022,
+                to: null,
+                pointsSystem: {
+                    sessions: {
+                        sprint: { positions: [10, 8, 6, 5, 4, 3, 2, 1], fastestLap: { points: 1, topN: 10 } },
+                        feature: { positions: TOP_10, fastestLap: { points: 1, topN: 10 } }
+                    },
+                    pole: { points: 2 }
+                }
+            }
+        ]
+    },
+    f3: {
+        id: 'f3',
+        name: 'Formula 3',
+        versions: [
+            {
+                id: 'f3-2019',
+                name: '2019–2020',
+                from: 2019,
+                to: 2020,
+                pointsSystem: {
+                    sessions: {
+                        sprint: { positions: F2_SPRINT_2017, fastestLap: { points: 2, topN: 8 } },
+                        feature: { positions: TOP_10, fastestLap: { points: 2, topN: 10 } }
+                    },
+                    pole: { points: 4 }
+                }
+            },
+            {
+                id: 'f3-2021',
+                name: '2021 (three races)',
+                from: 2021,
+                to: 2021,
+                sessionFormat: 'threeRace',
+                pointsSystem: {
+                    sessions: {
+                        sprint: { positions: F2_SPRINT_2021, fastestLap: { points: 2, topN: 10 } },
+                        feature: { positions: TOP_10, fastestLap: { points: 2, topN: 10 } }
+                    },
+                    pole: { points: 4 }
+                }
+            },
+            {
+                id: 'f3-2022',
+                name: '2022–',
+                from: 2022,
+                to: null,
+                pointsSystem: {
+                    sessions: {
+                        sprint: { positions: [10, 9, 8, 7, 6, 5, 4, 3, 2, 1], fastestLap: { points: 1, topN: 10 } },
+                        feature: { positions: TOP_10, fastestLap: { points: 1, topN: 10 } }
+                    },
+                    pole: { points: 2 }
+                }
+            }
+        ]
+    },
+    indycar: {
+        id: 'indycar',
+        name: 'IndyCar',
+        versions: [
+            {
+                id: 'indycar-2014',
+                name: '2014–2022 (double-points 500s)',
+                from: 2014,
+                to: 2022,
+                pointsSystem: {
+                    sessions: {
+                        feature: {
+                            positions: INDYCAR,
+                            classified: 5,
+                            lapsLed: { points: 1, minLaps: 1 },
+                            mostLapsLed: { points: 2 }
+                        }
+                    },
+                    pole: { points: 1 },
+                    roundTypes: { double: 2 }
+                }
+            },
+            {
+                id: 'indycar-2023',
+                name: '2023–',
+                from: 2023,
+                to: null,
+                pointsSystem: {
+                    sessions: {
+                        feature: {
+                            positions: INDYCAR,
+                            classified: 5,
+                            lapsLed: { points: 1, minLaps: 1 },
+                            mostLapsLed: { points: 2 }
+                        }
+                    },
+                    pole: { points: 1 }
+                }
+            }
+        ]
+    },
+    nascar: {
+        id: 'nascar',
+        name: 'NASCAR Cup Series',
+        versions: [
+            {
+                id: 'nascar-2017',
+                name: '2017– (stage racing)',
+                from: 2017,
+                to: null,
+                sessionFormat: 'stages',
+                pointsSystem: {
+                    sessions: {
+                        stage1: { positions: NASCAR_STAGE },
+                        stage2: { positions: NASCAR_STAGE },
+                        feature: { positions: NASCAR_RACE }
+                    }
+                }
+            }
+        ]
+    },
+    wec: {
+        id: 'wec',
+        name: 'FIA World Endurance Championship',
+        versions: [
+            {
+                id: 'wec-2012',
+                name: '2012– (per class)',
+                from: 2012,
+                to: null,
+                pointsSystem: {
+                    sessions: {
+                        feature: { positions: TOP_10, classified: 0.5 }
+                    },
+                    pole: { points: 1 },
+                    roundTypes: { half: 0.5, extended: 1.5, double: 2 }
+                }
+            }
+        ]
+    },
+    motogp: {
+        id: 'motogp',
+        name: 'MotoGP',
+        versions: [
+            {
+                id: 'motogp-1993',
+                name: '1993–2022',
+                from: 1993,
+                to: 2022,
+                pointsSystem: { sessions: { feature: { positions: MOTOGP_RACE } } }
+            },
+            {
+                id: 'motogp-2023',
+                name: '2023– (sprint races)',
+                from: 2023,
+                to: null,
+                pointsSystem: {
+                    sessions: {
+                        sprint: { positions: MOTOGP_SPRINT },
+                        feature: { positions: MOTOGP_RACE }
+                    }
+                }
+            }
+        ]
+    }
+};
+
+/**
+ * List presets for pickers
+ * @returns {Array<{ id, name, versions: Array<{ id, name, from, to }> }>}
+ */
+export function listPresets() {
+    return Object.values(SERIES_PRESETS).map(preset => ({
+        id: preset.id,
+        name: preset.name,
+        versions: preset.versions.map(({ id, name, from, to }) => ({ id, name, from, to }))
+    }));
+}
+
+export function getPreset(presetId) {
+    return SERIES_PRESETS[presetId] || null;
+}
+
+/**
+ * Find the rule-set version to use for a preset
+ * @param {string} presetId - Series preset id (e.g. 'f1')
+ * @param {object} options - `{ version }` to pick explicitly, or `{ season }` to match by year
+ * @returns {object|null} Version definition
+ */
+export function resolvePresetVersion(presetId, { version = null, season = null } = {}) {
+    const preset = getPreset(presetId);
+    if (!preset) return null;
+
+    if (version) {
+        return preset.versions.find(v => v.id === version) || null;
+    }
+
+    const year = parseInt(season, 10);
+    if (!isNaN(year)) {
+        const match = preset.versions.find(v => year >= v.from && (v.to === null || year <= v.to));
+        if (match) return match;
+        if (year < preset.versions[0].from) return preset.versions[0];
+    }
+
+    return preset.versions[preset.versions.length - 1];
+}
+
+/**
+ * Sessions a championship's new races start with: the weekend format of its preset version
+ * (`sessionFormat`), or null for the classic weekend
+ * @returns {Array|null} A fresh copy of the format's session list
+ */
+export function presetRaceSessions(championship) {
+    const preset = championship?.settings?.pointsPreset;
+    if (!preset?.id || !getPreset(preset.id)) return null;
+
+    const options = preset.pinned ? { version: preset.version } : { season: championship.season };
+    const format = SESSION_FORMATS[resolvePresetVersion(preset.id, options)?.sessionFormat];
+    return format ? format.sessions.map(session => ({ gridFor: null, ...session })) : null;
+}
+
+/**
+ * Canonical points system for a preset
+ */
+export function getPresetPointsSystem(presetId, options = {}) {
+    const version = resolvePresetVersion(presetId, options);
+    return version ? normalizePointsSystem(version.pointsSystem) : null;
+}
+
+/**
+ * Settings fragment for a championship created from a preset.
+ * The version is recorded but not pinned, so it keeps following the season year
+ * until an organizer pins it with `pinPresetVersion`.
+ */
+export function buildPresetSettings(presetId, season) {
+    const version = resolvePresetVersion(presetId, { season });
+    if (!version) return null;
+
+    return {
+        pointsPreset: { id: presetId, version: version.id, pinned: false },
+        pointsSystem: normalizePointsSystem(version.pointsSystem)
+    };
+}
+
+/**
+ * Settings fragment pinning a championship to a specific rule-set version
+ */
+export function pinPresetVersion(presetId, versionId) {
+    const version = resolvePresetVersion(presetId, { version: versionId });
+    if (!version) {
+        throw new Error(`Unknown rule set "${versionId}" for series "${presetId}"`);
+    }
+
+    return {
+        pointsPreset: { id: presetId, version: version.id, pinned: true },
+        pointsSystem: normalizePointsSystem(version.pointsSystem)
+    };
+}
+
+/**
+ * Resolve the points system a championship should score with.
+ * A pinned preset always uses its stored version; an unpinned preset follows the
+ * championship season; without a preset the stored `pointsSystem` is used as-is.
+ * @param {object} championship
+ * @returns {object} Canonical points system
+ */
+export function resolveChampionshipPointsSystem(championship) {
+    const settings = championship?.settings || {};
+    const preset = settings.pointsPreset;
+
+    if (preset?.id && getPreset(preset.id)) {
+        const options = preset.pinned ? { version: preset.version } : { season: championship.season };
+        const system = getPresetPointsSystem(preset.id, options);
+        if (system) {
+            // Championship-specific round multipliers and dropped-score rules stay on top of the preset
+            const overrides = normalizePointsSystem(settings.pointsSystem || {});
+            return {
+                ...system,
+                roundMultipliers: { ...system.roundMultipliers, ...overrides.roundMultipliers },
+                dropScores: overrides.dropScores || system.dropScores
+            };
+        }
+    }
+
+    return normalizePointsSystem(settings.pointsSystem);
+}
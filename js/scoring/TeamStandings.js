@@ -0,0 +1,240 @@
+/**
+ * TeamStandings - Teams' (constructors'), manufacturers' and entries' championships
+ * Built on per-driver (or per-entry, see Entries.js) race scores from PointsEngine
+ */
+import { PointsEngine } from './PointsEngine.js';
+import { rankWithTieBreakers, tieBreakRounds } from './TieBreaker.js';
+import { isEntryChampionship } from './Entries.js';
+import { teamForRound } from '../models/Driver.js';
+import { entryLabel } from '../models/Entry.js';
+import { mainRaceSession } from './RaceSessions.js';
+import { raceRound, racesInRoundOrder } from './Rounds.js';
+
+/**
+ * Normalize `settings.teamScoring`
+ * - `countBestCars`: cars per team that score each race (null = all)
+ * - `excludeReserves`: ignore points scored by reserve drivers
+ * - `manufacturers`: also run a manufacturers' championship
+ * - `manufacturerCountBestCars`: cars per manufacturer that score each race (null = all)
+ */
+export function normalizeTeamScoring(settings = {}) {
+    const scoring = settings.teamScoring || {};
+    const toCount = value => {
+        const count = parseInt(value, 10);
+        return isNaN(count) || count < 1 ? null : count;
+    };
+
+    return {
+        enabled: settings.teamChampionship !== false,
+        countBestCars: toCount(scoring.countBestCars),
+        excludeReserves: scoring.excludeReserves !== false,
+        manufacturers: Boolean(scoring.manufacturers),
+        manufacturerCountBestCars: toCount(scoring.manufacturerCountBestCars)
+    };
+}
+
+/**
+ * Team a driver raced for in a given race.
+ * The result's own `teamId` wins, then the race's `teamAssignments`, then the driver's
+ * team stint covering the round, then the driver's current team.
+ * @param {Array} races - The championship's races, to place races without a `round` (see Rounds.js)
+ */
+export function resolveDriverTeam(driver, race = {}, result = null, races = null) {
+    if (result?.teamId) return result.teamId;
+    const assigned = race.teamAssignments?.[driver?.id];
+    if (assigned) return assigned;
+    return teamForRound(driver, races ? raceRound(races, race) : race.round);
+}
+
+function isReserve(driver, race, result) {
+    if (result && result.reserve !== undefined) return Boolean(result.reserve);
+    if (race.reserveDrivers?.includes(driver?.id)) return true;
+    return Boolean(driver?.reserve);
+}
+
+function findResult(normalized, driverId, mainRace) {
+    return normalized[mainRace]?.[driverId] ||
+        Object.values(normalized).map(session => session[driverId]).find(Boolean) ||
+        null;
+}
+
+/**
+ * Per-race scoring for one grouping (teams or manufacturers)
+ * Reserves never take a counting slot from a race driver.
+ * @returns {object} `{ groupId: { points, counted, excluded, positions } }` (positions of counted cars)
+ */
+function scoreGroups(cars, countBestCars) {
+    const groups = {};
+
+    new Set(cars.map(car => car.groupId)).forEach(groupId => {
+        const groupCars = cars
+            .filter(car => car.groupId === groupId)
+            .sort((a, b) => b.points - a.points || (a.position || Infinity) - (b.position || Infinity));
+        const eligible = groupCars.filter(car => !car.reserve);
+        const counted = countBestCars === null ? eligible : eligible.slice(0, countBestCars);
+
+        groups[groupId] = {
+            points: counted.reduce((sum, car) => sum + car.points, 0),
+            counted: counted.map(car => car.driverId),
+            excluded: groupCars.filter(car => !counted.includes(car)).map(car => car.driverId),
+            positions: counted.map(car => car.position).filter(Boolean)
+        };
+    });
+
+    return groups;
+}
+
+function buildStandings(ids, describe, raceGroups, chain) {
+    const entries = ids.map(id => {
+        const rounds = raceGroups.map(({ race, round, groups }) => {
+            const group = groups[id];
+            return {
+                raceId: race.id,
+                round,
+                name: race.name || null,
+                position: group?.positions.length ? Math.min(...group.positions) : null,
+                positions: group?.positions || [],
+                total: group?.points || 0,
+                counted: group?.counted || [],
+                excluded: group?.excluded || [],
+                dropped: false
+            };
+        });
+        const positions = rounds.flatMap(round => round.positions);
+
+        return {
+            ...describe(id),
+            id,
+            points: rounds.reduce((sum, round) => sum + round.total, 0),
+            wins: positions.filter(p => p === 1).length,
+            podiums: positions.filter(p => p <= 3).length,
+            rounds
+        };
+    });
+
+    return rankWithTieBreakers(entries, chain);
+}
+
+/**
+ * Entries' championship: every car scores on its own, whoever drove it
+ * Drop scores and points deductions apply as in the drivers' championship.
+ * @param {object} championship - Championship with `entries` (see Entries.js)
+ * @param {object} resultsByRace - Optional `{ raceId: results }`; falls back to each `race.results`
+ * @returns {Array} `{ id, name, number, teamId, classId, drivers, points, wins, podiums, rounds, position, tieBreaks }`
+ */
+export function calculateEntryStandings(championship, resultsByRace = null) {
+    if (!isEntryChampionship(championship)) return [];
+
+    const engine = PointsEngine.forChampionship(championship);
+    const seasonScores = engine.scoreChampionship(championship, resultsByRace, { byEntry: true });
+    const races = championship.races || [];
+
+    const entries = championship.entries.map(entry => {
+        const rounds = tieBreakRounds(seasonScores, entry.id, races);
+        const positions = rounds.map(round => round.position).filter(Boolean);
+        return {
+            id: entry.id,
+            name: entryLabel(entry, championship.drivers),
+            number: entry.number || null,
+            teamId: entry.teamId || null,
+            classId: entry.classId || null,
+            drivers: entry.drivers || [],
+            points: seasonScores[entry.id]?.net || 0,
+            wins: positions.filter(p => p === 1).length,
+            podiums: positions.filter(p => p <= 3).length,
+            rounds
+        };
+    });
+
+    return rankWithTieBreakers(entries, championship.settings?.tieBreakers);
+}
+
+/**
+ * Calculate teams' (and optionally manufacturers') standings, plus the entries' championship
+ * when the championship runs multi-driver entries
+ * @param {object} championship - Championship with `drivers`, `teams`, `races` and `settings`
+ * @param {object} resultsByRace - Optional `{ raceId: results }`; falls back to each `race.results`
+ * @returns {{ teams: Array, manufacturers: Array, entries: Array }}
+ */
+export function calculateTeamStandings(championship, resultsByRace = null) {
+    const scoring = normalizeTeamScoring(championship?.settings);
+    const entries = calculateEntryStandings(championship, resultsByRace);
+    if (!championship || !scoring.enabled) {
+        return { teams: [], manufacturers: [], entries };
+    }
+
+    const engine = PointsEngine.forChampionship(championship);
+    const drivers = championship.drivers || [];
+    const teams = championship.teams || [];
+    const teamById = id => teams.find(team => team.id === id) || null;
+    const manufacturerOf = teamId => teamById(teamId)?.manufacturer || null;
+
+    const teamRaces = [];
+    const manufacturerRaces = [];
+    const teamIds = new Set(teams.map(team => team.id));
+    const manufacturerIds = new Set(teams.map(team => team.manufacturer).filter(Boolean));
+
+    racesInRoundOrder(championship.races || []).forEach(race => {
+        const results = resultsByRace ? resultsByRace[race.id] : race.results;
+        if (!results) return;
+
+        // Final classification, after stewards' penalties
+        const { results: normalized } = engine.classifyRace(race, results);
+        const { drivers: scores } = engine.scoreRace(race, results);
+        if (Object.keys(scores).length === 0) return;
+        const mainRace = mainRaceSession(race);
+
+        // Results keyed by entry score each car for its entered team
+        const cars = Object.entries(scores).map(([driverId, score]) => {
+            const entry = championship.entries?.find(e => e.id === driverId);
+            const driver = drivers.find(d => d.id === driverId) || { id: driverId };
+            const result = findResult(normalized, driverId, mainRace);
+            const teamId = entry ? (result?.teamId || entry.teamId) : resolveDriverTeam(driver, race, result, championship.races);
+            return {
+                driverId,
+                teamId,
+                points: score.total,
+                position: normalized[mainRace]?.[driverId]?.position || null,
+                reserve: scoring.excludeReserves && isReserve(driver, race, result)
+            };
+        }).filter(car => car.teamId);
+
+        cars.forEach(car => teamIds.add(car.teamId));
+        teamRaces.push({
+            race,
+            round: raceRound(championship.races, race),
+            groups: scoreGroups(cars.map(car => ({ ...car, groupId: car.teamId })), scoring.countBestCars)
+        });
+
+        if (scoring.manufacturers) {
+            const manufacturerCars = cars
+                .map(car => ({ ...car, groupId: manufacturerOf(car.teamId) }))
+                .filter(car => car.groupId);
+            manufacturerCars.forEach(car => manufacturerIds.add(car.groupId));
+            manufacturerRaces.push({
+                race,
+                round: raceRound(championship.races, race),
+                groups: scoreGroups(manufacturerCars, scoring.manufacturerCountBestCars)
+            });
+        }
+    });
+
+    const chain = championship.settings?.tieBreakers;
+    const describeTeam = id => {
+        const team = teamById(id);
+        return {
+            name: team?.name || id,
+            shortName: team?.shortName || '',
+            color: team?.color || '#000000',
+            manufacturer: team?.manufacturer || null
+        };
+    };
+
+    return {
+        teams: buildStandings([...teamIds], describeTeam, teamRaces, chain),
+        manufacturers: scoring.manufacturers ?
+            buildStandings([...manufacturerIds], id => ({ name: id }), manufacturerRaces, chain) :
+            [],
+        entries
+    };
+}
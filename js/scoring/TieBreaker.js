@@ -0,0 +1,217 @@
+/**
+ * TieBreaker - Configurable tie-break chain for championship standings
+ * Separates drivers on equal points and explains every decision
+ */
+import { mainRaceSession } from './RaceSessions.js';
+
+export const TIE_BREAK_RULES = {
+    countback: 'Countback (most P1s, then P2s, P3s...)',
+    mostRecentRace: 'Best result in the most recent race',
+    earliestAchieved: 'Reached the points total first',
+    wins: 'Most wins',
+    podiums: 'Most podiums',
+    averagePosition: 'Best average finishing position'
+};
+
+export const DEFAULT_TIE_BREAKERS = ['countback', 'mostRecentRace', 'earliestAchieved'];
+
+/**
+ * Keep only known rules, falling back to the default chain
+ * @param {Array<string>} chain
+ * @returns {Array<string>}
+ */
+export function normalizeTieBreakers(chain) {
+    const rules = Array.isArray(chain) ? chain.filter(rule => TIE_BREAK_RULES[rule]) : [];
+    return rules.length > 0 ? rules : [...DEFAULT_TIE_BREAKERS];
+}
+
+function roundLabel(round) {
+    return round.name || (round.round ? `Round ${round.round}` : round.raceId);
+}
+
+function classifiedPositions(entry) {
+    return entry.rounds.map(round => round.position).filter(Boolean);
+}
+
+function countAt(entry, position) {
+    return classifiedPositions(entry).filter(p => p === position).length;
+}
+
+function averagePosition(entry) {
+    const positions = classifiedPositions(entry);
+    return positions.length ? positions.reduce((sum, p) => sum + p, 0) / positions.length : Infinity;
+}
+
+function achievedAt(entry) {
+    let cumulative = 0;
+    for (let i = 0; i < entry.rounds.length; i++) {
+        const round = entry.rounds[i];
+        if (!round.dropped) cumulative += round.total || 0;
+        if (cumulative >= entry.points) return i;
+    }
+    return entry.rounds.length;
+}
+
+/**
+ * Compare two entries on one rule
+ * @returns {{ result: number, detail: string }} `result < 0` when `a` ranks ahead
+ */
+const comparators = {
+    countback(a, b) {
+        const deepest = Math.max(0, ...classifiedPositions(a), ...classifiedPositions(b));
+        for (let position = 1; position <= deepest; position++) {
+            const countA = countAt(a, position);
+            const countB = countAt(b, position);
+            if (countA !== countB) {
+                return {
+                    result: countB - countA,
+                    detail: `P${position} finishes: ${Math.max(countA, countB)} vs ${Math.min(countA, countB)}`
+                };
+            }
+        }
+        return { result: 0 };
+    },
+
+    mostRecentRace(a, b) {
+        // Walk back from the latest round until the two results differ
+        const length = Math.max(a.rounds.length, b.rounds.length);
+        for (let i = length - 1; i >= 0; i--) {
+            const posA = a.rounds[i]?.position || Infinity;
+            const posB = b.rounds[i]?.position || Infinity;
+            if (posA !== posB) {
+                const format = p => (p === Infinity ? 'unclassified' : `P${p}`);
+                const best = Math.min(posA, posB);
+                const worst = Math.max(posA, posB);
+                return {
+                    result: posA - posB,
+                    detail: `${roundLabel(a.rounds[i] || b.rounds[i])}: ${format(best)} vs ${format(worst)}`
+                };
+            }
+        }
+        return { result: 0 };
+    },
+
+    earliestAchieved(a, b) {
+        const atA = achievedAt(a);
+        const atB = achievedAt(b);
+        if (atA === atB) return { result: 0 };
+
+        const first = a.rounds[Math.min(atA, atB)] || b.rounds[Math.min(atA, atB)];
+        return {
+            result: atA - atB,
+            detail: `reached ${a.points} pts at ${first ? roundLabel(first) : 'an earlier round'}`
+        };
+    },
+
+    wins(a, b) {
+        const winsA = countAt(a, 1);
+        const winsB = countAt(b, 1);
+        return { result: winsB - winsA, detail: `${Math.max(winsA, winsB)} vs ${Math.min(winsA, winsB)} wins` };
+    },
+
+    podiums(a, b) {
+        const podiumsA = classifiedPositions(a).filter(p => p <= 3).length;
+        const podiumsB = classifiedPositions(b).filter(p => p <= 3).length;
+        return {
+            result: podiumsB - podiumsA,
+            detail: `${Math.max(podiumsA, podiumsB)} vs ${Math.min(podiumsA, podiumsB)} podiums`
+        };
+    },
+
+    averagePosition(a, b) {
+        const avgA = averagePosition(a);
+        const avgB = averagePosition(b);
+        if (avgA === avgB) return { result: 0 };
+        const format = avg => (avg === Infinity ? '-' : avg.toFixed(2));
+        return {
+            result: avgA - avgB,
+            detail: `average ${format(Math.min(avgA, avgB))} vs ${format(Math.max(avgA, avgB))}`
+        };
+    }
+};
+
+/**
+ * Decide between two entries with the same points
+ * @returns {{ result: number, rule: string|null, explanation: string }}
+ */
+export function breakTie(a, b, chain = DEFAULT_TIE_BREAKERS) {
+    for (const rule of normalizeTieBreakers(chain)) {
+        const { result, detail } = comparators[rule](a, b);
+        if (result !== 0) {
+            const [ahead, behind] = result < 0 ? [a, b] : [b, a];
+            return {
+                result,
+                rule,
+                explanation: `${ahead.name} ahead of ${behind.name} on ${TIE_BREAK_RULES[rule].toLowerCase()} (${detail})`
+            };
+        }
+    }
+
+    return {
+        result: 0,
+        rule: null,
+        explanation: `${a.name} and ${b.name} cannot be separated by the tie-break rules`
+    };
+}
+
+/**
+ * Tie-break rounds for one driver from `PointsEngine.scoreChampionship` output.
+ * Drivers without any scored round get an empty round for every scored race so all
+ * entries stay aligned round by round.
+ * @param {object} seasonScores - `{ driverId: { rounds } }`
+ * @param {string} driverId
+ * @param {Array} races - Championship races (used for round names)
+ * @returns {Array<{ raceId, round, name, position, total, dropped }>}
+ */
+export function tieBreakRounds(seasonScores, driverId, races = []) {
+    const template = Object.values(seasonScores)[0]?.rounds || [];
+    const rounds = seasonScores[driverId]?.rounds ||
+        template.map(({ raceId, round }) => ({ raceId, round, total: 0, sessions: {}, dropped: false }));
+
+    return rounds.map(round => {
+        const race = races.find(r => r.id === round.raceId);
+        return {
+            raceId: round.raceId,
+            round: round.round,
+            name: race?.name || null,
+            // Finishing position in the race's counting session (see RaceSessions.mainRaceSession)
+            position: round.sessions?.[mainRaceSession(race)]?.position || null,
+            total: round.total || 0,
+            dropped: Boolean(round.dropped)
+        };
+    });
+}
+
+/**
+ * Sort entries by points and resolve ties
+ * @param {Array<{ id, name, points, rounds: Array<{ raceId, round, name, position, total, dropped }> }>} entries
+ *   Rounds must be in season order, one per scored race
+ * @param {Array<string>} chain - Tie-break rule ids
+ * @returns {Array} Entries (same objects) in final order, each with `position` and `tieBreaks`
+ */
+export function rankWithTieBreakers(entries, chain = DEFAULT_TIE_BREAKERS) {
+    const rules = normalizeTieBreakers(chain);
+
+    const ranked = [...entries].sort((a, b) => {
+        if (b.points !== a.points) return b.points - a.points;
+        return breakTie(a, b, rules).result;
+    });
+
+    ranked.forEach((entry, index) => {
+        entry.position = index + 1;
+        entry.tieBreaks = [];
+    });
+
+    // Explain each adjacent pair that finished on equal points
+    for (let i = 0; i < ranked.length - 1; i++) {
+        const ahead = ranked[i];
+        const behind = ranked[i + 1];
+        if (ahead.points !== behind.points) continue;
+
+        const { rule, explanation } = breakTie(ahead, behind, rules);
+        ahead.tieBreaks.push({ opponentId: behind.id, ahead: true, rule, explanation });
+        behind.tieBreaks.push({ opponentId: ahead.id, ahead: false, rule, explanation });
+    }
+
+    return ranked;
+}
@@ -0,0 +1,101 @@
+/**
+ * Timing - Derive a classification from finishing times, laps and status
+ * Organizers enter what the timing screen shows; positions, gaps and the
+ * minimum-distance classification rule are worked out here.
+ */
+import { parseRaceTime } from './Penalties.js';
+import { RESULT_STATUS, RESULT_STATUS_INFO, normalizeStatus } from './ResultStatus.js';
+
+// Share of the winner's laps a driver must complete to be classified
+export const DEFAULT_CLASSIFICATION_DISTANCE = 0.9;
+
+/**
+ * Format seconds as a race time ("1:32:04.512", "58:12.300", "4.512")
+ */
+export function formatRaceTime(seconds) {
+    if (seconds === null || seconds === undefined || !Number.isFinite(seconds)) return '';
+
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = (seconds % 60).toFixed(3);
+
+    if (hours > 0) return `${hours}:${String(minutes).padStart(2, '0')}:${rest.padStart(6, '0')}`;
+    if (minutes > 0) return `${minutes}:${rest.padStart(6, '0')}`;
+    return rest;
+}
+
+function formatGap(ahead, behind) {
+    const lapsDown = ahead.laps - behind.laps;
+    if (lapsDown > 0) return `+${lapsDown} lap${lapsDown === 1 ? '' : 's'}`;
+    if (ahead.time === null || behind.time === null) return '';
+    return `+${formatRaceTime(behind.time - ahead.time)}`;
+}
+
+/**
+ * Classify a session from timing data
+ * Without any laps entered the minimum distance can't be checked: finishers with a time are
+ * classified in time order, everyone else is not.
+ * @param {Array<{ driverId, totalTime, laps, status }>} entries - `totalTime` as seconds or "h:mm:ss.sss"
+ * @param {object} options - `{ minDistance }` share of the winner's laps needed to be classified
+ * @returns {Array<{ driverId, position, status, classified, laps, totalTime, time, gapToLeader, interval }>}
+ *   Classified drivers first in finishing order, then the unclassified ones
+ */
+export function classifyByTiming(entries = [], { minDistance = DEFAULT_CLASSIFICATION_DISTANCE } = {}) {
+    const rows = entries
+        .filter(entry => entry?.driverId)
+        .map(entry => {
+            const status = normalizeStatus(entry.status) || RESULT_STATUS.FINISHED;
+            return {
+                driverId: entry.driverId,
+                status,
+                laps: Math.max(0, parseInt(entry.laps, 10) || 0),
+                time: parseRaceTime(entry.totalTime)
+            };
+        });
+
+    // Finishers and retirements compete for classification; every other status is out
+    const runners = rows.filter(row =>
+        RESULT_STATUS_INFO[row.status].classified || row.status === RESULT_STATUS.DNF);
+    const leaderLaps = Math.max(0, ...runners.map(row => row.laps));
+    const requiredLaps = Math.floor(leaderLaps * minDistance);
+    const isClassified = leaderLaps > 0 ?
+        row => row.laps >= requiredLaps :
+        row => RESULT_STATUS_INFO[row.status].classified && row.time !== null;
+
+    // Laps completed first, then time; a missing time sorts behind a recorded one
+    const byDistance = (a, b) =>
+        b.laps - a.laps ||
+        (a.time ?? Infinity) - (b.time ?? Infinity);
+
+    const classified = runners
+        .filter(isClassified)
+        .sort(byDistance);
+    const unclassified = rows
+        .filter(row => !classified.includes(row))
+        .sort(byDistance);
+
+    const leader = classified[0];
+    const statusFor = (row, classifiedRow) => {
+        const running = RESULT_STATUS_INFO[row.status].classified;
+        if (running && !classifiedRow) return RESULT_STATUS.NC;
+        // Finishers a lap or more down are reported as lapped rather than finished
+        if (running) return row.laps < leader.laps ? RESULT_STATUS.LAPPED : RESULT_STATUS.FINISHED;
+        return row.status;
+    };
+    const toResult = (row, index, classifiedRow) => ({
+        driverId: row.driverId,
+        position: classifiedRow ? index + 1 : null,
+        status: statusFor(row, classifiedRow),
+        classified: classifiedRow,
+        laps: row.laps,
+        totalTime: formatRaceTime(row.time),
+        time: row.time,
+        gapToLeader: classifiedRow && index > 0 ? formatGap(leader, row) : '',
+        interval: classifiedRow && index > 0 ? formatGap(classified[index - 1], row) : ''
+    });
+
+    return [
+        ...classified.map((row, index) => toResult(row, index, true)),
+        ...unclassified.map(row => toResult(row, null, false))
+    ];
+}
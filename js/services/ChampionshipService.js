@@ -4,6 +4,63 @@
 import { EventBus } from '../core/EventBus.js';
 import { StateManager } from '../core/StateManager.js';
 import { serviceLocator } from '../core/ServiceLocator.js';
+import { PointsEngine, normalizeRaceResults } from '../scoring/PointsEngine.js';
+import { buildPresetSettings, pinPresetVersion } from '../scoring/SeriesPresets.js';
+import { rankWithTieBreakers, tieBreakRounds } from '../scoring/TieBreaker.js';
+import { calculateEntryStandings, calculateTeamStandings, resolveDriverTeam } from '../scoring/TeamStandings.js';
+import { crewScores, isEntryChampionship, normalizeDriveTimeRule, resultCompetitors } from '../scoring/Entries.js';
+import { createClass, driverClass } from '../scoring/Classes.js';
+import { createPenalty, describePenalty, gridDropsFor, listPenalties } from '../scoring/Penalties.js';
+import { generateGrid, gridRuleFor, gridSourceRaces, normalizeGridRule } from '../scoring/GridRules.js';
+import { mainRaceSession, normalizeSessionList, sessionIds } from '../scoring/RaceSessions.js';
+import { statusLabel } from '../scoring/ResultStatus.js';
+import { Entry } from '../models/Entry.js';
+import { Race } from '../models/Race.js';
+import { toICalendar } from '../utils/RaceSchedule.js';
+import {
+    LIVE_STATUS,
+    createLiveRace,
+    finishLiveRace as closeLiveRace,
+    liveRaceId,
+    liveSessionResults,
+    postLap,
+    recordPitStop,
+    retireDriver
+} from '../utils/LiveRace.js';
+import { lapDataFromLive, lapDataId } from '../utils/LapAnalysis.js';
+import { createRevision, orderRevisions, snapshotResults } from '../utils/ResultHistory.js';
+import {
+    activeRegistration,
+    approveRegistration,
+    normalizeRegistrationField,
+    normalizeRegistrationSettings,
+    promoteWaitlist,
+    rejectRegistration,
+    submitRegistration,
+    withdrawRegistration
+} from '../utils/Registrations.js';
+import {
+    PERMISSIONS,
+    acceptRoleInvite,
+    assertCan,
+    declineRoleInvite,
+    inviteToRole,
+    pendingRoleFields,
+    requiredPermissions,
+    revokeRoleInvite,
+    setMemberRole
+} from '../utils/ChampionshipRoles.js';
+import {
+    VISIBILITY,
+    checkJoinAccess,
+    championshipVisibility,
+    createInviteLink,
+    isListed,
+    normalizeJoinCode,
+    replaceJoinCode,
+    revokeInviteLink,
+    visibilityUpdate
+} from '../utils/ChampionshipAccess.js';
 
 export class ChampionshipService {
     constructor() {
@@ -26,6 +83,7 @@ export class ChampionshipService {
             active: null,
             userChampionships: [],
             publicChampionships: [],
+            liveRaces: [],
             isLoading: false,
             error: null
         });
@@ -35,10 +93,51 @@ export class ChampionshipService {
         // Listen for championship-related events
         this.eventBus.on('championship:create', this.createChampionship.bind(this));
         this.eventBus.on('championship:join', this.joinChampionship.bind(this));
+        this.eventBus.on('championship:joinWithCode', this.joinWithCode.bind(this));
+        this.eventBus.on('championship:loadAccess', this.loadAccess.bind(this));
+        this.eventBus.on('championship:setVisibility', this.setVisibility.bind(this));
+        this.eventBus.on('championship:createInviteLink', this.createInviteLink.bind(this));
+        this.eventBus.on('championship:revokeInviteLink', this.revokeInviteLink.bind(this));
+        this.eventBus.on('championship:setJoinCode', this.setJoinCode.bind(this));
         this.eventBus.on('championship:leave', this.leaveChampionship.bind(this));
+        this.eventBus.on('championship:register', this.registerForChampionship.bind(this));
+        this.eventBus.on('championship:approveRegistration', this.approveRegistration.bind(this));
+        this.eventBus.on('championship:rejectRegistration', this.rejectRegistration.bind(this));
+        this.eventBus.on('championship:withdrawRegistration', this.withdrawRegistration.bind(this));
+        this.eventBus.on('championship:updateRegistrationSettings', this.updateRegistrationSettings.bind(this));
+        this.eventBus.on('championship:inviteToRole', this.inviteToRole.bind(this));
+        this.eventBus.on('championship:acceptRoleInvite', this.acceptRoleInvite.bind(this));
+        this.eventBus.on('championship:declineRoleInvite', this.declineRoleInvite.bind(this));
+        this.eventBus.on('championship:revokeRoleInvite', this.revokeRoleInvite.bind(this));
+        this.eventBus.on('championship:setMemberRole', this.setMemberRole.bind(this));
+        this.eventBus.on('championship:postAnnouncement', this.postAnnouncement.bind(this));
         this.eventBus.on('championship:select', this.selectChampionship.bind(this));
         this.eventBus.on('championship:update', this.updateChampionship.bind(this));
         this.eventBus.on('championship:delete', this.deleteChampionship.bind(this));
+        this.eventBus.on('championship:pinRuleSet', this.pinRuleSet.bind(this));
+        this.eventBus.on('championship:setRaceSessions', this.setRaceSessions.bind(this));
+        this.eventBus.on('championship:saveClass', this.saveClass.bind(this));
+        this.eventBus.on('championship:deleteClass', this.deleteClass.bind(this));
+        this.eventBus.on('championship:setCompetitorClass', this.setCompetitorClass.bind(this));
+        this.eventBus.on('championship:saveEntry', this.saveEntry.bind(this));
+        this.eventBus.on('championship:deleteEntry', this.deleteEntry.bind(this));
+        this.eventBus.on('championship:setDriveTimeRule', this.setDriveTimeRule.bind(this));
+        this.eventBus.on('championship:updateRaceCrews', this.updateRaceCrews.bind(this));
+        this.eventBus.on('championship:previewGrid', this.previewGrid.bind(this));
+        this.eventBus.on('championship:saveGrid', this.saveGrid.bind(this));
+        this.eventBus.on('championship:addPitStop', this.addPitStop.bind(this));
+        this.eventBus.on('championship:removePitStop', this.removePitStop.bind(this));
+        this.eventBus.on('championship:setStartingTyre', this.setStartingTyre.bind(this));
+        this.eventBus.on('championship:applyPenalty', this.applyPenalty.bind(this));
+        this.eventBus.on('championship:revokePenalty', this.revokePenalty.bind(this));
+        this.eventBus.on('championship:publishCalendar', this.publishCalendar.bind(this));
+        this.eventBus.on('championship:startRace', this.startLiveRace.bind(this));
+        this.eventBus.on('championship:postLap', this.postLiveLap.bind(this));
+        this.eventBus.on('championship:recordPitStop', this.recordLivePitStop.bind(this));
+        this.eventBus.on('championship:retireDriver', this.retireLiveDriver.bind(this));
+        this.eventBus.on('championship:finishRace', this.finishLiveRace.bind(this));
+        this.eventBus.on('championship:loadResultHistory', this.loadResultHistory.bind(this));
+        this.eventBus.on('championship:revertResults', this.revertResults.bind(this));
         this.eventBus.on('championship:loadPublic', this.loadPublicChampionships.bind(this));
         this.eventBus.on('user:authenticated', this.onUserAuthenticated.bind(this));
         this.eventBus.on('user:logout', this.onUserLogout.bind(this));
@@ -69,16 +168,27 @@ export class ChampionshipService {
                 throw new Error('User not authenticated');
             }
 
+            const season = data.season || new Date().getFullYear();
             const championshipData = {
                 ...data,
                 userId: user.uid,
                 creatorName: user.displayName || user.email,
+                ...visibilityUpdate(championshipVisibility(data)),
+                memberIds: [user.uid],
                 participants: [user.uid],
                 participantNames: [user.displayName || user.email],
                 isActive: true,
-                season: new Date().getFullYear()
+                season
             };
 
+            // Series presets supply the points system unless one was configured explicitly
+            if (!data.settings?.pointsSystem) {
+                const presetSettings = buildPresetSettings(data.pointsPreset || data.series, season);
+                if (presetSettings) {
+                    championshipData.settings = { ...(data.settings || {}), ...presetSettings };
+                }
+            }
+
             const championshipId = await this.firebaseService.createChampionship(championshipData);
             
             console.log('Championship created successfully:', championshipId);
@@ -98,8 +208,10 @@ export class ChampionshipService {
 
     /**
      * Join an existing championship
+     * Private championships need an invite link's token or the join code (see utils/ChampionshipAccess.js).
+     * @param {string|object} request - The championship id, or `{ championshipId, inviteToken, joinCode }`
      */
-    async joinChampionship(championshipId) {
+    async joinChampionship(request) {
         if (!this.firebaseService) {
             console.error('FirebaseService not available');
             return;
@@ -113,10 +225,9 @@ export class ChampionshipService {
                 throw new Error('User not authenticated');
             }
 
-            const championship = await this.firebaseService.getChampionship(championshipId);
-            if (!championship) {
-                throw new Error('Championship not found');
-            }
+            const { championshipId, inviteToken = null, joinCode = null } =
+                typeof request === 'string' ? { championshipId: request } : request || {};
+            const { championship, membership } = await this.checkMembership(championshipId, { inviteToken, joinCode }, user);
 
             // Check if user is already a participant
             if (championship.participants && championship.participants.includes(user.uid)) {
@@ -124,16 +235,13 @@ export class ChampionshipService {
             }
 
             // Add user to championship
-            const updatedParticipants = [...(championship.participants || []), user.uid];
-            const updatedParticipantNames = [...(championship.participantNames || []), user.displayName || user.email];
-
-            await this.firebaseService.updateChampionship(championshipId, {
-                participants: updatedParticipants,
-                participantNames: updatedParticipantNames
+            await this.firebaseService.addChampionshipMember(championshipId, user.uid, membership, {
+                participants: user.uid,
+                participantNames: user.displayName || user.email
             });
 
             console.log('Successfully joined championship:', championshipId);
-            this.eventBus.emit('championship:joined', { championshipId, userId: user.uid });
+            this.eventBus.emit('championship:joined', { championshipId, userId: user.uid, via: membership.via });
             
             // Refresh both user and public championships
             await this.loadUserChampionships();
@@ -148,6 +256,135 @@ export class ChampionshipService {
         }
     }
 
+    /**
+     * Read a championship and check the user may join it with the invite token or join code given
+     * Outsiders can't read a private championship, so it is checked as `{ id, visibility: 'private' }`;
+     * the security rules check the membership again when it is written.
+     * @returns {{ championship, membership }} `membership` is `{ via, secret }` (see utils/ChampionshipAccess.js)
+     */
+    async checkMembership(championshipId, { inviteToken = null, joinCode = null } = {}, user) {
+        const secret = inviteToken || normalizeJoinCode(joinCode);
+        const grant = secret ? await this.firebaseService.getAccessGrant(secret) : null;
+        if (secret && !grant) {
+            throw new Error(inviteToken ? 'This invite link is no longer valid' : 'Invalid join code');
+        }
+
+        const championship = await this.firebaseService.getChampionship(championshipId)
+            .catch(() => ({ id: championshipId, visibility: VISIBILITY.PRIVATE }));
+        if (!championship) {
+            throw new Error('Championship not found');
+        }
+        return { championship, membership: checkJoinAccess(championship, grant, user.uid) };
+    }
+
+    /**
+     * Join the championship a join code opens
+     */
+    async joinWithCode({ code }) {
+        try {
+            const joinCode = normalizeJoinCode(code);
+            const grant = joinCode ? await this.firebaseService.getAccessGrant(joinCode) : null;
+            if (!grant) {
+                throw new Error('Invalid join code');
+            }
+            await this.joinChampionship({ championshipId: grant.championshipId, joinCode });
+
+        } catch (error) {
+            console.error('Error joining with code:', error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type: 'join', error: error.message });
+        }
+    }
+
+    /**
+     * Load a championship's invite links and join code for its organizers, with each invite's grant
+     * so their use counts can be shown (see utils/ChampionshipAccess.js activeInviteLinks)
+     */
+    async loadAccess({ championshipId }) {
+        try {
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.EDIT_SETTINGS);
+            const access = await this.firebaseService.getChampionshipAccess(championshipId);
+            const grants = Object.fromEntries(await Promise.all((access.inviteLinks || [])
+                .filter(invite => !invite.revoked)
+                .map(async invite => [invite.token, await this.firebaseService.getAccessGrant(invite.token)])));
+            this.eventBus.emit('championship:accessLoaded', { championship, access, grants });
+
+        } catch (error) {
+            console.error('Error loading access:', error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type: 'loadAccess', error: error.message });
+        }
+    }
+
+    /**
+     * Run an access operation (see utils/ChampionshipAccess.js) on the championship's private
+     * invite links and join code, and save them with the grants it adds or revokes
+     * Access is a championship setting, so it needs EDIT_SETTINGS.
+     * @param {function} operation - `(access, championship, user) => { inviteLinks?, joinCode?, grants?, revoked?, invite? }`
+     */
+    async updateAccess(championshipId, type, operation) {
+        try {
+            const user = this.stateManager.getState('auth.user');
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.EDIT_SETTINGS);
+            const access = await this.firebaseService.getChampionshipAccess(championshipId);
+
+            const { invite, grants = {}, revoked = [], ...updates } = operation(access, championship, user);
+            await this.firebaseService.saveChampionshipAccess(championshipId, updates, grants, revoked);
+            this.eventBus.emit('championship:accessUpdated', { championship, access: { ...access, ...updates }, type, invite });
+
+        } catch (error) {
+            console.error(`Error updating access (${type}):`, error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type, error: error.message });
+        }
+    }
+
+    /**
+     * Make a championship public, unlisted or private
+     */
+    async setVisibility({ championshipId, visibility }) {
+        try {
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.EDIT_SETTINGS);
+            const updates = visibilityUpdate(visibility);
+            await this.writeChampionship(championshipId, updates);
+            this.eventBus.emit('championship:accessUpdated', { championship: { ...championship, ...updates }, type: 'setVisibility' });
+
+        } catch (error) {
+            console.error('Error updating access (setVisibility):', error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type: 'setVisibility', error: error.message });
+        }
+    }
+
+    /**
+     * Create a shareable invite link, optionally expiring or limited to a number of uses
+     */
+    async createInviteLink({ championshipId, expiresInDays, maxUses }) {
+        await this.updateAccess(championshipId, 'createInviteLink', (access, championship, user) => {
+            const { invite, inviteLinks, grant } = createInviteLink(access, { expiresInDays, maxUses }, user.uid, championshipId);
+            return { invite, inviteLinks, grants: { [invite.token]: grant } };
+        });
+    }
+
+    async revokeInviteLink({ championshipId, token }) {
+        await this.updateAccess(championshipId, 'revokeInviteLink',
+            access => ({ ...revokeInviteLink(access, token), revoked: [token] }));
+    }
+
+    /**
+     * Issue a new join code, or disable joining by code with `enabled: false`
+     */
+    async setJoinCode({ championshipId, enabled = true }) {
+        await this.updateAccess(championshipId, 'setJoinCode', (access, championship, user) => {
+            const { joinCode, grant, revoke } = replaceJoinCode(access, enabled, user.uid, championshipId);
+            return {
+                joinCode,
+                grants: grant ? { [joinCode]: grant } : {},
+                revoked: revoke ? [revoke] : []
+            };
+        });
+    }
+
     /**
      * Leave a championship
      */
@@ -173,14 +410,24 @@ export class ChampionshipService {
             // Remove user from championship
             const updatedParticipants = (championship.participants || []).filter(id => id !== user.uid);
             const updatedParticipantNames = (championship.participantNames || []).filter(name => name !== (user.displayName || user.email));
+            // A pending or waitlisted sign-up goes with them, freeing its seat for the waitlist
+            const withdrawal = activeRegistration(championship, user.uid) ?
+                withdrawRegistration(championship, user.uid) : null;
 
-            await this.firebaseService.updateChampionship(championshipId, {
+            await this.firebaseService.removeChampionshipMember(championshipId, user.uid, {
                 participants: updatedParticipants,
-                participantNames: updatedParticipantNames
+                participantNames: updatedParticipantNames,
+                ...(withdrawal ? { registrations: withdrawal.registrations, drivers: withdrawal.drivers } : {})
             });
 
             console.log('Successfully left championship:', championshipId);
             this.eventBus.emit('championship:left', { championshipId, userId: user.uid });
+            if (withdrawal) {
+                this.eventBus.emit('registration:changed', {
+                    championship: { ...championship, registrations: withdrawal.registrations, drivers: withdrawal.drivers },
+                    changes: withdrawal.changes
+                });
+            }
             
             // Refresh championships
             await this.loadUserChampionships();
@@ -222,8 +469,226 @@ export class ChampionshipService {
         }
     }
 
+    /**
+     * Run a registration operation (see utils/Registrations.js) on a championship, save the
+     * resulting sign-ups and drivers, and announce the status changes for notifications
+     * @param {function} operation - `(championship, user) => { registrations, drivers, changes }`
+     * @param {object} options - `permission`: what the user must be allowed to do; none for their own sign-up
+     */
+    async updateRegistrations(championshipId, type, operation, { permission = null } = {}) {
+        try {
+            const user = this.stateManager.getState('auth.user');
+            const championship = await this.getAuthorizedChampionship(championshipId, ...(permission ? [permission] : []));
+
+            const { registrations, drivers, changes, ...updates } = operation(championship, user);
+            await this.writeChampionship(championshipId, { registrations, drivers, ...updates });
+            this.eventBus.emit('registration:changed', {
+                championship: { ...championship, ...updates, registrations, drivers },
+                changes
+            });
+
+        } catch (error) {
+            console.error(`Error updating registrations (${type}):`, error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type, error: error.message });
+        }
+    }
+
+    /**
+     * Sign the current user up with their answers to the registration form
+     */
+    async registerForChampionship({ championshipId, answers = {}, inviteToken = null, joinCode = null }) {
+        // Signing up to a private championship takes the same invite or code as joining it,
+        // which makes the user a member first
+        if (inviteToken || joinCode) {
+            try {
+                const user = this.stateManager.getState('auth.user');
+                const { championship, membership } = await this.checkMembership(championshipId, { inviteToken, joinCode }, user);
+                if (!(championship.memberIds || []).includes(user.uid)) {
+                    await this.firebaseService.addChampionshipMember(championshipId, user.uid, membership);
+                }
+            } catch (error) {
+                console.error('Error updating registrations (register):', error);
+                this.stateManager.setState('championships.error', error.message);
+                this.eventBus.emit('championship:error', { type: 'register', error: error.message });
+                return;
+            }
+        }
+
+        await this.updateRegistrations(championshipId, 'register', (championship, user) => {
+            if (!(championship.participants || []).includes(user.uid) && !(championship.memberIds || []).includes(user.uid)) {
+                checkJoinAccess(championship, null, user.uid);
+            }
+            return submitRegistration(championship, user, answers);
+        });
+    }
+
+    async approveRegistration({ championshipId, userId }) {
+        await this.updateRegistrations(championshipId, 'approveRegistration',
+            championship => approveRegistration(championship, userId), { permission: PERMISSIONS.APPROVE_REGISTRATIONS });
+    }
+
+    async rejectRegistration({ championshipId, userId, reason = '' }) {
+        await this.updateRegistrations(championshipId, 'rejectRegistration',
+            championship => rejectRegistration(championship, userId, reason), { permission: PERMISSIONS.APPROVE_REGISTRATIONS });
+    }
+
+    /**
+     * Take back the current user's pending or waitlisted sign-up
+     */
+    async withdrawRegistration({ championshipId }) {
+        await this.updateRegistrations(championshipId, 'withdrawRegistration',
+            (championship, user) => withdrawRegistration(championship, user.uid));
+    }
+
+    /**
+     * Set the registration form, window and seat cap; extra seats go to the waitlist
+     * @param {object} settings - `{ fields, opensAt, closesAt, maxDrivers, requireApproval }`, omitted ones unchanged
+     */
+    async updateRegistrationSettings({ championshipId, fields, opensAt, closesAt, maxDrivers, requireApproval }) {
+        await this.updateRegistrations(championshipId, 'updateRegistrationSettings', championship => {
+            const current = championship.registrationSettings || {};
+            const registrationSettings = {
+                fields: fields === undefined ? current.fields || null : fields && fields.map(normalizeRegistrationField),
+                opensAt: opensAt === undefined ? current.opensAt || null : opensAt || null,
+                closesAt: closesAt === undefined ? current.closesAt || null : closesAt || null
+            };
+            if (registrationSettings.opensAt && registrationSettings.closesAt &&
+                new Date(registrationSettings.closesAt) <= new Date(registrationSettings.opensAt)) {
+                throw new Error('Registration must close after it opens');
+            }
+
+            const updated = {
+                ...championship,
+                registrationSettings,
+                maxDrivers: maxDrivers === undefined ? championship.maxDrivers : parseInt(maxDrivers, 10) || championship.maxDrivers,
+                requireApproval: requireApproval === undefined ? championship.requireApproval : requireApproval
+            };
+            return {
+                ...promoteWaitlist(updated),
+                registrationSettings,
+                maxDrivers: normalizeRegistrationSettings(updated).maxDrivers,
+                requireApproval: normalizeRegistrationSettings(updated).requireApproval
+            };
+        }, { permission: PERMISSIONS.APPROVE_REGISTRATIONS });
+    }
+
+    /**
+     * Run a role operation (see utils/ChampionshipRoles.js), which checks the user's right to it,
+     * and save the roles and invitations it returns
+     * @param {function} operation - `(championship, user) => { roles?, roleInvites? }`
+     */
+    async updateRoles(championshipId, type, operation) {
+        try {
+            const user = this.stateManager.getState('auth.user');
+            const championship = await this.getAuthorizedChampionship(championshipId);
+
+            const { invite, ...updates } = operation(championship, user);
+            if (updates.roleInvites) {
+                Object.assign(updates, pendingRoleFields(updates.roleInvites));
+            }
+            // Appointed admins and stewards find the championship among their own (see loadUserChampionships)
+            if (updates.roles) {
+                const stepped = Object.keys(championship.roles || {})
+                    .filter(id => !updates.roles[id] && !(championship.participants || []).includes(id));
+                const memberIds = (championship.memberIds || [championship.userId]).filter(id => !stepped.includes(id));
+                updates.memberIds = [...new Set([...memberIds, ...Object.keys(updates.roles)])];
+            }
+            await this.writeChampionship(championshipId, updates);
+            this.eventBus.emit('championship:rolesUpdated', { championship: { ...championship, ...updates }, type, invite });
+
+        } catch (error) {
+            console.error(`Error updating roles (${type}):`, error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type, error: error.message });
+        }
+    }
+
+    /**
+     * Invite a co-admin or steward by email; they join once they accept
+     */
+    async inviteToRole({ championshipId, email, role }) {
+        await this.updateRoles(championshipId, 'inviteToRole',
+            (championship, user) => inviteToRole(championship, { email, role }, user.uid));
+    }
+
+    async acceptRoleInvite({ championshipId, inviteId }) {
+        await this.updateRoles(championshipId, 'acceptRoleInvite',
+            (championship, user) => acceptRoleInvite(championship, inviteId, user));
+    }
+
+    async declineRoleInvite({ championshipId, inviteId }) {
+        await this.updateRoles(championshipId, 'declineRoleInvite',
+            (championship, user) => declineRoleInvite(championship, inviteId, user));
+    }
+
+    async revokeRoleInvite({ championshipId, inviteId }) {
+        await this.updateRoles(championshipId, 'revokeRoleInvite',
+            (championship, user) => revokeRoleInvite(championship, inviteId, user.uid));
+    }
+
+    /**
+     * Change an admin's or steward's role, or remove it with `role: null`
+     */
+    async setMemberRole({ championshipId, userId, role = null }) {
+        await this.updateRoles(championshipId, 'setMemberRole',
+            (championship, user) => setMemberRole(championship, userId, role, user.uid));
+    }
+
+    /**
+     * Post an announcement to the championship's participants
+     */
+    async postAnnouncement({ championshipId, title, message }) {
+        try {
+            const user = this.stateManager.getState('auth.user');
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.POST_ANNOUNCEMENTS);
+            if (!String(message || '').trim()) {
+                throw new Error('An announcement needs a message');
+            }
+
+            const announcement = {
+                id: `announcement_${Date.now()}`,
+                title: String(title || '').trim() || championship.name,
+                message: String(message).trim(),
+                authorId: user.uid,
+                authorName: user.displayName || user.email,
+                postedAt: new Date().toISOString()
+            };
+            await this.writeChampionship(championshipId, {
+                announcements: [...(championship.announcements || []), announcement]
+            });
+            this.eventBus.emit('championship:announcementPosted', { championship, announcement });
+
+        } catch (error) {
+            console.error('Error posting announcement:', error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type: 'postAnnouncement', error: error.message });
+        }
+    }
+
+    /**
+     * Championship the signed-in user may act on
+     * @param {...string} permissions - PERMISSIONS the user's role must grant (see utils/ChampionshipRoles.js)
+     * @throws {Error} When signed out, the championship is missing, or a permission is lacking
+     */
+    async getAuthorizedChampionship(championshipId, ...permissions) {
+        const user = this.stateManager.getState('auth.user');
+        if (!user) {
+            throw new Error('User not authenticated');
+        }
+
+        const championship = await this.firebaseService.getChampionship(championshipId);
+        if (!championship) {
+            throw new Error('Championship not found');
+        }
+        assertCan(championship, user.uid, ...permissions);
+        return championship;
+    }
+
     /**
      * Update championship
+     * The fields written decide the permissions needed: results, penalties, registrations,
+     * announcements and roles each have their own, anything else is a setting.
      */
     async updateChampionship(data) {
         if (!this.firebaseService) {
@@ -239,19 +704,8 @@ export class ChampionshipService {
                 throw new Error('Championship ID is required');
             }
 
-            await this.firebaseService.updateChampionship(id, updates);
-            
-            console.log('Championship updated successfully:', id);
-            this.eventBus.emit('championship:updated', { id, updates });
-            
-            // Refresh championships
-            await this.loadUserChampionships();
-            
-            // If this is the active championship, refresh it
-            const activeChampionship = this.stateManager.getState('championships.active');
-            if (activeChampionship && activeChampionship.id === id) {
-                await this.selectChampionship(id);
-            }
+            await this.getAuthorizedChampionship(id, ...requiredPermissions(updates));
+            await this.writeChampionship(id, updates);
 
         } catch (error) {
             console.error('Error updating championship:', error);
@@ -263,31 +717,764 @@ export class ChampionshipService {
     }
 
     /**
-     * Delete championship
+     * Save championship changes and refresh the loaded championships
+     * Callers check the user's permissions first.
      */
-    async deleteChampionship(championshipId) {
+    async writeChampionship(id, updates) {
+        await this.firebaseService.updateChampionship(id, updates);
+
+        // Keep a published calendar feed in step with the race schedule
+        if (updates.races) {
+            const championship = await this.firebaseService.getChampionship(id);
+            if (championship?.calendarFeedUrl) {
+                await this.uploadCalendarFeed(championship);
+            }
+        }
+
+        console.log('Championship updated successfully:', id);
+        this.eventBus.emit('championship:updated', { id, updates });
+
+        // Refresh championships
+        await this.loadUserChampionships();
+
+        // If this is the active championship, refresh it
+        const activeChampionship = this.stateManager.getState('championships.active');
+        if (activeChampionship && activeChampionship.id === id) {
+            await this.selectChampionship(id);
+        }
+    }
+
+    /**
+     * Publish (or refresh) a championship's iCalendar subscription feed
+     * The feed URL is stored on the championship as `calendarFeedUrl`.
+     */
+    async publishCalendar({ championshipId }) {
         if (!this.firebaseService) {
             console.error('FirebaseService not available');
             return;
         }
 
         try {
-            this.stateManager.setState('championships.isLoading', true);
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.EDIT_SETTINGS);
+            return await this.uploadCalendarFeed(championship);
+
+        } catch (error) {
+            console.error('Error publishing calendar:', error);
+            this.eventBus.emit('championship:error', { type: 'publishCalendar', error: error.message });
+        }
+    }
+
+    async uploadCalendarFeed(championship) {
+        const calendarFeedUrl = await this.firebaseService.uploadCalendarFeed(championship.id, toICalendar(championship));
+        if (championship.calendarFeedUrl !== calendarFeedUrl) {
+            await this.firebaseService.updateChampionship(championship.id, { calendarFeedUrl });
+        }
+
+        this.eventBus.emit('championship:calendarPublished', { championshipId: championship.id, calendarFeedUrl });
+        return calendarFeedUrl;
+    }
+
+    /**
+     * Pin a championship to a specific rule-set version of its series preset
+     */
+    async pinRuleSet({ id, version }) {
+        try {
+            const championship = await this.getAuthorizedChampionship(id, PERMISSIONS.EDIT_SETTINGS);
+
+            const presetId = championship.settings?.pointsPreset?.id;
+            if (!presetId) {
+                throw new Error('Championship does not use a series preset');
+            }
+
+            await this.writeChampionship(id, {
+                settings: { ...championship.settings, ...pinPresetVersion(presetId, version) }
+            });
+
+        } catch (error) {
+            console.error('Error pinning rule set:', error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type: 'pinRuleSet', error: error.message });
+        }
+    }
+
+    /**
+     * Set a race's weekend format (see scoring/RaceSessions.js)
+     * Results of sessions no longer in the list are kept, but are no longer scored.
+     */
+    async setRaceSessions({ championshipId, raceId, sessions }) {
+        try {
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.EDIT_SETTINGS);
+            if (!(championship.races || []).some(r => r.id === raceId)) {
+                throw new Error('Race not found');
+            }
+
+            const list = normalizeSessionList(sessions);
+            await this.writeChampionship(championshipId, {
+                races: championship.races.map(r => (r.id === raceId ? { ...r, sessions: list } : r))
+            });
+            this.eventBus.emit('championship:raceSessionsUpdated', { championshipId, raceId, sessions: list });
+
+        } catch (error) {
+            console.error('Error setting race sessions:', error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type: 'setRaceSessions', error: error.message });
+        }
+    }
+
+    /**
+     * Change a championship's classes and who races in them (see scoring/Classes.js)
+     * @param {Function} operation - `(championship) => ({ classes, drivers, entries })`, the fields to store
+     */
+    async updateClasses(championshipId, type, operation) {
+        try {
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.EDIT_SETTINGS);
+            const updates = operation(championship);
+            await this.writeChampionship(championshipId, updates);
+            this.eventBus.emit('championship:classesUpdated', { championshipId, type, ...updates });
+
+        } catch (error) {
+            console.error(`Error updating classes (${type}):`, error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type, error: error.message });
+        }
+    }
+
+    /**
+     * Add a class, or update the one with the same id
+     */
+    async saveClass({ championshipId, carClass }) {
+        await this.updateClasses(championshipId, 'saveClass', championship => {
+            const saved = createClass(carClass);
+            const classes = championship.classes || [];
+            return {
+                classes: classes.some(c => c.id === saved.id) ?
+                    classes.map(c => (c.id === saved.id ? saved : c)) :
+                    [...classes, saved]
+            };
+        });
+    }
+
+    /**
+     * Delete a class; its drivers and entries are scored overall
+     */
+    async deleteClass({ championshipId, classId }) {
+        await this.updateClasses(championshipId, 'deleteClass', championship => {
+            const unclass = competitor => (competitor.classId === classId ? { ...competitor, classId: null } : competitor);
+            return {
+                classes: (championship.classes || []).filter(c => c.id !== classId),
+                drivers: (championship.drivers || []).map(unclass),
+                entries: (championship.entries || []).map(unclass)
+            };
+        });
+    }
+
+    /**
+     * Put an entry, or a driver of a championship without entries, in a class (null for none)
+     */
+    async setCompetitorClass({ championshipId, competitorId, classId = null }) {
+        await this.updateClasses(championshipId, 'setCompetitorClass', championship => {
+            if (classId && !(championship.classes || []).some(c => c.id === classId)) {
+                throw new Error('Class not found');
+            }
+            const entries = championship.entries || [];
+            if (entries.some(e => e.id === competitorId)) {
+                return { entries: entries.map(e => (e.id === competitorId ? { ...e, classId } : e)) };
+            }
+            const drivers = championship.drivers || [];
+            if (!drivers.some(d => d.id === competitorId)) {
+                throw new Error('Driver or entry not found');
+            }
+            return { drivers: drivers.map(d => (d.id === competitorId ? { ...d, classId } : d)) };
+        });
+    }
+
+    /**
+     * Change a championship's entries or drive-time rule (see scoring/Entries.js)
+     * @param {Function} operation - `(championship) => ({ entries, settings })`, the fields to store
+     */
+    async updateEntries(championshipId, type, operation) {
+        try {
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.EDIT_SETTINGS);
+            const updates = operation(championship);
+            await this.writeChampionship(championshipId, updates);
+            this.eventBus.emit('championship:entriesUpdated', { championshipId, type, ...updates });
+
+        } catch (error) {
+            console.error(`Error updating entries (${type}):`, error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type, error: error.message });
+        }
+    }
 
+    /**
+     * Add an entry, or update the one with the same id
+     * A driver races one car per round, so the entry's crew leave any other entry.
+     */
+    async saveEntry({ championshipId, entry: data }) {
+        await this.updateEntries(championshipId, 'saveEntry', championship => {
+            const crew = data.drivers || [];
+            if (crew.length === 0) {
+                throw new Error('An entry needs at least one driver');
+            }
+            if (crew.some(driverId => !(championship.drivers || []).some(d => d.id === driverId))) {
+                throw new Error('Driver not found');
+            }
+
+            const entries = championship.entries || [];
+            const saved = { ...new Entry({ ...entries.find(e => e.id === data.id), ...data }) };
+            const others = entries.map(entry => (entry.id === saved.id ? entry :
+                { ...entry, drivers: entry.drivers.filter(driverId => !saved.drivers.includes(driverId)) }));
+            return {
+                entries: entries.some(e => e.id === saved.id) ?
+                    others.map(e => (e.id === saved.id ? saved : e)) :
+                    [...others, saved]
+            };
+        });
+    }
+
+    /**
+     * Delete an entry; results entered for it are no longer scored
+     */
+    async deleteEntry({ championshipId, entryId }) {
+        await this.updateEntries(championshipId, 'deleteEntry', championship => ({
+            entries: (championship.entries || []).filter(e => e.id !== entryId)
+        }));
+    }
+
+    /**
+     * Minimum drive time a crew member needs to score, in minutes and/or share of the car's time
+     */
+    async setDriveTimeRule({ championshipId, minMinutes, minPercent }) {
+        await this.updateEntries(championshipId, 'setDriveTimeRule', championship => ({
+            settings: {
+                ...(championship.settings || {}),
+                driveTimeRule: normalizeDriveTimeRule({ driveTimeRule: { minMinutes, minPercent } })
+            }
+        }));
+    }
+
+    /**
+     * Change a race's crews: line-ups that differ from the entries' own, and the session's drive times
+     * A line-up equal to the entry's crew is stored as no override.
+     * @param {object} lineups - `{ entryId: [driverId] }`
+     * @param {object} driveTimes - `{ entryId: { driverId: minutes } }` for `session`
+     */
+    async updateRaceCrews({ championshipId, raceId, session = null, lineups = {}, driveTimes = {} }) {
+        try {
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.ENTER_RESULTS);
+            const race = (championship.races || []).find(r => r.id === raceId);
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const model = new Race(race);
+            Object.entries(lineups).forEach(([entryId, driverIds]) => {
+                const entry = (championship.entries || []).find(e => e.id === entryId);
+                if (!entry) {
+                    throw new Error('Entry not found');
+                }
+                const sameAsEntry = driverIds.length === entry.drivers.length && driverIds.every(id => entry.drivers.includes(id));
+                model.setEntryLineup(entryId, sameAsEntry ? null : driverIds);
+            });
+            const crewSession = session || mainRaceSession(race);
+            Object.entries(driveTimes).forEach(([entryId, times]) => {
+                Object.entries(times).forEach(([driverId, minutes]) => model.setDriveTime(crewSession, entryId, driverId, minutes));
+            });
+
+            await this.writeChampionship(championshipId, {
+                races: championship.races.map(r => (r.id === raceId ?
+                    { ...r, entryLineups: model.entryLineups, driveTimes: model.driveTimes } : r))
+            });
+            this.eventBus.emit('championship:crewsUpdated', { championshipId, raceId });
+
+        } catch (error) {
+            console.error('Error updating race crews:', error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type: 'updateRaceCrews', error: error.message });
+        }
+    }
+
+    /**
+     * Change a race's pit stops or starting tyres (see utils/PitStops.js)
+     * @param {Function} operation - `(race) => void`, changing a Race model in place
+     */
+    async updateRaceStrategy(championshipId, raceId, type, operation) {
+        try {
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.ENTER_RESULTS);
+            const race = (championship.races || []).find(r => r.id === raceId);
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const model = new Race(race);
+            operation(model);
+            await this.writeChampionship(championshipId, {
+                races: championship.races.map(r => (r.id === raceId ?
+                    { ...r, pitStops: model.pitStops, startingTyres: model.startingTyres } : r))
+            });
+            this.eventBus.emit('championship:strategyUpdated', { championshipId, raceId, type });
+
+        } catch (error) {
+            console.error(`Error updating race strategy (${type}):`, error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type, error: error.message });
+        }
+    }
+
+    async addPitStop({ championshipId, raceId, session, stop }) {
+        await this.updateRaceStrategy(championshipId, raceId, 'addPitStop', race => {
+            race.addPitStop(session || mainRaceSession(race), stop);
+        });
+    }
+
+    async removePitStop({ championshipId, raceId, session, stopId }) {
+        await this.updateRaceStrategy(championshipId, raceId, 'removePitStop', race => {
+            race.removePitStop(session || mainRaceSession(race), stopId);
+        });
+    }
+
+    async setStartingTyre({ championshipId, raceId, session, driverId, tyre }) {
+        await this.updateRaceStrategy(championshipId, raceId, 'setStartingTyre', race => {
+            race.setStartingTyre(session || mainRaceSession(race), driverId, tyre || null);
+        });
+    }
+
+    /**
+     * Apply a stewards' penalty
+     * Race penalties are stored on the race, championship-level deductions on the
+     * championship; standings pick them up the next time they are calculated.
+     */
+    async applyPenalty({ championshipId, penalty: data }) {
+        try {
             const user = this.stateManager.getState('auth.user');
-            if (!user) {
-                throw new Error('User not authenticated');
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.APPLY_PENALTIES);
+
+            const penalty = createPenalty({ ...data, issuedBy: data.issuedBy || user.uid },
+                (championship.races || []).find(r => r.id === data.raceId));
+            const updates = {};
+
+            if (penalty.raceId) {
+                const race = (championship.races || []).find(r => r.id === penalty.raceId);
+                if (!race) {
+                    throw new Error('Race not found');
+                }
+                updates.races = championship.races.map(r => r.id === race.id ?
+                    { ...r, penalties: [...(r.penalties || []), penalty] } : r);
+            } else {
+                updates.penalties = [...(championship.penalties || []), penalty];
             }
 
-            const championship = await this.firebaseService.getChampionship(championshipId);
-            if (!championship) {
-                throw new Error('Championship not found');
+            await this.writeChampionship(championshipId, updates);
+            await this.recordPenaltyRevision(championship, penalty, 'penalty');
+            this.eventBus.emit('championship:penaltyApplied', { championshipId, penalty });
+
+        } catch (error) {
+            console.error('Error applying penalty:', error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type: 'applyPenalty', error: error.message });
+        }
+    }
+
+    /**
+     * Revoke a penalty (e.g. overturned on appeal), restoring the original classification
+     */
+    async revokePenalty({ championshipId, penaltyId }) {
+        try {
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.APPLY_PENALTIES);
+            const penalty = listPenalties(championship).find(p => p.id === penaltyId);
+
+            await this.writeChampionship(championshipId, {
+                races: (championship.races || []).map(race => race.penalties ?
+                    { ...race, penalties: race.penalties.filter(p => p.id !== penaltyId) } : race),
+                penalties: (championship.penalties || []).filter(p => p.id !== penaltyId)
+            });
+            if (penalty) {
+                await this.recordPenaltyRevision(championship, penalty, 'revokePenalty');
+            }
+            this.eventBus.emit('championship:penaltyRevoked', { championshipId, penaltyId });
+
+        } catch (error) {
+            console.error('Error revoking penalty:', error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type: 'revokePenalty', error: error.message });
+        }
+    }
+
+    /**
+     * Penalties amend the classification without touching the result rows; record who decided
+     * what in the race's history all the same (championship-level deductions have no race)
+     */
+    async recordPenaltyRevision(championship, penalty, action) {
+        const race = (championship.races || []).find(r => r.id === penalty.raceId);
+        if (!race) return;
+        const verb = action === 'revokePenalty' ? 'Revoked' : 'Applied';
+        await this.writeRaceResults(championship, race, rows => rows, {
+            reason: `${verb} ${describePenalty(penalty)}${penalty.reason ? `: ${penalty.reason}` : ''}`,
+            action,
+            penalty
+        });
+    }
+
+    /**
+     * Starting order for a live session: the saved grid, else one generated from the session's grid rule
+     */
+    liveStartingGrid(championship, race, session) {
+        const stored = race.grids?.[session];
+        if (stored?.order?.length) {
+            return stored.order;
+        }
+
+        return this.generateStartingGrid(championship, race, session).map(slot => slot.driverId);
+    }
+
+    /**
+     * Generate a session's starting grid from a grid rule (see scoring/GridRules.js)
+     * @returns {Array<{ driverId, slot, reversed, drop }>} Pole first
+     */
+    generateStartingGrid(championship, race, session, rule = gridRuleFor(race, session)) {
+        const engine = PointsEngine.forChampionship(championship);
+        const { earlier, previous } = gridSourceRaces(rule, championship.races, race);
+
+        return generateGrid(rule, {
+            race,
+            sessionId: session,
+            classified: engine.classifyRace(race).results,
+            previousClassified: previous ? engine.classifyRace(previous).results[mainRaceSession(previous)] : {},
+            standings: rule.source === 'standings' ?
+                this.gridStandings({ ...championship, races: earlier }, Object.fromEntries(earlier.map(r => [r.id, r.results]))) : [],
+            drivers: resultCompetitors(championship).map(competitor => competitor.id),
+            drops: gridDropsFor(championship, race)
+        });
+    }
+
+    /**
+     * Generate a grid to review before it is saved; nothing is stored
+     * A random draw gets a new seed each time, kept in the rule so the saved grid can be reproduced.
+     */
+    async previewGrid({ championshipId, raceId, session, rule: data }) {
+        try {
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.ENTER_RESULTS);
+            const race = (championship.races || []).find(r => r.id === raceId);
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const rule = normalizeGridRule(data, race, session);
+            if (rule.source === 'random') rule.seed = String(Date.now());
+            const slots = this.generateStartingGrid(championship, race, session, rule);
+            this.eventBus.emit('championship:gridGenerated', { championshipId, raceId, session, rule, slots });
+
+        } catch (error) {
+            console.error('Error generating grid:', error);
+            this.eventBus.emit('championship:error', { type: 'previewGrid', error: error.message });
+        }
+    }
+
+    /**
+     * Store a session's grid rule and starting order, or lock/unlock the stored grid
+     * A locked grid is kept as it is; `lock` toggles the lock after saving.
+     * @param {Array<string>} order - Ids, pole first
+     */
+    async saveGrid({ championshipId, raceId, session, rule, order, lock = false }) {
+        try {
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.ENTER_RESULTS);
+            const race = (championship.races || []).find(r => r.id === raceId);
+            if (!race) {
+                throw new Error('Race not found');
             }
 
-            // Check if user is the creator
-            if (championship.userId !== user.uid) {
-                throw new Error('Only the creator can delete this championship');
+            const model = new Race(race);
+            const locked = Boolean(model.getGrid(session)?.locked);
+            if (!locked) {
+                model.setGridRule(session, rule);
+                model.setGrid(session, order);
             }
+            if (lock) model.lockGrid(session, !locked);
+
+            await this.writeChampionship(championshipId, {
+                races: championship.races.map(r => (r.id === raceId ?
+                    { ...r, gridRules: model.gridRules, grids: model.grids } : r))
+            });
+            this.eventBus.emit('championship:gridSaved', { championshipId, raceId, session, grid: model.getGrid(session), lock });
+
+        } catch (error) {
+            console.error('Error saving grid:', error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type: 'saveGrid', error: error.message });
+        }
+    }
+
+    /**
+     * Start live timing for a race session
+     * Opens the live race document that the live leaderboards follow, and marks the race as ongoing.
+     */
+    async startLiveRace({ championshipId, raceId, session, totalLaps }) {
+        if (!this.firebaseService) {
+            console.error('FirebaseService not available');
+            return;
+        }
+
+        try {
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.ENTER_RESULTS);
+            const race = (championship.races || []).find(r => r.id === raceId);
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const liveSession = session || mainRaceSession(race);
+            const existing = await this.firebaseService.getLiveRace(liveRaceId(championshipId, raceId));
+            if (existing?.status === LIVE_STATUS.LIVE) {
+                throw new Error(`${race.name} is already live`);
+            }
+
+            const live = createLiveRace(championship, race, {
+                session: liveSession,
+                totalLaps,
+                grid: this.liveStartingGrid(championship, race, liveSession)
+            });
+            await this.firebaseService.saveLiveRace(liveRaceId(championshipId, raceId), live);
+
+            const startedRace = { ...race, status: 'ongoing', startTime: live.startedAt };
+            await this.writeChampionship(championshipId, {
+                races: championship.races.map(r => r.id === raceId ? startedRace : r)
+            });
+
+            this.eventBus.emit('championship:raceStarted', { championship, race: startedRace });
+
+        } catch (error) {
+            console.error('Error starting live race:', error);
+            this.eventBus.emit('championship:error', { type: 'startLiveRace', error: error.message });
+        }
+    }
+
+    /**
+     * Apply an organizer update (lap, pit stop, retirement) to a live race
+     * @param {Function} apply - One of the utils/LiveRace.js updates
+     */
+    async updateLiveRace(type, { championshipId, raceId, ...update }, apply) {
+        if (!this.firebaseService) {
+            console.error('FirebaseService not available');
+            return;
+        }
+
+        try {
+            await this.getAuthorizedChampionship(championshipId, PERMISSIONS.ENTER_RESULTS);
+            const id = liveRaceId(championshipId, raceId);
+            const { id: _id, updatedAt, ...live } = await this.firebaseService.getLiveRace(id) || {};
+
+            await this.firebaseService.saveLiveRace(id, apply(live, update));
+
+        } catch (error) {
+            console.error(`Error updating live race (${type}):`, error);
+            this.eventBus.emit('championship:error', { type, error: error.message });
+        }
+    }
+
+    postLiveLap(data) {
+        return this.updateLiveRace('postLap', data, postLap);
+    }
+
+    recordLivePitStop(data) {
+        return this.updateLiveRace('recordPitStop', data, recordPitStop);
+    }
+
+    retireLiveDriver(data) {
+        return this.updateLiveRace('retireDriver', data, retireDriver);
+    }
+
+    /**
+     * Save a race's rows in the results collection together with a revision recording the
+     * change (see utils/ResultHistory.js), as the legacy app's `writeRaceResults` does
+     * Penalty decisions leave the rows as they are, but are recorded with the `penalty` concerned.
+     * @param {function} operation - `(rows) => rows` from the race's current `{ driverId: row }`
+     * @returns {Promise<object>} `race.results` for the new rows, for the championship document
+     */
+    async writeRaceResults(championship, race, operation, { reason = '', action = 'edit', revertedTo = null, penalty = null } = {}) {
+        const user = this.stateManager.getState('auth.user');
+        const before = snapshotResults(await this.firebaseService.getRaceResults(championship.id, race.id));
+        const after = operation(before);
+        const revision = createRevision({
+            championshipId: championship.id,
+            raceId: race.id,
+            before,
+            after,
+            user,
+            reason,
+            action,
+            revertedTo,
+            penalty
+        });
+
+        // Unchanged rows aren't rewritten, so stewards can record their decisions
+        const changed = revision.changes.length > 0;
+        await this.firebaseService.saveRaceResults(championship.id, race.id, changed ? after : {}, {
+            revision,
+            removed: changed ? Object.keys(before).filter(driverId => !after[driverId]) : []
+        });
+        return normalizeRaceResults(after, sessionIds(race));
+    }
+
+    /**
+     * Finish a live race
+     * The final running order becomes the session's results and the race is completed and scored.
+     * `championship:raceFinished` carries `{ userId: { position, points } }` for drivers linked to
+     * an account, so each participant is told their own result (their car's, in an endurance championship).
+     */
+    async finishLiveRace({ championshipId, raceId }) {
+        if (!this.firebaseService) {
+            console.error('FirebaseService not available');
+            return;
+        }
+
+        try {
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.ENTER_RESULTS);
+            const race = (championship.races || []).find(r => r.id === raceId);
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const id = liveRaceId(championshipId, raceId);
+            const { id: _id, updatedAt, ...live } = await this.firebaseService.getLiveRace(id) || {};
+            const finished = closeLiveRace(live);
+            const sessionResults = liveSessionResults(finished);
+            const { session } = finished;
+
+            await this.firebaseService.saveLiveRace(id, finished);
+            // The final order is recorded like any other results entry, so it can be reviewed and reverted
+            const finishedRace = {
+                ...race,
+                results: await this.writeRaceResults(championship, race, rows => {
+                    const after = { ...rows };
+                    // Drivers missing from the live race lose any position they had in the session
+                    Object.keys(after).filter(driverId => !sessionResults[driverId]).forEach(driverId => {
+                        const { [`${session}Timing`]: cleared, ...row } = after[driverId];
+                        after[driverId] = { ...row, [session]: '' };
+                    });
+                    Object.entries(sessionResults).forEach(([driverId, { position, ...timing }]) => {
+                        after[driverId] = {
+                            ...(after[driverId] || {}),
+                            [session]: position ? String(position) : '',
+                            [`${session}Timing`]: timing
+                        };
+                    });
+                    return after;
+                }, { reason: 'Live race finished' }),
+                status: 'completed',
+                endTime: finished.finishedAt
+            };
+
+            // Laps posted live become the session's lap data for the lap charts
+            if (Object.keys(finished.laps || {}).length > 0) {
+                await this.firebaseService.saveLapData(lapDataId(championshipId, raceId, session), {
+                    championshipId,
+                    raceId,
+                    session,
+                    source: 'live',
+                    drivers: lapDataFromLive(finished)
+                });
+            }
+            await this.writeChampionship(championshipId, {
+                races: championship.races.map(r => r.id === raceId ? finishedRace : r)
+            });
+
+            const { drivers: scores } = PointsEngine.forChampionship(championship).scoreRace(finishedRace);
+            const drivers = isEntryChampionship(championship) ? crewScores(championship, finishedRace, scores) : scores;
+            const results = {};
+            (championship.drivers || []).forEach(driver => {
+                const result = sessionResults[drivers[driver.id]?.entryId || driver.id];
+                if (!driver.userId || !result) return;
+                results[driver.userId] = {
+                    position: result.position || statusLabel(result.status, { short: true }),
+                    points: drivers[driver.id]?.total || 0
+                };
+            });
+
+            this.eventBus.emit('championship:raceFinished', { championship, race: finishedRace, results });
+
+        } catch (error) {
+            console.error('Error finishing live race:', error);
+            this.eventBus.emit('championship:error', { type: 'finishLiveRace', error: error.message });
+        }
+    }
+
+    /**
+     * Load a race's result revisions, newest first (`championship:resultHistoryLoaded`)
+     */
+    async loadResultHistory({ championshipId, raceId }) {
+        try {
+            const championship = await this.getAuthorizedChampionship(championshipId);
+            const revisions = orderRevisions(await this.firebaseService.getResultRevisions(championshipId, raceId));
+            this.eventBus.emit('championship:resultHistoryLoaded', { championship, raceId, revisions });
+
+        } catch (error) {
+            console.error('Error loading result history:', error);
+            this.eventBus.emit('championship:error', { type: 'loadResultHistory', error: error.message });
+        }
+    }
+
+    /**
+     * Restore a race's results to an earlier revision; the revert is itself recorded
+     */
+    async revertResults({ championshipId, raceId, revisionId }) {
+        try {
+            const championship = await this.getAuthorizedChampionship(championshipId, PERMISSIONS.ENTER_RESULTS);
+            const race = (championship.races || []).find(r => r.id === raceId);
+            if (!race) {
+                throw new Error('Race not found');
+            }
+            const revision = orderRevisions(await this.firebaseService.getResultRevisions(championshipId, raceId))
+                .find(r => r.id === revisionId);
+            if (!revision) {
+                throw new Error('Revision not found');
+            }
+
+            const results = await this.writeRaceResults(championship, race, () => revision.snapshot, {
+                reason: `Reverted to revision #${revision.number}`,
+                action: 'revert',
+                revertedTo: revision.id
+            });
+            await this.writeChampionship(championshipId, {
+                races: championship.races.map(r => r.id === raceId ? { ...r, results } : r)
+            });
+            this.eventBus.emit('championship:resultsReverted', { championshipId, raceId, revision });
+
+        } catch (error) {
+            console.error('Error reverting results:', error);
+            this.stateManager.setState('championships.error', error.message);
+            this.eventBus.emit('championship:error', { type: 'revertResults', error: error.message });
+        }
+    }
+
+    /**
+     * Follow every race that is currently live
+     */
+    watchLiveRaces() {
+        if (!this.firebaseService) {
+            console.error('FirebaseService not available');
+            return;
+        }
+
+        const unsubscribe = this.firebaseService.onLiveRacesSnapshot((liveRaces) => {
+            this.stateManager.setState('championships.liveRaces', liveRaces);
+            this.eventBus.emit('liveRaces:updated', liveRaces);
+        });
+        this.unsubscribeCallbacks.push(unsubscribe);
+    }
+
+    /**
+     * Delete championship
+     */
+    async deleteChampionship(championshipId) {
+        if (!this.firebaseService) {
+            console.error('FirebaseService not available');
+            return;
+        }
+
+        try {
+            this.stateManager.setState('championships.isLoading', true);
+
+            // Only the owner may delete a championship
+            await this.getAuthorizedChampionship(championshipId, PERMISSIONS.MANAGE_CHAMPIONSHIP);
 
             await this.firebaseService.deleteChampionship(championshipId);
             
@@ -328,22 +1515,27 @@ export class ChampionshipService {
                 return;
             }
 
-            // Set up real-time listener for user's championships
-            const unsubscribe = this.firebaseService.onChampionshipsSnapshot(
-                (championships) => {
-                    // Filter championships where user is participant or creator
-                    const userChampionships = championships.filter(championship => 
-                        championship.userId === user.uid || 
-                        (championship.participants && championship.participants.includes(user.uid))
-                    );
-                    
-                    this.stateManager.setState('championships.userChampionships', userChampionships);
-                    this.eventBus.emit('championships:userLoaded', userChampionships);
-                },
-                { userId: user.uid }
-            );
+            // Set up real-time listeners for the championships the user created, those they are a
+            // member of (joined, admin or steward) and those inviting them to a role; private ones
+            // can only be queried this way
+            const found = { owned: [], member: [], invited: [] };
+            const update = (key) => (championships) => {
+                found[key] = championships;
+                const userChampionships = [...new Map([...found.owned, ...found.member, ...found.invited]
+                    .map(championship => [championship.id, championship])).values()];
+
+                this.stateManager.setState('championships.userChampionships', userChampionships);
+                this.eventBus.emit('championships:userLoaded', userChampionships);
+            };
 
-            this.unsubscribeCallbacks.push(unsubscribe);
+            this.unsubscribeCallbacks.push(
+                this.firebaseService.onChampionshipsSnapshot(update('owned'), { userId: user.uid }),
+                this.firebaseService.onChampionshipsSnapshot(update('member'), { memberId: user.uid })
+            );
+            if (user.email) {
+                this.unsubscribeCallbacks.push(this.firebaseService.onChampionshipsSnapshot(update('invited'),
+                    { pendingRoleEmail: user.email.toLowerCase() }));
+            }
 
         } catch (error) {
             console.error('Error loading user championships:', error);
@@ -364,7 +1556,8 @@ export class ChampionshipService {
         try {
             this.stateManager.setState('championships.isLoading', true);
 
-            const championships = await this.firebaseService.getPublicChampionships();
+            // Older clients only wrote isPublic; the visibility has the final say
+            const championships = (await this.firebaseService.getPublicChampionships()).filter(isListed);
             
             // Filter out championships user is already in
             const user = this.stateManager.getState('auth.user');
@@ -401,32 +1594,99 @@ export class ChampionshipService {
                 id: driver.id,
                 name: driver.name,
                 team: driver.team,
+                // Class the driver races in; filter with `classStandings` for a class's table
+                classId: driverClass(championship, driver.id),
                 points: 0,
+                grossPoints: 0,
+                netPoints: 0,
+                deductions: 0,
                 wins: 0,
                 podiums: 0,
-                racesCompleted: 0
+                racesCompleted: 0,
+                rounds: []
             };
         });
 
-        // Calculate points from all races
-        Object.values(results).forEach(raceResults => {
-            Object.values(raceResults).forEach(result => {
-                if (standings[result.driverId]) {
-                    standings[result.driverId].points += result.points || 0;
-                    standings[result.driverId].racesCompleted += 1;
-                    
-                    if (result.position === 1) standings[result.driverId].wins += 1;
-                    if (result.position <= 3) standings[result.driverId].podiums += 1;
-                }
+        // Score every race through the shared points engine
+        const engine = PointsEngine.forChampionship(championship);
+        const scoredChampionship = championship.races?.length ?
+            championship : { ...championship, races: Object.keys(results).map(id => ({ id })) };
+        const seasonScores = engine.scoreChampionship(scoredChampionship, results);
+
+        Object.entries(seasonScores).forEach(([driverId, season]) => {
+            const standing = standings[driverId];
+            if (!standing) return;
+
+            standing.points = season.net;
+            standing.grossPoints = season.gross;
+            standing.netPoints = season.net;
+            standing.deductions = season.deductions;
+            // Dropped rounds stay in the list, flagged, so pages can strike them through
+            const driver = championship.drivers.find(d => d.id === driverId);
+            const raceFor = raceId => scoredChampionship.races.find(r => r.id === raceId);
+            standing.rounds = season.rounds.map(({ raceId, round, total, deduction, sessions, dropped, disqualified, missed }) => {
+                const race = raceFor(raceId);
+                const mainRace = sessions[mainRaceSession(race)];
+                return {
+                    raceId,
+                    round,
+                    // Team the driver raced for that round, so transfers don't re-attribute history
+                    team: missed ? null : resolveDriverTeam(driver, race, null, scoredChampionship.races),
+                    position: mainRace?.position || null,
+                    points: total,
+                    deduction,
+                    penalties: mainRace?.penalties || [],
+                    dropped,
+                    disqualified,
+                    missed
+                };
             });
-        });
 
-        // Convert to array and sort by points
-        return Object.values(standings).sort((a, b) => {
-            if (b.points !== a.points) return b.points - a.points;
-            if (b.wins !== a.wins) return b.wins - a.wins;
-            return b.podiums - a.podiums;
+            season.rounds.forEach(round => {
+                if (round.missed) return;
+                const position = round.sessions[mainRaceSession(raceFor(round.raceId))]?.position;
+
+                standing.racesCompleted += 1;
+                if (position === 1) standing.wins += 1;
+                if (position && position <= 3) standing.podiums += 1;
+            });
         });
+
+        // Sort by points, then resolve ties with the championship's tie-break chain
+        const entries = Object.values(standings).map(standing => ({
+            id: standing.id,
+            name: standing.name,
+            points: standing.points,
+            rounds: tieBreakRounds(seasonScores, standing.id, scoredChampionship.races),
+            standing
+        }));
+
+        return rankWithTieBreakers(entries, championship.settings?.tieBreakers).map(entry => ({
+            ...entry.standing,
+            position: entry.position,
+            tieBreaks: entry.tieBreaks
+        }));
+    }
+
+    /**
+     * Ids in standings order for grids set from the championship: entries in an endurance
+     * championship, drivers otherwise
+     */
+    gridStandings(championship, results) {
+        return isEntryChampionship(championship) ?
+            calculateEntryStandings(championship, results).map(entry => entry.id) :
+            this.calculateStandings(championship, results).map(standing => standing.id);
+    }
+
+    /**
+     * Calculate teams', manufacturers' and entries' standings
+     */
+    calculateTeamStandings(championship, results) {
+        if (!championship || !results) {
+            return { teams: [], manufacturers: [], entries: [] };
+        }
+
+        return calculateTeamStandings(championship, results);
     }
 
     /**
@@ -468,6 +1728,7 @@ export class ChampionshipService {
     async onUserAuthenticated(userData) {
         console.log('ChampionshipService: User authenticated, loading championships');
         await this.loadUserChampionships();
+        this.watchLiveRaces();
     }
 
     /**
@@ -489,6 +1750,7 @@ export class ChampionshipService {
             active: null,
             userChampionships: [],
             publicChampionships: [],
+            liveRaces: [],
             isLoading: false,
             error: null
         });
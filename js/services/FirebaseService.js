@@ -2,7 +2,7 @@
  * FirebaseService - Abstração para operações Firebase
  * Centraliza todas as operações do Firebase
  */
-import { db, auth, googleProvider, signInWithPopup, signOut, createUserWithEmailAndPassword, signInWithEmailAndPassword, collection, doc, getDoc, setDoc, updateDoc, deleteDoc, query, where, getDocs, onSnapshot, orderBy, limit, addDoc, arrayUnion, arrayRemove, increment } from '../firebase.js';
+import { db, auth, googleProvider, signInWithPopup, signOut, createUserWithEmailAndPassword, signInWithEmailAndPassword, collection, doc, getDoc, setDoc, updateDoc, deleteDoc, query, where, getDocs, onSnapshot, orderBy, limit, addDoc, arrayUnion, arrayRemove, increment, writeBatch, storage, storageRef, uploadString, getDownloadURL } from '../firebase.js';
 
 export class FirebaseService {
     constructor() {
@@ -173,6 +173,25 @@ export class FirebaseService {
         }
     }
 
+    /**
+     * Publish a championship's calendar feed (.ics) to Storage
+     * Re-publishing overwrites the same file, so subscribers keep the same URL.
+     * @returns {Promise<string>} Public download URL of the feed
+     */
+    async uploadCalendarFeed(championshipId, ics) {
+        try {
+            const feedRef = storageRef(storage, `calendars/${championshipId}.ics`);
+            await uploadString(feedRef, ics, 'raw', {
+                contentType: 'text/calendar; charset=utf-8',
+                cacheControl: 'public, max-age=3600'
+            });
+            return await getDownloadURL(feedRef);
+        } catch (error) {
+            console.error('Error publishing calendar feed:', error);
+            throw error;
+        }
+    }
+
     /**
      * Delete championship
      */
@@ -196,6 +215,15 @@ export class FirebaseService {
             championshipsQuery = query(championshipsQuery, where('userId', '==', filters.userId));
         }
 
+        if (filters.memberId) {
+            championshipsQuery = query(championshipsQuery, where('memberIds', 'array-contains', filters.memberId));
+        }
+
+        // Championships with a role invitation pending for this email (see utils/ChampionshipRoles.js)
+        if (filters.pendingRoleEmail) {
+            championshipsQuery = query(championshipsQuery, where('pendingRoleEmails', 'array-contains', filters.pendingRoleEmail));
+        }
+
         if (filters.isPublic !== undefined) {
             championshipsQuery = query(championshipsQuery, where('isPublic', '==', filters.isPublic));
         }
@@ -234,6 +262,106 @@ export class FirebaseService {
         }
     }
 
+    // Firestore Methods - Championship access (see utils/ChampionshipAccess.js and firestore.rules)
+
+    /**
+     * Access grant stored under an invite token or join code, or null when there is none
+     */
+    async getAccessGrant(secret) {
+        try {
+            const grantDoc = await getDoc(doc(this.db, 'championshipAccess', secret));
+            return grantDoc.exists() ? { id: grantDoc.id, ...grantDoc.data() } : null;
+        } catch (error) {
+            console.error('Error getting access grant:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * A championship's invite links and join code, readable by its organizers only
+     */
+    async getChampionshipAccess(championshipId) {
+        try {
+            const accessDoc = await getDoc(doc(this.db, 'championships', championshipId, 'private', 'access'));
+            return accessDoc.exists() ? accessDoc.data() : { inviteLinks: [], joinCode: null };
+        } catch (error) {
+            console.error('Error getting championship access:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a championship's invite links and join code with the grants they add or revoke
+     * @param {object} grants - `{ secret: grant }` to create
+     * @param {Array<string>} revoked - Secrets that stop working
+     */
+    async saveChampionshipAccess(championshipId, access, grants = {}, revoked = []) {
+        try {
+            const batch = writeBatch(this.db);
+            batch.set(doc(this.db, 'championships', championshipId, 'private', 'access'), access, { merge: true });
+            Object.entries(grants).forEach(([secret, grant]) => {
+                batch.set(doc(this.db, 'championshipAccess', secret), grant);
+            });
+            revoked.forEach(secret => {
+                batch.update(doc(this.db, 'championshipAccess', secret), { revoked: true });
+            });
+            await batch.commit();
+        } catch (error) {
+            console.error('Error saving championship access:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a member to a championship in one write: their membership (which the rules check
+     * against the invite or code), the championship's member lists, and a use of the invite
+     * Uses array unions so private championships can be joined without reading them first.
+     * @param {object} membership - `{ via, secret }` from `checkJoinAccess`
+     * @param {object} updates - Extra championship fields (`participants`, `participantNames`) as unions
+     */
+    async addChampionshipMember(championshipId, userId, { via, secret = null }, updates = {}) {
+        try {
+            const batch = writeBatch(this.db);
+            batch.set(doc(this.db, 'championships', championshipId, 'members', userId), {
+                userId,
+                via,
+                secret,
+                joinedAt: new Date().toISOString()
+            });
+            batch.update(doc(this.db, 'championships', championshipId), {
+                ...Object.fromEntries(Object.entries(updates).map(([field, value]) => [field, arrayUnion(value)])),
+                memberIds: arrayUnion(userId),
+                updatedAt: new Date().toISOString()
+            });
+            if (secret) {
+                batch.update(doc(this.db, 'championshipAccess', secret), { uses: increment(1) });
+            }
+            await batch.commit();
+        } catch (error) {
+            console.error('Error adding championship member:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a member's membership and their place in the member lists
+     */
+    async removeChampionshipMember(championshipId, userId, updates = {}) {
+        try {
+            const batch = writeBatch(this.db);
+            batch.delete(doc(this.db, 'championships', championshipId, 'members', userId));
+            batch.update(doc(this.db, 'championships', championshipId), {
+                ...updates,
+                memberIds: arrayRemove(userId),
+                updatedAt: new Date().toISOString()
+            });
+            await batch.commit();
+        } catch (error) {
+            console.error('Error removing championship member:', error);
+            throw error;
+        }
+    }
+
     // Firestore Methods - Results
 
     /**
@@ -276,6 +404,142 @@ export class FirebaseService {
         });
     }
 
+    /**
+     * A race's rows in the results collection, `{ driverId: resultDoc }`
+     * The query names the championship, which is what the rules let its readers list.
+     */
+    async getRaceResults(championshipId, raceId) {
+        try {
+            const snapshot = await getDocs(query(
+                collection(this.db, 'results'),
+                where('championshipId', '==', championshipId),
+                where('raceId', '==', raceId)
+            ));
+            return Object.fromEntries(snapshot.docs.map(resultDoc => [resultDoc.data().driverId, resultDoc.data()]));
+        } catch (error) {
+            console.error('Error getting race results:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a race's result rows and the revision recording the change in one write
+     * (see utils/ResultHistory.js)
+     * @param {object} rows - `{ driverId: result }` as the race now stands
+     * @param {object} options - `revision` to record, and `removed` drivers whose row is deleted
+     */
+    async saveRaceResults(championshipId, raceId, rows, { revision, removed = [] }) {
+        try {
+            const batch = writeBatch(this.db);
+            const updatedAt = new Date().toISOString();
+            Object.entries(rows).forEach(([driverId, result]) => {
+                batch.set(doc(this.db, 'results', `${raceId}_${driverId}`), {
+                    championshipId,
+                    raceId,
+                    driverId,
+                    ...result,
+                    updatedAt,
+                    updatedBy: revision.userId
+                });
+            });
+            removed.forEach(driverId => {
+                batch.delete(doc(this.db, 'results', `${raceId}_${driverId}`));
+            });
+            batch.set(doc(this.db, 'resultRevisions', revision.id), revision);
+            await batch.commit();
+        } catch (error) {
+            console.error('Error saving race results:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revisions recorded for a race's results, in no particular order
+     */
+    async getResultRevisions(championshipId, raceId) {
+        try {
+            const snapshot = await getDocs(query(
+                collection(this.db, 'resultRevisions'),
+                where('championshipId', '==', championshipId),
+                where('raceId', '==', raceId)
+            ));
+            return snapshot.docs.map(revisionDoc => revisionDoc.data());
+        } catch (error) {
+            console.error('Error getting result revisions:', error);
+            throw error;
+        }
+    }
+
+    // Firestore Methods - Live races
+
+    /**
+     * Create or replace a live race document (see utils/LiveRace.js)
+     */
+    async saveLiveRace(liveRaceId, liveRace) {
+        try {
+            await setDoc(doc(this.db, 'liveRaces', liveRaceId), {
+                ...liveRace,
+                updatedAt: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error saving live race:', error);
+            throw error;
+        }
+    }
+
+    async getLiveRace(liveRaceId) {
+        try {
+            const liveRaceDoc = await getDoc(doc(this.db, 'liveRaces', liveRaceId));
+            return liveRaceDoc.exists() ? { id: liveRaceDoc.id, ...liveRaceDoc.data() } : null;
+        } catch (error) {
+            console.error('Error getting live race:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Races currently live, with real-time updates as laps are posted
+     */
+    onLiveRacesSnapshot(callback) {
+        // Private championships' live races stay with their members (see firestore.rules)
+        const liveQuery = query(
+            collection(this.db, 'liveRaces'),
+            where('status', '==', 'live'),
+            where('isPublic', '==', true)
+        );
+
+        return onSnapshot(liveQuery, (snapshot) => {
+            callback(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+    }
+
+    // Firestore Methods - Lap times
+
+    /**
+     * Store a session's lap data (see utils/LapAnalysis.js)
+     */
+    async saveLapData(lapDataId, lapData) {
+        try {
+            await setDoc(doc(this.db, 'lapTimes', lapDataId), {
+                ...lapData,
+                updatedAt: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error saving lap data:', error);
+            throw error;
+        }
+    }
+
+    async getLapData(lapDataId) {
+        try {
+            const lapDoc = await getDoc(doc(this.db, 'lapTimes', lapDataId));
+            return lapDoc.exists() ? { id: lapDoc.id, ...lapDoc.data() } : null;
+        } catch (error) {
+            console.error('Error getting lap data:', error);
+            throw error;
+        }
+    }
+
     // Firestore Methods - Social
 
     /**
@@ -4,6 +4,7 @@
 import { EventBus } from '../core/EventBus.js';
 import { StateManager } from '../core/StateManager.js';
 import { serviceLocator } from '../core/ServiceLocator.js';
+import { registrationNotifications } from '../utils/Registrations.js';
 
 export class NotificationService {
     constructor() {
@@ -54,6 +55,8 @@ export class NotificationService {
         this.eventBus.on('championship:joined', this.onChampionshipJoined.bind(this));
         this.eventBus.on('championship:raceStarted', this.onRaceStarted.bind(this));
         this.eventBus.on('championship:raceFinished', this.onRaceFinished.bind(this));
+        this.eventBus.on('registration:changed', this.onRegistrationChanged.bind(this));
+        this.eventBus.on('championship:announcementPosted', this.onAnnouncementPosted.bind(this));
         this.eventBus.on('social:postLiked', this.onPostLiked.bind(this));
         this.eventBus.on('social:commentAdded', this.onCommentAdded.bind(this));
         this.eventBus.on('social:userFollowed', this.onUserFollowed.bind(this));
@@ -106,13 +109,15 @@ export class NotificationService {
                 createdAt: new Date().toISOString()
             };
 
-            // Save to Firebase if user is authenticated
-            if (user && notificationData.userId === user.uid) {
+            // Save to Firebase if user is authenticated; registration updates and announcements are
+            // stored for their recipient, who is usually someone else
+            const forRecipient = this.isStoredForRecipient(notification);
+            if (user && (notificationData.userId === user.uid || forRecipient)) {
                 await this.firebaseService.createDocument('notifications', notification);
             }
 
             // Show in-app notification if enabled
-            if (settings.enableInApp) {
+            if (settings.enableInApp && (!forRecipient || notificationData.userId === user?.uid)) {
                 this.showInAppNotification(notification);
             }
 
@@ -135,6 +140,13 @@ export class NotificationService {
         }
     }
 
+    /**
+     * Notifications addressed to another user, saved for them rather than shown to the sender
+     */
+    isStoredForRecipient(notification) {
+        return Boolean(notification.type?.startsWith('registration_')) || notification.type === 'championship_announcement';
+    }
+
     /**
      * Mark notification as read
      */
@@ -531,6 +543,41 @@ export class NotificationService {
         ));
     }
 
+    /**
+     * Handle registration status changes: tell the driver, and the organizer of new sign-ups
+     */
+    async onRegistrationChanged({ championship, changes }) {
+        const notifications = changes.flatMap(change => registrationNotifications(championship, change))
+            .filter(notification => notification.userId);
+
+        await Promise.all(notifications.map(notification =>
+            this.createNotification(notification)
+        ));
+    }
+
+    /**
+     * Handle announcement posted event
+     */
+    async onAnnouncementPosted({ championship, announcement }) {
+        if (!championship.participants) return;
+
+        // Notify every participant but the author
+        const notifications = championship.participants
+            .filter(participantId => participantId !== announcement.authorId)
+            .map(participantId => ({
+                userId: participantId,
+                type: 'championship_announcement',
+                title: announcement.title,
+                message: announcement.message,
+                championshipId: championship.id,
+                fromUserId: announcement.authorId
+            }));
+
+        await Promise.all(notifications.map(notification =>
+            this.createNotification(notification)
+        ));
+    }
+
     /**
      * Handle post liked event
      */
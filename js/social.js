@@ -1,9 +1,198 @@
+import { CARD_TEMPLATES, cardPostImage, cardToBlob, renderCard } from './utils/StandingsCard.js';
+import { mainRaceSession } from './scoring/RaceSessions.js';
+import { resolveDriverTeam } from './scoring/TeamStandings.js';
+
 export class SocialController {
     constructor(state, statisticsController) {
         this.state = state;
         this.statisticsController = statisticsController;
     }
 
+    // Team record for a driver in a race; legacy drivers store the team name instead of its id
+    findTeam(driver, race = {}) {
+        const teamId = resolveDriverTeam(driver, race, null, this.state.currentChampionship?.races);
+        const teams = this.state.currentChampionship?.teams || [];
+        return teams.find(team => team.id === teamId || team.name === teamId) ||
+            (teamId ? { name: teamId, color: null } : null);
+    }
+
+    // Races with results, latest round first
+    racesWithResults() {
+        const champ = this.state.currentChampionship;
+        return (champ?.races || [])
+            .filter(race => {
+                const results = this.statisticsController.getRaceResults(race);
+                return results && Object.keys(results).length > 0;
+            })
+            .sort((a, b) => (parseInt(b.round) || 0) - (parseInt(a.round) || 0));
+    }
+
+    // Main race classification and points for a race, finishing order
+    raceFinishers(race) {
+        const champ = this.state.currentChampionship;
+        const engine = this.statisticsController.getPointsEngine(champ);
+        const results = this.statisticsController.getRaceResults(race);
+        const { results: classified } = engine.classifyRace(race, results);
+        const { drivers: scores } = engine.scoreRace(race, results);
+
+        const qualifying = this.statisticsController.qualifyingResults(race, classified);
+
+        return Object.entries(classified[mainRaceSession(race)])
+            .filter(([, entry]) => entry.position)
+            .sort(([, a], [, b]) => a.position - b.position)
+            .map(([driverId, entry]) => ({
+                driver: champ.drivers.find(d => d.id === driverId) || { id: driverId, name: driverId },
+                entry,
+                qualifying: qualifying[driverId]?.position || null,
+                points: scores[driverId]?.total || 0
+            }));
+    }
+
+    cardRow(driver, race, extra = {}) {
+        const team = this.findTeam(driver, race);
+        return {
+            name: driver.name,
+            number: driver.number || null,
+            team: team?.name || '',
+            color: team?.color || null,
+            ...extra
+        };
+    }
+
+    /**
+     * Data for a standings card
+     * @param {string} template - Key of `CARD_TEMPLATES`
+     * @param {object} options - `{ raceId, driverId }` for podium and driver-of-the-day cards
+     *   (default: the latest race with results, and its biggest climber or winner)
+     */
+    getCardData(template, { raceId = null, driverId = null } = {}) {
+        const champ = this.state.currentChampionship;
+        if (!champ) return null;
+
+        if (template === 'top10' || template === 'fullGrid') {
+            const standings = this.statisticsController.generateStandings();
+            const lastRound = this.racesWithResults()[0];
+            return {
+                title: champ.name,
+                subtitle: lastRound ? `Standings after round ${lastRound.round}${lastRound.name ? ` · ${lastRound.name}` : ''}` : `${champ.series} ${champ.season}`,
+                rows: standings.map(driver => this.cardRow(driver, lastRound, {
+                    position: driver.position,
+                    points: driver.totalPoints
+                }))
+            };
+        }
+
+        const race = this.racesWithResults().find(r => !raceId || r.id === raceId);
+        if (!race) return null;
+        const finishers = this.raceFinishers(race);
+        const subtitle = `Round ${race.round} · ${champ.name}`;
+
+        if (template === 'podium') {
+            return {
+                title: race.name || `Round ${race.round}`,
+                subtitle,
+                rows: finishers.slice(0, 3).map(({ driver, entry, points }) => this.cardRow(driver, race, {
+                    position: entry.position,
+                    points
+                }))
+            };
+        }
+
+        // Driver of the day: the organiser's pick, otherwise the biggest climber, otherwise the winner
+        const climb = ({ entry, qualifying }) => (qualifying ? qualifying - entry.position : 0);
+        const pick = finishers.find(finisher => finisher.driver.id === driverId) ||
+            [...finishers].sort((a, b) => climb(b) - climb(a)).find(finisher => climb(finisher) > 0) ||
+            finishers[0];
+        if (!pick) return null;
+
+        const gained = climb(pick);
+        return {
+            title: 'Driver of the Day',
+            subtitle: `${race.name || `Round ${race.round}`} · ${champ.name}`,
+            rows: [this.cardRow(pick.driver, race, {
+                position: pick.entry.position,
+                points: pick.points,
+                detail: `Finished P${pick.entry.position}${gained > 0 ? ` from P${pick.qualifying} on the grid` : ''} · ${pick.points} pts`
+            })]
+        };
+    }
+
+    /**
+     * Draw a card onto a canvas
+     * @returns {boolean} False when there is nothing to draw for the template yet
+     */
+    drawCard(canvas, template, options = {}) {
+        const data = this.getCardData(template, options);
+        if (!data || data.rows.length === 0) return false;
+        renderCard(canvas, template, data);
+        return true;
+    }
+
+    async downloadCard(canvas, template) {
+        const blob = await cardToBlob(canvas);
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${(this.state.currentChampionship?.name || 'championship').toLowerCase().replace(/\s+/g, '-')}-${template}.png`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Share the image itself where the browser supports sharing files, otherwise download it
+    async shareCard(canvas, template, text = '') {
+        const blob = await cardToBlob(canvas);
+        const file = new File([blob], `${template}.png`, { type: 'image/png' });
+
+        if (navigator.canShare?.({ files: [file] })) {
+            await navigator.share({ files: [file], title: this.state.currentChampionship?.name || '', text });
+        } else {
+            await this.downloadCard(canvas, template);
+        }
+    }
+
+    // Compressed copy of a card for a feed post (see utils/StandingsCard.js)
+    cardPostImage(canvas) {
+        return cardPostImage(canvas);
+    }
+
+    standingsText() {
+        const champ = this.state.currentChampionship;
+        let shareText = `🏆 ${champ.name} Standings 🏆\n\n`;
+        this.statisticsController.generateStandings().forEach(driver => {
+            shareText += `${driver.position}. ${driver.name} - ${driver.totalPoints} pts\n`;
+        });
+        return shareText;
+    }
+
+    // Redraw the share modal's card from its template, race and driver pickers
+    updateSharePreview() {
+        const template = document.getElementById('share-card-template').value;
+        const raceSelect = document.getElementById('share-card-race');
+        const driverSelect = document.getElementById('share-card-driver');
+        const canvas = document.getElementById('share-card-canvas');
+        const empty = document.getElementById('share-card-empty');
+
+        raceSelect.closest('.col').style.display = ['podium', 'driverOfTheDay'].includes(template) ? '' : 'none';
+        driverSelect.closest('.col').style.display = template === 'driverOfTheDay' ? '' : 'none';
+
+        if (template === 'driverOfTheDay') {
+            const race = this.racesWithResults().find(r => r.id === raceSelect.value);
+            const selected = driverSelect.value;
+            driverSelect.innerHTML = '<option value="">Biggest climber</option>' +
+                (race ? this.raceFinishers(race) : []).map(({ driver, entry }) =>
+                    `<option value="${driver.id}" ${driver.id === selected ? 'selected' : ''}>P${entry.position} ${driver.name}</option>`).join('');
+        }
+
+        const drawn = this.drawCard(canvas, template, {
+            raceId: raceSelect.value || null,
+            driverId: driverSelect.value || null
+        });
+        canvas.style.display = drawn ? '' : 'none';
+        empty.style.display = drawn ? 'none' : '';
+        document.querySelectorAll('.share-card-action').forEach(button => { button.disabled = !drawn; });
+        return drawn;
+    }
+
     shareStandings() {
         const champ = this.state.currentChampionship;
         if (!champ) return;
@@ -14,23 +203,14 @@ export class SocialController {
             return;
         }
 
-        let shareText = `🏆 ${champ.name} Standings 🏆\n\n`;
-        standings.forEach(driver => {
-            shareText += `${driver.position}. ${driver.name} - ${driver.totalPoints} pts\n`;
-        });
+        document.getElementById('share-card-template').innerHTML = Object.entries(CARD_TEMPLATES)
+            .map(([value, { label }]) => `<option value="${value}">${label}</option>`).join('');
+        document.getElementById('share-card-race').innerHTML = this.racesWithResults()
+            .map(race => `<option value="${race.id}">Round ${race.round}${race.name ? ` · ${race.name}` : ''}</option>`).join('');
+        document.getElementById('share-text').value = this.standingsText();
 
-        if (navigator.share) {
-            navigator.share({
-                title: `${champ.name} Standings`,
-                text: shareText,
-            })
-            .catch(console.error);
-        } else {
-            // Fallback for browsers that don't support navigator.share
-            const modal = new bootstrap.Modal(document.getElementById('share-modal'));
-            const textarea = document.getElementById('share-text');
-            textarea.value = shareText;
-            modal.show();
-        }
+        this.updateSharePreview();
+        const modal = new bootstrap.Modal(document.getElementById('share-modal'));
+        modal.show();
     }
-}
\ No newline at end of file
+}
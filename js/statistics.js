@@ -1,23 +1,123 @@
 // Statistics and analytics module
+import { PointsEngine } from './scoring/PointsEngine.js';
+import { applyDropScores } from './scoring/DropScores.js';
+import { championshipDeductions, gridDropsFor } from './scoring/Penalties.js';
+import { RESULT_STATUS, isStart, statusLabel } from './scoring/ResultStatus.js';
+import { gridSessions, mainRaceSession, sessionName, startingGrid } from './scoring/RaceSessions.js';
+import { generateGrid, gridRuleFor, gridSourceRaces } from './scoring/GridRules.js';
+import { racesInRoundOrder } from './scoring/Rounds.js';
+import { rankWithTieBreakers, tieBreakRounds } from './scoring/TieBreaker.js';
+import { calculateEntryStandings, calculateTeamStandings, resolveDriverTeam } from './scoring/TeamStandings.js';
+import { crewScores, entryForDriver, findCompetitor, isEntryChampionship, resultCompetitors } from './scoring/Entries.js';
+import { driverClass } from './scoring/Classes.js';
+import { EXPORT_FORMATS, renderExport } from './utils/StandingsExport.js';
+import { analyzeLaps, lapChart } from './utils/LapAnalysis.js';
+import { TYRE_COMPOUNDS, UNKNOWN_TYRE_COLOR, carStints, pitStopSummary, sessionPitStops } from './utils/PitStops.js';
+import { formatRaceTime } from './scoring/Timing.js';
+
+// Series colours shared by the lap charts
+const LAP_CHART_COLORS = ['#0d6efd', '#dc3545', '#ffc107', '#198754', '#6f42c1', '#fd7e14', '#20c997', '#6610f2', '#e83e8c', '#28a745'];
+
 export class StatisticsController {
     constructor(state) {
         this.state = state;
         this.charts = new Map();
     }
 
+    // Scoring engine for a championship's configured points system
+    getPointsEngine(championship) {
+        return PointsEngine.forChampionship(championship || this.state.currentChampionship);
+    }
+
+    /**
+     * Starting grid for a session: the stored grid once locked, else one generated from the session's rule
+     * @param {object} race
+     * @param {string} sessionId
+     * @param {object} rule - Rule to generate with (defaults to the race's rule for the session)
+     * @returns {{ rule, locked, slots: Array<{ driverId, slot, reversed, drop }> }}
+     * @throws {Error} When the rule's source round can't be found or has no results
+     */
+    generateStartingGrid(race, sessionId, rule = gridRuleFor(race, sessionId), championship) {
+        const champ = championship || this.state.currentChampionship;
+        const stored = race.grids?.[sessionId];
+        if (stored?.locked) {
+            return { rule, locked: true, slots: stored.order.map((driverId, index) => ({ driverId, slot: index + 1, reversed: false, drop: 0 })) };
+        }
+
+        const engine = this.getPointsEngine(champ);
+        const { earlier, previous } = gridSourceRaces(rule, champ.races, race);
+
+        const context = {
+            race,
+            sessionId,
+            classified: engine.classifyRace(race, this.getRaceResults(race)).results,
+            previousClassified: previous ?
+                engine.classifyRace(previous, this.getRaceResults(previous)).results[mainRaceSession(previous)] : {},
+            standings: rule.source === 'standings' ? this.gridStandings({ ...champ, races: earlier }) : [],
+            drivers: resultCompetitors(champ).map(competitor => competitor.id),
+            drops: gridDropsFor(champ, race)
+        };
+
+        return { rule, locked: false, slots: generateGrid(rule, context) };
+    }
+
+    /**
+     * Qualifying results of a race as grid slots for its main race
+     * Races with their own sessions take them from the sessions that set the main race's
+     * grid (Q1/Q2/Q3, heats); the classic weekend uses qualifying positions as entered.
+     * @returns {object} `{ driverId: { position } }`
+     */
+    qualifyingResults(race, classified) {
+        const mainRace = mainRaceSession(race);
+        if (!race.sessions?.length || gridSessions(race, mainRace).length === 0) {
+            return classified.qualifying;
+        }
+        return Object.fromEntries(startingGrid(race, classified, mainRace)
+            .map((driverId, index) => [driverId, { position: index + 1 }]));
+    }
+
+    // Results for a race: saved results collection first, then the race model
+    getRaceResults(race) {
+        const stored = this.state?.results?.[race.id];
+        if (stored && Object.keys(stored).length > 0) return stored;
+        return race.results;
+    }
+
+    // Results for every race of a championship, keyed by race id
+    getResultsByRace(championship) {
+        const resultsByRace = {};
+        (championship?.races || []).forEach(race => {
+            resultsByRace[race.id] = this.getRaceResults(race);
+        });
+        return resultsByRace;
+    }
+
+    // Season totals (gross/net with dropped rounds flagged) for every driver
+    calculateSeasonScores(championship) {
+        const champ = championship || this.state.currentChampionship;
+        if (!champ) return {};
+        return this.getPointsEngine(champ).scoreChampionship(champ, this.getResultsByRace(champ));
+    }
+
     // Calculate driver statistics
-    calculateDriverStats(driverId, championship) {
+    calculateDriverStats(driverId, championship, seasonScores = null) {
         const champ = championship || this.state.currentChampionship;
         if (!champ) return {};
         
         const stats = {
             totalPoints: 0,
+            grossPoints: 0,
+            netPoints: 0,
+            deductions: 0,
+            droppedRounds: [],
             wins: 0,
             podiums: 0,
             poles: 0,
             sprintWins: 0,
             fastestLaps: 0,
             dnfs: 0,
+            disqualifications: 0,
+            nonStarts: 0,
             averagePosition: 0,
             bestFinish: null,
             worstFinish: null,
@@ -26,57 +126,63 @@ export class StatisticsController {
             sprintResults: []
         };
 
-        const pointsSystem = champ.settings?.pointsSystem;
-        if (!pointsSystem) return stats;
+        if (!champ.settings?.pointsSystem && !champ.settings?.pointsPreset) return stats;
+        const engine = this.getPointsEngine(champ);
+
+        const season = (seasonScores || this.calculateSeasonScores(champ))[driverId];
+        if (season) {
+            stats.grossPoints = season.gross;
+            stats.netPoints = season.net;
+            stats.totalPoints = season.net;
+            stats.deductions = season.deductions;
+            stats.droppedRounds = season.rounds.filter(round => round.dropped).map(round => round.raceId);
+        }
+
+        const driver = (champ.drivers || []).find(d => d.id === driverId) || { id: driverId };
+        const sharesCars = isEntryChampionship(champ);
+
+        (champ.races || []).forEach(race => {
+            // Final classification, after stewards' penalties
+            const { results } = engine.classifyRace(race, this.getRaceResults(race));
+            const { drivers: scores } = engine.scoreRace(race, this.getRaceResults(race));
+            const score = (sharesCars ? crewScores(champ, race, scores) : scores)[driverId];
+            const dropped = stats.droppedRounds.includes(race.id);
+            // In an endurance championship a driver's results are their car's
+            const resultId = sharesCars ? entryForDriver(champ, race, driverId)?.id : driverId;
 
-        champ.races.forEach(race => {
             // Qualifying stats
-            const qualifyingResult = race.getResult('qualifying', driverId);
-            if (qualifyingResult) {
-                const position = parseInt(qualifyingResult.position);
-                if (!isNaN(position)) {
-                    if (position === 1) stats.poles++;
-                    stats.qualifyingResults.push({
-                        race: race.name,
-                        position: position
-                    });
-                }
+            const qualifyingResult = this.qualifyingResults(race, results)[resultId];
+            if (qualifyingResult?.position) {
+                if (qualifyingResult.position === 1) stats.poles++;
+                stats.qualifyingResults.push({
+                    race: race.name,
+                    position: qualifyingResult.position
+                });
             }
 
-            // Sprint race stats if applicable
-            if (race.hasSprintRace) {
-                const sprintResult = race.getResult('sprint', driverId);
-                if (sprintResult) {
-                    const position = parseInt(sprintResult.position);
-                    if (!isNaN(position)) {
-                        if (position === 1) stats.sprintWins++;
-                        if (pointsSystem.sprintRace.enabled) {
-                            stats.totalPoints += pointsSystem.sprintRace.positions[position - 1] || 0;
-                        }
-                        stats.sprintResults.push({
-                            race: race.name,
-                            position: position
-                        });
-                    }
-                }
+            // Sprint race stats
+            const sprintResult = results.sprint[resultId];
+            if (sprintResult?.position) {
+                if (sprintResult.position === 1) stats.sprintWins++;
+                stats.sprintResults.push({
+                    race: race.name,
+                    position: sprintResult.position,
+                    points: score?.sessions.sprint?.total || 0
+                });
             }
 
             // Main race stats
-            const raceResult = race.getResult('feature', driverId);
+            const raceResult = results[mainRaceSession(race)][resultId];
             if (raceResult) {
-                const position = parseInt(raceResult.position);
-                if (!isNaN(position)) {
-                    // Points
-                    stats.totalPoints += pointsSystem.positions[position - 1] || 0;
-                    if (raceResult.fastestLap) {
-                        stats.fastestLaps++;
-                        stats.totalPoints += pointsSystem.fastestLap;
-                    }
+                if (raceResult.status === RESULT_STATUS.DNF) stats.dnfs++;
+                if ([RESULT_STATUS.DSQ, RESULT_STATUS.EXCLUDED].includes(raceResult.status)) stats.disqualifications++;
+                if (!isStart(raceResult.status)) stats.nonStarts++;
+                if (raceResult.fastestLap) stats.fastestLaps++;
 
-                    // Statistics
+                const position = raceResult.position;
+                if (position) {
                     if (position === 1) stats.wins++;
                     if (position <= 3) stats.podiums++;
-                    if (raceResult.dnf) stats.dnfs++;
 
                     if (stats.bestFinish === null || position < stats.bestFinish) {
                         stats.bestFinish = position;
@@ -87,9 +193,15 @@ export class StatisticsController {
 
                     stats.raceResults.push({
                         race: race.name,
+                        qualifying: qualifyingResult?.position || null,
+                        sprint: sprintResult?.position || null,
+                        feature: position,
                         position: position,
-                        points: (pointsSystem.positions[position - 1] || 0) +
-                                (raceResult.fastestLap ? pointsSystem.fastestLap : 0)
+                        points: score?.total || 0,
+                        team: resolveDriverTeam(driver, race, raceResult, champ.races),
+                        originalPosition: raceResult.originalPosition || null,
+                        penalties: raceResult.penalties || [],
+                        dropped
                     });
                 }
             }
@@ -115,78 +227,86 @@ export class StatisticsController {
             poles: 0,
             fastestLaps: 0,
             bestResult: null,
-            constructorResults: []
+            constructorResults: [],
+            // `{ count, timed, average, fastest }` over the team's stops in every session (see utils/PitStops.js)
+            pitStops: null
         };
+        const teamStops = [];
 
-        // Get all drivers for this team
-        const teamDrivers = champ.drivers.filter(driver => driver.team === teamId);
+        // Team points follow the championship's team scoring rules (best N cars, reserves excluded)
+        const standing = this.generateTeamStandings(champ).teams.find(team => team.id === teamId);
+        const engine = this.getPointsEngine(champ);
 
         champ.races.forEach(race => {
+            const { results } = engine.classifyRace(race, this.getRaceResults(race));
+            const round = standing?.rounds.find(r => r.raceId === race.id);
+            const raceTeam = (driverId, result) => {
+                const driver = findCompetitor(champ, driverId) || { id: driverId };
+                return resolveDriverTeam(driver, race, result, champ.races);
+            };
+
             let raceStats = {
                 race: race.name,
-                points: 0,
-                positions: []
+                points: round?.total || 0,
+                positions: [],
+                countedDrivers: round?.counted || []
             };
 
-            // Process each driver's result
-            teamDrivers.forEach(driver => {
-                const qualifyingResult = race.getResult('qualifying', driver.id);
-                const mainResult = race.getResult('feature', driver.id);
-
-                if (qualifyingResult && parseInt(qualifyingResult.position) === 1) {
+            // Poles go to the team the driver raced for that weekend
+            Object.entries(this.qualifyingResults(race, results)).forEach(([driverId, result]) => {
+                if (result.position === 1 && raceTeam(driverId, result) === teamId) {
                     stats.poles++;
                 }
+            });
 
-                if (mainResult) {
-                    const position = parseInt(mainResult.position);
-                    if (!isNaN(position)) {
-                        raceStats.positions.push(position);
-                        
-                        // Points
-                        const racePoints = this.calculateRacePoints(mainResult, champ.settings.pointsSystem);
-                        raceStats.points += racePoints;
-
-                        // Update team statistics
-                        if (position === 1) stats.wins++;
-                        if (position <= 3) stats.podiums++;
-                        if (mainResult.fastestLap) stats.fastestLaps++;
-
-                        if (stats.bestResult === null || position < stats.bestResult) {
-                            stats.bestResult = position;
-                        }
-                    }
+            Object.entries(results[mainRaceSession(race)]).forEach(([driverId, mainResult]) => {
+                if (raceTeam(driverId, mainResult) !== teamId || !mainResult.position) return;
+
+                const position = mainResult.position;
+                raceStats.positions.push(position);
+
+                // Update team statistics
+                if (position === 1) stats.wins++;
+                if (position <= 3) stats.podiums++;
+                if (mainResult.fastestLap) stats.fastestLaps++;
+
+                if (stats.bestResult === null || position < stats.bestResult) {
+                    stats.bestResult = position;
                 }
             });
 
+            // Stops count for the team the car raced for that weekend
+            Object.keys(race.pitStops || {}).forEach(session => {
+                sessionPitStops(race, session).forEach(stop => {
+                    if (raceTeam(stop.driverId, results[session]?.[stop.driverId]) === teamId) teamStops.push(stop);
+                });
+            });
+
             // Add race result to team stats
             stats.totalPoints += raceStats.points;
             stats.constructorResults.push(raceStats);
         });
 
+        stats.pitStops = pitStopSummary(teamStops);
+
         return stats;
     }
 
-    calculateRacePoints(result, pointsSystem) {
-        if (!result || !pointsSystem) return 0;
-
-        let points = 0;
-        const position = parseInt(result.position);
+    // Generate teams', manufacturers' and entries' standings
+    generateTeamStandings(championship) {
+        const champ = championship || this.state.currentChampionship;
+        if (!champ) return { teams: [], manufacturers: [], entries: [] };
+        return calculateTeamStandings(champ, this.getResultsByRace(champ));
+    }
 
-        if (!isNaN(position)) {
-            // Main race points
-            if (result.session === 'feature') {
-                points += pointsSystem.positions[position - 1] || 0;
-                if (result.fastestLap) {
-                    points += pointsSystem.fastestLap;
-                }
-            }
-            // Sprint race points
-            else if (result.session === 'sprint' && pointsSystem.sprintRace.enabled) {
-                points += pointsSystem.sprintRace.positions[position - 1] || 0;
-            }
-        }
+    // Points for a single session result (`result.session` defaults to feature)
+    calculateRacePoints(result, pointsSystem, race = {}) {
+        if (!result || !pointsSystem) return 0;
 
-        return points;
+        const engine = new PointsEngine(pointsSystem);
+        const session = result.session || 'feature';
+        const scored = engine.scoreSession(session, { result }, engine.getMultiplier(race));
+        return scored.result?.total || 0;
     }
 
     // Generate championship standings
@@ -194,31 +314,41 @@ export class StatisticsController {
         const champ = championship || this.state.currentChampionship;
         if (!champ?.drivers) return [];
 
-        const standings = champ.drivers.map(driver => {
-            const stats = this.calculateDriverStats(driver.id, champ);
+        const seasonScores = this.calculateSeasonScores(champ);
+        const entries = champ.drivers.map(driver => {
+            const stats = this.calculateDriverStats(driver.id, champ, seasonScores);
             return {
-                ...driver,
-                ...stats,
-                position: 0 // Will be set after sorting
+                id: driver.id,
+                name: driver.name,
+                points: stats.totalPoints,
+                rounds: tieBreakRounds(seasonScores, driver.id, champ.races),
+                standing: {
+                    ...driver,
+                    ...stats,
+                    classId: driverClass(champ, driver.id),
+                    position: 0 // Will be set after ranking
+                }
             };
         });
 
-        // Sort by points (descending), then by wins, then by podiums
-        standings.sort((a, b) => {
-            if (b.totalPoints !== a.totalPoints) return b.totalPoints - a.totalPoints;
-            if (b.wins !== a.wins) return b.wins - a.wins;
-            if (b.podiums !== a.podiums) return b.podiums - a.podiums;
-            return parseFloat(a.averagePosition) - parseFloat(b.averagePosition);
-        });
-
-        // Set positions
-        standings.forEach((driver, index) => {
-            driver.position = index + 1;
-        });
+        // Sort by points, then resolve ties with the championship's tie-break chain
+        const standings = rankWithTieBreakers(entries, champ.settings?.tieBreakers).map(entry => ({
+            ...entry.standing,
+            position: entry.position,
+            tieBreaks: entry.tieBreaks
+        }));
 
         return standings;
     }
 
+    // Ids in standings order for grids set from the championship: entries in an endurance championship, else drivers
+    gridStandings(championship) {
+        const champ = championship || this.state.currentChampionship;
+        return isEntryChampionship(champ) ?
+            calculateEntryStandings(champ, this.getResultsByRace(champ)).map(entry => entry.id) :
+            this.generateStandings(champ).map(driver => driver.id);
+    }
+
     // Create championship evolution chart
     createChampionshipChart(canvasId) {
         const canvas = document.getElementById(canvasId);
@@ -230,7 +360,7 @@ export class StatisticsController {
         }
 
         const standings = this.generateStandings();
-        const races = this.state.currentChampionship?.races || [];
+        const races = this.orderedRaces(this.state.currentChampionship);
         
         // Show only top 10 drivers
         const topDrivers = standings.slice(0, 10);
@@ -245,17 +375,28 @@ export class StatisticsController {
             }
         }
 
-        // Calculate cumulative points for each race
+        // Score every race once, then accumulate per driver
+        const engine = this.getPointsEngine();
+        const dropRule = engine.system.dropScores;
+        const seasonDeductions = championshipDeductions(this.state.currentChampionship);
+        const raceScores = races.map(race => ({
+            race,
+            drivers: engine.scoreRace(race, this.getRaceResults(race)).drivers
+        }));
+
+        // Calculate cumulative points for each race, applying dropped scores to the rounds run so far
         const datasets = topDrivers.map((driver, index) => {
             const colors = ['#0d6efd', '#dc3545', '#ffc107', '#198754', '#6f42c1', '#fd7e14', '#20c997', '#6610f2', '#e83e8c', '#28a745'];
-            let cumulativePoints = 0;
+            const rounds = [];
             
-            const data = races.map(race => {
-                const raceResult = this.state.results[race.id]?.[driver.id];
-                if (raceResult) {
-                    cumulativePoints += this.calculateRacePoints(raceResult, this.state.currentChampionship.settings.pointsSystem);
+            const data = raceScores.map(({ race, drivers }) => {
+                if (Object.keys(drivers).length > 0) {
+                    rounds.push(engine.toRound(race, drivers[driver.id]));
                 }
-                return cumulativePoints;
+                // Race deductions count from their round, championship-level ones from the start
+                const deducted = rounds.reduce((sum, round) => sum + round.deduction, 0) +
+                    (seasonDeductions[driver.id] || 0);
+                return applyDropScores(rounds, dropRule).net - deducted;
             }).slice(0, lastRaceWithResultsIndex + 1);
 
             return {
@@ -377,6 +518,260 @@ export class StatisticsController {
         return chart;
     }
 
+    // Lap analytics for a session's lap data, drivers in finishing order of the last lap
+    analyzeRaceLaps(lapData) {
+        const drivers = lapData?.drivers || {};
+        if (Object.keys(drivers).length === 0) return null;
+
+        const analysis = analyzeLaps(drivers);
+        const { positions } = lapChart(drivers);
+        const finalPosition = driverId => positions[driverId].filter(position => position !== null).pop() ?? Infinity;
+        const findDriver = driverId => findCompetitor(this.state.currentChampionship, driverId);
+
+        return {
+            ...analysis,
+            rows: Object.keys(drivers)
+                .sort((a, b) => (drivers[b].length - drivers[a].length) || (finalPosition(a) - finalPosition(b)))
+                .map(driverId => ({ driverId, driver: findDriver(driverId), ...analysis.drivers[driverId] }))
+        };
+    }
+
+    // Create lap chart: every driver's position at the end of each lap
+    createLapChart(canvasId, lapData) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+
+        if (this.charts.has(canvasId)) {
+            this.charts.get(canvasId).destroy();
+        }
+
+        const { laps, positions } = lapChart(lapData?.drivers || {});
+        const findDriver = driverId => findCompetitor(this.state.currentChampionship, driverId);
+
+        const chart = new Chart(canvas, {
+            type: 'line',
+            data: {
+                labels: laps,
+                datasets: Object.entries(positions).map(([driverId, data], index) => ({
+                    label: findDriver(driverId)?.name || driverId,
+                    data,
+                    borderColor: LAP_CHART_COLORS[index % LAP_CHART_COLORS.length],
+                    backgroundColor: LAP_CHART_COLORS[index % LAP_CHART_COLORS.length],
+                    fill: false,
+                    tension: 0,
+                    pointRadius: 0
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'right'
+                    }
+                },
+                scales: {
+                    y: {
+                        reverse: true,
+                        min: 1,
+                        ticks: {
+                            stepSize: 1
+                        },
+                        title: {
+                            display: true,
+                            text: 'Position'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Lap'
+                        }
+                    }
+                },
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                }
+            }
+        });
+
+        this.charts.set(canvasId, chart);
+        return chart;
+    }
+
+    // Create lap-time trace; pit in-laps are drawn as triangles
+    createLapTimeChart(canvasId, lapData, driverIds = null) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+
+        if (this.charts.has(canvasId)) {
+            this.charts.get(canvasId).destroy();
+        }
+
+        const drivers = Object.entries(lapData?.drivers || {})
+            .filter(([driverId]) => !driverIds || driverIds.includes(driverId));
+        const lapCount = Math.max(0, ...drivers.flatMap(([, laps]) => laps.map(lap => lap.lap)));
+        const findDriver = driverId => findCompetitor(this.state.currentChampionship, driverId);
+
+        const chart = new Chart(canvas, {
+            type: 'line',
+            data: {
+                labels: Array.from({ length: lapCount }, (_, index) => index + 1),
+                datasets: drivers.map(([driverId, laps], index) => {
+                    const byLap = Object.fromEntries(laps.map(lap => [lap.lap, lap]));
+                    const color = LAP_CHART_COLORS[index % LAP_CHART_COLORS.length];
+                    return {
+                        label: findDriver(driverId)?.name || driverId,
+                        data: Array.from({ length: lapCount }, (_, lap) => byLap[lap + 1]?.time ?? null),
+                        pointStyle: Array.from({ length: lapCount }, (_, lap) => byLap[lap + 1]?.pit ? 'triangle' : 'circle'),
+                        pointRadius: Array.from({ length: lapCount }, (_, lap) => byLap[lap + 1]?.pit ? 6 : 2),
+                        borderColor: color,
+                        backgroundColor: color,
+                        fill: false,
+                        tension: 0.1,
+                        spanGaps: true
+                    };
+                })
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'right'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: context => `${context.dataset.label}: ${formatRaceTime(context.parsed.y)}`
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        ticks: {
+                            callback: value => formatRaceTime(value)
+                        },
+                        title: {
+                            display: true,
+                            text: 'Lap Time'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Lap'
+                        }
+                    }
+                },
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                }
+            }
+        });
+
+        this.charts.set(canvasId, chart);
+        return chart;
+    }
+
+    // Pit-stop summary per team for one race session, fastest average first
+    racePitStopsByTeam(race, session, championship) {
+        const champ = championship || this.state.currentChampionship;
+        const { results } = this.getPointsEngine(champ).classifyRace(race, this.getRaceResults(race));
+        const byTeam = {};
+
+        sessionPitStops(race, session).forEach(stop => {
+            const driver = findCompetitor(champ, stop.driverId) || { id: stop.driverId };
+            const teamId = resolveDriverTeam(driver, race, results[session]?.[stop.driverId], champ.races) || null;
+            (byTeam[teamId] = byTeam[teamId] || []).push(stop);
+        });
+
+        return Object.entries(byTeam)
+            .map(([teamId, stops]) => ({
+                teamId: teamId === 'null' ? null : teamId,
+                team: champ.teams?.find(team => team.id === teamId) || null,
+                ...pitStopSummary(stops)
+            }))
+            .sort((a, b) => (a.average ?? Infinity) - (b.average ?? Infinity));
+    }
+
+    // Create tyre-strategy timeline: one bar per car, a segment per stint coloured by compound
+    createStrategyChart(canvasId, race, session, championship) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+
+        if (this.charts.has(canvasId)) {
+            this.charts.get(canvasId).destroy();
+        }
+
+        const champ = championship || this.state.currentChampionship;
+        const { results } = this.getPointsEngine(champ).classifyRace(race, this.getRaceResults(race));
+        const sessionResults = results[session] || {};
+        const leaderLaps = Math.max(0, ...Object.values(sessionResults).map(result => parseInt(result.laps, 10) || 0));
+
+        // Cars with stops or a starting tyre, in finishing order
+        const driverIds = [...new Set([
+            ...sessionPitStops(race, session).map(stop => stop.driverId),
+            ...Object.keys(race.startingTyres?.[session] || {})
+        ])].sort((a, b) => (sessionResults[a]?.position || Infinity) - (sessionResults[b]?.position || Infinity));
+        const labels = driverIds.map(driverId => findCompetitor(champ, driverId)?.name || driverId);
+        const stints = driverIds.map(driverId =>
+            carStints(race, session, driverId, parseInt(sessionResults[driverId]?.laps, 10) || leaderLaps));
+
+        // Chart.js floating bars: dataset n holds every car's n-th stint as [startLap, endLap]
+        const stintCount = Math.max(0, ...stints.map(carStintList => carStintList.length));
+        const datasets = Array.from({ length: stintCount }, (_, index) => ({
+            label: `Stint ${index + 1}`,
+            data: stints.map(carStintList => carStintList[index] ? [carStintList[index].from - 1, carStintList[index].to] : null),
+            backgroundColor: stints.map(carStintList => TYRE_COMPOUNDS[carStintList[index]?.tyre]?.color || UNKNOWN_TYRE_COLOR),
+            borderColor: '#212529',
+            borderWidth: 1,
+            borderSkipped: false
+        }));
+
+        const chart = new Chart(canvas, {
+            type: 'bar',
+            data: { labels, datasets },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: context => {
+                                const stint = stints[context.dataIndex][context.datasetIndex];
+                                const tyre = TYRE_COMPOUNDS[stint.tyre]?.label || 'Unknown tyre';
+                                const stop = stint.stop?.stationaryTime !== null && stint.stop?.stationaryTime !== undefined ?
+                                    `, ${stint.stop.stationaryTime.toFixed(1)}s stop` : '';
+                                return `${tyre}: laps ${stint.from}-${stint.to}${stop}${stint.stop?.driverChange ? `, ${stint.stop.driverChange} in` : ''}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        min: 0,
+                        title: {
+                            display: true,
+                            text: 'Lap'
+                        }
+                    },
+                    y: {
+                        stacked: true
+                    }
+                }
+            }
+        });
+
+        this.charts.set(canvasId, chart);
+        return chart;
+    }
+
     // Generate race analysis
     analyzeRace(raceId) {
         const race = this.state.currentChampionship?.races.find(r => r.id === raceId);
@@ -394,30 +789,34 @@ export class StatisticsController {
             perfectWeekend: null // Pole + Win + Fastest Lap
         };
 
-        Object.entries(results).forEach(([driverId, result]) => {
-            const driver = this.state.currentChampionship?.drivers.find(d => d.id === driverId);
+        // Final classification, with statuses resolved and penalties applied
+        const { results: classified } = this.getPointsEngine().classifyRace(race, results);
+        const findDriver = driverId => this.state.currentChampionship?.drivers.find(d => d.id === driverId);
+
+        const qualifying = this.qualifyingResults(race, classified);
+        Object.entries(qualifying).forEach(([driverId, result]) => {
+            if (result.position === 1) analysis.polePosition = findDriver(driverId) || null;
+        });
+
+        Object.entries(classified[mainRaceSession(race)]).forEach(([driverId, result]) => {
+            const driver = findDriver(driverId);
             if (!driver) return;
 
             // Winner
-            if (parseInt(result.feature) === 1) {
+            if (result.position === 1) {
                 analysis.winner = driver;
             }
 
-            // Pole position
-            if (parseInt(result.qualifying) === 1) {
-                analysis.polePosition = driver;
-            }
-
             // Fastest lap
-            if (result.featureFL) {
+            if (result.fastestLap) {
                 analysis.fastestLap = driver;
             }
 
-            // Position changes
-            const qualiPos = parseInt(result.qualifying);
-            const featurePos = parseInt(result.feature);
+            // Position changes (classified finishers only)
+            const qualiPos = qualifying[driverId]?.position;
+            const featurePos = result.position;
             
-            if (!isNaN(qualiPos) && !isNaN(featurePos)) {
+            if (qualiPos && featurePos) {
                 const positionChange = qualiPos - featurePos;
                 
                 if (positionChange > analysis.bestRecovery.positions) {
@@ -429,8 +828,8 @@ export class StatisticsController {
                 }
             }
 
-            // DNFs
-            if (['DNF', 'DSQ', 'DNS'].includes(result.feature)) {
+            // Retirements
+            if (result.status === RESULT_STATUS.DNF) {
                 analysis.dnfs.push(driver);
             }
         });
@@ -445,32 +844,205 @@ export class StatisticsController {
         return analysis;
     }
 
-    // Export statistics to CSV
-    exportStandings() {
-        const standings = this.generateStandings();
-        
-        const headers = ['Position', 'Driver', 'Points', 'Wins', 'Podiums', 'Poles', 'Fastest Laps', 'DNFs', 'Average Position'];
-        const rows = standings.map(driver => [
-            driver.position,
-            driver.name,
-            driver.totalPoints,
-            driver.wins,
-            driver.podiums,
-            driver.poles,
-            driver.fastestLaps,
-            driver.dnfs,
-            driver.averagePosition
-        ]);
-
-        const csvContent = [headers, ...rows]
-            .map(row => row.join(','))
-            .join('\n');
-
-        const blob = new Blob([csvContent], { type: 'text/csv' });
+    // Season-grid colour category for a driver's feature result in one round
+    finishCategory(entry, points) {
+        if (!entry) return 'absent';
+        switch (entry.status) {
+            case RESULT_STATUS.DSQ:
+            case RESULT_STATUS.EXCLUDED:
+                return 'disqualified';
+            case RESULT_STATUS.DNS:
+            case RESULT_STATUS.DNQ:
+                return 'nonStart';
+        }
+        // Retirements and non-classified finishers
+        if (!entry.position) return 'retired';
+        if (entry.position === 1) return 'winner';
+        if (entry.position === 2) return 'second';
+        if (entry.position === 3) return 'third';
+        return points > 0 ? 'points' : 'finished';
+    }
+
+    // Name of the team a driver raced for, whether stored as a team id or a name
+    teamName(championship, teamId) {
+        if (!teamId) return '';
+        return (championship.teams || []).find(team => team.id === teamId)?.name || teamId;
+    }
+
+    // Races in round order
+    orderedRaces(championship) {
+        return racesInRoundOrder(championship?.races || []);
+    }
+
+    buildDriverStandingsTable(championship) {
+        const champ = championship || this.state.currentChampionship;
+        return {
+            title: 'Driver Standings',
+            headers: ['Position', 'Driver', 'Team', 'Points', 'Gross Points', 'Deductions', 'Wins', 'Podiums', 'Poles', 'Fastest Laps', 'DNFs', 'Average Position'],
+            rows: this.generateStandings(champ).map(driver => [
+                driver.position,
+                driver.name,
+                this.teamName(champ, driver.team),
+                driver.netPoints,
+                driver.grossPoints,
+                driver.deductions || 0,
+                driver.wins,
+                driver.podiums,
+                driver.poles,
+                driver.fastestLaps,
+                driver.dnfs,
+                driver.averagePosition
+            ])
+        };
+    }
+
+    // Teams' table plus the manufacturers' table when that championship is enabled
+    buildTeamStandingsTables(championship) {
+        const { teams, manufacturers } = this.generateTeamStandings(championship);
+        const toTable = (title, rows) => ({
+            title,
+            headers: ['Position', 'Name', 'Points', 'Wins', 'Podiums'],
+            rows: rows.map(row => [row.position, row.name, row.points, row.wins, row.podiums])
+        });
+
+        return [
+            toTable('Team Standings', teams),
+            ...(manufacturers.length ? [toTable('Manufacturer Standings', manufacturers)] : [])
+        ];
+    }
+
+    // Final classification of one session of a race (its main race by default), penalties applied
+    buildRaceClassificationTable(race, championship, session = mainRaceSession(race)) {
+        const champ = championship || this.state.currentChampionship;
+        const engine = this.getPointsEngine(champ);
+        const results = this.getRaceResults(race);
+        const { results: classified } = engine.classifyRace(race, results);
+        const { drivers: scores } = engine.scoreRace(race, results);
+
+        const entries = Object.entries(classified[session] || {})
+            .map(([driverId, entry]) => ({ driverId, entry, driver: findCompetitor(champ, driverId) }))
+            .sort((a, b) => (a.entry.position || Infinity) - (b.entry.position || Infinity));
+
+        return {
+            title: `Round ${race.round} ${race.name || ''} - ${sessionName(race, session)}`.replace(/\s+/g, ' ').trim(),
+            headers: ['Position', 'Driver', 'Team', 'Status', 'Laps', 'Time / Gap', 'Fastest Lap', 'Penalties', 'Points'],
+            rows: entries.map(({ driverId, entry, driver }) => [
+                entry.position || statusLabel(entry.status, { short: true }),
+                driver?.name || driverId,
+                this.teamName(champ, resolveDriverTeam(driver, race, entry, champ.races)),
+                statusLabel(entry.status),
+                entry.laps ?? '',
+                entry.position === 1 ? entry.totalTime || '' : entry.gapToLeader || '',
+                entry.fastestLap ? 'Yes' : '',
+                (entry.penalties || []).map(penalty => penalty.summary).join('; '),
+                scores[driverId]?.sessions[session]?.total || 0
+            ])
+        };
+    }
+
+    // Drivers × rounds matrix of main race results, colour-coded by finish
+    buildSeasonGridTable(championship) {
+        const champ = championship || this.state.currentChampionship;
+        const engine = this.getPointsEngine(champ);
+        const races = this.orderedRaces(champ);
+        const rounds = races.map(race => {
+            const results = this.getRaceResults(race);
+            if (!results) return { classified: {}, scores: {}, session: null };
+            const session = mainRaceSession(race);
+            return {
+                classified: engine.classifyRace(race, results).results[session],
+                scores: engine.scoreRace(race, results).drivers,
+                session
+            };
+        });
+
+        return {
+            title: 'Season Grid',
+            headers: ['Position', 'Driver', ...races.map(race => race.name ? `R${race.round} ${race.name}` : `R${race.round}`), 'Points'],
+            rows: this.generateStandings(champ).map(driver => [
+                driver.position,
+                driver.name,
+                ...rounds.map(({ classified, scores, session }) => {
+                    const entry = classified[driver.id];
+                    const points = scores[driver.id]?.sessions[session]?.total || 0;
+                    return {
+                        value: entry ? (entry.position || statusLabel(entry.status, { short: true })) : '',
+                        category: this.finishCategory(entry, points)
+                    };
+                }),
+                driver.netPoints
+            ])
+        };
+    }
+
+    /**
+     * Tables for an export
+     * @param {string} report - 'drivers', 'teams', 'races', 'grid' or 'full' (everything)
+     */
+    buildReportTables(report = 'drivers', championship = null) {
+        const champ = championship || this.state.currentChampionship;
+        const raceTables = () => this.orderedRaces(champ)
+            .filter(race => {
+                const results = this.getRaceResults(race);
+                return results && Object.keys(results).length > 0;
+            })
+            .map(race => this.buildRaceClassificationTable(race, champ));
+
+        switch (report) {
+            case 'drivers':
+                return [this.buildDriverStandingsTable(champ)];
+            case 'teams':
+                return this.buildTeamStandingsTables(champ);
+            case 'races':
+                return raceTables();
+            case 'grid':
+                return [this.buildSeasonGridTable(champ)];
+            case 'full':
+                return [
+                    this.buildDriverStandingsTable(champ),
+                    ...this.buildTeamStandingsTables(champ),
+                    this.buildSeasonGridTable(champ),
+                    ...raceTables()
+                ];
+            default:
+                throw new Error(`Unknown report: ${report}`);
+        }
+    }
+
+    /**
+     * Export standings and results
+     * @param {string} report - See `buildReportTables`
+     * @param {string} format - Key of `EXPORT_FORMATS` ('csv', 'spreadsheet' or 'print')
+     */
+    exportStandings(report = 'drivers', format = 'csv') {
+        const champ = this.state.currentChampionship;
+        if (!champ) return;
+
+        const tables = this.buildReportTables(report, champ);
+        const content = renderExport(format, tables, {
+            title: `${champ.name} - ${report === 'full' ? 'Season Report' : tables[0]?.title || 'Report'}`,
+            subtitle: `${champ.series || ''} ${champ.season || ''} · Generated ${new Date().toLocaleString()}`.trim(),
+            legend: report === 'grid' || report === 'full'
+        });
+        const { extension, type } = EXPORT_FORMATS[format];
+
+        // Print reports open in a new window so the browser can print or save them as PDF
+        if (format === 'print') {
+            const reportWindow = window.open('', '_blank');
+            if (reportWindow) {
+                reportWindow.document.write(content);
+                reportWindow.document.close();
+                reportWindow.focus();
+                reportWindow.print();
+                return;
+            }
+        }
+
+        const blob = new Blob([content], { type });
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `${this.state.currentChampionship?.name || 'championship'}_standings.csv`;
+        a.download = `${champ.name || 'championship'}_${report}.${extension}`;
         a.click();
         window.URL.revokeObjectURL(url);
     }
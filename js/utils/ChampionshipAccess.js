@@ -0,0 +1,208 @@
+/**
+ * ChampionshipAccess - Who can find and join a championship
+ * `championship.visibility`:
+ * - public: listed, anyone may join
+ * - unlisted: hidden from listings, anyone with its link may join
+ * - private: hidden and unreadable to outsiders, joining needs an invite link or the join code
+ * `isPublic` is kept in step (true only when public) for the listing queries.
+ * The secrets never sit on the championship document (see firestore.rules):
+ * - `championships/{id}/private/access`, organizers only: `{ inviteLinks, joinCode }`, with
+ *   `inviteLinks`: `[{ token, createdBy, createdAt, expiresAt, maxUses, revoked }]`
+ * - `championshipAccess/{secret}`: one grant per invite token or join code, read by its id,
+ *   `{ championshipId, kind, createdBy, createdAt, expiresAt, expiresAtMillis, maxUses, uses, revoked }`
+ * - `championships/{id}/members/{userId}`: `{ userId, via, secret, joinedAt }`, created on joining;
+ *   the rules check its `secret` against the grant, and `memberIds` on the championship lists members
+ * Owners, admins and stewards may always join (see utils/ChampionshipRoles.js).
+ */
+import { ROLES, roleOf } from './ChampionshipRoles.js';
+
+export const VISIBILITY = {
+    PUBLIC: 'public',
+    UNLISTED: 'unlisted',
+    PRIVATE: 'private'
+};
+
+export const VISIBILITY_LABELS = {
+    public: 'Public: listed, anyone can join',
+    unlisted: 'Unlisted: anyone with the link can join',
+    private: 'Private: invite link or join code only'
+};
+
+export const GRANT_KINDS = {
+    INVITE: 'invite',
+    CODE: 'code'
+};
+
+// No 0/O or 1/I, so codes survive being read out
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const JOIN_CODE_LENGTH = 6;
+
+function randomString(length, alphabet) {
+    const bytes = crypto.getRandomValues(new Uint8Array(length));
+    return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+}
+
+/**
+ * Visibility of a championship; older documents only have `isPublic`
+ */
+export function championshipVisibility(championship) {
+    if (Object.values(VISIBILITY).includes(championship?.visibility)) {
+        return championship.visibility;
+    }
+    return championship?.isPublic === false ? VISIBILITY.PRIVATE : VISIBILITY.PUBLIC;
+}
+
+/**
+ * Fields to store for a visibility
+ * @throws {Error} On an unknown visibility
+ */
+export function visibilityUpdate(visibility) {
+    if (!Object.values(VISIBILITY).includes(visibility)) {
+        throw new Error(`Unknown visibility: ${visibility}`);
+    }
+    return { visibility, isPublic: visibility === VISIBILITY.PUBLIC };
+}
+
+export function isListed(championship) {
+    return championshipVisibility(championship) === VISIBILITY.PUBLIC;
+}
+
+export function generateJoinCode() {
+    return randomString(JOIN_CODE_LENGTH, CODE_ALPHABET);
+}
+
+export function normalizeJoinCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Grant document stored at `championshipAccess/{secret}`
+ * `expiresAtMillis` repeats `expiresAt` for the security rules, which can't parse dates.
+ */
+export function accessGrant(championshipId, kind, { createdBy = null, createdAt = new Date().toISOString(), expiresAt = null, maxUses = null } = {}) {
+    return {
+        championshipId,
+        kind,
+        createdBy,
+        createdAt,
+        expiresAt,
+        expiresAtMillis: expiresAt ? new Date(expiresAt).getTime() : null,
+        maxUses,
+        uses: 0,
+        revoked: false
+    };
+}
+
+/**
+ * Create a shareable invite link
+ * @param {object} access - The organizers' `{ inviteLinks, joinCode }`
+ * @param {object} options - `expiresInDays` (0/null never expires), `maxUses` (null for unlimited)
+ * @returns {{ invite, inviteLinks, grant }} `grant` is stored under the invite's token
+ */
+export function createInviteLink(access, { expiresInDays = 7, maxUses = null } = {}, byUserId, championshipId, now = new Date()) {
+    const days = Number(expiresInDays);
+    const uses = parseInt(maxUses, 10);
+    const invite = {
+        token: randomString(24, 'abcdefghijklmnopqrstuvwxyz0123456789'),
+        createdBy: byUserId,
+        createdAt: now.toISOString(),
+        expiresAt: days > 0 ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString() : null,
+        maxUses: uses > 0 ? uses : null,
+        revoked: false
+    };
+    return {
+        invite,
+        inviteLinks: [...(access?.inviteLinks || []), invite],
+        grant: accessGrant(championshipId, GRANT_KINDS.INVITE, invite)
+    };
+}
+
+/**
+ * @returns {{ inviteLinks }}
+ */
+export function revokeInviteLink(access, token) {
+    if (!(access?.inviteLinks || []).some(invite => invite.token === token)) {
+        throw new Error('Invite link not found');
+    }
+    return {
+        inviteLinks: access.inviteLinks.map(invite => (invite.token === token ? { ...invite, revoked: true } : invite))
+    };
+}
+
+/**
+ * Issue a new join code, or disable joining by code
+ * @returns {{ joinCode, grant, revoke }} `grant` is stored under the new code (null when disabled),
+ *   `revoke` is the code it replaces (null when there was none)
+ */
+export function replaceJoinCode(access, enabled, byUserId, championshipId) {
+    const joinCode = enabled ? generateJoinCode() : null;
+    return {
+        joinCode,
+        grant: joinCode ? accessGrant(championshipId, GRANT_KINDS.CODE, { createdBy: byUserId }) : null,
+        revoke: access?.joinCode || null
+    };
+}
+
+/**
+ * Why an invite link or join code no longer works, or null while it does
+ * @param {object} grant - An access grant, or an invite link with its grant's `uses`
+ */
+export function inviteLinkProblem(grant, now = new Date()) {
+    if (!grant || grant.revoked) return 'This invite link is no longer valid';
+    if (grant.expiresAt && now > new Date(grant.expiresAt)) return 'This invite link has expired';
+    if (grant.maxUses && (grant.uses || 0) >= grant.maxUses) return 'This invite link has been used up';
+    return null;
+}
+
+/**
+ * Invite links still usable, newest first, with their use counts
+ * @param {object} grants - `{ token: grant }` as stored
+ */
+export function activeInviteLinks(access, grants = {}, now = new Date()) {
+    return (access?.inviteLinks || [])
+        .map(invite => ({ ...invite, uses: grants[invite.token]?.uses || 0 }))
+        .filter(invite => !inviteLinkProblem(invite, now))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Link that joins a championship through an invite, on the page at `pageUrl`
+ */
+export function inviteUrl(championshipId, token, pageUrl = `${window.location.origin}${window.location.pathname}`) {
+    return `${pageUrl}?championship=${encodeURIComponent(championshipId)}&invite=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Check a user may join, and how
+ * @param {object} championship - The championship, or `{ id, visibility: 'private' }` when it can't be read
+ * @param {object} grant - The access grant for the invite token or join code presented, with its `id`;
+ *   null when none was
+ * @returns {{ via: 'member'|'public'|'link'|'invite'|'code', secret: string|null }} `secret` is recorded on
+ *   the membership so the rules can check it
+ * @throws {Error} When the championship is private and no valid invite or code was given
+ */
+export function checkJoinAccess(championship, grant = null, userId = null, now = new Date()) {
+    if (userId && [ROLES.OWNER, ROLES.ADMIN, ROLES.STEWARD].includes(roleOf(championship, userId))) {
+        return { via: 'member', secret: null };
+    }
+
+    if (grant) {
+        if (grant.championshipId !== championship.id) {
+            throw new Error('This invite is for another championship');
+        }
+        const problem = inviteLinkProblem(grant, now);
+        if (problem) {
+            throw new Error(grant.kind === GRANT_KINDS.CODE ? 'Invalid join code' : problem);
+        }
+        return { via: grant.kind === GRANT_KINDS.CODE ? 'code' : 'invite', secret: grant.id };
+    }
+
+    switch (championshipVisibility(championship)) {
+        case VISIBILITY.PUBLIC:
+            return { via: 'public', secret: null };
+        case VISIBILITY.UNLISTED:
+            return { via: 'link', secret: null };
+        default:
+            throw new Error('This championship is private: you need an invite link or join code');
+    }
+}
@@ -0,0 +1,306 @@
+/**
+ * ChampionshipArchive - Versioned export/import format for a whole championship
+ * An archive holds the championship, its drivers, teams, entries, classes, races, every result
+ * row and penalty, and the settings. Importing validates the archive, upgrades
+ * older schema versions and gives every record a fresh id so an archive can be
+ * imported next to the championship it came from.
+ */
+import { RESULTS_VERSION, migrateRaceResults, migrateResultRow } from '../scoring/ResultStatus.js';
+import { sessionIds } from '../scoring/RaceSessions.js';
+
+export const ARCHIVE_FORMAT = 'motorsport-championship-archive';
+export const ARCHIVE_VERSION = 2;
+
+// Championship fields that are tied to the original document, not to the season itself
+const ACCOUNT_FIELDS = ['id', 'userId', 'createdAt', 'lastUpdated', 'participants', 'followers', 'activityScore'];
+
+// Record fields carried separately in the archive
+const COLLECTION_FIELDS = ['drivers', 'teams', 'entries', 'classes', 'races', 'penalties', 'settings'];
+
+function championshipDetails(championship) {
+    const details = {};
+    Object.entries(championship).forEach(([field, value]) => {
+        if (!ACCOUNT_FIELDS.includes(field) && !COLLECTION_FIELDS.includes(field) && typeof value !== 'function') {
+            details[field] = value;
+        }
+    });
+    return details;
+}
+
+/**
+ * Build an archive from a championship and its driver-keyed result rows
+ * @param {object} championship - Championship document (plain object or `Championship`)
+ * @param {object} results - `{ raceId: { driverId: resultRow } }`, as held in app state
+ * @returns {object} Archive ready for `JSON.stringify`
+ */
+export function createArchive(championship, results = {}) {
+    const races = (championship.races || []).map(({ penalties, ...race }) => race);
+    const penalties = [
+        ...(championship.penalties || []),
+        ...(championship.races || []).flatMap(race => race.penalties || [])
+    ];
+
+    const resultRows = [];
+    Object.entries(results).forEach(([raceId, raceResults]) => {
+        Object.entries(raceResults || {}).forEach(([driverId, row]) => {
+            const { championshipId, updatedAt, updatedBy, ...fields } = row || {};
+            resultRows.push({ ...fields, raceId, driverId });
+        });
+    });
+
+    return {
+        format: ARCHIVE_FORMAT,
+        schemaVersion: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        championship: championshipDetails(championship),
+        settings: championship.settings || {},
+        drivers: championship.drivers || [],
+        teams: championship.teams || [],
+        entries: championship.entries || [],
+        classes: championship.classes || [],
+        races,
+        results: resultRows,
+        penalties
+    };
+}
+
+// Version 1: the raw championship document written by the old export
+function upgradeFromV1(data) {
+    const { drivers = [], teams = [], races = [], penalties = [], settings = {} } = data;
+    return {
+        format: ARCHIVE_FORMAT,
+        schemaVersion: 2,
+        exportedAt: null,
+        championship: championshipDetails(data),
+        settings,
+        drivers,
+        teams,
+        races: races.map(({ penalties: racePenalties, ...race }) => race),
+        // Results lived only on the races, if at all
+        results: [],
+        penalties: [...penalties, ...races.flatMap(race => race.penalties || [])]
+    };
+}
+
+// `{ fromVersion: upgrade }`, applied in order until the archive is current
+const UPGRADES = {
+    1: upgradeFromV1
+};
+
+/**
+ * Schema version of parsed archive data; raw championship dumps are version 1
+ */
+export function archiveVersion(data) {
+    if (data?.format === ARCHIVE_FORMAT) return parseInt(data.schemaVersion, 10) || 0;
+    return 1;
+}
+
+/**
+ * Bring archive data written by an older schema up to `ARCHIVE_VERSION`
+ */
+export function upgradeArchive(data) {
+    let archive = data;
+    let version = archiveVersion(data);
+
+    if (version > ARCHIVE_VERSION) {
+        throw new Error(`This archive was written by a newer version of the app (schema ${version}); please update before importing it`);
+    }
+
+    while (version < ARCHIVE_VERSION) {
+        const upgrade = UPGRADES[version];
+        if (!upgrade) throw new Error(`Archive schema version ${version} is not supported`);
+        archive = upgrade(archive);
+        version = archiveVersion(archive);
+    }
+
+    return archive;
+}
+
+/**
+ * Check a current-version archive
+ * @returns {Array<string>} Readable problems, empty when the archive is valid
+ */
+export function validateArchive(archive) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const label = (kind, record, index) => `${kind} ${index + 1}${record?.name ? ` ("${record.name}")` : ''}`;
+
+    if (!isObject(archive)) return ['The file does not contain a championship archive'];
+    if (!isObject(archive.championship)) errors.push('Missing championship details');
+    else if (!String(archive.championship.name || '').trim()) errors.push('The championship has no name');
+    if (archive.settings !== undefined && !isObject(archive.settings)) errors.push('Settings must be an object');
+
+    ['drivers', 'teams', 'races', 'results', 'penalties'].forEach(field => {
+        if (!Array.isArray(archive[field])) errors.push(`"${field}" must be a list`);
+    });
+    if (errors.length > 0) return errors;
+
+    const checkIds = (kind, records) => {
+        const seen = new Set();
+        records.forEach((record, index) => {
+            if (!isObject(record)) {
+                errors.push(`${label(kind, null, index)} is not a valid record`);
+            } else if (!record.id) {
+                errors.push(`${label(kind, record, index)} has no id`);
+            } else if (seen.has(record.id)) {
+                errors.push(`${label(kind, record, index)} reuses the id "${record.id}"`);
+            } else {
+                seen.add(record.id);
+            }
+        });
+        return seen;
+    };
+
+    const driverIds = checkIds('Driver', archive.drivers);
+    checkIds('Team', archive.teams);
+    const raceIds = checkIds('Race', archive.races);
+    // Endurance championships key results and penalties by entry (archives before entries have none)
+    if (archive.entries !== undefined && !Array.isArray(archive.entries)) errors.push('"entries" must be a list');
+    const entryIds = checkIds('Entry', Array.isArray(archive.entries) ? archive.entries : []);
+    const competitorIds = new Set([...driverIds, ...entryIds]);
+
+    // A driver's team may be a team id or, in older championships, just the team's name
+    archive.drivers.forEach((driver, index) => {
+        if (!isObject(driver)) return;
+        if (!String(driver.name || '').trim()) errors.push(`${label('Driver', driver, index)} has no name`);
+    });
+
+    archive.races.forEach((race, index) => {
+        if (!isObject(race)) return;
+        Object.values(race.results || {}).forEach(session => {
+            Object.keys(session || {}).forEach(driverId => {
+                if (!competitorIds.has(driverId)) errors.push(`${label('Race', race, index)} has a result for an unknown driver "${driverId}"`);
+            });
+        });
+    });
+
+    archive.results.forEach((row, index) => {
+        if (!isObject(row)) {
+            errors.push(`Result ${index + 1} is not a valid record`);
+            return;
+        }
+        if (!raceIds.has(row.raceId)) errors.push(`Result ${index + 1} refers to an unknown race "${row.raceId}"`);
+        if (!competitorIds.has(row.driverId)) errors.push(`Result ${index + 1} refers to an unknown driver "${row.driverId}"`);
+    });
+
+    archive.penalties.forEach((penalty, index) => {
+        if (!isObject(penalty)) {
+            errors.push(`Penalty ${index + 1} is not a valid record`);
+            return;
+        }
+        if (!competitorIds.has(penalty.driverId)) errors.push(`Penalty ${index + 1} refers to an unknown driver "${penalty.driverId}"`);
+        if (penalty.raceId && !raceIds.has(penalty.raceId)) errors.push(`Penalty ${index + 1} refers to an unknown race "${penalty.raceId}"`);
+    });
+
+    return errors;
+}
+
+/**
+ * Parse, upgrade and validate archive text
+ * @throws {Error} With every validation problem listed in the message
+ */
+export function parseArchive(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    const archive = upgradeArchive(data);
+    const errors = validateArchive(archive);
+    if (errors.length > 0) {
+        throw new Error(`The archive has ${errors.length} problem${errors.length === 1 ? '' : 's'}:\n- ${errors.join('\n- ')}`);
+    }
+    return archive;
+}
+
+/**
+ * Turn an archive into a new championship with fresh ids throughout
+ * @param {object} archive - Valid, current-version archive
+ * @param {object} options - `{ championshipId, newId }` id generator for the imported records
+ * @returns {{ championship: object, results: Array<object> }} Championship document and result rows to store
+ */
+export function restoreArchive(archive, { championshipId = crypto.randomUUID(), newId = () => crypto.randomUUID() } = {}) {
+    const idMap = {};
+    const remap = id => {
+        if (id === null || id === undefined || id === '') return id;
+        if (!idMap[id]) idMap[id] = newId();
+        return idMap[id];
+    };
+    // Team references that are not ids of archived teams are team names and stay as they are
+    const teamIds = new Set(archive.teams.map(team => team.id));
+    const remapTeam = id => (teamIds.has(id) ? remap(id) : id);
+    const remapKeys = (object = {}, mapValue = value => value) => Object.fromEntries(
+        Object.entries(object).map(([key, value]) => [remap(key), mapValue(value)])
+    );
+
+    const penalties = archive.penalties.map(penalty => ({
+        ...penalty,
+        id: remap(penalty.id || newId()),
+        driverId: remap(penalty.driverId),
+        raceId: remap(penalty.raceId) || null,
+        targetRaceId: remap(penalty.targetRaceId) || null
+    }));
+
+    const classes = (archive.classes || []).map(carClass => ({ ...carClass, id: remap(carClass.id) }));
+
+    const drivers = archive.drivers.map(driver => ({
+        ...driver,
+        id: remap(driver.id),
+        classId: remap(driver.classId) || null,
+        team: remapTeam(driver.team) || null,
+        teamHistory: (driver.teamHistory || []).map(stint => ({ ...stint, teamId: remapTeam(stint.teamId) }))
+    }));
+
+    const teams = archive.teams.map(team => ({ ...team, id: remap(team.id) }));
+
+    const entries = (archive.entries || []).map(entry => ({
+        ...entry,
+        id: remap(entry.id),
+        teamId: remapTeam(entry.teamId) || null,
+        classId: remap(entry.classId) || null,
+        drivers: (entry.drivers || []).map(remap)
+    }));
+
+    const races = archive.races.map(race => ({
+        ...race,
+        id: remap(race.id),
+        results: race.results ?
+            migrateRaceResults(Object.fromEntries(
+                Object.entries(race.results).map(([session, sessionResults]) => [session, remapKeys(sessionResults)])
+            )) :
+            race.results,
+        teamAssignments: remapKeys(race.teamAssignments, remapTeam),
+        reserveDrivers: (race.reserveDrivers || []).map(remap),
+        entryLineups: remapKeys(race.entryLineups, lineup => (lineup || []).map(remap)),
+        driveTimes: Object.fromEntries(Object.entries(race.driveTimes || {}).map(([session, times]) => [
+            session,
+            remapKeys(times, crew => remapKeys(crew))
+        ])),
+        penalties: penalties.filter(penalty => penalty.raceId === remap(race.id))
+    }));
+
+    const results = archive.results.map(row => ({
+        ...migrateResultRow(row, sessionIds(archive.races.find(race => race.id === row.raceId))),
+        championshipId,
+        raceId: remap(row.raceId),
+        driverId: remap(row.driverId)
+    }));
+
+    return {
+        championship: {
+            ...archive.championship,
+            id: championshipId,
+            settings: archive.settings || {},
+            drivers,
+            teams,
+            entries,
+            classes,
+            races,
+            penalties: penalties.filter(penalty => !penalty.raceId),
+            resultsVersion: RESULTS_VERSION
+        },
+        results
+    };
+}
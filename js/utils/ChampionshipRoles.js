@@ -0,0 +1,278 @@
+/**
+ * ChampionshipRoles - Who may do what in a championship
+ * - owner: `championship.userId`, the creator
+ * - admin / steward: appointed in `championship.roles`, `{ userId: role }`
+ * - driver: a user linked to one of the championship's drivers
+ * - viewer: anyone else
+ * Admins and stewards are appointed by invitation, `championship.roleInvites`:
+ * `[{ id, email, role, invitedBy, invitedAt, status }]`, accepted by the invited account.
+ * Every function returns new values and leaves the championship passed in untouched.
+ */
+
+export const ROLES = {
+    OWNER: 'owner',
+    ADMIN: 'admin',
+    STEWARD: 'steward',
+    DRIVER: 'driver',
+    VIEWER: 'viewer'
+};
+
+export const PERMISSIONS = {
+    EDIT_SETTINGS: 'editSettings',
+    ENTER_RESULTS: 'enterResults',
+    APPLY_PENALTIES: 'applyPenalties',
+    APPROVE_REGISTRATIONS: 'approveRegistrations',
+    POST_ANNOUNCEMENTS: 'postAnnouncements',
+    MANAGE_ROLES: 'manageRoles',
+    // Delete the championship or hand it to another owner
+    MANAGE_CHAMPIONSHIP: 'manageChampionship'
+};
+
+// What each permission lets a user do, for error messages and the roles screen
+export const PERMISSION_LABELS = {
+    editSettings: 'edit the championship settings',
+    enterResults: 'enter race results',
+    applyPenalties: 'apply penalties',
+    approveRegistrations: 'manage registrations',
+    postAnnouncements: 'post announcements',
+    manageRoles: 'manage roles',
+    manageChampionship: 'delete or transfer the championship'
+};
+
+// Mirrored by `hasPermission` in firestore.rules
+export const PERMISSION_MATRIX = {
+    owner: Object.values(PERMISSIONS),
+    admin: [
+        PERMISSIONS.EDIT_SETTINGS,
+        PERMISSIONS.ENTER_RESULTS,
+        PERMISSIONS.APPLY_PENALTIES,
+        PERMISSIONS.APPROVE_REGISTRATIONS,
+        PERMISSIONS.POST_ANNOUNCEMENTS,
+        PERMISSIONS.MANAGE_ROLES
+    ],
+    steward: [PERMISSIONS.APPLY_PENALTIES, PERMISSIONS.POST_ANNOUNCEMENTS],
+    driver: [],
+    viewer: []
+};
+
+// Roles handed out by invitation, and who may hand them out
+const ASSIGNABLE = {
+    admin: [ROLES.OWNER],
+    steward: [ROLES.OWNER, ROLES.ADMIN]
+};
+
+export const INVITE_STATUS = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    DECLINED: 'declined',
+    REVOKED: 'revoked'
+};
+
+// Championship fields and the permission needed to change them; anything else is a setting.
+// firestore.rules enforces the same matrix (`hasPermission`, `permittedChange`): keep them in step.
+const FIELD_PERMISSIONS = {
+    races: PERMISSIONS.ENTER_RESULTS,
+    results: PERMISSIONS.ENTER_RESULTS,
+    penalties: PERMISSIONS.APPLY_PENALTIES,
+    registrations: PERMISSIONS.APPROVE_REGISTRATIONS,
+    announcements: PERMISSIONS.POST_ANNOUNCEMENTS,
+    roles: PERMISSIONS.MANAGE_ROLES,
+    roleInvites: PERMISSIONS.MANAGE_ROLES,
+    userId: PERMISSIONS.MANAGE_CHAMPIONSHIP
+};
+
+// Bookkeeping fields any write may touch
+const UNGUARDED_FIELDS = ['id', 'lastUpdated', 'updatedAt'];
+
+/**
+ * Role of a user in a championship
+ * @returns {string} One of ROLES; signed-out users are viewers
+ */
+export function roleOf(championship, userId) {
+    if (!userId) return ROLES.VIEWER;
+    if (championship?.userId === userId) return ROLES.OWNER;
+
+    const appointed = championship?.roles?.[userId];
+    if (appointed === ROLES.ADMIN || appointed === ROLES.STEWARD) return appointed;
+
+    return (championship?.drivers || []).some(driver => driver.userId === userId) ? ROLES.DRIVER : ROLES.VIEWER;
+}
+
+export function can(championship, userId, permission) {
+    return PERMISSION_MATRIX[roleOf(championship, userId)].includes(permission);
+}
+
+/**
+ * @throws {Error} When the user lacks any of the permissions
+ */
+export function assertCan(championship, userId, ...permissions) {
+    const missing = permissions.find(permission => !can(championship, userId, permission));
+    if (missing) {
+        throw new Error(`You don't have permission to ${PERMISSION_LABELS[missing]}`);
+    }
+}
+
+/**
+ * Permissions a generic update of these championship fields needs
+ * @param {object} updates - Fields being written
+ * @returns {Array<string>}
+ */
+export function requiredPermissions(updates = {}) {
+    const needed = Object.keys(updates)
+        .filter(field => !UNGUARDED_FIELDS.includes(field))
+        .map(field => FIELD_PERMISSIONS[field] || PERMISSIONS.EDIT_SETTINGS);
+    return [...new Set(needed)];
+}
+
+/**
+ * Appointed admins and stewards, with the owner first
+ * @returns {Array<{ userId, role }>}
+ */
+export function championshipMembers(championship) {
+    return [
+        { userId: championship.userId, role: ROLES.OWNER },
+        ...Object.entries(championship.roles || {})
+            .filter(([userId]) => userId !== championship.userId)
+            .map(([userId, role]) => ({ userId, role }))
+    ];
+}
+
+function assertAssignable(championship, byUserId, role) {
+    const allowed = ASSIGNABLE[role];
+    if (!allowed) {
+        throw new Error('Only admins and stewards can be appointed');
+    }
+    assertCan(championship, byUserId, PERMISSIONS.MANAGE_ROLES);
+    if (!allowed.includes(roleOf(championship, byUserId))) {
+        throw new Error(`Only the owner can appoint ${role}s`);
+    }
+}
+
+/**
+ * Invite someone, by email, to be an admin or steward
+ * @returns {{ invite, roleInvites }}
+ * @throws {Error} On an invalid email or role, without the right to appoint it, or when already invited
+ */
+export function inviteToRole(championship, { email, role }, byUserId, now = new Date()) {
+    const address = String(email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+$/.test(address)) {
+        throw new Error('Enter a valid email address');
+    }
+    assertAssignable(championship, byUserId, role);
+
+    const invites = championship.roleInvites || [];
+    if (invites.some(invite => invite.email === address && invite.status === INVITE_STATUS.PENDING)) {
+        throw new Error(`${address} already has a pending invitation`);
+    }
+
+    const invite = {
+        id: `invite_${now.getTime()}`,
+        email: address,
+        role,
+        invitedBy: byUserId,
+        invitedAt: now.toISOString(),
+        status: INVITE_STATUS.PENDING
+    };
+    return { invite, roleInvites: [...invites, invite] };
+}
+
+/**
+ * Pending invitations in the form the security rules read, stored whenever `roleInvites` change:
+ * `pendingRoles` (`{ email: role }`) lets an invitee take up only the role offered, and
+ * `pendingRoleEmails` lets them find, and read, a private championship before accepting
+ * @returns {{ pendingRoles, pendingRoleEmails }}
+ */
+export function pendingRoleFields(roleInvites = []) {
+    const pending = roleInvites.filter(invite => invite.status === INVITE_STATUS.PENDING);
+    return {
+        pendingRoles: Object.fromEntries(pending.map(invite => [invite.email, invite.role])),
+        pendingRoleEmails: [...new Set(pending.map(invite => invite.email))]
+    };
+}
+
+/**
+ * Pending invitations addressed to an email
+ */
+export function pendingInvites(championship, email) {
+    const address = String(email || '').toLowerCase();
+    return (championship?.roleInvites || [])
+        .filter(invite => invite.status === INVITE_STATUS.PENDING && invite.email === address);
+}
+
+function respond(championship, inviteId, user, status) {
+    const invite = (championship.roleInvites || []).find(i => i.id === inviteId);
+    if (!invite || invite.status !== INVITE_STATUS.PENDING) {
+        throw new Error('Invitation not found');
+    }
+    if (invite.email !== String(user?.email || '').toLowerCase()) {
+        throw new Error('This invitation is for another account');
+    }
+
+    const roleInvites = championship.roleInvites.map(i => (i.id === inviteId ?
+        { ...i, status, userId: user.uid, respondedAt: new Date().toISOString() } : i));
+    return { invite, roleInvites };
+}
+
+/**
+ * Take up an invitation as the invited user
+ * @param {object} user - `{ uid, email }` of the signed-in account
+ * @returns {{ roles, roleInvites }}
+ */
+export function acceptRoleInvite(championship, inviteId, user) {
+    const { invite, roleInvites } = respond(championship, inviteId, user, INVITE_STATUS.ACCEPTED);
+    // The owner keeps ownership if they accept an invite to their own championship
+    const roles = championship.userId === user.uid ?
+        { ...(championship.roles || {}) } :
+        { ...(championship.roles || {}), [user.uid]: invite.role };
+    return { roles, roleInvites };
+}
+
+/**
+ * @returns {{ roleInvites }}
+ */
+export function declineRoleInvite(championship, inviteId, user) {
+    return { roleInvites: respond(championship, inviteId, user, INVITE_STATUS.DECLINED).roleInvites };
+}
+
+/**
+ * Withdraw a pending invitation
+ * @returns {{ roleInvites }}
+ */
+export function revokeRoleInvite(championship, inviteId, byUserId) {
+    const invite = (championship.roleInvites || []).find(i => i.id === inviteId && i.status === INVITE_STATUS.PENDING);
+    if (!invite) {
+        throw new Error('Invitation not found');
+    }
+    assertAssignable(championship, byUserId, invite.role);
+
+    return {
+        roleInvites: championship.roleInvites.map(i => (i.id === inviteId ? { ...i, status: INVITE_STATUS.REVOKED } : i))
+    };
+}
+
+/**
+ * Change or remove (role null) an appointed member's role; the owner's role can't be changed
+ * Members may always step down from their own role.
+ * @returns {{ roles }}
+ */
+export function setMemberRole(championship, userId, role, byUserId) {
+    if (userId === championship.userId) {
+        throw new Error("The owner's role can't be changed");
+    }
+
+    const current = championship.roles?.[userId];
+    const steppingDown = !role && userId === byUserId;
+    if (!steppingDown) {
+        assertCan(championship, byUserId, PERMISSIONS.MANAGE_ROLES);
+        if (current) assertAssignable(championship, byUserId, current);
+        if (role) assertAssignable(championship, byUserId, role);
+    }
+
+    const roles = { ...(championship.roles || {}) };
+    if (role) {
+        roles[userId] = role;
+    } else {
+        delete roles[userId];
+    }
+    return { roles };
+}
@@ -0,0 +1,207 @@
+/**
+ * LapAnalysis - Lap-by-lap data for a session and the analytics read from it
+ * Lap data is stored per session in the `lapTimes` collection, id `${championshipId}_${raceId}_${session}`:
+ * `{ championshipId, raceId, session, source, updatedAt, drivers: { driverId: [lap] } }`
+ * Each lap is `{ lap, time, position, pit, sectors }`:
+ * - `time`: lap time in seconds, null when the lap was not timed
+ * - `position`: running position at the end of the lap, when the source records it
+ * - `pit`: true for an in-lap (the driver pitted at the end of it)
+ * - `sectors`: sector times in seconds, when the source records them
+ */
+import { parseRaceTime } from '../scoring/Penalties.js';
+
+// Laps slower than this share of the driver's best are not clean (traffic, safety car, a spin)
+export const CLEAN_LAP_THRESHOLD = 1.07;
+
+export function lapDataId(championshipId, raceId, session) {
+    return `${championshipId}_${raceId}_${session}`;
+}
+
+function normalizeLap(raw, index) {
+    const position = parseInt(raw.position, 10);
+    return {
+        lap: parseInt(raw.lap, 10) || index + 1,
+        time: parseRaceTime(raw.time),
+        position: position > 0 ? position : null,
+        pit: Boolean(raw.pit),
+        sectors: (raw.sectors || []).map(sector => parseRaceTime(sector))
+    };
+}
+
+/**
+ * Tidy each driver's laps before they are stored: times as seconds, in lap order,
+ * a lap recorded twice keeps its last entry
+ * @param {object} drivers - `{ driverId: [{ lap, time, position, pit, sectors }] }`, times in seconds or "1:32.456"
+ */
+export function normalizeLapData(drivers = {}) {
+    const normalized = {};
+    Object.entries(drivers).forEach(([driverId, laps]) => {
+        const byLap = new Map();
+        (laps || []).forEach((raw, index) => {
+            const lap = normalizeLap(raw, index);
+            byLap.set(lap.lap, lap);
+        });
+        if (byLap.size > 0) {
+            normalized[driverId] = [...byLap.values()].sort((a, b) => a.lap - b.lap);
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Lap data from a live race's lap history (see utils/LiveRace.js), with its pit stops as in-laps
+ */
+export function lapDataFromLive(live) {
+    const pits = (live.events || []).filter(event => event.type === 'pit');
+    const drivers = {};
+    Object.entries(live.laps || {}).forEach(([driverId, laps]) => {
+        drivers[driverId] = laps.map(lap => ({
+            ...lap,
+            pit: pits.some(event => event.driverId === driverId && event.lap === lap.lap)
+        }));
+    });
+    return normalizeLapData(drivers);
+}
+
+/**
+ * Position of every driver at the end of each lap
+ * Recorded positions are used when the source has them for the whole lap; otherwise drivers
+ * are ranked by their elapsed time (a driver missing a lap time can't be placed that lap).
+ * @returns {{ laps: Array<number>, positions: { driverId: Array<number|null> } }} One position per lap, null once out
+ */
+export function lapChart(drivers = {}) {
+    const lapCount = Math.max(0, ...Object.values(drivers).flatMap(laps => laps.map(lap => lap.lap)));
+    const laps = Array.from({ length: lapCount }, (_, index) => index + 1);
+    const positions = Object.fromEntries(Object.keys(drivers).map(driverId => [driverId, []]));
+    const elapsed = Object.fromEntries(Object.keys(drivers).map(driverId => [driverId, 0]));
+
+    laps.forEach(lapNumber => {
+        const onLap = Object.entries(drivers)
+            .map(([driverId, driverLaps]) => ({ driverId, lap: driverLaps.find(lap => lap.lap === lapNumber) }))
+            .filter(({ lap }) => lap);
+
+        onLap.forEach(({ driverId, lap }) => {
+            elapsed[driverId] = lap.time === null || elapsed[driverId] === null ? null : elapsed[driverId] + lap.time;
+        });
+
+        const recorded = onLap.every(({ lap }) => lap.position);
+        const ranked = recorded ?
+            onLap.map(({ driverId, lap }) => ({ driverId, position: lap.position })) :
+            onLap
+                .filter(({ driverId }) => elapsed[driverId] !== null)
+                .sort((a, b) => elapsed[a.driverId] - elapsed[b.driverId])
+                .map(({ driverId }, index) => ({ driverId, position: index + 1 }));
+
+        Object.keys(positions).forEach(driverId => {
+            positions[driverId].push(ranked.find(row => row.driverId === driverId)?.position ?? null);
+        });
+    });
+
+    return { laps, positions };
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Population standard deviation, null for fewer than two values
+ */
+export function standardDeviation(values = []) {
+    if (values.length < 2) return null;
+    const mean = average(values);
+    return Math.sqrt(average(values.map(value => (value - mean) ** 2)));
+}
+
+/**
+ * Representative racing laps: timed, not the opening lap, not an in- or out-lap,
+ * and within `CLEAN_LAP_THRESHOLD` of the driver's best
+ */
+export function cleanLaps(laps = []) {
+    const timed = laps.filter(lap => lap.time !== null);
+    if (timed.length === 0) return [];
+
+    const best = Math.min(...timed.map(lap => lap.time));
+    const outLaps = new Set(laps.filter(lap => lap.pit).map(lap => lap.lap + 1));
+    return timed.filter(lap =>
+        lap.lap > 1 && !lap.pit && !outLaps.has(lap.lap) && lap.time <= best * CLEAN_LAP_THRESHOLD);
+}
+
+/**
+ * Split a driver's race into stints at each pit stop
+ * @returns {Array<{ stint, from, to, laps, average }>} `average` over the stint's clean laps
+ */
+export function splitStints(laps = []) {
+    const clean = new Set(cleanLaps(laps).map(lap => lap.lap));
+    const stints = [];
+    let current = [];
+
+    laps.forEach(lap => {
+        current.push(lap);
+        if (lap.pit) {
+            stints.push(current);
+            current = [];
+        }
+    });
+    if (current.length > 0) stints.push(current);
+
+    return stints.map((stintLaps, index) => ({
+        stint: index + 1,
+        from: stintLaps[0].lap,
+        to: stintLaps[stintLaps.length - 1].lap,
+        laps: stintLaps.length,
+        average: average(stintLaps.filter(lap => clean.has(lap.lap)).map(lap => lap.time))
+    }));
+}
+
+/**
+ * Best lap a driver could have done: the sum of their best time in each sector
+ * @returns {number|null} Null without a full set of sector times
+ */
+export function theoreticalBest(laps = []) {
+    const sectorCount = Math.max(0, ...laps.map(lap => lap.sectors?.length || 0));
+    if (sectorCount === 0) return null;
+
+    const bests = Array.from({ length: sectorCount }, (_, index) => {
+        const times = laps.map(lap => lap.sectors?.[index]).filter(time => time !== null && time !== undefined);
+        return times.length > 0 ? Math.min(...times) : null;
+    });
+    return bests.includes(null) ? null : bests.reduce((sum, time) => sum + time, 0);
+}
+
+/**
+ * Lap analytics for one driver
+ * @returns {{ laps, bestLap: { lap, time }|null, average, consistency, theoreticalBest, stints }}
+ *   `average` and `consistency` (standard deviation) are over clean laps only
+ */
+export function analyzeDriverLaps(laps = []) {
+    const timed = laps.filter(lap => lap.time !== null);
+    const best = timed.reduce((fastest, lap) => (!fastest || lap.time < fastest.time ? lap : fastest), null);
+    const clean = cleanLaps(laps).map(lap => lap.time);
+
+    return {
+        laps: laps.length,
+        bestLap: best ? { lap: best.lap, time: best.time } : null,
+        average: average(clean),
+        consistency: standardDeviation(clean),
+        theoreticalBest: theoreticalBest(laps),
+        stints: splitStints(laps)
+    };
+}
+
+/**
+ * Lap analytics for a whole session
+ * @returns {{ lapCount, fastest: { driverId, lap, time }|null, drivers: { driverId: analyzeDriverLaps } }}
+ */
+export function analyzeLaps(drivers = {}) {
+    const analysis = Object.fromEntries(Object.entries(drivers).map(([driverId, laps]) => [driverId, analyzeDriverLaps(laps)]));
+    const fastest = Object.entries(analysis)
+        .filter(([, driver]) => driver.bestLap)
+        .reduce((best, [driverId, driver]) => (!best || driver.bestLap.time < best.time ? { driverId, ...driver.bestLap } : best), null);
+
+    return {
+        lapCount: Math.max(0, ...Object.values(drivers).flatMap(laps => laps.map(lap => lap.lap))),
+        fastest,
+        drivers: analysis
+    };
+}
@@ -0,0 +1,290 @@
+/**
+ * LiveRace - Lap-by-lap state of a race session while it is running
+ * Each live session is one document in the `liveRaces` collection, id `${championshipId}_${raceId}`:
+ * `{ championshipId, championshipName, ownerId, isPublic, raceId, raceName, session, sessionName, status,
+ *    totalLaps, currentLap, startedAt, finishedAt, entries, laps, events }`
+ * - `isPublic`: only public championships' live races are listed; others are read by their members (see firestore.rules)
+ * - `entries`: `{ driverId: { name, team, number, position, startPosition, previousPosition,
+ *   laps, gap, lastLapTime, pitStops, status, retiredLap, retiredReason } }`
+ * - `laps`: every lap posted, `{ driverId: [{ lap, time, position }] }` (see utils/LapAnalysis.js)
+ * - `events`: pit stops, retirements and the start/finish, oldest first
+ * Organizers post the running order at the end of each lap; gaps and lap times are optional.
+ * Every function returns a new document and leaves the one passed in untouched.
+ */
+import { classifyByTiming } from '../scoring/Timing.js';
+import { mainRaceSession, sessionName } from '../scoring/RaceSessions.js';
+import { isEntryChampionship } from '../scoring/Entries.js';
+import { entryLabel } from '../models/Entry.js';
+import { isListed } from './ChampionshipAccess.js';
+
+export const LIVE_STATUS = {
+    LIVE: 'live',
+    FINISHED: 'finished'
+};
+
+export function liveRaceId(championshipId, raceId) {
+    return `${championshipId}_${raceId}`;
+}
+
+function teamName(championship, teamId) {
+    return (championship.teams || []).find(team => team.id === teamId)?.name || teamId || '';
+}
+
+// "+1 lap", "+2 laps" → laps down on the leader
+function lapsDown(gap) {
+    const match = String(gap || '').trim().match(/^\+?\s*(\d+)\s*laps?$/i);
+    return match ? parseInt(match[1], 10) : 0;
+}
+
+function assertLive(live) {
+    if (live?.status !== LIVE_STATUS.LIVE) {
+        throw new Error('This race is not live');
+    }
+}
+
+function assertEntry(live, driverId) {
+    const entry = live.entries[driverId];
+    if (!entry) {
+        throw new Error('Driver is not in this race');
+    }
+    return entry;
+}
+
+// Running drivers in the order given, then retirements, latest to drop out first
+function reorder(entries, runningOrder) {
+    const retired = Object.entries(entries)
+        .filter(([, entry]) => entry.status !== 'running')
+        .sort(([, a], [, b]) => b.laps - a.laps || a.position - b.position)
+        .map(([driverId]) => driverId);
+    return [...runningOrder, ...retired];
+}
+
+/**
+ * Open a live session
+ * @param {object} championship
+ * @param {object} race
+ * @param {object} options
+ *   - `session`: session id, defaults to the race's main race
+ *   - `totalLaps`: scheduled race distance (0 when unknown, e.g. a timed race)
+ *   - `grid`: driver ids, pole first; entered drivers not on it start from the back
+ */
+export function createLiveRace(championship, race, { session = mainRaceSession(race), totalLaps = 0, grid = [] } = {}) {
+    // Endurance championships race their entries, keyed as their results are (see scoring/Entries.js)
+    const drivers = isEntryChampionship(championship) ?
+        championship.entries.map(entry => ({
+            id: entry.id,
+            name: entryLabel(entry, championship.drivers),
+            team: entry.teamId,
+            number: entry.number
+        })) :
+        (championship.drivers || []);
+    const entered = drivers.map(driver => driver.id);
+    const order = [
+        ...grid.filter(driverId => entered.includes(driverId)),
+        ...entered.filter(driverId => !grid.includes(driverId))
+    ];
+    if (order.length === 0) {
+        throw new Error('The championship has no drivers to start the race');
+    }
+
+    const startedAt = new Date().toISOString();
+    const entries = {};
+    order.forEach((driverId, index) => {
+        const driver = drivers.find(d => d.id === driverId);
+        entries[driverId] = {
+            name: driver.name,
+            team: teamName(championship, driver.team),
+            number: driver.number || null,
+            position: index + 1,
+            startPosition: index + 1,
+            previousPosition: index + 1,
+            laps: 0,
+            gap: '',
+            lastLapTime: '',
+            pitStops: 0,
+            status: 'running',
+            retiredLap: null,
+            retiredReason: ''
+        };
+    });
+
+    return {
+        championshipId: championship.id,
+        championshipName: championship.name,
+        ownerId: championship.userId,
+        isPublic: isListed(championship),
+        raceId: race.id,
+        raceName: race.name,
+        session,
+        sessionName: sessionName(race, session),
+        status: LIVE_STATUS.LIVE,
+        totalLaps: Math.max(0, parseInt(totalLaps, 10) || 0),
+        currentLap: 0,
+        startedAt,
+        finishedAt: null,
+        entries,
+        laps: {},
+        events: [{ type: 'start', lap: 0, at: startedAt }]
+    };
+}
+
+/**
+ * Post the running order at the end of a lap
+ * Running drivers left out of `order` keep their places behind those listed.
+ * A lap can be re-posted to correct it, but never one before the current lap.
+ * @param {object} live
+ * @param {object} update - `{ lap, order: [driverId], gaps: { driverId: gap }, lapTimes: { driverId: time } }`
+ *   gaps are shown as entered ("+1.234", "+1 lap"); a lap gap also sets the driver's laps
+ */
+export function postLap(live, { lap, order = [], gaps = {}, lapTimes = {} }) {
+    assertLive(live);
+    const lapNumber = parseInt(lap, 10);
+    if (!(lapNumber > 0) || lapNumber < live.currentLap) {
+        throw new Error(`Lap must be ${live.currentLap || 1} or later`);
+    }
+    if (live.totalLaps && lapNumber > live.totalLaps) {
+        throw new Error(`The race is ${live.totalLaps} laps long`);
+    }
+    order.forEach(driverId => assertEntry(live, driverId));
+
+    const running = Object.keys(live.entries).filter(driverId => live.entries[driverId].status === 'running');
+    const listed = [...new Set(order)].filter(driverId => running.includes(driverId));
+    const unlisted = running
+        .filter(driverId => !listed.includes(driverId))
+        .sort((a, b) => live.entries[a].position - live.entries[b].position);
+
+    const entries = {};
+    const history = { ...(live.laps || {}) };
+    reorder(live.entries, [...listed, ...unlisted]).forEach((driverId, index) => {
+        const entry = live.entries[driverId];
+        const isRunning = entry.status === 'running';
+        const gap = isRunning ? (gaps[driverId] ?? (index === 0 ? '' : entry.gap)) : entry.gap;
+        entries[driverId] = {
+            ...entry,
+            previousPosition: entry.position,
+            position: index + 1,
+            laps: isRunning ? lapNumber - lapsDown(gap) : entry.laps,
+            gap: index === 0 ? '' : gap,
+            lastLapTime: isRunning ? (lapTimes[driverId] ?? entry.lastLapTime) : entry.lastLapTime
+        };
+
+        // A re-posted lap replaces the one recorded before
+        if (isRunning) {
+            const lap = { lap: entries[driverId].laps, time: lapTimes[driverId] || null, position: index + 1 };
+            history[driverId] = [...(history[driverId] || []).filter(recorded => recorded.lap !== lap.lap), lap];
+        }
+    });
+
+    return { ...live, currentLap: lapNumber, entries, laps: history };
+}
+
+/**
+ * Record a pit stop
+ * @param {object} stop - `{ driverId, lap, duration, note }` duration as entered ("2.4")
+ */
+export function recordPitStop(live, { driverId, lap = live.currentLap, duration = '', note = '' }) {
+    assertLive(live);
+    const entry = assertEntry(live, driverId);
+    if (entry.status !== 'running') {
+        throw new Error(`${entry.name} has already retired`);
+    }
+
+    return {
+        ...live,
+        entries: { ...live.entries, [driverId]: { ...entry, pitStops: entry.pitStops + 1 } },
+        events: [...live.events, {
+            type: 'pit', driverId, lap: parseInt(lap, 10) || live.currentLap, duration, note, at: new Date().toISOString()
+        }]
+    };
+}
+
+/**
+ * Retire a driver
+ * Retirements drop behind every running driver, keeping the laps they completed.
+ * @param {object} retirement - `{ driverId, lap, reason }` last lap they completed; defaults to the current lap
+ */
+export function retireDriver(live, { driverId, lap = live.currentLap, reason = '' }) {
+    assertLive(live);
+    const entry = assertEntry(live, driverId);
+    if (entry.status !== 'running') {
+        throw new Error(`${entry.name} has already retired`);
+    }
+
+    const retiredLap = Math.max(0, parseInt(lap, 10) || 0);
+    const retired = {
+        ...live.entries,
+        [driverId]: { ...entry, status: 'retired', retiredLap, retiredReason: reason, laps: Math.min(entry.laps, retiredLap) }
+    };
+    const running = Object.keys(retired)
+        .filter(id => retired[id].status === 'running')
+        .sort((a, b) => retired[a].position - retired[b].position);
+
+    const entries = {};
+    reorder(retired, running).forEach((id, index) => {
+        entries[id] = { ...retired[id], position: index + 1 };
+    });
+
+    return {
+        ...live,
+        entries,
+        events: [...live.events, { type: 'retirement', driverId, lap: retiredLap, reason, at: new Date().toISOString() }]
+    };
+}
+
+/**
+ * Close a live session; the running order is frozen as posted
+ */
+export function finishLiveRace(live) {
+    assertLive(live);
+    const finishedAt = new Date().toISOString();
+    return {
+        ...live,
+        status: LIVE_STATUS.FINISHED,
+        finishedAt,
+        events: [...live.events, { type: 'finish', lap: live.currentLap, at: finishedAt }]
+    };
+}
+
+/**
+ * Running order for display
+ * @returns {Array} Entries in position order with `driverId`, `gained` (places since the
+ *   start) and `change` (places since the previous lap), both positive for places gained
+ */
+export function leaderboard(live) {
+    return Object.entries(live?.entries || {})
+        .map(([driverId, entry]) => ({
+            driverId,
+            ...entry,
+            gained: entry.startPosition - entry.position,
+            change: entry.previousPosition - entry.position
+        }))
+        .sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Session results from a finished (or running) live race, ready for `Race.setSessionResults`
+ * Retirements are classified when they covered enough distance (see `classifyByTiming`).
+ * @returns {object} `{ driverId: { position, status, classified, laps, gapToLeader, interval } }`
+ */
+export function liveSessionResults(live) {
+    const standings = leaderboard(live);
+    const rows = classifyByTiming(standings.map(entry => ({
+        driverId: entry.driverId,
+        laps: entry.laps,
+        status: entry.status === 'running' ? 'finished' : 'dnf'
+    })));
+
+    return Object.fromEntries(rows.map(row => {
+        const entry = live.entries[row.driverId];
+        return [row.driverId, {
+            position: row.position,
+            status: row.status,
+            classified: row.classified,
+            laps: row.laps,
+            // Without times, same-lap gaps come from what was posted live
+            gapToLeader: row.gapToLeader || (row.position > 1 ? entry.gap : ''),
+            interval: row.interval,
+            pitStops: entry.pitStops
+        }];
+    }));
+}
@@ -0,0 +1,139 @@
+/**
+ * PitStops - Pit stops and tyre strategy per car and race session
+ * A race keeps its stops in `race.pitStops[session]`:
+ * `[{ id, driverId, lap, stationaryTime, tyre, fuel, driverChange, note }]`
+ * - `lap`: lap the car pitted at the end of (its in-lap)
+ * - `stationaryTime`: seconds stationary in the box, null when not timed
+ * - `tyre`: compound fitted at the stop (one of `TYRE_COMPOUNDS`), null when unchanged
+ * - `fuel`: litres added, null when not recorded
+ * - `driverChange`: name of the driver taking over, null without a change
+ * and the compound each car started on in `race.startingTyres[session]`: `{ driverId: compound }`.
+ */
+import { parseRaceTime } from '../scoring/Penalties.js';
+
+export const TYRE_COMPOUNDS = {
+    soft: { label: 'Soft', color: '#dc3545' },
+    medium: { label: 'Medium', color: '#ffc107' },
+    hard: { label: 'Hard', color: '#f8f9fa' },
+    intermediate: { label: 'Intermediate', color: '#198754' },
+    wet: { label: 'Wet', color: '#0d6efd' }
+};
+
+// Stints on an unknown compound
+export const UNKNOWN_TYRE_COLOR = '#6c757d';
+
+/**
+ * Validate and normalize a pit stop
+ * @param {object} data - `{ driverId, lap, stationaryTime, tyre, fuel, driverChange, note }`;
+ *   `stationaryTime` as seconds or "m:ss.s"
+ * @returns {object} Stop with an `id`
+ * @throws {Error} Without a driver or a valid lap, or for an unknown compound
+ */
+export function createPitStop(data = {}) {
+    if (!data.driverId) {
+        throw new Error('A pit stop needs a driver');
+    }
+
+    const lap = parseInt(data.lap, 10);
+    if (!(lap > 0)) {
+        throw new Error('A pit stop needs the lap it was made on');
+    }
+
+    const tyre = data.tyre || null;
+    if (tyre && !TYRE_COMPOUNDS[tyre]) {
+        throw new Error(`Unknown tyre compound "${tyre}"`);
+    }
+
+    const stationaryTime = parseRaceTime(data.stationaryTime);
+    if (data.stationaryTime !== undefined && data.stationaryTime !== null && data.stationaryTime !== '' &&
+        !(stationaryTime !== null && stationaryTime >= 0)) {
+        throw new Error('Stationary time must be a time in seconds');
+    }
+
+    const fuel = data.fuel === undefined || data.fuel === null || data.fuel === '' ? null : Number(data.fuel);
+    if (fuel !== null && !(fuel >= 0)) {
+        throw new Error('Fuel added must be a number of litres');
+    }
+
+    return {
+        id: data.id || crypto.randomUUID(),
+        driverId: data.driverId,
+        lap,
+        stationaryTime,
+        tyre,
+        fuel,
+        driverChange: data.driverChange?.trim() || null,
+        note: data.note || ''
+    };
+}
+
+/**
+ * A session's stops, in lap order, optionally for one car
+ */
+export function sessionPitStops(race, session, driverId = null) {
+    return (race?.pitStops?.[session] || [])
+        .filter(stop => !driverId || stop.driverId === driverId)
+        .sort((a, b) => a.lap - b.lap);
+}
+
+/**
+ * A car's stints between stops
+ * @param {object} race
+ * @param {string} session
+ * @param {string} driverId
+ * @param {number} laps - Laps the car completed; the last stint runs to it
+ * @returns {Array<{ stint, from, to, laps, tyre, stop }>} `stop` is the stop that started the stint
+ */
+export function carStints(race, session, driverId, laps) {
+    const stops = sessionPitStops(race, session, driverId);
+    const finalLap = Math.max(laps || 0, ...stops.map(stop => stop.lap));
+    let tyre = race?.startingTyres?.[session]?.[driverId] || null;
+    let from = 1;
+    let stop = null;
+    const stints = [];
+
+    [...stops, null].forEach(next => {
+        const to = next ? next.lap : finalLap;
+        if (to >= from) {
+            stints.push({ stint: stints.length + 1, from, to, laps: to - from + 1, tyre, stop });
+        }
+        if (next) {
+            from = next.lap + 1;
+            tyre = next.tyre || tyre;
+            stop = next;
+        }
+    });
+
+    return stints;
+}
+
+/**
+ * Count, average and fastest stationary time over a set of stops
+ * @returns {{ count, timed, average, fastest }} `average`/`fastest` in seconds, null without timed stops
+ */
+export function pitStopSummary(stops = []) {
+    const times = stops.map(stop => stop.stationaryTime).filter(time => time !== null && time !== undefined);
+    return {
+        count: stops.length,
+        timed: times.length,
+        average: times.length > 0 ? times.reduce((sum, time) => sum + time, 0) / times.length : null,
+        fastest: times.length > 0 ? Math.min(...times) : null
+    };
+}
+
+/**
+ * Stop summary per team, fastest average first
+ * @param {Function} teamOf - `(stop) => teamId`, the team the car raced for (null without one)
+ * @returns {Array<{ teamId, count, timed, average, fastest }>}
+ */
+export function pitStopsByTeam(stops = [], teamOf) {
+    const byTeam = new Map();
+    stops.forEach(stop => {
+        const teamId = teamOf(stop) || null;
+        byTeam.set(teamId, [...(byTeam.get(teamId) || []), stop]);
+    });
+
+    return [...byTeam.entries()]
+        .map(([teamId, teamStops]) => ({ teamId, ...pitStopSummary(teamStops) }))
+        .sort((a, b) => (a.average ?? Infinity) - (b.average ?? Infinity));
+}
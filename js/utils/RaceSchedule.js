@@ -0,0 +1,243 @@
+/**
+ * RaceSchedule - Session times, time zones and iCalendar export
+ * Session times are stored as the venue's wall-clock time plus the venue's
+ * IANA time zone (`race.timeZone`, `race.schedule`), so a race keeps its local
+ * start time across daylight-saving changes. They are converted to instants
+ * here and shown to each viewer in their own time zone.
+ * Races with their own session list (`race.sessions`) schedule those sessions by id.
+ */
+
+export const SCHEDULE_SESSIONS = {
+    practice: { label: 'Practice', duration: 60 },
+    qualifying: { label: 'Qualifying', duration: 60 },
+    sprint: { label: 'Sprint', duration: 45 },
+    feature: { label: 'Feature Race', duration: 120 }
+};
+
+// Default lengths by session type, for sessions outside SCHEDULE_SESSIONS
+const TYPE_DURATIONS = { practice: 60, qualifying: 60, race: 120 };
+
+const MINUTE = 60 * 1000;
+
+export function viewerTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+export function isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Every IANA time zone the browser knows, for pickers
+ */
+export function listTimeZones() {
+    return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [viewerTimeZone(), 'UTC'];
+}
+
+// Minutes `timeZone` is ahead of UTC at an instant
+function timeZoneOffset(instant, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(instant).forEach(part => { parts[part.type] = part.value; });
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / MINUTE);
+}
+
+/**
+ * Instant of a wall-clock time in a time zone
+ * @param {string} localDateTime - "2024-05-26T15:00" (venue time)
+ * @param {string} timeZone - IANA zone, e.g. "Europe/Monaco"
+ * @returns {Date|null}
+ */
+export function zonedTimeToUtc(localDateTime, timeZone = 'UTC') {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/.exec(localDateTime || '');
+    if (!match) return null;
+
+    const [, year, month, day, hour = '00', minute = '00'] = match;
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+
+    // The offset can differ either side of a daylight-saving change, so check it at the result
+    const firstGuess = wallClock - timeZoneOffset(new Date(wallClock), zone) * MINUTE;
+    const offset = timeZoneOffset(new Date(firstGuess), zone);
+    return new Date(wallClock - offset * MINUTE);
+}
+
+/**
+ * Wall-clock "YYYY-MM-DDTHH:mm" of an instant in a time zone (for form inputs)
+ */
+export function utcToZonedTime(instant, timeZone = 'UTC') {
+    const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+    const local = new Date(instant.getTime() + timeZoneOffset(instant, zone) * MINUTE);
+    return local.toISOString().slice(0, 16);
+}
+
+/**
+ * Sessions a race can be scheduled with: its own session list, else SCHEDULE_SESSIONS
+ * @returns {Array<{ session, label, duration }>}
+ */
+export function schedulableSessions(race = {}) {
+    if (Array.isArray(race.sessions) && race.sessions.length > 0) {
+        return race.sessions.map(({ id, name, type }) => ({
+            session: id,
+            label: name || id,
+            duration: SCHEDULE_SESSIONS[id]?.duration || TYPE_DURATIONS[type] || 60
+        }));
+    }
+    return Object.entries(SCHEDULE_SESSIONS).map(([session, { label, duration }]) => ({ session, label, duration }));
+}
+
+/**
+ * Timed sessions of a race, in start order
+ * @returns {Array<{ session, label, start: Date, end: Date }>}
+ */
+export function raceSessionTimes(race = {}) {
+    const known = schedulableSessions(race);
+    return Object.entries(race.schedule || {})
+        .map(([session, slot]) => {
+            const start = zonedTimeToUtc(slot?.start, race.timeZone);
+            if (!start) return null;
+            const info = known.find(s => s.session === session);
+            const duration = Number(slot.duration) || info?.duration || 60;
+            return {
+                session,
+                label: info?.label || session,
+                start,
+                end: new Date(start.getTime() + duration * MINUTE)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Race date ("YYYY-MM-DD") implied by a schedule: the feature race's day, else the last session's
+ */
+export function scheduleDate(schedule = {}) {
+    const starts = Object.entries(schedule).filter(([, slot]) => slot?.start);
+    if (starts.length === 0) return null;
+    const feature = starts.find(([session]) => session === 'feature');
+    const last = starts.map(([, slot]) => slot.start).sort().pop();
+    return (feature ? feature[1].start : last).slice(0, 10);
+}
+
+/**
+ * Calendar events for championships' races
+ * Races without session times become a single all-day event on `race.date`.
+ * @returns {Array<{ id, championshipId, championshipName, raceId, raceName, round, circuit, session, label, start, end, allDay }>}
+ */
+export function buildCalendarEvents(championships = []) {
+    const events = [];
+
+    championships.forEach(championship => {
+        (championship.races || []).forEach(race => {
+            const base = {
+                championshipId: championship.id,
+                championshipName: championship.name,
+                raceId: race.id,
+                raceName: race.name,
+                round: race.round || null,
+                circuit: race.circuit || race.track || race.location || ''
+            };
+            const sessions = raceSessionTimes(race);
+
+            if (sessions.length > 0) {
+                sessions.forEach(({ session, label, start, end }) => {
+                    events.push({ ...base, id: `${race.id}-${session}`, session, label, start, end, allDay: false });
+                });
+            } else if (/^\d{4}-\d{2}-\d{2}/.test(race.date || '')) {
+                const [year, month, day] = race.date.slice(0, 10).split('-').map(Number);
+                // All-day events sit on the calendar day in every time zone; the next day by date, not
+                // 24 hours on, so a daylight-saving change never ends the event on the day it starts
+                const start = new Date(year, month - 1, day);
+                events.push({ ...base, id: race.id, session: null, label: race.name, start, end: new Date(year, month - 1, day + 1), allDay: true });
+            }
+        });
+    });
+
+    return events.sort((a, b) => a.start - b.start);
+}
+
+function icsText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const folded = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = encoder.encode(char).length;
+        if (size + charSize > (folded.length ? 74 : 75)) {
+            folded.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    folded.push(current);
+    return folded.join('\r\n ');
+}
+
+const icsDateTime = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const icsDate = date => `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * iCalendar (.ics) feed for a championship
+ * Times are written in UTC so every calendar app shows them in the subscriber's own zone.
+ */
+export function toICalendar(championship, { productName = 'RaceManager Pro' } = {}) {
+    const stamp = icsDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${productName}//Championship Calendar//EN`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(championship.name)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+        'X-PUBLISHED-TTL:PT6H'
+    ];
+
+    buildCalendarEvents([championship]).forEach(event => {
+        const round = event.round ? `Round ${event.round} of ` : '';
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.id}@${championship.id}`,
+            `DTSTAMP:${stamp}`,
+            event.allDay ? `DTSTART;VALUE=DATE:${icsDate(event.start)}` : `DTSTART:${icsDateTime(event.start)}`,
+            event.allDay ? `DTEND;VALUE=DATE:${icsDate(event.end)}` : `DTEND:${icsDateTime(event.end)}`,
+            `SUMMARY:${icsText(event.session ? `${event.raceName} - ${event.label}` : event.raceName)}`,
+            ...(event.circuit ? [`LOCATION:${icsText(event.circuit)}`] : []),
+            `DESCRIPTION:${icsText(`${round}${championship.name}`)}`,
+            `CATEGORIES:${icsText(championship.name)}`,
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
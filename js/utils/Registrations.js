@@ -0,0 +1,385 @@
+/**
+ * Registrations - Driver sign-ups for a championship
+ * Stored on the championship document:
+ * - `registrations`: `[{ id, userId, driverName, email, answers, status, requestedAt, updatedAt, reason }]`
+ *   every sign-up is kept with its latest status, so decided ones stay on record
+ * - `registrationSettings`: `{ fields, opensAt, closesAt }` organizer's sign-up form and window
+ * - `maxDrivers`: seats; drivers and pending sign-ups hold one each, the rest wait on the waitlist
+ * - `requireApproval`: false lets sign-ups with a free seat straight in
+ * Every operation returns the new `registrations` and `drivers` with the status `changes` it made,
+ * `[{ registration, from, to }]`, so callers persist and notify in one place. The championship
+ * passed in is left untouched.
+ */
+
+export const REGISTRATION_STATUS = {
+    PENDING: 'pending',
+    WAITLISTED: 'waitlisted',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    WITHDRAWN: 'withdrawn'
+};
+
+export const DEFAULT_MAX_DRIVERS = 20;
+
+export const REGISTRATION_FIELD_TYPES = ['text', 'number', 'select'];
+
+// Answers with these ids fill in the driver created on approval
+export const DEFAULT_REGISTRATION_FIELDS = [
+    { id: 'carNumber', label: 'Preferred car number', type: 'number', required: false, options: [] },
+    { id: 'team', label: 'Team', type: 'text', required: false, options: [] },
+    { id: 'simPlatformId', label: 'Sim platform ID', type: 'text', required: false, options: [] }
+];
+
+const ACTIVE = [REGISTRATION_STATUS.PENDING, REGISTRATION_STATUS.WAITLISTED];
+
+/**
+ * Validate and normalize a sign-up form field
+ * @param {object} data - `{ id, label, type, required, options }`, `options` as a list or "a, b, c" for a select
+ * @throws {Error} Without a label, or a select without options
+ */
+export function normalizeRegistrationField(data = {}) {
+    const label = String(data.label || '').trim();
+    if (!label) {
+        throw new Error('A registration field needs a label');
+    }
+
+    const type = REGISTRATION_FIELD_TYPES.includes(data.type) ? data.type : 'text';
+    const options = (typeof data.options === 'string' ? data.options.split(',') : data.options || [])
+        .map(option => String(option).trim())
+        .filter(Boolean);
+    if (type === 'select' && options.length === 0) {
+        throw new Error(`${label} needs at least one option`);
+    }
+
+    return {
+        id: data.id || label.toLowerCase().replace(/[^a-z0-9]+(.)?/g, (match, next) => (next || '').toUpperCase()),
+        label,
+        type,
+        required: Boolean(data.required),
+        options: type === 'select' ? options : []
+    };
+}
+
+/**
+ * Registration settings of a championship, with defaults filled in
+ * @returns {{ fields: Array, opensAt: string|null, closesAt: string|null, maxDrivers: number, requireApproval: boolean }}
+ */
+export function normalizeRegistrationSettings(championship = {}) {
+    const settings = championship.registrationSettings || {};
+    return {
+        fields: (settings.fields || DEFAULT_REGISTRATION_FIELDS).map(normalizeRegistrationField),
+        opensAt: settings.opensAt || null,
+        closesAt: settings.closesAt || null,
+        maxDrivers: parseInt(championship.maxDrivers, 10) || DEFAULT_MAX_DRIVERS,
+        requireApproval: championship.requireApproval !== false
+    };
+}
+
+/**
+ * Whether sign-ups are accepted at `now`
+ * @returns {'upcoming'|'open'|'closed'}
+ */
+export function registrationWindow(championship, now = new Date()) {
+    const { opensAt, closesAt } = normalizeRegistrationSettings(championship);
+    if (opensAt && now < new Date(opensAt)) return 'upcoming';
+    if (closesAt && now > new Date(closesAt)) return 'closed';
+    return 'open';
+}
+
+/**
+ * A user's pending or waitlisted sign-up, or null
+ */
+export function activeRegistration(championship, userId) {
+    return (championship?.registrations || []).find(r => r.userId === userId && ACTIVE.includes(r.status)) || null;
+}
+
+/**
+ * Waitlisted sign-ups, first come first served
+ */
+export function waitlist(championship) {
+    return (championship?.registrations || [])
+        .filter(r => r.status === REGISTRATION_STATUS.WAITLISTED)
+        .sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt));
+}
+
+/**
+ * 1-based place of a user on the waitlist, or null when not on it
+ */
+export function waitlistPosition(championship, userId) {
+    const index = waitlist(championship).findIndex(r => r.userId === userId);
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Seats left: the cap less drivers and sign-ups awaiting approval
+ */
+export function freeSlots(championship) {
+    const { maxDrivers } = normalizeRegistrationSettings(championship);
+    const pending = (championship?.registrations || []).filter(r => r.status === REGISTRATION_STATUS.PENDING).length;
+    return Math.max(0, maxDrivers - (championship?.drivers || []).length - pending);
+}
+
+/**
+ * Who already holds a car number: a driver, an entry or another pending/waitlisted sign-up
+ * @param {string|number} number
+ * @param {string|null} userId - The user asking, whose own sign-up is not a conflict
+ * @returns {string|null} Name of the holder, or null when the number is free
+ */
+export function numberConflict(championship, number, userId = null) {
+    const wanted = parseInt(number, 10);
+    if (isNaN(wanted)) return null;
+    const same = value => parseInt(value, 10) === wanted;
+
+    const driver = (championship?.drivers || []).find(d => same(d.number) && (!userId || d.userId !== userId));
+    if (driver) return driver.name;
+
+    const entry = (championship?.entries || []).find(e => same(e.number));
+    if (entry) return entry.name || `#${entry.number}`;
+
+    const registration = (championship?.registrations || [])
+        .find(r => ACTIVE.includes(r.status) && r.userId !== userId && same(r.answers?.carNumber));
+    return registration ? registration.driverName : null;
+}
+
+/**
+ * Check answers against the form
+ * @returns {object} Answers to the form's fields only, numbers parsed
+ * @throws {Error} On a missing required answer, a non-numeric number or an unknown option
+ */
+export function validateRegistrationAnswers(fields, answers = {}) {
+    const clean = {};
+
+    fields.forEach(field => {
+        const raw = answers[field.id];
+        const value = raw === undefined || raw === null ? '' : String(raw).trim();
+
+        if (!value) {
+            if (field.required) {
+                throw new Error(`${field.label} is required`);
+            }
+            return;
+        }
+
+        if (field.type === 'number') {
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                throw new Error(`${field.label} must be a number`);
+            }
+            clean[field.id] = number;
+        } else if (field.type === 'select' && !field.options.includes(value)) {
+            throw new Error(`${field.label} must be one of ${field.options.join(', ')}`);
+        } else {
+            clean[field.id] = value;
+        }
+    });
+
+    return clean;
+}
+
+// Driver joining the championship from an approved sign-up
+function driverFromRegistration(registration, now) {
+    const { carNumber, team, ...answers } = registration.answers || {};
+    return {
+        id: `driver_${now.getTime()}_${registration.userId}`,
+        userId: registration.userId,
+        name: registration.driverName,
+        email: registration.email,
+        team: team || '',
+        number: carNumber !== undefined ? String(carNumber) : '',
+        teamHistory: team ? [{ teamId: team, fromRound: 1, toRound: null }] : [],
+        registrationAnswers: answers,
+        joinedAt: now.toISOString()
+    };
+}
+
+function assertNumberFree(championship, registration) {
+    const number = registration.answers?.carNumber;
+    const holder = numberConflict(championship, number, registration.userId);
+    if (holder) {
+        throw new Error(`Car number #${number} is already taken by ${holder}`);
+    }
+}
+
+// Apply one status change, adding the driver when approved
+function transition(championship, registration, to, now, extra = {}) {
+    const updated = { ...registration, ...extra, status: to, updatedAt: now.toISOString() };
+    const registrations = (championship.registrations || []).map(r => (r.id === registration.id ? updated : r));
+    const drivers = to === REGISTRATION_STATUS.APPROVED ?
+        [...(championship.drivers || []), driverFromRegistration(updated, now)] :
+        (championship.drivers || []);
+
+    return {
+        championship: { ...championship, registrations, drivers },
+        change: { registration: updated, from: registration.status, to }
+    };
+}
+
+function findActive(championship, userId) {
+    const registration = activeRegistration(championship, userId);
+    if (!registration) {
+        throw new Error('Registration not found');
+    }
+    return registration;
+}
+
+/**
+ * Fill free seats from the waitlist, first come first served
+ * Promoted sign-ups await approval, or go straight in when the championship doesn't require it.
+ * @returns {{ registrations, drivers, changes }}
+ */
+export function promoteWaitlist(championship, now = new Date()) {
+    const { requireApproval } = normalizeRegistrationSettings(championship);
+    let current = { ...championship };
+    const changes = [];
+
+    for (const registration of waitlist(championship)) {
+        if (freeSlots(current) === 0) break;
+        const to = requireApproval ? REGISTRATION_STATUS.PENDING : REGISTRATION_STATUS.APPROVED;
+        // A number taken since the sign-up is dropped rather than blocking the queue
+        const { carNumber, ...otherAnswers } = registration.answers || {};
+        const extra = to === REGISTRATION_STATUS.APPROVED && numberConflict(current, carNumber, registration.userId) ?
+            { answers: otherAnswers } : {};
+        const result = transition(current, registration, to, now, extra);
+        current = result.championship;
+        changes.push(result.change);
+    }
+
+    return { registrations: current.registrations || [], drivers: current.drivers || [], changes };
+}
+
+/**
+ * Sign a user up: straight in, pending approval, or on the waitlist when the championship is full
+ * @param {object} user - `{ uid, displayName, email }`
+ * @param {object} answers - Answers to the sign-up form, by field id
+ * @returns {{ registration, registrations, drivers, changes }}
+ * @throws {Error} Outside the registration window, when already in or signed up, on invalid
+ *   answers or a car number someone else holds
+ */
+export function submitRegistration(championship, user, answers = {}, now = new Date()) {
+    const open = registrationWindow(championship, now);
+    if (open === 'upcoming') {
+        throw new Error('Registration is not open yet');
+    }
+    if (open === 'closed') {
+        throw new Error('Registration is closed');
+    }
+    if ((championship.drivers || []).some(d => d.userId === user.uid)) {
+        throw new Error('You are already in this championship');
+    }
+    if (activeRegistration(championship, user.uid)) {
+        throw new Error('Your registration is already pending');
+    }
+
+    const { fields, requireApproval } = normalizeRegistrationSettings(championship);
+    const registration = {
+        id: `registration_${now.getTime()}_${user.uid}`,
+        userId: user.uid,
+        driverName: user.displayName || user.email,
+        email: user.email || '',
+        answers: validateRegistrationAnswers(fields, answers),
+        status: null,
+        requestedAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+    assertNumberFree(championship, registration);
+
+    const to = freeSlots(championship) === 0 ? REGISTRATION_STATUS.WAITLISTED :
+        requireApproval ? REGISTRATION_STATUS.PENDING : REGISTRATION_STATUS.APPROVED;
+    const { championship: updated, change } = transition(
+        { ...championship, registrations: [...(championship.registrations || []), registration] },
+        registration, to, now
+    );
+
+    return {
+        registration: change.registration,
+        registrations: updated.registrations,
+        drivers: updated.drivers,
+        changes: [change]
+    };
+}
+
+/**
+ * Let a pending or waitlisted user in
+ * @returns {{ registrations, drivers, changes }}
+ * @throws {Error} When the user has no active sign-up, a waitlisted one meets a full championship,
+ *   or their car number was taken meanwhile
+ */
+export function approveRegistration(championship, userId, now = new Date()) {
+    const registration = findActive(championship, userId);
+    if (registration.status === REGISTRATION_STATUS.WAITLISTED && freeSlots(championship) === 0) {
+        throw new Error('Championship is full');
+    }
+    assertNumberFree(championship, registration);
+
+    const { championship: updated, change } = transition(championship, registration, REGISTRATION_STATUS.APPROVED, now);
+    return { registrations: updated.registrations, drivers: updated.drivers, changes: [change] };
+}
+
+/**
+ * Decline a pending or waitlisted sign-up; a freed seat goes to the waitlist
+ * @returns {{ registrations, drivers, changes }}
+ */
+export function rejectRegistration(championship, userId, reason = '', now = new Date()) {
+    const registration = findActive(championship, userId);
+    const { championship: updated, change } = transition(championship, registration, REGISTRATION_STATUS.REJECTED, now, { reason });
+    const promoted = promoteWaitlist(updated, now);
+    return { registrations: promoted.registrations, drivers: promoted.drivers, changes: [change, ...promoted.changes] };
+}
+
+/**
+ * A user takes back their pending or waitlisted sign-up; a freed seat goes to the waitlist
+ * @returns {{ registrations, drivers, changes }}
+ */
+export function withdrawRegistration(championship, userId, now = new Date()) {
+    const registration = findActive(championship, userId);
+    const { championship: updated, change } = transition(championship, registration, REGISTRATION_STATUS.WITHDRAWN, now);
+    const promoted = promoteWaitlist(updated, now);
+    return { registrations: promoted.registrations, drivers: promoted.drivers, changes: [change, ...promoted.changes] };
+}
+
+/**
+ * Notifications for a status change: to the driver, and to the organizer for new sign-ups and withdrawals
+ * @param {object} championship - `{ id, name, userId }`
+ * @param {object} change - `{ registration, from, to }` as returned by the operations above
+ * @returns {Array<object>} Notifications in NotificationService's shape
+ */
+export function registrationNotifications(championship, { registration, from, to }) {
+    const name = championship.name;
+    const base = { championshipId: championship.id, registrationId: registration.id };
+    const toDriver = (title, message) => ({ ...base, userId: registration.userId, type: `registration_${to}`, title, message });
+    const toOrganizer = (title, message) => ({
+        ...base,
+        userId: championship.userId,
+        type: `registration_${to}`,
+        title,
+        message,
+        fromUserId: registration.userId
+    });
+    const promoted = from === REGISTRATION_STATUS.WAITLISTED;
+
+    switch (to) {
+        case REGISTRATION_STATUS.PENDING:
+            return promoted ?
+                [toDriver('Off the Waitlist', `A seat opened in "${name}": your registration now awaits approval`),
+                    toOrganizer('Registration Awaiting Approval', `${registration.driverName} moved off the waitlist for "${name}"`)] :
+                [toDriver('Registration Received', `Your registration for "${name}" awaits the organizer's approval`),
+                    toOrganizer('New Registration', `${registration.driverName} registered for "${name}"`)];
+        case REGISTRATION_STATUS.WAITLISTED:
+            return [
+                toDriver('Waitlisted', `"${name}" is full: you are on the waitlist and will move up when a seat frees`),
+                toOrganizer('Waitlist Registration', `${registration.driverName} joined the waitlist for "${name}"`)
+            ];
+        case REGISTRATION_STATUS.APPROVED:
+            return [
+                toDriver('Registration Approved', `You're in! You are now a driver in "${name}"`),
+                ...(from === null || promoted ?
+                    [toOrganizer('New Driver', `${registration.driverName} joined "${name}"`)] : [])
+            ];
+        case REGISTRATION_STATUS.REJECTED:
+            return [toDriver('Registration Declined', `Your registration for "${name}" was declined${registration.reason ? `: ${registration.reason}` : ''}`)];
+        case REGISTRATION_STATUS.WITHDRAWN:
+            return [toOrganizer('Registration Withdrawn', `${registration.driverName} withdrew from "${name}"`)];
+        default:
+            return [];
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * ResultHistory - Revision history for race results
+ * Every save of a race's results is recorded as a revision holding who changed
+ * what, when and why, plus a full snapshot so the race can be reverted to it.
+ */
+
+// Bookkeeping fields stored on result documents that are not part of the result itself
+const METADATA_FIELDS = ['championshipId', 'raceId', 'driverId', 'updatedAt', 'updatedBy'];
+
+/**
+ * Strip bookkeeping fields from a race's results
+ * @param {object} raceResults - `{ driverId: resultDoc }`
+ * @returns {object} `{ driverId: { field: value } }`
+ */
+export function snapshotResults(raceResults = {}) {
+    const snapshot = {};
+    Object.entries(raceResults).forEach(([driverId, result]) => {
+        snapshot[driverId] = {};
+        Object.entries(result || {}).forEach(([field, value]) => {
+            if (!METADATA_FIELDS.includes(field)) {
+                snapshot[driverId][field] = value;
+            }
+        });
+    });
+    return snapshot;
+}
+
+function sameValue(a, b) {
+    const empty = value => value === undefined || value === null || value === '' || value === false;
+    if (empty(a) && empty(b)) return true;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Field-level differences between two snapshots
+ * @returns {Array<{ driverId, field, from, to }>}
+ */
+export function diffResults(before = {}, after = {}) {
+    const changes = [];
+    const driverIds = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    driverIds.forEach(driverId => {
+        const previous = before[driverId] || {};
+        const next = after[driverId] || {};
+        const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+        fields.forEach(field => {
+            if (!sameValue(previous[field], next[field])) {
+                changes.push({
+                    driverId,
+                    field,
+                    from: previous[field] ?? null,
+                    to: next[field] ?? null
+                });
+            }
+        });
+    });
+
+    return changes;
+}
+
+/**
+ * Build a revision record
+ * @param {object} data - `{ championshipId, raceId, before, after, user, reason, action, revertedTo, penalty }`
+ *   `action` is 'edit' for a normal save, 'revert' when restoring an earlier revision, and
+ *   'penalty' / 'revokePenalty' for stewards' decisions, which carry the `penalty` concerned
+ * @returns {object} Revision with the field changes and the snapshot after the change
+ */
+export function createRevision({ championshipId, raceId, before = {}, after = {}, user = null, reason = '', action = 'edit', revertedTo = null, penalty = null }) {
+    return {
+        id: crypto.randomUUID(),
+        championshipId,
+        raceId,
+        action,
+        revertedTo,
+        penalty,
+        changes: diffResults(before, after),
+        snapshot: after,
+        userId: user?.uid || null,
+        userName: user?.displayName || user?.email || 'Unknown',
+        reason: reason.trim(),
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Revisions newest first, numbered in the order they were made
+ */
+export function orderRevisions(revisions = []) {
+    return [...revisions]
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map((revision, index) => ({ ...revision, number: index + 1 }))
+        .reverse();
+}
+
+/**
+ * One-line description of a change ("Feature: 3 → 1")
+ * @param {object} change
+ * @param {object} sessionNames - `{ sessionId: name }` for races with their own sessions
+ */
+export function describeChange(change, sessionNames = {}) {
+    const labels = {
+        qualifying: 'Qualifying',
+        sprint: 'Sprint',
+        feature: 'Feature',
+        sprintFL: 'Sprint fastest lap',
+        featureFL: 'Feature fastest lap'
+    };
+    Object.entries(sessionNames).forEach(([session, name]) => {
+        labels[session] = name;
+        labels[`${session}FL`] = `${name} fastest lap`;
+    });
+    const format = value => {
+        if (value === null || value === '') return '—';
+        if (typeof value === 'boolean') return value ? 'yes' : 'no';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    };
+
+    return `${labels[change.field] || change.field}: ${format(change.from)} → ${format(change.to)}`;
+}
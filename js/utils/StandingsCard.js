@@ -0,0 +1,276 @@
+/**
+ * StandingsCard - Branded standings and podium images drawn on a canvas
+ * Cards are built from plain data (see `renderCard`) so they can be drawn for
+ * any championship; team colours come from `Team.color`.
+ */
+
+export const CARD_TEMPLATES = {
+    top10: { label: 'Top 10', limit: 10 },
+    fullGrid: { label: 'Full grid', limit: null },
+    podium: { label: 'Race podium', limit: 3 },
+    driverOfTheDay: { label: 'Driver of the day', limit: 1 }
+};
+
+const CARD_WIDTH = 1080;
+const HEADER_HEIGHT = 220;
+const FOOTER_HEIGHT = 90;
+const ROW_HEIGHT = 76;
+const FALLBACK_COLOR = '#6c757d';
+
+const THEME = {
+    background: ['#0b0f1a', '#1a2236'],
+    text: '#ffffff',
+    muted: '#9aa4b8',
+    accent: '#e10600',
+    row: 'rgba(255, 255, 255, 0.06)',
+    podium: ['#d4af37', '#c0c0c0', '#cd7f32']
+};
+
+// Readable text colour (black or white) on a team colour
+function contrastColor(hex) {
+    const value = /^#?([0-9a-f]{6})$/i.exec(hex || '')?.[1];
+    if (!value) return THEME.text;
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16));
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#000000' : '#ffffff';
+}
+
+// Shrink text until it fits `maxWidth`
+function fitText(ctx, text, maxWidth, size, weight = '600') {
+    let fontSize = size;
+    do {
+        ctx.font = `${weight} ${fontSize}px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif`;
+        fontSize -= 2;
+    } while (ctx.measureText(text).width > maxWidth && fontSize > 12);
+    return text;
+}
+
+function roundedRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+}
+
+function numberBadge(ctx, number, color, x, y, size) {
+    roundedRect(ctx, x, y, size, size, 10);
+    ctx.fillStyle = color || FALLBACK_COLOR;
+    ctx.fill();
+    ctx.fillStyle = contrastColor(color);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    fitText(ctx, number ? String(number) : '–', size - 10, Math.round(size * 0.45), '800');
+    ctx.fillText(number ? String(number) : '–', x + size / 2, y + size / 2 + 1);
+    ctx.textAlign = 'left';
+}
+
+function drawFrame(ctx, width, height, { title, subtitle, brand }) {
+    const gradient = ctx.createLinearGradient(0, 0, width, height);
+    gradient.addColorStop(0, THEME.background[0]);
+    gradient.addColorStop(1, THEME.background[1]);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = THEME.accent;
+    ctx.fillRect(0, 0, width, 12);
+
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = THEME.text;
+    fitText(ctx, title, width - 120, 64, '800');
+    ctx.fillText(title, 60, 110);
+
+    if (subtitle) {
+        ctx.fillStyle = THEME.muted;
+        fitText(ctx, subtitle, width - 120, 32, '500');
+        ctx.fillText(subtitle, 60, 160);
+    }
+
+    ctx.fillStyle = THEME.muted;
+    ctx.font = '600 26px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(brand, 60, height - FOOTER_HEIGHT / 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(new Date().toLocaleDateString(), width - 60, height - FOOTER_HEIGHT / 2);
+    ctx.textAlign = 'left';
+}
+
+function drawStandingsRows(ctx, rows, width) {
+    rows.forEach((row, index) => {
+        const y = HEADER_HEIGHT + index * ROW_HEIGHT;
+        const rowHeight = ROW_HEIGHT - 10;
+
+        roundedRect(ctx, 40, y, width - 80, rowHeight, 12);
+        ctx.fillStyle = THEME.row;
+        ctx.fill();
+
+        // Team colour strip
+        ctx.fillStyle = row.color || FALLBACK_COLOR;
+        ctx.fillRect(40, y, 10, rowHeight);
+
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = index < 3 ? THEME.podium[index] : THEME.text;
+        ctx.font = '800 34px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(String(row.position ?? ''), 100, y + rowHeight / 2);
+        ctx.textAlign = 'left';
+
+        numberBadge(ctx, row.number, row.color, 150, y + 8, rowHeight - 16);
+
+        ctx.fillStyle = THEME.text;
+        fitText(ctx, row.name, 480, 32, '700');
+        ctx.fillText(row.name, 230, y + rowHeight / 2 - (row.team ? 10 : 0));
+        if (row.team) {
+            ctx.fillStyle = THEME.muted;
+            fitText(ctx, row.team, 480, 20, '500');
+            ctx.fillText(row.team, 230, y + rowHeight / 2 + 20);
+        }
+
+        ctx.fillStyle = THEME.text;
+        ctx.font = '800 34px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${row.points ?? 0}`, width - 130, y + rowHeight / 2);
+        ctx.fillStyle = THEME.muted;
+        ctx.font = '600 22px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+        ctx.fillText('PTS', width - 70, y + rowHeight / 2 + 2);
+        ctx.textAlign = 'left';
+    });
+}
+
+function drawPodium(ctx, rows, width, height) {
+    // Steps in podium order: P2 left, P1 centre, P3 right
+    const steps = [
+        { row: rows[1], x: 80, stepHeight: 260 },
+        { row: rows[0], x: 390, stepHeight: 340 },
+        { row: rows[2], x: 700, stepHeight: 200 }
+    ];
+    const stepWidth = 300;
+    const floor = height - FOOTER_HEIGHT - 20;
+
+    steps.forEach(({ row, x, stepHeight }) => {
+        if (!row) return;
+        const top = floor - stepHeight;
+        const medal = THEME.podium[row.position - 1] || THEME.muted;
+
+        roundedRect(ctx, x, top, stepWidth, stepHeight, 16);
+        ctx.fillStyle = row.color || FALLBACK_COLOR;
+        ctx.fill();
+
+        ctx.fillStyle = contrastColor(row.color);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = '900 120px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+        ctx.fillText(String(row.position), x + stepWidth / 2, top + stepHeight / 2);
+
+        numberBadge(ctx, row.number, medal, x + stepWidth / 2 - 40, top - 230, 80);
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = THEME.text;
+        fitText(ctx, row.name, stepWidth - 20, 34, '800');
+        ctx.fillText(row.name, x + stepWidth / 2, top - 110);
+        ctx.fillStyle = THEME.muted;
+        fitText(ctx, row.detail || row.team || '', stepWidth - 20, 24, '500');
+        ctx.fillText(row.detail || row.team || '', x + stepWidth / 2, top - 70);
+        ctx.fillStyle = medal;
+        ctx.font = '700 26px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+        ctx.fillText(`${row.points ?? 0} pts`, x + stepWidth / 2, top - 32);
+        ctx.textAlign = 'left';
+    });
+}
+
+function drawDriverOfTheDay(ctx, row, width, height) {
+    if (!row) return;
+    const centre = width / 2;
+
+    ctx.fillStyle = row.color || FALLBACK_COLOR;
+    ctx.beginPath();
+    ctx.arc(centre, 470, 190, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = contrastColor(row.color);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = '900 170px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+    ctx.fillText(row.number ? String(row.number) : '★', centre, 480);
+
+    ctx.fillStyle = THEME.text;
+    fitText(ctx, row.name, width - 160, 72, '800');
+    ctx.fillText(row.name, centre, 760);
+
+    ctx.fillStyle = THEME.muted;
+    fitText(ctx, row.team || '', width - 160, 34, '500');
+    ctx.fillText(row.team || '', centre, 825);
+
+    if (row.detail) {
+        ctx.fillStyle = THEME.accent;
+        fitText(ctx, row.detail, width - 160, 38, '700');
+        ctx.fillText(row.detail, centre, height - FOOTER_HEIGHT - 60);
+    }
+    ctx.textAlign = 'left';
+}
+
+/**
+ * Canvas height a card needs
+ */
+export function cardHeight(template, rowCount) {
+    if (template === 'top10' || template === 'fullGrid') {
+        return Math.max(CARD_WIDTH, HEADER_HEIGHT + rowCount * ROW_HEIGHT + FOOTER_HEIGHT);
+    }
+    return CARD_WIDTH;
+}
+
+/**
+ * Draw a card onto a canvas (the canvas is resized to fit)
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} template - Key of `CARD_TEMPLATES`
+ * @param {object} data - `{ title, subtitle, brand, rows: [{ position, name, number, team, color, points, detail }] }`
+ *   Rows in finishing order; `detail` is a short line such as "P1 · +5 places" for podium and driver-of-the-day cards
+ * @returns {HTMLCanvasElement}
+ */
+export function renderCard(canvas, template, { title, subtitle = '', brand = 'RaceManager Pro', rows = [] }) {
+    const config = CARD_TEMPLATES[template];
+    if (!config) throw new Error(`Unknown card template: ${template}`);
+
+    const visibleRows = config.limit ? rows.slice(0, config.limit) : rows;
+    canvas.width = CARD_WIDTH;
+    canvas.height = cardHeight(template, visibleRows.length);
+
+    const ctx = canvas.getContext('2d');
+    drawFrame(ctx, canvas.width, canvas.height, { title, subtitle, brand });
+
+    switch (template) {
+        case 'podium':
+            drawPodium(ctx, visibleRows, canvas.width, canvas.height);
+            break;
+        case 'driverOfTheDay':
+            drawDriverOfTheDay(ctx, visibleRows[0], canvas.width, canvas.height);
+            break;
+        default:
+            drawStandingsRows(ctx, visibleRows, canvas.width);
+    }
+
+    return canvas;
+}
+
+/**
+ * Card as a Blob, for downloads and `navigator.share`
+ */
+export function cardToBlob(canvas, type = 'image/png', quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render the image'))), type, quality);
+    });
+}
+
+/**
+ * Compressed copy of a card for a feed post, as a data URL stored inline on the post
+ * Tall full-grid cards are scaled down so the post stays well under Firestore's document size limit.
+ */
+export function cardPostImage(canvas, maxHeight = 1600) {
+    const scale = Math.min(1, maxHeight / canvas.height);
+    const copy = document.createElement('canvas');
+    copy.width = Math.round(canvas.width * scale);
+    copy.height = Math.round(canvas.height * scale);
+    copy.getContext('2d').drawImage(canvas, 0, 0, copy.width, copy.height);
+    return copy.toDataURL('image/jpeg', 0.82);
+}
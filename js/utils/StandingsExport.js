@@ -0,0 +1,179 @@
+/**
+ * StandingsExport - Turn standings and results tables into downloadable files
+ * A table is `{ title, headers, rows }`; a cell is a plain value or
+ * `{ value, category }` where `category` colours season-grid finishes.
+ * Output: CSV, SpreadsheetML (opens in Excel, LibreOffice and Google Sheets)
+ * and a print-ready HTML report that the browser can save as PDF.
+ */
+
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv;charset=utf-8' },
+    spreadsheet: { label: 'Spreadsheet (Excel)', extension: 'xls', type: 'application/vnd.ms-excel' },
+    print: { label: 'Print / PDF', extension: 'html', type: 'text/html;charset=utf-8' }
+};
+
+// Season-grid finish categories, coloured the way timing sheets and wikis do
+export const FINISH_CATEGORIES = {
+    winner: { label: 'Winner', background: '#ffdf9f' },
+    second: { label: 'Second', background: '#dfdfdf' },
+    third: { label: 'Third', background: '#ffbf9f' },
+    points: { label: 'Points finish', background: '#dfffdf' },
+    finished: { label: 'Finished outside the points', background: '#cfcfff' },
+    retired: { label: 'Retired / not classified', background: '#efcfff' },
+    disqualified: { label: 'Disqualified / excluded', background: '#000000', color: '#ffffff' },
+    nonStart: { label: 'Did not start / qualify', background: '#ffffff' },
+    absent: { label: 'Did not take part', background: null }
+};
+
+const cellValue = cell => (cell !== null && typeof cell === 'object' ? cell.value : cell);
+const cellCategory = cell => (cell !== null && typeof cell === 'object' ? cell.category : null);
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV for one or more tables; several tables are separated by their titles
+ * Starts with a byte-order mark so Excel reads accented names correctly.
+ */
+export function toCsv(tables) {
+    const list = Array.isArray(tables) ? tables : [tables];
+    const sections = list.map(table => {
+        const lines = [table.headers, ...table.rows].map(row => row.map(cell => csvField(cellValue(cell))).join(','));
+        return list.length > 1 ? [csvField(table.title), ...lines].join('\r\n') : lines.join('\r\n');
+    });
+    return `\uFEFF${sections.join('\r\n\r\n')}`;
+}
+
+/**
+ * SpreadsheetML 2003 workbook with one worksheet per table
+ * Numbers stay numeric and season-grid cells keep their colours.
+ */
+export function toSpreadsheetXml(tables) {
+    const list = Array.isArray(tables) ? tables : [tables];
+    const usedNames = new Set();
+    const sheetName = title => {
+        // Worksheet names: max 31 characters, no []:*?/\ and unique within the workbook
+        const base = String(title || 'Sheet').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+        let name = base;
+        for (let n = 2; usedNames.has(name); n++) name = `${base.slice(0, 28)} ${n}`;
+        usedNames.add(name);
+        return name;
+    };
+
+    const styles = Object.entries(FINISH_CATEGORIES)
+        .filter(([, category]) => category.background)
+        .map(([id, category]) => `
+  <Style ss:ID="${id}"><Interior ss:Color="${category.background}" ss:Pattern="Solid"/>${category.color ? `<Font ss:Color="${category.color}"/>` : ''}<Alignment ss:Horizontal="Center"/></Style>`)
+        .join('');
+
+    const cellXml = cell => {
+        const value = cellValue(cell);
+        const category = cellCategory(cell);
+        const style = category && FINISH_CATEGORIES[category]?.background ? ` ss:StyleID="${category}"` : '';
+        const isNumber = typeof value === 'number' && Number.isFinite(value);
+        return `<Cell${style}><Data ss:Type="${isNumber ? 'Number' : 'String'}">${escapeXml(value)}</Data></Cell>`;
+    };
+
+    const worksheets = list.map(table => `
+ <Worksheet ss:Name="${escapeXml(sheetName(table.title))}">
+  <Table>
+   <Row ss:StyleID="header">${table.headers.map(cellXml).join('')}</Row>
+${table.rows.map(row => `   <Row>${row.map(cellXml).join('')}</Row>`).join('\n')}
+  </Table>
+ </Worksheet>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+ <Styles>
+  <Style ss:ID="header"><Font ss:Bold="1"/></Style>${styles}
+ </Styles>${worksheets}
+</Workbook>`;
+}
+
+/**
+ * Standalone, print-ready HTML report
+ * @param {Array} tables - Tables to include, in order
+ * @param {object} options - `{ title, subtitle, legend }`; `legend` adds the season-grid colour key
+ */
+export function toPrintHtml(tables, { title = 'Championship report', subtitle = '', legend = false } = {}) {
+    const list = Array.isArray(tables) ? tables : [tables];
+    const cellStyle = cell => {
+        const category = FINISH_CATEGORIES[cellCategory(cell)];
+        if (!category?.background) return '';
+        return ` style="background:${category.background};${category.color ? `color:${category.color};` : ''}text-align:center"`;
+    };
+
+    const sections = list.map(table => `
+    <section>
+        <h2>${escapeXml(table.title)}</h2>
+        <table>
+            <thead><tr>${table.headers.map(header => `<th>${escapeXml(header)}</th>`).join('')}</tr></thead>
+            <tbody>
+${table.rows.map(row => `                <tr>${row.map(cell => `<td${cellStyle(cell)}>${escapeXml(cellValue(cell))}</td>`).join('')}</tr>`).join('\n')}
+            </tbody>
+        </table>
+    </section>`).join('');
+
+    const legendHtml = legend ? `
+    <section class="legend">
+        ${Object.values(FINISH_CATEGORIES).filter(category => category.background).map(category => `
+        <span><i style="background:${category.background}"></i>${escapeXml(category.label)}</span>`).join('')}
+    </section>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeXml(title)}</title>
+    <style>
+        body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; font-size: 11px; color: #212529; margin: 24px; }
+        h1 { font-size: 20px; margin: 0; }
+        .subtitle { color: #6c757d; margin: 4px 0 16px; }
+        h2 { font-size: 14px; margin: 20px 0 6px; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #ced4da; padding: 3px 6px; text-align: left; }
+        th { background: #f1f3f5; }
+        section { break-inside: avoid; }
+        .legend span { display: inline-flex; align-items: center; margin-right: 12px; }
+        .legend i { display: inline-block; width: 12px; height: 12px; border: 1px solid #adb5bd; margin-right: 4px; }
+        @media print {
+            body { margin: 0; }
+            @page { size: landscape; margin: 12mm; }
+            * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        }
+    </style>
+</head>
+<body>
+    <h1>${escapeXml(title)}</h1>
+    ${subtitle ? `<p class="subtitle">${escapeXml(subtitle)}</p>` : ''}${sections}${legendHtml}
+</body>
+</html>`;
+}
+
+/**
+ * File contents for a format
+ * @param {string} format - Key of `EXPORT_FORMATS`
+ */
+export function renderExport(format, tables, options = {}) {
+    switch (format) {
+        case 'csv':
+            return toCsv(tables);
+        case 'spreadsheet':
+            return toSpreadsheetXml(tables);
+        case 'print':
+            return toPrintHtml(tables, options);
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
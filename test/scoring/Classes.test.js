@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyClassPositions, classStandings, createClass, driverClass } from '../../js/scoring/Classes.js';
+import { PointsEngine } from '../../js/scoring/PointsEngine.js';
+
+test('createClass needs a name and reads points from text', () => {
+    assert.throws(() => createClass({ name: ' ' }), /needs a name/);
+    const gt = createClass({ name: 'GT3', points: '10, 6, 4' });
+    assert.deepEqual(gt.points, [10, 6, 4]);
+    assert.equal(createClass({ name: 'LMP2', points: '' }).points, null);
+});
+
+test('class positions count up within each class in overall order', () => {
+    const classes = { a: 'pro', b: 'am', c: 'pro', d: 'am' };
+    const annotated = applyClassPositions({
+        a: { position: 1 },
+        b: { position: 2 },
+        c: { position: 3 },
+        d: { position: null }
+    }, id => classes[id]);
+
+    assert.deepEqual(
+        ['a', 'b', 'c', 'd'].map(id => [annotated[id].classPosition, annotated[id].overallPosition]),
+        [[1, 1], [1, 2], [2, 3], [null, null]]
+    );
+});
+
+test('a driver without a class of their own takes their entry\'s', () => {
+    const championship = {
+        classes: [{ id: 'gt', name: 'GT' }],
+        drivers: [{ id: 'a' }, { id: 'b', classId: 'gone' }],
+        entries: [{ id: 'e1', classId: 'gt', drivers: ['a'] }]
+    };
+    assert.equal(driverClass(championship, 'a'), 'gt');
+    assert.equal(driverClass(championship, 'b'), null);
+});
+
+test('each class scores its own table by class position', () => {
+    const championship = {
+        classes: [{ id: 'pro', name: 'Pro', points: [10, 6] }, { id: 'am', name: 'Am', points: [8, 4] }],
+        drivers: [{ id: 'a', classId: 'pro' }, { id: 'b', classId: 'am' }, { id: 'c', classId: 'pro' }]
+    };
+    const { drivers } = PointsEngine.forChampionship(championship).scoreRace({ id: 'r1' }, {
+        feature: { a: { position: 1 }, b: { position: 2 }, c: { position: 3 } }
+    });
+    assert.deepEqual([drivers.a.total, drivers.b.total, drivers.c.total], [10, 8, 6]);
+});
+
+test('class standings renumber from 1 and keep the overall position', () => {
+    const rows = [{ id: 'a', position: 1, classId: 'pro' }, { id: 'b', position: 2, classId: 'am' }];
+    assert.deepEqual(classStandings(rows, 'am'), [{ id: 'b', position: 1, overallPosition: 2, classId: 'am' }]);
+    assert.equal(classStandings(rows, null), rows);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyDropScores, normalizeDropRule } from '../../js/scoring/DropScores.js';
+
+const rounds = totals => totals.map((total, index) => ({ raceId: `r${index + 1}`, total }));
+
+test('shorthand and full rules normalize to the same shape', () => {
+    assert.deepEqual(normalizeDropRule({ dropWorst: 2 }), { mode: 'drop-worst', count: 2, neverDropDisqualified: true });
+    assert.deepEqual(normalizeDropRule({ mode: 'best-of', count: '8' }), { mode: 'best-of', count: 8, neverDropDisqualified: true });
+    assert.equal(normalizeDropRule({ mode: 'worst', count: 1 }), null);
+    assert.equal(normalizeDropRule(null), null);
+});
+
+test('drop-worst removes the lowest rounds, the earlier one on equal scores', () => {
+    const { gross, net, rounds: flagged } = applyDropScores(rounds([25, 10, 18, 10]), { dropWorst: 1 });
+    assert.equal(gross, 63);
+    assert.equal(net, 53);
+    assert.deepEqual(flagged.map(round => round.dropped), [false, true, false, false]);
+});
+
+test('best-of keeps the best N rounds', () => {
+    const { net, rounds: flagged } = applyDropScores(rounds([25, 0, 18, 12]), { bestOf: 2 });
+    assert.equal(net, 43);
+    assert.deepEqual(flagged.map(round => round.dropped), [false, true, false, true]);
+});
+
+test('disqualified rounds are never dropped unless the rule allows it', () => {
+    const season = [{ raceId: 'r1', total: 0, disqualified: true }, { raceId: 'r2', total: 5 }, { raceId: 'r3', total: 25 }];
+    assert.deepEqual(applyDropScores(season, { dropWorst: 1 }).rounds.map(round => round.dropped), [false, true, false]);
+    assert.deepEqual(
+        applyDropScores(season, { dropWorst: 1, neverDropDisqualified: false }).rounds.map(round => round.dropped),
+        [true, false, false]
+    );
+});
+
+test('without a rule every round counts', () => {
+    const { gross, net } = applyDropScores(rounds([25, 18]));
+    assert.equal(gross, 43);
+    assert.equal(net, 43);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crewEligibility, crewScores, entryForDriver, normalizeDriveTimeRule, raceLineup } from '../../js/scoring/Entries.js';
+
+const entry = { id: 'e1', number: '7', drivers: ['a', 'b', 'c'] };
+
+test('the drive-time rule ignores invalid values and caps the share at 100%', () => {
+    assert.deepEqual(normalizeDriveTimeRule({ driveTimeRule: { minMinutes: '45', minPercent: 150 } }), { minMinutes: 45, minPercent: 100 });
+    assert.deepEqual(normalizeDriveTimeRule({ driveTimeRule: { minMinutes: -5 } }), { minMinutes: 0, minPercent: 0 });
+    assert.deepEqual(normalizeDriveTimeRule(), { minMinutes: 0, minPercent: 0 });
+});
+
+test('a race line-up overrides the entry\'s crew for that round', () => {
+    const race = { entryLineups: { e1: ['a', 'd'] } };
+    assert.deepEqual(raceLineup(entry, race), ['a', 'd']);
+    assert.deepEqual(raceLineup(entry, {}), ['a', 'b', 'c']);
+    assert.equal(entryForDriver({ entries: [entry] }, race, 'd').id, 'e1');
+    assert.equal(entryForDriver({ entries: [entry] }, race, 'b'), null);
+});
+
+test('without recorded drive times the whole line-up scores', () => {
+    assert.ok(crewEligibility(entry, {}, 'feature', normalizeDriveTimeRule({ driveTimeRule: { minMinutes: 60 } }))
+        .every(member => member.eligible && member.minutes === null));
+});
+
+test('crew members below the minimum time or share do not score', () => {
+    const race = { driveTimes: { feature: { e1: { a: 200, b: 90, c: 10 } } } };
+    const rule = normalizeDriveTimeRule({ driveTimeRule: { minMinutes: 30, minPercent: 25 } });
+    assert.deepEqual(
+        crewEligibility(entry, race, 'feature', rule).map(member => [member.driverId, member.eligible]),
+        [['a', true], ['b', true], ['c', false]]
+    );
+});
+
+test('eligible crew members take the entry\'s points and deductions', () => {
+    const championship = { entries: [entry], settings: { driveTimeRule: { minMinutes: 30 } } };
+    const race = { driveTimes: { feature: { e1: { a: 120, b: 100, c: 5 } } } };
+    const scores = crewScores(championship, race, {
+        e1: { sessions: { feature: { total: 25 } }, deduction: 5 }
+    });
+
+    assert.deepEqual(Object.keys(scores).sort(), ['a', 'b']);
+    assert.deepEqual([scores.a.points, scores.a.deduction, scores.a.total, scores.a.entryId], [25, 5, 20, 'e1']);
+});
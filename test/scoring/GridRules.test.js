@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateGrid, gridSourceRaces, normalizeGridRule, reverseTop } from '../../js/scoring/GridRules.js';
+
+const race = { id: 'r2', round: 2 };
+const finish = (...order) => Object.fromEntries(order.map((id, index) => [id, { position: index + 1 }]));
+
+test('grid rules reject unknown sources and keep a seed only for draws', () => {
+    assert.throws(() => normalizeGridRule({ source: 'vibes' }, race, 'feature'), /Unknown grid source/);
+    assert.throws(() => normalizeGridRule({ source: 'session', sourceSession: 'nope' }, race, 'feature'), /another session/);
+    assert.equal(normalizeGridRule({ source: 'qualifying', seed: 'x' }, race, 'feature').seed, null);
+    assert.equal(normalizeGridRule({ source: 'random', reverseTop: '-2' }, race, 'feature').reverseTop, 0);
+});
+
+test('reversing the top N leaves the rest of the order alone', () => {
+    assert.deepEqual(reverseTop(['a', 'b', 'c', 'd'], 3), ['c', 'b', 'a', 'd']);
+    assert.deepEqual(reverseTop(['a', 'b'], 8), ['b', 'a']);
+    assert.deepEqual(reverseTop(['a', 'b'], 1), ['a', 'b']);
+});
+
+test('a reversed previous-round grid sends late entries to the back and serves grid drops', () => {
+    const rule = normalizeGridRule({ source: 'previousRound', reverseTop: 2, applyPenalties: true }, race, 'feature');
+    const grid = generateGrid(rule, {
+        race,
+        sessionId: 'feature',
+        previousClassified: finish('a', 'b', 'c'),
+        drivers: ['a', 'b', 'c', 'd'],
+        drops: { b: 2 }
+    });
+
+    assert.deepEqual(grid.map(slot => slot.driverId), ['a', 'c', 'b', 'd']);
+    assert.deepEqual(grid.find(slot => slot.driverId === 'b'), { driverId: 'b', slot: 1, reversed: true, drop: 2 });
+});
+
+test('a random draw is reproducible from its seed', () => {
+    const rule = normalizeGridRule({ source: 'random', seed: 'seed-1' }, race, 'feature');
+    const context = { race, sessionId: 'feature', drivers: ['a', 'b', 'c', 'd', 'e'] };
+    assert.deepEqual(generateGrid(rule, context), generateGrid(rule, context));
+});
+
+test('previous-round and standings grids need an earlier round', () => {
+    const races = [{ id: 'r2', round: 2 }, { id: 'r1', round: 1 }];
+    assert.equal(gridSourceRaces({ source: 'previousRound' }, races, races[0]).previous.id, 'r1');
+    assert.throws(() => gridSourceRaces({ source: 'standings' }, races, races[1]), /first race/);
+});
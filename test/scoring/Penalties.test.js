@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    applyGridDrops,
+    applySessionPenalties,
+    createPenalty,
+    describePenalty,
+    gridDropsFor,
+    parseRaceTime
+} from '../../js/scoring/Penalties.js';
+
+test('createPenalty checks the type, driver, race, reason and value', () => {
+    const base = { type: 'time', driverId: 'a', raceId: 'r1', value: 5, reason: 'Track limits' };
+    assert.throws(() => createPenalty({ ...base, type: 'warning' }), /Unknown penalty type/);
+    assert.throws(() => createPenalty({ ...base, reason: ' ' }), /must state a reason/);
+    assert.throws(() => createPenalty({ ...base, value: 0 }), /positive value/);
+    assert.throws(() => createPenalty({ ...base, raceId: null }), /must be tied to a race/);
+
+    const deduction = createPenalty({ ...base, type: 'pointsDeduction', raceId: null, value: '10' });
+    assert.equal(deduction.value, 10);
+    assert.equal(describePenalty(deduction), '-10 pts');
+});
+
+test('parseRaceTime reads seconds and clock times', () => {
+    assert.equal(parseRaceTime('1:02:03.5'), 3723.5);
+    assert.equal(parseRaceTime(12), 12);
+    assert.equal(parseRaceTime('fast'), null);
+});
+
+test('a time penalty reclassifies the session on adjusted time', () => {
+    const amended = applySessionPenalties({
+        a: { position: 1, totalTime: '1:00:00', laps: 30 },
+        b: { position: 2, totalTime: '1:00:03', laps: 30 }
+    }, [{ id: 'p1', type: 'time', driverId: 'a', value: 5, reason: 'Unsafe release' }]);
+
+    assert.equal(amended.b.position, 1);
+    assert.equal(amended.a.position, 2);
+    assert.equal(amended.a.originalPosition, 1);
+    assert.equal(amended.a.penalties[0].summary, '+5s');
+});
+
+test('a disqualification removes the driver and promotes those behind', () => {
+    const amended = applySessionPenalties({
+        a: { position: 1 },
+        b: { position: 2 },
+        c: { position: 3 }
+    }, [{ id: 'p1', type: 'disqualification', driverId: 'a', reason: 'Underweight' }]);
+
+    assert.equal(amended.a.position, null);
+    assert.equal(amended.a.status, 'dsq');
+    assert.deepEqual([amended.b.position, amended.c.position], [1, 2]);
+});
+
+test('grid drops from the previous round are served at the next one', () => {
+    const championship = {
+        races: [
+            { id: 'r2', round: 2 },
+            { id: 'r1', round: 1, penalties: [{ type: 'gridDrop', driverId: 'a', raceId: 'r1', value: 3 }] }
+        ]
+    };
+    assert.deepEqual(gridDropsFor(championship, championship.races[0]), { a: 3 });
+    assert.deepEqual(gridDropsFor(championship, championship.races[1]), {});
+    assert.deepEqual(applyGridDrops(['a', 'b', 'c', 'd'], { a: 2 }), ['b', 'c', 'a', 'd']);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PointsEngine, normalizeRaceResults, parsePosition } from '../../js/scoring/PointsEngine.js';
+import { rankWithTieBreakers, tieBreakRounds } from '../../js/scoring/TieBreaker.js';
+
+const finish = (...order) => ({
+    feature: Object.fromEntries(order.map((id, index) => [id, { position: index + 1 }]))
+});
+
+test('parsePosition reads stored positions and rejects unclassified ones', () => {
+    assert.equal(parsePosition('P3'), 3);
+    assert.equal(parsePosition(2), 2);
+    assert.equal(parsePosition('DNF'), null);
+    assert.equal(parsePosition(0), null);
+});
+
+test('normalizeRaceResults reads a plain array as the feature race', () => {
+    const normalized = normalizeRaceResults([{ driverId: 'a', position: 1 }]);
+    assert.equal(normalized.feature.a.position, 1);
+    assert.deepEqual(normalized.sprint, {});
+});
+
+test('scoreRace scores the feature race with the default table', () => {
+    const engine = PointsEngine.forChampionship({});
+    const { drivers } = engine.scoreRace({ id: 'r1' }, finish('a', 'b'));
+    assert.equal(drivers.a.total, 25);
+    assert.equal(drivers.b.total, 18);
+});
+
+test('scoreChampionship lists rounds in season order, whatever order the races are stored in', () => {
+    const championship = {
+        races: [
+            { id: 'r2', round: 2, results: finish('b', 'a') },
+            { id: 'r1', round: 1, results: finish('a', 'b') }
+        ]
+    };
+    const season = PointsEngine.forChampionship(championship).scoreChampionship(championship);
+    assert.deepEqual(season.a.rounds.map(round => round.raceId), ['r1', 'r2']);
+    assert.equal(season.a.total, season.b.total);
+});
+
+test('legacy races without a round are numbered by their place in the schedule', () => {
+    const championship = { races: [{ id: 'x', results: finish('a') }, { id: 'y', results: finish('a') }] };
+    const season = PointsEngine.forChampionship(championship).scoreChampionship(championship);
+    assert.deepEqual(season.a.rounds.map(round => round.round), [1, 2]);
+});
+
+test('the most recent race breaks a tie on the latest round, not the last one stored', () => {
+    const championship = {
+        races: [
+            { id: 'r2', round: 2, name: 'Round 2', results: finish('b', 'a') },
+            { id: 'r1', round: 1, name: 'Round 1', results: finish('a', 'b') }
+        ]
+    };
+    const season = PointsEngine.forChampionship(championship).scoreChampionship(championship);
+    const entries = ['a', 'b'].map(id => ({
+        id,
+        name: id,
+        points: season[id].net,
+        rounds: tieBreakRounds(season, id, championship.races)
+    }));
+
+    const [first] = rankWithTieBreakers(entries, ['mostRecentRace']);
+    assert.equal(first.id, 'b');
+
+    const [earliest] = rankWithTieBreakers(entries, ['earliestAchieved']);
+    assert.equal(earliest.id, 'a');
+});
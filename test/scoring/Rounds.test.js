@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { previousRace, raceRound, racesInRoundOrder } from '../../js/scoring/Rounds.js';
+import { calculateTeamStandings, resolveDriverTeam } from '../../js/scoring/TeamStandings.js';
+import { teamForRound, transferDriver } from '../../js/models/Driver.js';
+
+test('races sort by round, numeric strings included, then by schedule position', () => {
+    const races = [{ id: 'c', round: '10' }, { id: 'a', round: 2 }, { id: 'b', round: '2' }, { id: 'd', round: 1 }];
+    assert.deepEqual(racesInRoundOrder(races).map(race => race.id), ['d', 'a', 'b', 'c']);
+});
+
+test('legacy races without a round take their place in the schedule', () => {
+    const races = [{ id: 'x' }, { id: 'y' }];
+    assert.equal(raceRound(races, races[1]), 2);
+    assert.equal(raceRound(races, { id: 'z', round: '7' }), 7);
+    assert.equal(raceRound(races, { id: 'z' }), null);
+});
+
+test('the previous race follows season order, not storage order', () => {
+    const races = [{ id: 'r3', round: 3 }, { id: 'r1', round: 1 }, { id: 'r2', round: 2 }];
+    assert.equal(previousRace(races, races[0]).id, 'r2');
+    assert.equal(previousRace(races, races[1]), null);
+});
+
+test('a transfer closes the old stint and opens a new one from the given round', () => {
+    const driver = transferDriver({ id: 'a', team: 'red' }, 'blue', 3);
+    assert.deepEqual(driver.teamHistory, [
+        { teamId: 'red', fromRound: 1, toRound: 2 },
+        { teamId: 'blue', fromRound: 3, toRound: null }
+    ]);
+    assert.equal(teamForRound(driver, 2), 'red');
+    assert.equal(teamForRound(driver, 3), 'blue');
+});
+
+test('a race\'s team assignment and the result\'s own team override the stint', () => {
+    const driver = { id: 'a', team: 'red' };
+    assert.equal(resolveDriverTeam(driver, { round: 1, teamAssignments: { a: 'green' } }), 'green');
+    assert.equal(resolveDriverTeam(driver, { round: 1 }, { teamId: 'blue' }), 'blue');
+});
+
+test('points scored before a transfer stay with the old team', () => {
+    const win = { feature: { a: { position: 1 } } };
+    const championship = {
+        drivers: [transferDriver({ id: 'a', team: 'red' }, 'blue', 2)],
+        teams: [{ id: 'red' }, { id: 'blue' }],
+        races: [{ id: 'r2', round: 2, results: win }, { id: 'r1', round: 1, results: win }]
+    };
+    const { teams } = calculateTeamStandings(championship);
+    assert.deepEqual(Object.fromEntries(teams.map(team => [team.id, team.points])), { red: 25, blue: 25 });
+    assert.equal(teams.find(team => team.id === 'red').rounds[1].total, 0);
+});
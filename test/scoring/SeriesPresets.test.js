@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PointsEngine } from '../../js/scoring/PointsEngine.js';
+import { SERIES_PRESETS, buildPresetSettings, pinPresetVersion, presetRaceSessions, resolvePresetVersion } from '../../js/scoring/SeriesPresets.js';
+
+test('versions follow the season year, oldest before the first', () => {
+    assert.equal(resolvePresetVersion('f2', { season: 2020 }).id, 'f2-2017');
+    assert.equal(resolvePresetVersion('f2', { season: 2021 }).id, 'f2-2021');
+    assert.equal(resolvePresetVersion('f3', { season: 2021 }).id, 'f3-2021');
+    assert.equal(resolvePresetVersion('f1', { season: 1990 }).id, 'f1-2010');
+    assert.equal(resolvePresetVersion('f1', {}).id, 'f1-2025');
+});
+
+test('every series covers its seasons without gaps or overlaps', () => {
+    Object.values(SERIES_PRESETS).forEach(({ id, versions }) => {
+        versions.slice(1).forEach((version, index) => {
+            assert.equal(version.from, versions[index].to + 1, `${id} ${version.id}`);
+        });
+        assert.equal(versions[versions.length - 1].to, null, id);
+    });
+});
+
+test('pinning an unknown rule set throws', () => {
+    assert.throws(() => pinPresetVersion('f1', 'f1-1950'), /Unknown rule set/);
+    assert.equal(pinPresetVersion('f1', 'f1-2019').pointsPreset.pinned, true);
+});
+
+test('NASCAR scores every finisher down to 40th and both stages', () => {
+    const championship = { season: 2024, settings: buildPresetSettings('nascar', 2024) };
+    const race = { id: 'r1', sessions: presetRaceSessions(championship) };
+    const field = Array.from({ length: 40 }, (_, index) => `d${index + 1}`);
+    const finish = Object.fromEntries(field.map((id, index) => [id, { position: index + 1 }]));
+    const { drivers } = PointsEngine.forChampionship(championship).scoreRace(race, {
+        stage1: { d40: { position: 1 } },
+        stage2: { d40: { position: 1 } },
+        feature: finish
+    });
+
+    assert.equal(drivers.d1.total, 40);
+    assert.equal(drivers.d39.total, 1);
+    assert.equal(drivers.d40.total, 21);
+});
+
+test('classic-weekend series start races without a session list', () => {
+    assert.equal(presetRaceSessions({ season: 2024, settings: buildPresetSettings('f1', 2024) }), null);
+    assert.deepEqual(
+        presetRaceSessions({ season: 2021, settings: buildPresetSettings('f2', 2021) }).map(session => session.id),
+        ['qualifying', 'sprint1', 'sprint2', 'feature']
+    );
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateTeamStandings, normalizeTeamScoring } from '../../js/scoring/TeamStandings.js';
+
+const finish = (...order) => ({
+    feature: Object.fromEntries(order.map((id, index) => [id, { position: index + 1 }]))
+});
+
+const championship = (settings = {}) => ({
+    drivers: [
+        { id: 'a', team: 'red' },
+        { id: 'b', team: 'red' },
+        { id: 'c', team: 'blue' },
+        { id: 'd', team: 'blue', reserve: true }
+    ],
+    teams: [
+        { id: 'red', name: 'Red', manufacturer: 'Alpha' },
+        { id: 'blue', name: 'Blue', manufacturer: 'Alpha' }
+    ],
+    races: [{ id: 'r1', round: 1, results: finish('a', 'd', 'b', 'c') }],
+    settings
+});
+
+test('team scoring defaults to every car, reserves excluded, no manufacturers', () => {
+    assert.deepEqual(normalizeTeamScoring({}), {
+        enabled: true,
+        countBestCars: null,
+        excludeReserves: true,
+        manufacturers: false,
+        manufacturerCountBestCars: null
+    });
+    assert.equal(normalizeTeamScoring({ teamScoring: { countBestCars: '0' } }).countBestCars, null);
+});
+
+test('every eligible car scores for its team, reserves do not', () => {
+    const { teams } = calculateTeamStandings(championship());
+    assert.deepEqual(teams.map(team => [team.id, team.points]), [['red', 40], ['blue', 12]]);
+    assert.deepEqual(teams[1].rounds[0].excluded, ['d']);
+});
+
+test('only the best N cars of a team count', () => {
+    const { teams } = calculateTeamStandings(championship({ teamScoring: { countBestCars: 1 } }));
+    assert.equal(teams.find(team => team.id === 'red').points, 25);
+});
+
+test('manufacturers pool the cars of their teams', () => {
+    const { manufacturers } = calculateTeamStandings(championship({ teamScoring: { manufacturers: true, manufacturerCountBestCars: 2 } }));
+    assert.deepEqual(manufacturers.map(m => [m.id, m.points]), [['Alpha', 40]]);
+});
+
+test('a disabled teams championship returns no tables', () => {
+    const { teams, manufacturers } = calculateTeamStandings(championship({ teamChampionship: false }));
+    assert.deepEqual(teams, []);
+    assert.deepEqual(manufacturers, []);
+});
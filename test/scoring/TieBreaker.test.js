@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { breakTie, normalizeTieBreakers, rankWithTieBreakers } from '../../js/scoring/TieBreaker.js';
+
+const entry = (id, points, positions) => ({
+    id,
+    name: id.toUpperCase(),
+    points,
+    rounds: positions.map((position, index) => ({ raceId: `r${index + 1}`, round: index + 1, name: null, position, total: 0, dropped: false }))
+});
+
+test('unknown rules are dropped and an empty chain falls back to the default', () => {
+    assert.deepEqual(normalizeTieBreakers(['wins', 'bogus']), ['wins']);
+    assert.deepEqual(normalizeTieBreakers([]), ['countback', 'mostRecentRace', 'earliestAchieved']);
+});
+
+test('countback puts the driver with more wins ahead and explains why', () => {
+    const { result, rule, explanation } = breakTie(entry('a', 50, [2, 2]), entry('b', 50, [1, 3]));
+    assert.ok(result > 0);
+    assert.equal(rule, 'countback');
+    assert.match(explanation, /^B ahead of A/);
+});
+
+test('the chain moves on when a rule cannot separate the pair', () => {
+    const { rule } = breakTie(entry('a', 40, [1, 3]), entry('b', 40, [3, 1]), ['wins', 'mostRecentRace']);
+    assert.equal(rule, 'mostRecentRace');
+});
+
+test('ranking sorts on points first and records tie-breaks on both drivers', () => {
+    const ranked = rankWithTieBreakers([entry('a', 30, [2, 2]), entry('b', 60, [1, 1]), entry('c', 30, [1, 4])]);
+    assert.deepEqual(ranked.map(e => [e.id, e.position]), [['b', 1], ['c', 2], ['a', 3]]);
+    assert.equal(ranked[1].tieBreaks[0].opponentId, 'a');
+    assert.equal(ranked[1].tieBreaks[0].ahead, true);
+    assert.equal(ranked[2].tieBreaks[0].ahead, false);
+    assert.deepEqual(ranked[0].tieBreaks, []);
+});
+
+test('identical records stay tied with no deciding rule', () => {
+    const { result, rule } = breakTie(entry('a', 25, [1]), entry('b', 25, [1]));
+    assert.equal(result, 0);
+    assert.equal(rule, null);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyByTiming, formatRaceTime } from '../../js/scoring/Timing.js';
+
+test('formatRaceTime writes hours, minutes and seconds', () => {
+    assert.equal(formatRaceTime(5524.512), '1:32:04.512');
+    assert.equal(formatRaceTime(3492.3), '58:12.300');
+    assert.equal(formatRaceTime(4.5), '4.500');
+    assert.equal(formatRaceTime(null), '');
+});
+
+test('laps come first, then time, and short runs are not classified', () => {
+    const rows = classifyByTiming([
+        { driverId: 'b', totalTime: '1:00:05', laps: 50 },
+        { driverId: 'a', totalTime: '1:00:00', laps: 50 },
+        { driverId: 'c', totalTime: '1:00:30', laps: 49 },
+        { driverId: 'd', laps: 20, status: 'dnf' }
+    ]);
+    assert.deepEqual(rows.map(row => [row.driverId, row.position, row.status]), [
+        ['a', 1, 'finished'],
+        ['b', 2, 'finished'],
+        ['c', 3, 'lapped'],
+        ['d', null, 'dnf']
+    ]);
+    assert.equal(rows[1].gapToLeader, '+5.000');
+    assert.equal(rows[2].interval, '+1 lap');
+});
+
+test('a retirement that covered enough distance is classified', () => {
+    const rows = classifyByTiming([
+        { driverId: 'a', totalTime: '1:00:00', laps: 50 },
+        { driverId: 'b', laps: 46, status: 'dnf' }
+    ]);
+    assert.equal(rows[1].position, 2);
+});
+
+test('times without laps are classified in time order', () => {
+    const rows = classifyByTiming([
+        { driverId: 'b', totalTime: '1:00:05' },
+        { driverId: 'a', totalTime: '1:00:00' },
+        { driverId: 'c', status: 'dnf' }
+    ]);
+    assert.deepEqual(rows.map(row => [row.driverId, row.position, row.status]), [
+        ['a', 1, 'finished'],
+        ['b', 2, 'finished'],
+        ['c', null, 'dnf']
+    ]);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PERMISSIONS,
+    ROLES,
+    acceptRoleInvite,
+    can,
+    inviteToRole,
+    pendingRoleFields,
+    requiredPermissions,
+    roleOf,
+    setMemberRole
+} from '../../js/utils/ChampionshipRoles.js';
+
+const championship = {
+    userId: 'owner',
+    roles: { adm: 'admin', stw: 'steward' },
+    drivers: [{ id: 'd1', userId: 'drv' }]
+};
+
+test('roles come from ownership, appointments and linked drivers', () => {
+    assert.equal(roleOf(championship, 'owner'), ROLES.OWNER);
+    assert.equal(roleOf(championship, 'adm'), ROLES.ADMIN);
+    assert.equal(roleOf(championship, 'drv'), ROLES.DRIVER);
+    assert.equal(roleOf(championship, 'someone'), ROLES.VIEWER);
+    assert.equal(roleOf(championship, null), ROLES.VIEWER);
+});
+
+test('stewards apply penalties but cannot enter results', () => {
+    assert.ok(can(championship, 'stw', PERMISSIONS.APPLY_PENALTIES));
+    assert.ok(!can(championship, 'stw', PERMISSIONS.ENTER_RESULTS));
+    assert.ok(!can(championship, 'adm', PERMISSIONS.MANAGE_CHAMPIONSHIP));
+    assert.ok(can(championship, 'owner', PERMISSIONS.MANAGE_CHAMPIONSHIP));
+});
+
+test('updates need the permission of every guarded field', () => {
+    assert.deepEqual(requiredPermissions({ races: [], lastUpdated: 'now' }), [PERMISSIONS.ENTER_RESULTS]);
+    assert.deepEqual(requiredPermissions({ name: 'New', roles: {} }), [PERMISSIONS.EDIT_SETTINGS, PERMISSIONS.MANAGE_ROLES]);
+});
+
+test('only the owner appoints admins; admins may appoint stewards', () => {
+    assert.throws(() => inviteToRole(championship, { email: 'x@y.z', role: 'admin' }, 'adm'), /Only the owner/);
+    assert.throws(() => inviteToRole(championship, { email: 'nope', role: 'steward' }, 'adm'), /valid email/);
+
+    const { invite, roleInvites } = inviteToRole(championship, { email: 'New@Example.com', role: 'steward' }, 'adm', new Date(0));
+    assert.equal(invite.email, 'new@example.com');
+    assert.deepEqual(pendingRoleFields(roleInvites), {
+        pendingRoles: { 'new@example.com': 'steward' },
+        pendingRoleEmails: ['new@example.com']
+    });
+    assert.throws(() => inviteToRole({ ...championship, roleInvites }, { email: 'new@example.com', role: 'steward' }, 'adm'), /pending invitation/);
+});
+
+test('only the invited account can accept, taking the role offered', () => {
+    const { invite, roleInvites } = inviteToRole(championship, { email: 'new@example.com', role: 'steward' }, 'owner');
+    const invited = { ...championship, roleInvites };
+
+    assert.throws(() => acceptRoleInvite(invited, invite.id, { uid: 'u9', email: 'other@example.com' }), /another account/);
+    const { roles } = acceptRoleInvite(invited, invite.id, { uid: 'u9', email: 'new@example.com' });
+    assert.equal(roles.u9, 'steward');
+});
+
+test('members may step down, but nobody changes the owner\'s role', () => {
+    assert.deepEqual(setMemberRole(championship, 'stw', null, 'stw').roles, { adm: 'admin' });
+    assert.throws(() => setMemberRole(championship, 'owner', 'steward', 'adm'), /owner's role/);
+    assert.throws(() => setMemberRole(championship, 'adm', null, 'stw'), /permission/);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { carStints, createPitStop, pitStopSummary, pitStopsByTeam } from '../../js/utils/PitStops.js';
+
+test('a pit stop needs a driver, a lap and a known compound', () => {
+    assert.throws(() => createPitStop({ lap: 10 }), /needs a driver/);
+    assert.throws(() => createPitStop({ driverId: 'a', lap: 0 }), /lap it was made on/);
+    assert.throws(() => createPitStop({ driverId: 'a', lap: 10, tyre: 'slick' }), /Unknown tyre compound/);
+    assert.throws(() => createPitStop({ driverId: 'a', lap: 10, stationaryTime: 'slow' }), /time in seconds/);
+
+    const stop = createPitStop({ driverId: 'a', lap: '12', stationaryTime: '2.4', tyre: 'hard', fuel: '', driverChange: ' Ana ' });
+    assert.deepEqual([stop.lap, stop.stationaryTime, stop.fuel, stop.driverChange], [12, 2.4, null, 'Ana']);
+});
+
+test('stints run between stops, changing compound at each stop that fits tyres', () => {
+    const race = {
+        startingTyres: { feature: { a: 'soft' } },
+        pitStops: { feature: [{ driverId: 'a', lap: 30, tyre: null }, { driverId: 'a', lap: 15, tyre: 'hard' }] }
+    };
+    assert.deepEqual(
+        carStints(race, 'feature', 'a', 40).map(({ from, to, tyre }) => [from, to, tyre]),
+        [[1, 15, 'soft'], [16, 30, 'hard'], [31, 40, 'hard']]
+    );
+});
+
+test('stop summaries average the timed stops only', () => {
+    const summary = pitStopSummary([{ stationaryTime: 2 }, { stationaryTime: 3 }, { stationaryTime: null }]);
+    assert.deepEqual(summary, { count: 3, timed: 2, average: 2.5, fastest: 2 });
+    assert.deepEqual(pitStopSummary([]), { count: 0, timed: 0, average: null, fastest: null });
+});
+
+test('team summaries list the fastest average first', () => {
+    const teams = { a: 'red', b: 'blue', c: 'blue' };
+    const summary = pitStopsByTeam(
+        [{ driverId: 'a', stationaryTime: 3 }, { driverId: 'b', stationaryTime: 2 }, { driverId: 'c', stationaryTime: 2.5 }],
+        stop => teams[stop.driverId]
+    );
+    assert.deepEqual(summary.map(team => [team.teamId, team.count, team.average]), [['blue', 2, 2.25], ['red', 1, 3]]);
+});
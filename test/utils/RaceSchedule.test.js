@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCalendarEvents, raceSessionTimes, scheduleDate, toICalendar, zonedTimeToUtc } from '../../js/utils/RaceSchedule.js';
+
+// All-day events are built in the local zone; pin one with a daylight-saving change
+process.env.TZ = 'Europe/London';
+
+test('zonedTimeToUtc applies the offset in force at the venue on the day', () => {
+    assert.equal(zonedTimeToUtc('2024-05-26T15:00', 'Europe/Monaco').toISOString(), '2024-05-26T13:00:00.000Z');
+    assert.equal(zonedTimeToUtc('2024-12-01T15:00', 'Europe/Monaco').toISOString(), '2024-12-01T14:00:00.000Z');
+    assert.equal(zonedTimeToUtc('not a date', 'Europe/Monaco'), null);
+});
+
+test('raceSessionTimes orders sessions by start and adds their length', () => {
+    const race = {
+        timeZone: 'UTC',
+        sessions: [{ id: 'feature', name: 'Feature', type: 'race' }, { id: 'qualifying', name: 'Qualifying', type: 'qualifying' }],
+        schedule: { feature: { start: '2024-05-26T15:00' }, qualifying: { start: '2024-05-25T14:00', duration: 30 } }
+    };
+    const [first, second] = raceSessionTimes(race);
+    assert.equal(first.session, 'qualifying');
+    assert.equal(first.end.toISOString(), '2024-05-25T14:30:00.000Z');
+    assert.equal(second.session, 'feature');
+});
+
+test('scheduleDate is the feature race day', () => {
+    assert.equal(scheduleDate({ qualifying: { start: '2024-05-25T14:00' }, feature: { start: '2024-05-26T15:00' } }), '2024-05-26');
+});
+
+test('an all-day race on the day clocks go back ends on the next date', () => {
+    const [event] = buildCalendarEvents([{ id: 'c', name: 'Cup', races: [{ id: 'r', name: 'Race', date: '2024-10-27' }] }]);
+    assert.equal(event.allDay, true);
+    assert.equal(event.end.getDate(), 28);
+
+    const ics = toICalendar({ id: 'c', name: 'Cup', races: [{ id: 'r', name: 'Race', date: '2024-10-27' }] });
+    assert.match(ics, /DTSTART;VALUE=DATE:20241027\r\n/);
+    assert.match(ics, /DTEND;VALUE=DATE:20241028\r\n/);
+});
+
+test('iCalendar lines are folded at 75 octets', () => {
+    const ics = toICalendar({ id: 'c', name: 'A'.repeat(200), races: [] });
+    ics.split('\r\n').forEach(line => assert.ok(new TextEncoder().encode(line).length <= 75));
+});